@@ -0,0 +1,110 @@
+// The Express app: configuration, shared services and the /api routers. server.js starts it;
+// tests import it without listening.
+import express from "express";
+import dotenv from "dotenv";
+import cors from "cors";
+import { loadConfig } from "./lib/config.js";
+import { createSessionStore } from "./lib/sessionStore.js";
+import { PendingActionStore } from "./lib/actions.js";
+import { createUserStore } from "./lib/userStore.js";
+import { createJiraAccess } from "./lib/jiraAccess.js";
+import { TtlCache } from "./lib/cache.js";
+import { createLLM } from "./lib/llm.js";
+import { createReportStore } from "./lib/reportStore.js";
+import { createReportSinks, createWebhookSink } from "./lib/reportSinks.js";
+import { REPORT_TYPES, publishReport } from "./lib/reports.js";
+import { createScheduler } from "./lib/scheduler.js";
+import { AlertRuleStore, createAlertService } from "./lib/alerts.js";
+import { createProjectScope } from "./lib/projectScope.js";
+import { createAuthRouter } from "./routes/auth.js";
+import { createQueryRouter } from "./routes/query.js";
+import { createActionsRouter } from "./routes/actions.js";
+import { createProjectsRouter } from "./routes/projects.js";
+import { createSessionsRouter } from "./routes/sessions.js";
+import { createSprintsRouter } from "./routes/sprints.js";
+import { createMetricsRouter } from "./routes/metrics.js";
+import { createReportsRouter } from "./routes/reports.js";
+import { createChatRouter, keepRawBody } from "./routes/chat.js";
+import { createAlertsRouter } from "./routes/alerts.js";
+import { createDiagnosticsRouter } from "./routes/diagnostics.js";
+dotenv.config();
+
+const config = loadConfig();
+
+const jiraCache = new TtlCache({ maxEntries: config.cache.maxEntries });
+const llmCache = new TtlCache({ maxEntries: config.cache.maxEntries });
+
+// Logged-in users and their encrypted Jira credentials (user mode only)
+const userStore = config.auth.mode === "user" ? createUserStore(config.auth.userStore) : null;
+
+// Everything the routers and intent handlers share
+const services = {
+  config,
+  llm: createLLM(config.llm),
+  jiraCache,
+  llmCache,
+  userStore,
+  jiraAccess: createJiraAccess({ config, cache: jiraCache, userStore }),
+  sessionStore: createSessionStore(config.sessions),
+  // Write actions waiting for the client to confirm them
+  pendingActions: new PendingActionStore({ ttlMs: config.actions.confirmationTtlMs }),
+  reportStore: createReportStore(config.reports.store),
+  reportSinks: createReportSinks(config.reports),
+  alertRules: new AlertRuleStore({ allowedKeys: config.projectKeys }),
+
+  // Memoize an LLM result for identical queries, unless the caller asked for fresh data
+  memoizeLLM(req, key, load) {
+    if (config.cache.llmTtlMs <= 0) return load();
+    return llmCache.wrap(key, config.cache.llmTtlMs, load, { bypass: req.bypassCache });
+  },
+};
+
+// Scheduled reports, started by server.js. They cover every allowed project and read Jira as JIRA_USER.
+export const scheduler = createScheduler(
+  REPORT_TYPES.filter((type) => config.reports.schedules[type] !== "none").map((type) => ({
+    name: type,
+    cron: config.reports.schedules[type],
+    run: () =>
+      publishReport({
+        jira: services.jiraAccess.sharedJira,
+        scope: createProjectScope(config.projectKeys, []),
+        type,
+        store: services.reportStore,
+        sinks: services.reportSinks,
+        timeZone: config.timeZone,
+      }),
+  }))
+);
+services.reportScheduler = scheduler;
+
+// Alerts go to the conversations whose rules they match and, when configured, to a webhook
+services.alertService = createAlertService({
+  ruleStore: services.alertRules,
+  allowedKeys: config.projectKeys,
+  timeZone: config.timeZone,
+  sinks: config.alerts.webhook.url ? [createWebhookSink({ url: config.alerts.webhook.url, toBody: (alert) => alert })] : [],
+});
+
+export const app = express();
+
+// CORS setup. Credentials are allowed so the login cookie reaches the API from the frontend.
+app.use(cors({ origin: config.corsOrigin, credentials: true }));
+// The raw body is kept for the chat adapters and Jira webhooks, which verify signatures over it
+app.use(express.json({ verify: keepRawBody }));
+
+// Everything under /api needs a logged-in user, except logging in itself, the chat adapters and
+// Jira's webhooks, whose requests are signed by Slack, Teams or Jira instead
+const isPublic = (path) => ["/auth/", "/chat/", "/webhooks/"].some((prefix) => path.startsWith(prefix));
+app.use("/api", (req, res, next) => (isPublic(req.path) ? next() : services.jiraAccess.authenticate(req, res, next)));
+
+app.use("/api", createAuthRouter(services));
+app.use("/api", createQueryRouter(services));
+app.use("/api", createActionsRouter(services));
+app.use("/api", createProjectsRouter(services));
+app.use("/api", createSessionsRouter(services));
+app.use("/api", createSprintsRouter(services));
+app.use("/api", createMetricsRouter(services));
+app.use("/api", createReportsRouter(services));
+app.use("/api", createChatRouter(services));
+app.use("/api", createAlertsRouter(services));
+app.use("/api", createDiagnosticsRouter(services));
@@ -0,0 +1,151 @@
+// ACTION: requests to change issues ("assign NIHK-42 to Ana", "move NIHK-17 to In Progress").
+// The exact Jira change is worked out and handed back with a confirmation token; nothing is changed
+// until the token is sent to /api/actions/confirm.
+import { parseActionCommand, looksLikeAction, normalizeActionCommand, matchTransition, buildJiraRequest, describeAction } from "../lib/actions.js";
+import { resolvePeople, disambiguationReply } from "../lib/userDirectory.js";
+
+export const intent = "ACTION";
+
+// Before analysis, write commands are recognized from the user's own wording (comment text and
+// summaries survive because it isn't preprocessed); afterwards, from the analyzed intent
+export function matches(ctx) {
+  return ctx.intent ? ctx.intent === "ACTION" : looksLikeAction(ctx.actionQuery);
+}
+
+// Ask the model to read a write command the patterns didn't recognize
+async function extractActionWithModel(llm, query) {
+  try {
+    const response = await llm.complete("intent", {
+      messages: [
+        {
+          role: "system",
+          content: `
+            You turn requests to change Jira issues into JSON. Reply with ONLY one JSON object:
+            - {"type": "assign", "issueKey": "NIHK-42", "assignee": "Ana"} (assignee null to unassign, "me" for the user)
+            - {"type": "transition", "issueKey": "NIHK-17", "status": "In Progress"}
+            - {"type": "comment", "issueKey": "NIHK-9", "comment": "text of the comment"}
+            - {"type": "create", "issueType": "Bug", "summary": "Login page crashes"}
+            If the request isn't one of these, reply with {"type": "NONE"}.
+          `,
+        },
+        { role: "user", content: query },
+      ],
+      temperature: 0,
+    });
+
+    return normalizeActionCommand(JSON.parse(response.trim()));
+  } catch (error) {
+    console.error("Error extracting action:", error);
+    return null;
+  }
+}
+
+// Find the account an issue can be assigned to among the people assignable in its project ("me"
+// is the user). Returns { accountId, displayName }, { message } when nobody matches, or { ambiguous }
+// when more than one person does.
+async function resolveAssignee({ jira, req, chosenPeople }, issueKey, name) {
+  const { people, ambiguous } = await resolvePeople(jira, { names: [name], projectKeys: [issueKey.split("-")[0]], user: req.user, chosen: chosenPeople });
+
+  if (ambiguous) return { ambiguous };
+  if (people.length === 0) {
+    return { message: `I couldn't find anyone called "${name}" who can be assigned ${issueKey}.` };
+  }
+
+  return { accountId: people[0].accountId, displayName: people[0].displayName };
+}
+
+// Resolve a parsed command into a complete action (account ids, transition ids, project key).
+// Returns { action } ready for confirmation, { message } explaining why it can't be done, or
+// { ambiguous } when the assignee could be several people.
+async function resolveAction(ctx, command) {
+  const { jira, scope } = ctx;
+
+  if (command.issueKey && !scope.allowedKeys.includes(command.issueKey.split("-")[0])) {
+    return { message: `${command.issueKey} isn't in a project I can change (${scope.allowedKeys.join(", ")}).` };
+  }
+
+  if (command.type === "assign") {
+    if (!command.assignee) {
+      return { action: { ...command, accountId: null } };
+    }
+
+    const assignee = await resolveAssignee(ctx, command.issueKey, command.assignee);
+    if (!assignee.accountId) return assignee;
+
+    return { action: { ...command, accountId: assignee.accountId, assigneeName: assignee.displayName } };
+  }
+
+  if (command.type === "transition") {
+    // Only transitions the workflow offers from the current status can be used
+    const { data } = await jira.get(`/rest/api/3/issue/${command.issueKey}/transitions`);
+    const transitions = data.transitions || [];
+    const transition = matchTransition(transitions, command.status);
+
+    if (!transition) {
+      const available = transitions.map((t) => t.to?.name || t.name);
+      return {
+        message:
+          available.length > 0
+            ? `${command.issueKey} can't be moved to "${command.status}" from its current status. It can be moved to: ${available.join(", ")}.`
+            : `${command.issueKey} has no transitions available right now.`,
+      };
+    }
+
+    return { action: { ...command, transitionId: transition.id, statusName: transition.to?.name || transition.name } };
+  }
+
+  if (command.type === "create") {
+    if (scope.keys.length > 1) {
+      return { message: `Which project should I create it in: ${scope.keys.join(", ")}?` };
+    }
+
+    return { action: { ...command, projectKey: scope.keys[0] } };
+  }
+
+  return { action: command };
+}
+
+export async function handle(ctx) {
+  const { res, actionQuery, sessionId, services } = ctx;
+  const command = parseActionCommand(actionQuery) || (await extractActionWithModel(services.llm, actionQuery));
+  if (!command) {
+    return res.json({
+      message:
+        'I can assign, move, comment on and create issues. Try "assign NIHK-42 to Ana", "move NIHK-17 to In Progress", "add a comment to NIHK-9 saying …" or "create a bug for the login crash".',
+      meta: { intent: "ACTION" },
+    });
+  }
+
+  let resolved;
+  try {
+    resolved = await resolveAction(ctx, command);
+  } catch (error) {
+    console.error("Error preparing action:", error);
+    const message =
+      error.response?.status === 404
+        ? `I couldn't find ${command.issueKey} in Jira.`
+        : "I couldn't prepare that change right now. Please try again later.";
+    return res.json({ message, meta: { intent: "ACTION", issueKey: command.issueKey } });
+  }
+
+  if (resolved.ambiguous) {
+    return res.json(disambiguationReply({ query: actionQuery, intent: "ACTION", ambiguous: resolved.ambiguous, chosen: ctx.chosenPeople }));
+  }
+  if (!resolved.action) {
+    return res.json({ message: resolved.message, meta: { intent: "ACTION", issueKey: command.issueKey } });
+  }
+
+  const action = { ...resolved.action, description: describeAction(resolved.action), request: buildJiraRequest(resolved.action) };
+  const { token, expiresAt } = services.pendingActions.create(sessionId, action);
+
+  return res.json({
+    message: `I'm ready to **${action.description}**. Confirm to go ahead; nothing has been changed in Jira yet.`,
+    meta: {
+      intent: "ACTION",
+      issueKey: action.issueKey,
+      action: { type: action.type, description: action.description, request: action.request },
+      confirmationToken: token,
+      expiresAt,
+    },
+  });
+}
@@ -0,0 +1,43 @@
+// CONVERSATION: thanks, clarifications and other chat, answered with recent project activity as
+// context.
+import { generateResponse } from "../lib/responses.js";
+import { pickOne } from "../lib/formatting.js";
+
+export const intent = "CONVERSATION";
+
+export function matches(ctx) {
+  return ctx.intent === "CONVERSATION";
+}
+
+export async function handle({ res, jira, query, scope, previousQueries, services }) {
+  try {
+    // Get some basic project info for context
+    const recentIssuesResponse = await jira.search(scope.templates.RECENT_UPDATES, {
+      fields: "summary,status,assignee,updated",
+      maxResults: 5,
+    });
+
+    const formattedResponse = await generateResponse(services.llm, query, recentIssuesResponse, "CONVERSATION", {
+      previousQueries,
+      res,
+      scope,
+    });
+
+    return res.json({
+      message: formattedResponse,
+      meta: { intent: "CONVERSATION" },
+    });
+  } catch (error) {
+    console.error("Error handling conversational query:", error);
+
+    return res.json({
+      message: pickOne([
+        "I'm here to help with your Jira project. Could you ask me something specific about your tasks or project status?",
+        "I'd be happy to help you with your Jira project. What would you like to know about your issues or project?",
+        "I can provide information about your Jira tasks, assignments, deadlines, and more. What are you looking for?",
+        "I'm your Jira assistant. I can tell you about task status, assignments, priorities, and more. What would you like to know?",
+      ]),
+      meta: { intent: "CONVERSATION" },
+    });
+  }
+}
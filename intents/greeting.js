@@ -0,0 +1,25 @@
+// GREETING: a canned introduction of what the assistant can do. Needs neither Jira nor the model.
+import { pickOne } from "../lib/formatting.js";
+
+export const intent = "GREETING";
+
+const GREETINGS = [
+  "Hi there! I'm your Jira assistant. I can help you with:\n\n• Finding tasks and issues\n• Checking project status\n• Understanding who's working on what\n• Tracking blockers and high-priority items\n• Monitoring deadlines and timelines\n\nJust ask me a question about your Jira project!",
+
+  "Hello! I'm here to help you navigate your Jira project. You can ask me about:\n\n• Open and closed tasks\n• Task assignments and ownership\n• Project timelines and deadlines\n• High priority issues and blockers\n• Recent updates and changes\n\nWhat would you like to know about your project today?",
+
+  'Hey! I\'m your Jira chatbot assistant. Some things you can ask me:\n\n• "What\'s the status of our project?"\n• "Show me open bugs assigned to Sarah"\n• "Any blockers in the current sprint?"\n• "Tell me about NIHK-123"\n• "What\'s due this week?"\n\nHow can I help you today?',
+];
+
+export function matches(ctx) {
+  return ctx.intent === "GREETING";
+}
+
+export async function handle({ res }) {
+  return res.json({
+    message: pickOne(GREETINGS),
+    meta: {
+      intent: "GREETING",
+    },
+  });
+}
@@ -0,0 +1,188 @@
+// HISTORY: when things changed and who changed them, answered from the issues' changelogs
+// (lib/history.js) with exact timestamps and actors. Questions naming issues get each issue's
+// timeline, narrowed to the fields, value and time window they mention ("when did NIHK-12 move to
+// Done?", "who changed the priority of NIHK-2?"), plus time in status when asked or when no field is
+// named. Without an issue key the scope's recently updated issues are read instead ("what changed
+// yesterday?"), over the last 7 days unless the question names a window.
+import { formatTimestamp } from "../lib/formatting.js";
+import { computeTimeInStatus, filterChanges, formatDuration, loadIssueHistory, loadProjectHistory, normalizeChangelog, parseHistoryQuestion } from "../lib/history.js";
+
+export const intent = "HISTORY";
+
+const MAX_ISSUES = 5;
+const MAX_CHANGES_PER_ISSUE = 10;
+const DEFAULT_WINDOW_DAYS = 7;
+
+export function matches(ctx) {
+  return ctx.intent === "HISTORY";
+}
+
+const actorOf = (change) => change.author?.displayName || "Someone";
+const fieldLabel = (field) => field.charAt(0).toUpperCase() + field.slice(1);
+const shown = (value) => (value === null || value === "" ? "none" : value);
+
+// "yesterday", "this week", "since Monday", "in the last 3 days"
+const windowPhrase = (window) => (window.label.startsWith("the ") ? `in ${window.label}` : window.label);
+
+// "• 2026-10-16 11:00 UTC: Ivana Kovac changed Priority from High to Highest"
+function formatChange(change) {
+  return `• ${formatTimestamp(change.at)}: ${actorOf(change)} changed ${fieldLabel(change.field)} from ${shown(change.from)} to ${shown(change.to)}\n`;
+}
+
+function formatChanges(changes) {
+  const latest = changes.slice(-MAX_CHANGES_PER_ISSUE);
+  const earlier = changes.length - latest.length;
+  return (earlier > 0 ? `• … ${earlier} earlier ${earlier === 1 ? "change" : "changes"}\n` : "") + latest.map(formatChange).join("");
+}
+
+function formatTimeInStatus(periods) {
+  return periods
+    .map(({ status, totalMs, visits, current }) => {
+      const notes = [visits > 1 ? `${visits} visits` : null, current ? "current" : null].filter(Boolean);
+      return `• ${status}: ${formatDuration(totalMs)}${notes.length > 0 ? ` (${notes.join(", ")})` : ""}\n`;
+    })
+    .join("");
+}
+
+// The one-line answer to a targeted question ("when did it move to Done?", "who changed the
+// priority?"), from the latest matching change
+function describeLatest(issue, changes, question) {
+  const latest = changes.at(-1);
+  const when = `on ${formatTimestamp(latest.at)} by ${actorOf(latest)}`;
+  const repeats = changes.length > 1 ? ` That was the latest of ${changes.length} matching changes.` : "";
+
+  if (latest.field.toLowerCase() === "status") {
+    return `${issue.key} moved to **${latest.to}** ${when} (from ${shown(latest.from)}).${repeats}`;
+  }
+  if (question.toValue) {
+    return `${issue.key}'s ${latest.field} was set to **${latest.to}** ${when} (from ${shown(latest.from)}).${repeats}`;
+  }
+  return `${issue.key}'s ${latest.field} was last changed ${when}, from ${shown(latest.from)} to **${shown(latest.to)}**.${repeats}`;
+}
+
+function describeNoChanges(issue, question) {
+  const during = question.window ? ` ${windowPhrase(question.window)}` : "";
+
+  if (question.toValue && question.fields.includes("status")) {
+    return `${issue.key} hasn't moved to ${question.toValue}${during}. It's currently ${issue.fields.status?.name || "in an unknown status"}.`;
+  }
+  if (question.toValue) {
+    return `${issue.key} wasn't changed to ${question.toValue}${during}.`;
+  }
+  const what = question.fields.length > 0 ? `${question.fields.join(" or ")} changes` : "changes";
+  return `There are no ${what} on ${issue.key}${during}.`;
+}
+
+async function answerForIssues(ctx, issueKeys, question) {
+  const { jira, services } = ctx;
+  const { storyPointsField } = services.config.agile;
+  const now = new Date();
+
+  const results = [];
+  let text = "";
+
+  for (const issueKey of issueKeys) {
+    let issue;
+    try {
+      issue = await loadIssueHistory(jira, issueKey);
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+      text += `I can't find ${issueKey}. Check the issue key and that it belongs to your projects.\n\n`;
+      continue;
+    }
+
+    const changes = filterChanges(normalizeChangelog(issue), question, { storyPointsField });
+    const timeInStatus = computeTimeInStatus(issue, { now });
+    const targeted = question.fields.length > 0 && !question.wantsTimeInStatus;
+
+    text += `## ${issue.key}: ${issue.fields.summary || "No summary"}\n\n`;
+    if (targeted) {
+      text += changes.length > 0 ? `${describeLatest(issue, changes, question)}\n\n` : `${describeNoChanges(issue, question)}\n\n`;
+      if (changes.length > 1) text += `${formatChanges(changes)}\n`;
+    } else {
+      text += changes.length > 0 ? `${formatChanges(changes)}\n` : `${describeNoChanges(issue, question)}\n\n`;
+      text += `### Time in status\n${formatTimeInStatus(timeInStatus)}\n`;
+    }
+
+    results.push({ key: issue.key, summary: issue.fields.summary, status: issue.fields.status?.name ?? null, changes, timeInStatus });
+  }
+
+  return { text, results };
+}
+
+async function answerForProject(ctx, question) {
+  const { jira, scope, services } = ctx;
+  const { storyPointsField } = services.config.agile;
+  const now = new Date();
+
+  // Project-wide time in status: how long each open issue has been where it is
+  if (question.wantsTimeInStatus) {
+    const { issues } = await loadProjectHistory(jira, scope, { unresolved: true });
+    const results = issues
+      .map((issue) => {
+        const timeInStatus = computeTimeInStatus(issue, { now });
+        const current = timeInStatus.find((period) => period.current);
+        return { key: issue.key, summary: issue.fields.summary, status: current?.status ?? null, currentMs: current ? now - new Date(current.lastEnteredAt) : 0, timeInStatus, changes: [] };
+      })
+      .sort((a, b) => b.currentMs - a.currentMs);
+
+    if (results.length === 0) return { text: "There are no open issues in your projects.", results, window: null };
+
+    const text =
+      `## Time in current status\n\n` +
+      results.map(({ key, summary, status, currentMs }) => `• ${key}: ${summary} (${status} for ${formatDuration(currentMs)})\n`).join("");
+    return { text, results, window: null };
+  }
+
+  const window = question.window || {
+    label: `the last ${DEFAULT_WINDOW_DAYS} days`,
+    since: new Date(now.getTime() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000),
+    until: now,
+  };
+  const { issues } = await loadProjectHistory(jira, scope, { since: window.since });
+
+  const results = issues
+    .map((issue) => ({
+      key: issue.key,
+      summary: issue.fields.summary,
+      status: issue.fields.status?.name ?? null,
+      changes: filterChanges(normalizeChangelog(issue), { ...question, window }, { storyPointsField }),
+    }))
+    .filter(({ changes }) => changes.length > 0);
+
+  const what = question.fields.length > 0 ? `${question.fields.join(" or ")} changes` : "changes";
+  if (results.length === 0) {
+    return { text: `There were no ${what} in your projects ${windowPhrase(window)}.`, results, window };
+  }
+
+  const changeCount = results.reduce((sum, { changes }) => sum + changes.length, 0);
+  let text = `## ${fieldLabel(what)} ${windowPhrase(window)}\n\n`;
+  text += `${changeCount} ${changeCount === 1 ? "change" : "changes"} across ${results.length} ${results.length === 1 ? "issue" : "issues"}.\n\n`;
+  text += results.map(({ key, summary, changes }) => `### ${key}: ${summary}\n${formatChanges(changes)}`).join("\n");
+
+  return { text, results, window };
+}
+
+export async function handle(ctx) {
+  const { res, actionQuery, scope, timeZone } = ctx;
+  const question = parseHistoryQuestion(actionQuery, { timeZone });
+  const issueKeys = [...new Set((actionQuery.match(new RegExp(scope.issueKeyPattern, "gi")) || []).map((key) => key.toUpperCase()))].slice(0, MAX_ISSUES);
+
+  try {
+    const { text, results, window = question.window } = issueKeys.length > 0 ? await answerForIssues(ctx, issueKeys, question) : await answerForProject(ctx, question);
+
+    return res.json({
+      message: text.trim(),
+      meta: {
+        intent: "HISTORY",
+        issueKeys: results.map(({ key }) => key),
+        window: window && { label: window.label, since: window.since.toISOString(), until: window.until.toISOString() },
+        changeCount: results.reduce((sum, { changes }) => sum + changes.length, 0),
+      },
+      rawData: { issues: results },
+    });
+  } catch (historyError) {
+    console.error("Error fetching issue history:", historyError);
+    return null; // Fall back to normal query processing
+  }
+}
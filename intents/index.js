@@ -0,0 +1,46 @@
+// Intent handler registry.
+// Each intent is a module exporting:
+//   intent        the intent it answers, sent to streaming clients before it runs
+//   matches(ctx)  whether it should try to answer this question
+//   handle(ctx)   answers with ctx.res.json(...) and returns a truthy value, or returns a falsy
+//                 value to let the next handler try (e.g. when Jira has nothing for it)
+//
+// ctx holds the request (req, res, jira), the question (query is the standardized form,
+// originalQuery and actionQuery the user's wording), the conversation (sessionId, session,
+// previousQueries, resultTurn, chosenPeople), the project scope and the shared services (llm,
+// memoizeLLM, pendingActions, ...). Once the query is analyzed, ctx.intent, ctx.analysis and
+// ctx.followUp are set as well.
+//
+// Adding an intent means adding its module and listing it below.
+import * as action from "./action.js";
+import * as projectComparison from "./projectComparison.js";
+import * as mostRecentTask from "./mostRecentTask.js";
+import * as projectStatus from "./projectStatus.js";
+import * as timeline from "./timeline.js";
+import * as workload from "./workload.js";
+import * as greeting from "./greeting.js";
+import * as history from "./history.js";
+import * as metrics from "./metrics.js";
+import * as sprint from "./sprint.js";
+import * as taskDetails from "./taskDetails.js";
+import * as conversation from "./conversation.js";
+import * as search from "./search.js";
+
+// Questions recognized from their wording alone, tried before the query is analyzed, so common
+// questions never wait for the model
+export const SHORTCUT_HANDLERS = [action, projectComparison, mostRecentTask, projectStatus, timeline, workload];
+
+// Handlers for the analyzed intent, tried in order. search answers whatever the others pass on.
+export const INTENT_HANDLERS = [action, greeting, history, metrics, sprint, taskDetails, conversation, search];
+
+// Try handlers in order until one answers. Resolves to true once a response has been sent.
+export async function dispatch(handlers, ctx, { beforeHandle } = {}) {
+  for (const handler of handlers) {
+    if (!handler.matches(ctx)) continue;
+
+    beforeHandle?.(handler);
+    if (await handler.handle(ctx)) return true;
+  }
+
+  return false;
+}
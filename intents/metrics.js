@@ -0,0 +1,101 @@
+// METRICS: flow metrics for the scope ("what's our cycle time?", "lead time by assignee",
+// "throughput over the last 4 weeks"), from lib/flowMetrics.js. The answer gives lead and cycle
+// time, throughput and the oldest work in progress, broken down by issue type unless the question
+// asks for priority or assignee.
+import { formatDuration } from "../lib/history.js";
+import { loadFlowMetrics } from "../lib/flowMetrics.js";
+
+export const intent = "METRICS";
+
+const MAX_AGING_ISSUES = 5;
+const MAX_WEEKS = 52;
+
+const BREAKDOWN_TITLES = { issueType: "issue type", priority: "priority", assignee: "assignee" };
+
+export function matches(ctx) {
+  return ctx.intent === "METRICS";
+}
+
+// Which breakdown, measure and how many weeks a question asks for
+function parseMetricsQuestion(query, defaultWeeks) {
+  const breakdown = /\b(?:assignee|person|people|team member|who)\b/i.test(query)
+    ? "assignee"
+    : /\bpriorit(?:y|ies)\b/i.test(query)
+      ? "priority"
+      : "issueType";
+
+  const period = query.match(/\b(?:last|past)\s+(\d+)\s+(week|month)s?\b/i);
+  const weeks = period ? Number(period[1]) * (period[2].toLowerCase() === "month" ? 4 : 1) : defaultWeeks;
+
+  return {
+    breakdown,
+    measure: /\blead[- ]times?\b/i.test(query) ? "leadTime" : "cycleTime",
+    weeks: Math.min(Math.max(weeks, 1), MAX_WEEKS),
+  };
+}
+
+const duration = (ms) => (ms === null ? "n/a" : formatDuration(ms));
+
+// "median 3d 4h, 85th percentile 8d, average 4d 2h"
+function describeDurations({ count, medianMs, p85Ms, averageMs }) {
+  if (count === 0) return "no completed issues";
+  return `median ${duration(medianMs)}, 85th percentile ${duration(p85Ms)}, average ${duration(averageMs)}`;
+}
+
+function describeMetrics(metrics, { breakdown, measure }) {
+  const { period, completed, leadTime, cycleTime, throughput, wip } = metrics;
+
+  let text = `## Flow metrics for the last ${period.weeks === 1 ? "week" : `${period.weeks} weeks`}\n\n`;
+  text += `**Completed**: ${completed} ${completed === 1 ? "issue" : "issues"} (${throughput.averagePerWeek} per week)\n`;
+  text += `**Lead time** (created to done): ${describeDurations(leadTime)}\n`;
+  text += `**Cycle time** (started to done): ${describeDurations(cycleTime)}\n`;
+  text += `**Work in progress**: ${wip.count} ${wip.count === 1 ? "issue" : "issues"}`;
+  text += wip.count > 0 ? `, median age ${duration(wip.age.medianMs)}\n` : "\n";
+
+  text += `\n### Weekly throughput\n`;
+  text += throughput.weeks.map(({ weekStart, completed: count }) => `• Week of ${weekStart.slice(0, 10)}: ${count}\n`).join("");
+
+  const groups = metrics.breakdowns[breakdown];
+  if (groups.length > 0) {
+    text += `\n### By ${BREAKDOWN_TITLES[breakdown]}\n`;
+    text += groups
+      .map(({ name, completed: count, wip: inProgress, ...times }) => {
+        const median = count > 0 ? `median ${measure === "leadTime" ? "lead" : "cycle"} time ${duration(times[measure].medianMs)}` : null;
+        const details = [`${count} completed`, median, `${inProgress} in progress`];
+        return `• ${name}: ${details.filter(Boolean).join(", ")}\n`;
+      })
+      .join("");
+  }
+
+  if (wip.issues.length > 0) {
+    text += `\n### Aging work in progress\n`;
+    text += wip.issues
+      .slice(0, MAX_AGING_ISSUES)
+      .map(({ key, summary, status, assignee, ageMs }) => `• ${key}: ${summary} (${status}, ${assignee}, started ${duration(ageMs)} ago)\n`)
+      .join("");
+  }
+
+  if (metrics.truncated) {
+    text += `\nThese metrics cover the most recently updated issues only; there were too many to read them all.`;
+  }
+
+  return text;
+}
+
+export async function handle({ res, jira, scope, services, actionQuery }) {
+  const question = parseMetricsQuestion(actionQuery, services.config.metrics.flowWeeks);
+  const { breakdown, weeks } = question;
+
+  try {
+    const metrics = await loadFlowMetrics(jira, scope, { weeks });
+
+    return res.json({
+      message: describeMetrics(metrics, question).trim(),
+      meta: { intent: "METRICS", weeks, breakdown, completed: metrics.completed, wipCount: metrics.wip.count },
+      rawData: { metrics, issues: metrics.wip.issues },
+    });
+  } catch (metricsError) {
+    console.error("Error calculating flow metrics:", metricsError);
+    return null; // Fall back to normal query processing
+  }
+}
@@ -0,0 +1,35 @@
+// TASK_DETAILS for "the most recently updated task": the details card of the latest-updated issue.
+import { formatIssueDetails } from "../lib/formatting.js";
+
+export const intent = "TASK_DETAILS";
+
+export function matches({ query }) {
+  return query === "show most recently updated task";
+}
+
+export async function handle({ res, jira, scope }) {
+  try {
+    const { issues } = await jira.search(scope.templates.MOST_RECENT_TASK, {
+      fields: "summary,status,assignee,priority,created,updated,duedate,comment,description",
+      maxResults: 1,
+    });
+
+    if (issues.length === 0) {
+      return null; // Continue with normal processing if no issues found
+    }
+
+    const issue = issues[0];
+
+    return res.json({
+      message: formatIssueDetails(issue, { title: `${issue.key}: ${issue.fields.summary || "No summary"} (Most Recently Updated)` }),
+      rawData: issue,
+      meta: {
+        intent: "TASK_DETAILS",
+        issueKey: issue.key,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching most recent task:", error);
+    return null; // Continue with normal processing
+  }
+}
@@ -0,0 +1,84 @@
+// PROJECT_COMPARISON: side-by-side metrics when a question compares several projects
+// ("compare NIHK and WEB").
+import { completeChat } from "../lib/responses.js";
+
+export const intent = "PROJECT_COMPARISON";
+
+export function matches({ scope, originalQuery }) {
+  return scope.keys.length > 1 && /compare|comparison|versus|\bvs\b|difference between/i.test(originalQuery);
+}
+
+export async function handle({ res, jira, scope, services }) {
+  try {
+    // Collect the same headline metrics for every project in parallel
+    const projects = await Promise.all(
+      scope.keys.map(async (key) => {
+        const [openCount, inProgressCount, doneCount, highPriorityCount, unassignedCount, recentCount] = await Promise.all([
+          jira.count(`project = ${key} AND status in ("Open", "To Do", "Reopened")`),
+          jira.count(`project = ${key} AND status = "In Progress"`),
+          jira.count(`project = ${key} AND status in ("Done", "Closed", "Resolved")`),
+          jira.count(`project = ${key} AND priority in ("High", "Highest") AND status not in ("Done", "Closed", "Resolved")`),
+          jira.count(`project = ${key} AND assignee IS EMPTY AND status not in ("Done", "Closed", "Resolved")`),
+          jira.count(`project = ${key} AND updated >= -7d`),
+        ]);
+
+        const totalCount = openCount + inProgressCount + doneCount;
+
+        return {
+          key,
+          openCount,
+          inProgressCount,
+          doneCount,
+          highPriorityCount,
+          unassignedCount,
+          recentCount,
+          completionPercentage: Math.round((doneCount / totalCount) * 100) || 0,
+        };
+      })
+    );
+
+    let formattedResponse;
+    try {
+      const prompt = `
+        You are a helpful project assistant comparing several Jira projects side by side.
+
+        Write a brief, conversational comparison of the projects using the data provided.
+        Point out which project is furthest along, which has the most high priority or unassigned work,
+        and where activity has been highest over the last 7 days.
+        Format important information in bold using markdown (**bold**).
+        Use a ### header per project only if it helps readability.
+      `;
+
+      formattedResponse = await completeChat(services.llm, res, {
+        messages: [
+          { role: "system", content: prompt },
+          { role: "user", content: `Project comparison data: ${JSON.stringify(projects)}` },
+        ],
+      });
+    } catch (aiError) {
+      console.error("Error generating AI project comparison:", aiError);
+
+      // Fallback to a formatted response without AI
+      formattedResponse = `## Project Comparison\n\n`;
+      for (const project of projects) {
+        formattedResponse += `### ${project.key}\n`;
+        formattedResponse += `**Progress**: ${project.completionPercentage}% complete\n`;
+        formattedResponse += `**Open**: ${project.openCount}, **In progress**: ${project.inProgressCount}, **Done**: ${project.doneCount}\n`;
+        formattedResponse += `**High priority**: ${project.highPriorityCount}, **Unassigned**: ${project.unassignedCount}\n`;
+        formattedResponse += `**Updated in the last 7 days**: ${project.recentCount}\n\n`;
+      }
+    }
+
+    return res.json({
+      message: formattedResponse,
+      rawData: { projects },
+      meta: {
+        intent: "PROJECT_COMPARISON",
+        projects: scope.keys,
+      },
+    });
+  } catch (error) {
+    console.error("Error comparing projects:", error);
+    return null; // Continue with normal processing
+  }
+}
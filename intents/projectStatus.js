@@ -0,0 +1,149 @@
+// PROJECT_STATUS: counts, high priority, blocked, unassigned and recently updated work, summarized
+// by the model with the most important issues listed underneath.
+import { completeChat } from "../lib/responses.js";
+import { assigneeName, priorityName, statusName, formatDate, formatIssueLine } from "../lib/formatting.js";
+
+export const intent = "PROJECT_STATUS";
+
+export function matches({ query }) {
+  return query === "show project status";
+}
+
+export async function handle({ res, jira, scope, services }) {
+  try {
+    // Get key project metrics in parallel
+    const [openCount, inProgressCount, doneCount, highPriorityResponse, blockedResponse, unassignedResponse, recentResponse] =
+      await Promise.all([
+        jira.count(`${scope.clause} AND status = "Open"`),
+        jira.count(`${scope.clause} AND status = "In Progress"`),
+        jira.count(`${scope.clause} AND status = "Done"`),
+        jira.search(`${scope.clause} AND priority in ("High", "Highest") AND status != "Done"`, {
+          fields: "summary,status,assignee,priority",
+          maxResults: 5,
+        }),
+        jira.search(`${scope.clause} AND (status = "Blocked" OR labels = "blocker")`, {
+          fields: "summary,status,assignee,priority",
+          maxResults: 5,
+        }),
+        jira.search(`${scope.clause} AND assignee IS EMPTY AND status != "Done"`, {
+          fields: "summary,status,priority",
+          maxResults: 5,
+        }),
+        jira.search(`${scope.clause} AND updated >= -7d ORDER BY updated DESC`, {
+          fields: "summary,status,updated,assignee",
+          maxResults: 5,
+        }),
+      ]);
+
+    // Compile the data
+    const statusData = {
+      openCount,
+      inProgressCount,
+      doneCount,
+      totalCount: openCount + inProgressCount + doneCount,
+      highPriorityIssues: highPriorityResponse.issues,
+      highPriorityCount: highPriorityResponse.total,
+      blockedIssues: blockedResponse.issues,
+      blockedCount: blockedResponse.total,
+      unassignedIssues: unassignedResponse.issues,
+      unassignedCount: unassignedResponse.total,
+      recentIssues: recentResponse.issues,
+      recentCount: recentResponse.total,
+    };
+
+    // Calculate percentages for better insights
+    const completionPercentage = Math.round((statusData.doneCount / statusData.totalCount) * 100) || 0;
+
+    let formattedResponse;
+    try {
+      const prompt = `
+        You are a helpful project assistant providing a project status overview.
+        You should be conversational, insightful and friendly.
+
+        Here is data about the current project:
+        - Open tasks: ${statusData.openCount}
+        - Tasks in progress: ${statusData.inProgressCount}
+        - Completed tasks: ${statusData.doneCount}
+        - Project completion: ${completionPercentage}%
+        - High priority issues: ${statusData.highPriorityCount}
+        - Blocked issues: ${statusData.blockedCount}
+        - Unassigned issues: ${statusData.unassignedCount}
+        - Recent updates: ${statusData.recentCount} in the last 7 days
+
+        Craft a brief, conversational summary of the project status that gives the key highlights.
+        Include relevant insights based on the numbers.
+        Format important information in bold using markdown (**bold**).
+        Use bullet points sparingly, and only when it helps readability.
+      `;
+
+      // Start with the AI-generated project overview
+      formattedResponse = await completeChat(services.llm, res, {
+        messages: [
+          { role: "system", content: prompt },
+          { role: "user", content: "Give me a friendly project status overview" },
+        ],
+      });
+
+      // Add high priority issues if there are any
+      if (statusData.highPriorityIssues.length > 0) {
+        formattedResponse += "\n\n### High Priority Issues\n";
+        for (const issue of statusData.highPriorityIssues.slice(0, 3)) {
+          formattedResponse += formatIssueLine(issue, [priorityName(issue, "High"), `assigned to ${assigneeName(issue)}`]);
+        }
+
+        if (statusData.highPriorityCount > 3) {
+          formattedResponse += `... and ${statusData.highPriorityCount - 3} more high priority issues.\n`;
+        }
+      }
+
+      // Add blocked issues if there are any
+      if (statusData.blockedIssues.length > 0) {
+        formattedResponse += "\n\n### Blocked Issues\n";
+        for (const issue of statusData.blockedIssues.slice(0, 3)) {
+          formattedResponse += formatIssueLine(issue, [`assigned to ${assigneeName(issue)}`]);
+        }
+
+        if (statusData.blockedCount > 3) {
+          formattedResponse += `... and ${statusData.blockedCount - 3} more blocked issues.\n`;
+        }
+      }
+    } catch (aiError) {
+      console.error("Error generating AI project status:", aiError);
+
+      // Fallback to a formatted response without AI
+      formattedResponse = `## Project Status Overview\n\n`;
+      formattedResponse += `**Current progress**: ${completionPercentage}% complete\n`;
+      formattedResponse += `**Open tasks**: ${statusData.openCount}\n`;
+      formattedResponse += `**In progress**: ${statusData.inProgressCount}\n`;
+      formattedResponse += `**Completed**: ${statusData.doneCount}\n\n`;
+
+      if (statusData.highPriorityCount > 0) {
+        formattedResponse += `**High priority issues**: ${statusData.highPriorityCount}\n`;
+      }
+
+      if (statusData.blockedCount > 0) {
+        formattedResponse += `**Blocked issues**: ${statusData.blockedCount}\n`;
+      }
+
+      if (statusData.unassignedCount > 0) {
+        formattedResponse += `**Unassigned tasks**: ${statusData.unassignedCount}\n`;
+      }
+
+      formattedResponse += `\n### Recent Activity\n`;
+      for (const issue of statusData.recentIssues.slice(0, 3)) {
+        formattedResponse += formatIssueLine(issue, [statusName(issue), `updated on ${formatDate(issue.fields.updated)}`]);
+      }
+    }
+
+    return res.json({
+      message: formattedResponse,
+      rawData: statusData,
+      meta: {
+        intent: "PROJECT_STATUS",
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching project status:", error);
+    return null; // Continue with normal processing
+  }
+}
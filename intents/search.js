@@ -0,0 +1,158 @@
+// Every other intent (TASK_LIST, ASSIGNED_TASKS, BLOCKERS, COMMENTS, GENERAL, follow-ups, ...):
+// resolve the people it names to accountIds (asking which one is meant when a name fits several),
+// generate JQL, run it, let the model repair it from Jira's errors a bounded number of times, fall
+// back to a safe template if it still fails, and answer from the results. This is the last handler
+// in the registry, so it answers whatever the others pass on.
+import { emitQueryEvent } from "../lib/eventStream.js";
+import { generateJQL, repairJQL, fallbackGenerateJQL, getJiraErrorMessages, MAX_JQL_REPAIR_ATTEMPTS } from "../lib/jqlGeneration.js";
+import { summarizeAnalysis } from "../lib/queryAnalysis.js";
+import { isoDay, todayIn } from "../lib/dateRanges.js";
+import { resolvePeople, disambiguationReply, injectAccountIds } from "../lib/userDirectory.js";
+import { generateResponse } from "../lib/responses.js";
+
+export const intent = null;
+
+export function matches() {
+  return true;
+}
+
+// Fields each intent's answer needs on top of the basics
+const EXTRA_FIELDS = {
+  COMMENTS: ",comment",
+  TIMELINE: ",duedate,created,updated",
+  BLOCKERS: ",issuelinks,labels",
+  TASK_DETAILS: ",comment,description,issuelinks,labels",
+  WORKLOAD: ",assignee",
+  SPRINT: ",sprint",
+};
+
+// Broader JQL for when the generated query can't be run
+function simplifiedJQL(query, intent, scope) {
+  const templates = scope.templates;
+
+  if (intent === "PROJECT_STATUS") return templates.PROJECT_STATUS;
+  if (intent === "TIMELINE") return templates.TIMELINE;
+  if (intent === "BLOCKERS" || intent === "HIGH_PRIORITY") return templates.HIGH_PRIORITY;
+  if (intent === "TASK_LIST" && /open|active/i.test(query)) return templates.OPEN_TASKS;
+  if (intent === "TASK_LIST" && /closed|done|completed/i.test(query)) return templates.CLOSED_TASKS;
+  if (intent === "ASSIGNED_TASKS" || intent === "WORKLOAD") return templates.ASSIGNED_TASKS;
+  if (intent === "SPRINT") return templates.CURRENT_SPRINT;
+  return templates.RECENT_UPDATES;
+}
+
+// The people a question names. When Jira can't tell who they are, the names are left to the model.
+async function peopleIn({ req, jira, originalQuery, analysis, scope, chosenPeople }) {
+  try {
+    return await resolvePeople(jira, { query: originalQuery, names: analysis?.people, projectKeys: scope.keys, user: req.user, chosen: chosenPeople });
+  } catch (error) {
+    console.error("Error resolving people:", error);
+    return { people: [], ambiguous: null, unknown: [] };
+  }
+}
+
+export async function handle(ctx) {
+  const { req, res, jira, query, originalQuery, intent, analysis, followUp, scope, previousQueries, services, timeZone, chosenPeople } = ctx;
+  const { llm } = services;
+
+  const { people, ambiguous } = await peopleIn(ctx);
+  if (ambiguous) {
+    return res.json(disambiguationReply({ query: originalQuery, intent, ambiguous, chosen: chosenPeople }));
+  }
+  const accountIds = people.map((person) => person.accountId).join(",");
+
+  // Generate JQL based on the analyzed intent, or narrow the previous results for a follow-up
+  let jql;
+  try {
+    jql = followUp
+      ? followUp.jql
+      : await services.memoizeLLM(req, `jql:${scope.keys}:${intent}:${query}:${analysis.jql}:${timeZone}:${isoDay(todayIn(timeZone))}:${accountIds}`, () =>
+          generateJQL(llm, query, intent, scope, analysis.jql, { timeZone, people })
+        );
+  } catch (jqlError) {
+    console.error("Error generating JQL:", jqlError);
+    jql = fallbackGenerateJQL(query, intent, scope);
+  }
+  jql = injectAccountIds(jql, people);
+
+  if (!jql) {
+    return res.status(400).json({ message: "Failed to generate a valid query." });
+  }
+
+  emitQueryEvent(res, "jql", { jql });
+
+  const fields = "summary,status,assignee,priority,created,updated,duedate" + (EXTRA_FIELDS[intent] || "");
+  const maxResults = intent === "TASK_LIST" || intent === "ASSIGNED_TASKS" ? 20 : 50;
+
+  // Run the query, letting the model repair it from Jira's error messages a bounded number of times.
+  // Every attempt is recorded so the response meta shows why a query degraded.
+  let jiraResponse;
+  let note = null;
+  const jqlAttempts = [];
+  let candidateJQL = jql;
+  let errorMessages = [];
+
+  for (let attempt = 0; attempt <= MAX_JQL_REPAIR_ATTEMPTS; attempt++) {
+    if (attempt > 0) {
+      const repair = await repairJQL(llm, query, intent, candidateJQL, errorMessages, scope);
+      if (!repair) break;
+
+      candidateJQL = injectAccountIds(repair.jql, people);
+      if (!repair.valid) {
+        errorMessages = repair.errors;
+        jqlAttempts.push({ jql: candidateJQL, outcome: "invalid", errors: errorMessages });
+        continue;
+      }
+
+      console.log("Retrying with repaired JQL:", candidateJQL);
+      emitQueryEvent(res, "jql", { jql: candidateJQL, attempt });
+    }
+
+    try {
+      jiraResponse = await jira.search(candidateJQL, { fields, maxResults });
+
+      jqlAttempts.push({ jql: candidateJQL, outcome: "ok" });
+      jql = candidateJQL;
+      break;
+    } catch (jqlError) {
+      errorMessages = getJiraErrorMessages(jqlError);
+      console.error("JQL error:", errorMessages.join("; "));
+      jqlAttempts.push({ jql: candidateJQL, outcome: "rejected", status: jqlError.response?.status, errors: errorMessages });
+
+      // Only a rejected query (400) can be fixed by rewriting it; auth and server errors cannot
+      if (jqlError.response?.status !== 400) break;
+    }
+  }
+
+  if (!jiraResponse) {
+    // A follow-up falls back to the query it refined, anything else to a template for its intent
+    const fallbackJQL = followUp ? followUp.baseJql : simplifiedJQL(query, intent, scope);
+
+    console.log("Using simplified JQL:", fallbackJQL);
+    emitQueryEvent(res, "jql", { jql: fallbackJQL, fallback: true });
+
+    jiraResponse = await jira.search(fallbackJQL, { fields, maxResults });
+
+    jqlAttempts.push({ jql: fallbackJQL, outcome: "fallback" });
+    jql = fallbackJQL;
+
+    // Add a note for the user (avoid showing error messages directly)
+    note = "I couldn't run that exact search, so here is the closest broader match I could find:";
+  }
+
+  const answer = await generateResponse(llm, query, jiraResponse, intent, { previousQueries, res, scope });
+
+  return res.json({
+    message: note ? `${note}\n\n${answer}` : answer,
+    rawData: jiraResponse,
+    meta: {
+      intent,
+      jql,
+      projects: scope.keys,
+      jqlAttempts,
+      degraded: jqlAttempts.some((attempt) => attempt.outcome === "fallback"),
+      followUp: followUp && { basedOn: followUp.baseJql, condition: followUp.condition },
+      analysis: analysis && summarizeAnalysis(analysis),
+      people,
+    },
+  });
+}
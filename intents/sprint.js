@@ -0,0 +1,288 @@
+// SPRINT: the sprint a question is about ("sprint 14", "last sprint", "next sprint", the active one
+// by default) on the conversation's preferred board or the scope's scrum boards, with burndown,
+// scope change and velocity from lib/sprints.js. Active sprints get a progress report, closed ones a
+// review and future ones a planning check against velocity. Without an active sprint on any board
+// (or when the agile API fails) the issues come from the openSprints() JQL and there are no metrics.
+import { completeChat } from "../lib/responses.js";
+import { statusName, assigneeName, isHighPriority, groupIssues, summarizeIssue, formatDate, formatIssueLine } from "../lib/formatting.js";
+import { loadBoard, loadSprintMetrics, parseSprintReference, resolveSprint } from "../lib/sprints.js";
+
+export const intent = "SPRINT";
+
+const SPRINT_FIELDS = "summary,status,assignee,priority,issuetype";
+
+// What each kind of sprint answer should focus on
+const STATE_GUIDELINES = {
+  active: "This sprint is in progress: report progress, say how the burndown compares to the ideal line and whether the team is on track.",
+  closed: "This sprint is closed: review it. Compare what was completed with what was committed, mention scope changes and what was carried over.",
+  future: "This sprint hasn't started: help plan it. Compare the planned scope with the team's average velocity and point out unestimated issues.",
+};
+
+export function matches(ctx) {
+  return ctx.intent === "SPRINT";
+}
+
+function describeReference(reference) {
+  if (reference.kind === "last") return "a closed sprint";
+  if (reference.kind === "next") return "a future sprint";
+  if (reference.kind === "number") return `sprint ${reference.number}`;
+  return "an active sprint";
+}
+
+// The referenced sprint with its issues and metrics. Resolves to { message } when the sprint (or
+// the preferred board) can't be found.
+async function loadReferencedSprint({ jira, scope, services, originalQuery, boardId }) {
+  const { config } = services;
+  const reference = parseSprintReference(originalQuery);
+
+  let board = null;
+  if (boardId !== null) {
+    board = await loadBoard(jira, boardId, scope.allowedKeys);
+    if (!board) return { message: `I can't find board ${boardId} in your projects. Pick another board or clear the board preference.` };
+  }
+
+  let resolved = null;
+  try {
+    resolved = await resolveSprint(jira, scope, reference, { board });
+  } catch (err) {
+    console.log("Error finding the sprint:", err.message);
+  }
+
+  if (resolved) {
+    const { metrics, issues } = await loadSprintMetrics(jira, resolved.sprint, resolved.board, config.agile);
+    return { sprintName: resolved.sprint.name, sprintIssues: issues, metrics, board: resolved.board, alternatives: resolved.alternatives };
+  }
+
+  if (reference.kind !== "active") {
+    return { message: `I couldn't find ${describeReference(reference)} on ${board ? `the ${board.name}` : "your projects' boards"}.` };
+  }
+
+  const sprintIssues = (await jira.search(scope.templates.CURRENT_SPRINT, { fields: SPRINT_FIELDS })).issues;
+  return { sprintName: "current sprint", sprintIssues, metrics: null, board: null, alternatives: [] };
+}
+
+function amountOf(unit) {
+  return (value) => `${value} ${unit === "points" ? (value === 1 ? "point" : "points") : value === 1 ? "issue" : "issues"}`;
+}
+
+// A note for sites where issues taken out of a sprint can't be found
+function describeUnknownRemovals(scopeChange) {
+  return scopeChange && !scopeChange.removalsKnown ? " Issues taken out of the sprint can't be looked up on this Jira site, so removals aren't counted." : "";
+}
+
+// Progress, scope change and velocity in a sentence or two, in the sprint's unit
+function describeMetrics({ unit, totals, scopeChange, velocity }) {
+  const amount = amountOf(unit);
+
+  let text = `Burndown: ${amount(totals.completed)} of ${amount(totals.scope)} done, ${amount(totals.remaining)} remaining.`;
+
+  if (scopeChange && (scopeChange.added.count > 0 || scopeChange.removed.count > 0)) {
+    text += ` Scope changed since the sprint started: ${amount(scopeChange.committed)} committed, ${amount(scopeChange.added.value)} added and ${amount(scopeChange.removed.value)} removed.`;
+  }
+  text += describeUnknownRemovals(scopeChange);
+  if (velocity.average !== null) {
+    text += ` Average velocity over the last ${velocity.sprints.length === 1 ? "sprint" : `${velocity.sprints.length} sprints`} is ${amount(velocity.average)}.`;
+  }
+
+  return text;
+}
+
+// Review of a closed sprint: completed vs committed, scope change and what was carried over
+function describeReview(sprintName, { sprint, unit, totals, committed, scopeChange, incomplete, velocity }) {
+  const amount = amountOf(unit);
+
+  let text = `## ${sprintName} review\n\n`;
+  text += `The sprint closed on ${formatDate(sprint.completeDate || sprint.endDate)}. `;
+  text += `The team completed ${amount(totals.completed)} of ${amount(committed ?? totals.scope)} committed`;
+  text += totals.scope !== committed ? ` (${amount(totals.scope)} by the end).` : ".";
+
+  if (scopeChange && (scopeChange.added.count > 0 || scopeChange.removed.count > 0)) {
+    text += ` ${amount(scopeChange.added.value)} were added and ${amount(scopeChange.removed.value)} removed after it started.`;
+  }
+  text += describeUnknownRemovals(scopeChange);
+  if (velocity.average !== null) {
+    text += ` The average before it was ${amount(velocity.average)} per sprint.`;
+  }
+
+  if (incomplete.length > 0) {
+    text += `\n\n### Carried over\n`;
+    text += incomplete.map(({ key, summary, value }) => formatIssueLine({ key, fields: { summary } }, [unit === "points" ? amount(value) : null])).join("");
+  } else {
+    text += "\n\nEverything in the sprint was finished. 🎉";
+  }
+
+  return text;
+}
+
+// Planning check for a future sprint: planned scope against the team's velocity
+function describePlan(sprintName, { unit, totals, velocity }) {
+  const amount = amountOf(unit);
+
+  let text = `## ${sprintName} plan\n\n`;
+  if (totals.issues === 0) return `${text}Nothing is planned for this sprint yet.`;
+
+  text += `${totals.issues} ${totals.issues === 1 ? "issue is" : "issues are"} planned, ${amount(totals.scope)} in total.`;
+  if (totals.unestimated > 0) {
+    text += ` ${totals.unestimated} ${totals.unestimated === 1 ? "issue has" : "issues have"} no estimate yet.`;
+  }
+
+  if (velocity.average !== null) {
+    const difference = Math.round((totals.scope - velocity.average) * 10) / 10;
+    text += ` The team's average velocity is ${amount(velocity.average)}, so this plan is `;
+    text += difference > 0 ? `${amount(difference)} over it.` : difference < 0 ? `${amount(-difference)} under it.` : "right on it.";
+  }
+
+  return text;
+}
+
+// Other sprints the question could have meant, e.g. parallel sprints or another board's sprint 14
+function describeAlternatives(alternatives) {
+  if (alternatives.length === 0) return "";
+  const names = alternatives.map(({ sprint, board }) => `${sprint.name} (${board.name}, board ${board.id})`).join(", ");
+  return `\n\nThis also matches ${names}. Choose a board to ask about ${alternatives.length === 1 ? "it" : "one of them"} instead.`;
+}
+
+export async function handle(ctx) {
+  const { res, services } = ctx;
+
+  try {
+    const loaded = await loadReferencedSprint(ctx);
+    if (loaded.message) {
+      return res.json({ message: loaded.message, meta: { intent: "SPRINT" } });
+    }
+
+    const { sprintName, sprintIssues, metrics, board, alternatives } = loaded;
+    const state = metrics?.sprint.state || "active";
+
+    const statusGroups = groupIssues(sprintIssues, statusName);
+    const assigneeGroups = groupIssues(sprintIssues, assigneeName);
+    const typeGroups = groupIssues(sprintIssues, (issue) => issue.fields.issuetype?.name || "Unknown");
+    const highPriorityIssues = sprintIssues.filter(isHighPriority);
+
+    let formattedResponse;
+    try {
+      // Generate a natural, conversational response about the sprint
+      const systemPrompt = `
+        You are a friendly Jira assistant talking about sprint status. Create a conversational response about
+        the ${sprintName} that feels natural and helpful, not like a database query result.
+        ${STATE_GUIDELINES[state] || STATE_GUIDELINES.active}
+
+        Guidelines:
+        - Start with a personable opening about the sprint
+        - Group issues by status in a way that feels natural
+        - Highlight the most important issues (highest priority ones)
+        - Add meaningful insights about progress, not just statistics
+        - When metrics are given, use them: the burndown against the ideal line, scope added or removed
+          since the sprint started, and the team's velocity
+        - Keep the tone conversational, like a helpful colleague
+        - Include a brief closing with a question about what they'd like to know next
+        - Use appropriate emoji sparingly to make it more engaging (📊, 🚀, 🏃‍♀️, etc.)
+
+        Format guidelines:
+        - Avoid bullet points that just list issues
+        - Don't create tables
+        - Organize information in conversational paragraphs
+        - Create a response someone would actually speak, not a report
+      `;
+
+      const sprintContext = {
+        sprintName,
+        state,
+        board: board?.name,
+        goal: metrics?.sprint.goal,
+        startDate: metrics?.sprint.startDate,
+        endDate: metrics?.sprint.endDate,
+        totalIssues: sprintIssues.length,
+        statusGroups: Object.entries(statusGroups).map(([status, issues]) => ({
+          status,
+          count: issues.length,
+          examples: issues.slice(0, 3).map(summarizeIssue),
+        })),
+        assigneeGroups: Object.entries(assigneeGroups)
+          .filter(([assignee]) => assignee !== "Unassigned")
+          .map(([assignee, issues]) => ({ assignee, count: issues.length })),
+        highPriorityIssues: highPriorityIssues.slice(0, 3).map(summarizeIssue),
+        issueTypes: Object.entries(typeGroups).map(([type, issues]) => ({ type, count: issues.length })),
+        metrics: metrics && {
+          unit: metrics.unit,
+          totals: metrics.totals,
+          committed: metrics.committed,
+          idealRemainingNow: metrics.series.at(-1)?.ideal ?? null,
+          scopeAdded: metrics.scopeChange?.added.issues.map(({ key, value }) => ({ key, value })) ?? [],
+          scopeRemoved: metrics.scopeChange?.removed.issues.map(({ key, value }) => ({ key, value })) ?? [],
+          scopeRemovalsKnown: metrics.scopeChange?.removalsKnown ?? null,
+          incomplete: metrics.incomplete.slice(0, 10),
+          velocity: metrics.velocity,
+        },
+      };
+
+      const sprintResponse = await completeChat(services.llm, res, {
+        messages: [
+          { role: "system", content: systemPrompt },
+          {
+            role: "user",
+            content: `Generate a natural, conversational response about the sprint with this data: ${JSON.stringify(sprintContext)}`,
+          },
+        ],
+      });
+
+      formattedResponse = sprintResponse.trim();
+    } catch (aiError) {
+      console.error("Error generating sprint response with AI:", aiError);
+
+      // Fallback sprint response without AI
+      const doneCount = statusGroups["Done"]?.length || 0;
+      const inProgressCount = statusGroups["In Progress"]?.length || 0;
+      const todoCount = statusGroups["To Do"]?.length || 0;
+
+      formattedResponse = `I'm looking at the ${sprintName} sprint. `;
+
+      if (state === "closed") {
+        formattedResponse = describeReview(sprintName, metrics);
+      } else if (state === "future") {
+        formattedResponse = describePlan(sprintName, metrics);
+      } else if (sprintIssues.length === 0) {
+        formattedResponse += "I don't see any issues in this sprint yet.";
+      } else {
+        formattedResponse += `There are ${sprintIssues.length} issues in this sprint. `;
+        formattedResponse += `Current progress: ${doneCount} completed, ${inProgressCount} in progress, and ${todoCount} still to do.\n\n`;
+
+        if (metrics) {
+          formattedResponse += `${describeMetrics(metrics)}\n\n`;
+        }
+
+        if (highPriorityIssues.length > 0) {
+          const example = highPriorityIssues[0];
+          formattedResponse += `There are ${highPriorityIssues.length} high priority issues to focus on.\n\n`;
+          formattedResponse += `For example, ${example.key}: "${example.fields.summary}" is a high priority task currently ${
+            example.fields.status?.name || "in unknown status"
+          }.\n\n`;
+        }
+
+        // Add information about team distribution
+        const assigneesCount = Object.keys(assigneeGroups).filter((name) => name !== "Unassigned").length;
+        formattedResponse += `${assigneesCount} team members are working on tasks in this sprint.`;
+      }
+    }
+
+    return res.json({
+      message: formattedResponse + describeAlternatives(alternatives),
+      meta: {
+        intent: "SPRINT",
+        sprintName,
+        sprintId: metrics?.sprint.id ?? null,
+        sprintState: metrics ? state : null,
+        board: board ? { id: board.id, name: board.name } : null,
+        alternatives: alternatives.map(({ sprint, board: other }) => ({ sprintId: sprint.id, sprintName: sprint.name, boardId: other.id, boardName: other.name })),
+        issueCount: sprintIssues.length,
+        // False when the Jira site can't say which issues were taken out of the sprint
+        scopeRemovalsKnown: metrics?.scopeChange?.removalsKnown ?? null,
+      },
+      // The sprint's issues, so follow-ups ("the second one", "which of those are blocked?") can refer to them
+      rawData: { metrics, issues: sprintIssues },
+    });
+  } catch (sprintError) {
+    console.error("Error fetching sprint data:", sprintError);
+    return null; // Fall back to normal query processing
+  }
+}
@@ -0,0 +1,124 @@
+// TASK_DETAILS: any question that names an issue key. Plain lookups ("tell me about NIHK-2") get
+// the issue's details card; other questions about it are answered by the model from its fields,
+// description and comments.
+import { completeChat } from "../lib/responses.js";
+import {
+  statusName,
+  assigneeName,
+  priorityName,
+  toPlainText,
+  formatIssueDetails,
+  formatLatestComment,
+  summarizeIssue,
+} from "../lib/formatting.js";
+
+export const intent = "TASK_DETAILS";
+
+const ISSUE_FIELDS = ["summary", "status", "assignee", "priority", "created", "updated", "duedate", "comment", "description", "labels", "issuelinks"];
+
+export function matches({ query, scope }) {
+  return new RegExp(scope.issueKeyPattern, "i").test(query);
+}
+
+export async function handle(ctx) {
+  const { res, jira, query, scope, intent } = ctx;
+  const issueKey = query.match(new RegExp(scope.issueKeyPattern, "i"))[0].toUpperCase();
+
+  let issue;
+  try {
+    issue = await jira.getIssue(issueKey, { fields: ISSUE_FIELDS });
+  } catch (issueError) {
+    console.error("Error fetching specific issue:", issueError);
+    return null; // If issue fetch fails, continue with normal query processing
+  }
+
+  // For simple lookups, use a direct response
+  if (intent === "TASK_DETAILS" && new RegExp(`^(?:show|tell|get|what is|about)\\s+${issueKey}$`, "i").test(query.trim())) {
+    return res.json({
+      message: formatIssueDetails(issue),
+      rawData: issue,
+      meta: {
+        intent: "TASK_DETAILS",
+        issueKey,
+      },
+    });
+  }
+
+  let formattedResponse;
+  try {
+    formattedResponse = await answerAboutIssue(ctx, issue);
+  } catch (aiError) {
+    console.error("Error generating AI response for issue:", aiError);
+
+    // Fallback to a simpler format if AI fails
+    formattedResponse =
+      `## ${issueKey}: ${issue.fields.summary || "No summary"}\n\n` +
+      `Here's what you asked about this issue:\n\n` +
+      `**Status**: ${statusName(issue)}\n` +
+      `**Priority**: ${priorityName(issue, "Not set")}\n` +
+      `**Assignee**: ${assigneeName(issue)}\n\n` +
+      `${formatLatestComment(issue)}`;
+  }
+
+  return res.json({
+    message: formattedResponse,
+    rawData: issue,
+    meta: {
+      intent,
+      issueKey,
+    },
+  });
+}
+
+// For more complex queries about an issue, use AI to generate a tailored response
+async function answerAboutIssue({ res, query, intent, previousQueries, services }, issue) {
+  const systemPrompt = `
+    You are a friendly Jira assistant. You've been asked about the task ${issue.key}: "${query}".
+    The user's intent appears to be: ${intent}.
+
+    Create a response that addresses their specific question about this issue, while providing
+    the relevant information from the task. Format your response using markdown that will work with
+    the frontend:
+    - Use ## for the issue title
+    - Use ### for section headers
+    - Use **bold** for field names
+    - Use • or - for bullet points
+    - Organize your response into logical sections
+    - Make your response conversational and helpful
+
+    Based on the intent "${intent}", focus on the most relevant details of the issue.
+    Previous conversation context (if available):
+    ${previousQueries
+      .slice(-3)
+      .map((q) => `- User: ${q}`)
+      .join("\n")}
+  `;
+
+  // Prepare the issue data in a more accessible format
+  const taskData = {
+    ...summarizeIssue(issue),
+    created: issue.fields.created,
+    updated: issue.fields.updated,
+    dueDate: issue.fields.duedate || "No due date",
+    description: toPlainText(issue.fields.description),
+    comments: (issue.fields.comment?.comments || []).map((c) => ({
+      author: c.author?.displayName || "Unknown",
+      created: c.created,
+      body: toPlainText(c.body),
+    })),
+    labels: issue.fields.labels || [],
+    issueLinks: issue.fields.issuelinks || [],
+  };
+
+  const aiResponse = await completeChat(services.llm, res, {
+    messages: [
+      { role: "system", content: systemPrompt },
+      {
+        role: "user",
+        content: `Issue details: ${JSON.stringify(taskData)}. Generate a response to the query: "${query}"`,
+      },
+    ],
+  });
+
+  return aiResponse.trim();
+}
@@ -0,0 +1,157 @@
+// TIMELINE: issues due in the timeframe the question asks about, grouped by month. Date phrases
+// ("before Friday", "in Q3", "between May 1 and May 15", "next two sprints") are read with
+// dateRanges.js; otherwise upcoming, past or overdue due dates are shown.
+import { emitQueryEvent } from "../lib/eventStream.js";
+import { completeChat } from "../lib/responses.js";
+import { dateRangeJql, describeDateRange, parseDateRange, resolveSprintRange } from "../lib/dateRanges.js";
+import { findBoards, listSprints, loadBoard } from "../lib/sprints.js";
+import { statusName, assigneeName, formatDate, formatIssueLine, groupIssues, summarizeIssue } from "../lib/formatting.js";
+
+export const intent = "TIMELINE";
+
+export function matches({ query }) {
+  return query === "show project timeline" || query === "show upcoming deadlines";
+}
+
+// The sprints of the conversation's board, or else of the first scrum board in scope
+async function boardSprints(jira, scope, boardId) {
+  const board = boardId ? await loadBoard(jira, boardId, scope.allowedKeys) : (await findBoards(jira, scope, { type: "scrum" }))[0];
+  return board ? listSprints(jira, board.id) : [];
+}
+
+// The due-date range a question names, with sprint phrases dated from the board; null when it
+// names none (or sprints the board doesn't have)
+async function dueDateRange({ jira, originalQuery, scope, boardId, timeZone }) {
+  const range = parseDateRange(originalQuery, { timeZone });
+  if (!range) return null;
+  if (!range.sprint) return { ...range, field: "duedate" };
+
+  const sprints = await boardSprints(jira, scope, boardId).catch((error) => {
+    console.log("Error fetching sprints for a timeline:", error.message);
+    return [];
+  });
+  const dated = resolveSprintRange(range, sprints, { timeZone });
+  return dated && { ...dated, field: "duedate" };
+}
+
+// The timeframe a question asks about and the JQL that finds its due dates
+function timeframeFor(query, scope, range) {
+  if (range) {
+    return { timeframe: `${range.label}: ${describeDateRange(range)}`, jql: `${scope.clause} AND ${dateRangeJql(range)} ORDER BY duedate ASC` };
+  }
+  if (/past|previous|last|recent/i.test(query)) {
+    return { timeframe: "past", jql: `${scope.clause} AND duedate <= now() AND duedate >= -30d ORDER BY duedate DESC` };
+  }
+  if (/overdue|late|miss(ed)?|behind/i.test(query)) {
+    return { timeframe: "overdue", jql: `${scope.clause} AND duedate < now() AND status != "Done" ORDER BY duedate ASC` };
+  }
+  if (/this week|current week/i.test(query)) {
+    return { timeframe: "this week", jql: `${scope.clause} AND duedate >= startOfWeek() AND duedate <= endOfWeek() ORDER BY duedate ASC` };
+  }
+  if (/next week/i.test(query)) {
+    return { timeframe: "next week", jql: `${scope.clause} AND duedate > endOfWeek() AND duedate <= endOfWeek(1) ORDER BY duedate ASC` };
+  }
+  if (/this month|current month/i.test(query)) {
+    return { timeframe: "this month", jql: `${scope.clause} AND duedate >= startOfMonth() AND duedate <= endOfMonth() ORDER BY duedate ASC` };
+  }
+
+  // Default to upcoming timeline
+  return { timeframe: "upcoming", jql: `${scope.clause} AND duedate >= now() ORDER BY duedate ASC` };
+}
+
+export async function handle({ res, jira, originalQuery, scope, services, boardId, timeZone }) {
+  try {
+    const range = await dueDateRange({ jira, originalQuery, scope, boardId, timeZone });
+    const { timeframe, jql } = timeframeFor(originalQuery, scope, range);
+    emitQueryEvent(res, "jql", { jql });
+
+    const fields = "summary,status,assignee,priority,duedate";
+    const timelineResponse = await jira.search(jql, { fields }).catch((error) => {
+      console.error("Timeline JQL failed:", error);
+      // Try a simpler fallback
+      return jira.search(`${scope.clause} AND duedate IS NOT EMPTY ORDER BY duedate ASC`, { fields });
+    });
+
+    const allIssues = timelineResponse.issues;
+    if (allIssues.length === 0) {
+      return null; // Continue with normal processing if no issues
+    }
+
+    // Group issues by month and year
+    const issuesByDate = groupIssues(
+      allIssues.filter((issue) => issue.fields.duedate),
+      (issue) => new Date(issue.fields.duedate).toLocaleDateString("en-US", { month: "long", year: "numeric" })
+    );
+
+    let formattedResponse;
+    try {
+      const timelineData = {
+        timeframe,
+        totalDueDatesCount: allIssues.length,
+        timelineGroups: Object.entries(issuesByDate).map(([date, issues]) => ({
+          date,
+          count: issues.length,
+          examples: issues.slice(0, 5).map(summarizeIssue),
+        })),
+      };
+
+      const prompt = `
+        You are a helpful Jira assistant providing timeline information about a project.
+
+        Create a conversational, helpful response about the ${timeframe} timeline.
+        Organize information by date and highlight important upcoming deadlines.
+
+        Make your response conversational and easy to read, not just a list of data.
+        Use markdown formatting, especially for grouping items by date.
+        Limit details to what's necessary - be concise but informative.
+      `;
+
+      formattedResponse = await completeChat(services.llm, res, {
+        messages: [
+          { role: "system", content: prompt },
+          { role: "user", content: `Timeline data: ${JSON.stringify(timelineData)}` },
+        ],
+      });
+    } catch (aiError) {
+      console.error("Error generating AI timeline:", aiError);
+
+      // Fallback to a simpler format
+      formattedResponse = `## Project Timeline (${timeframe})\n\n`;
+
+      if (Object.keys(issuesByDate).length === 0) {
+        formattedResponse += "No issues with due dates found in this timeframe.";
+      }
+
+      for (const [dateGroup, issues] of Object.entries(issuesByDate)) {
+        formattedResponse += `### ${dateGroup}\n`;
+
+        for (const issue of issues.slice(0, 5)) {
+          formattedResponse += formatIssueLine(issue, [
+            `Due: ${formatDate(issue.fields.duedate)}`,
+            statusName(issue),
+            `Assigned to: ${assigneeName(issue)}`,
+          ]);
+        }
+
+        if (issues.length > 5) {
+          formattedResponse += `... and ${issues.length - 5} more items due in ${dateGroup}.\n`;
+        }
+
+        formattedResponse += "\n";
+      }
+    }
+
+    return res.json({
+      message: formattedResponse,
+      meta: {
+        intent: "TIMELINE",
+        timeframe,
+        jql,
+        dateRange: range && { field: range.field, from: range.from, to: range.to },
+      },
+    });
+  } catch (error) {
+    console.error("Error handling timeline query:", error);
+    return null; // Continue with normal processing
+  }
+}
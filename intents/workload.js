@@ -0,0 +1,94 @@
+// WORKLOAD: open work per assignee, busiest first, with their high priority counts.
+import { completeChat } from "../lib/responses.js";
+import { assigneeName, statusName, priorityName, isHighPriority, formatIssueLine, groupIssues, summarizeIssue } from "../lib/formatting.js";
+
+export const intent = "WORKLOAD";
+
+export function matches({ query }) {
+  return query === "show team workload";
+}
+
+export async function handle({ res, jira, scope, services }) {
+  try {
+    // Get assignments for all team members
+    const { issues } = await jira.search(`${scope.clause} AND assignee IS NOT EMPTY AND status != "Done"`, {
+      fields: "summary,status,assignee,priority",
+    });
+
+    if (issues.length === 0) {
+      return null; // Continue with normal processing if no issues
+    }
+
+    // Group issues by assignee, busiest first
+    const byAssignee = Object.entries(groupIssues(issues, assigneeName)).sort((a, b) => b[1].length - a[1].length);
+
+    let formattedResponse;
+    try {
+      const workloadData = {
+        totalActiveIssues: issues.length,
+        teamMembers: byAssignee.map(([name, tasks]) => ({
+          name,
+          taskCount: tasks.length,
+          highPriorityCount: tasks.filter(isHighPriority).length,
+          examples: tasks.slice(0, 3).map(summarizeIssue),
+        })),
+      };
+
+      const prompt = `
+        You are a helpful Jira assistant analyzing team workload distribution.
+
+        Create a conversational response about the team's current workload.
+        Highlight who has the most work, who has high priority items, and any imbalances.
+
+        Be helpful and insightful, not just listing raw data.
+        Use markdown for formatting, especially for grouping by team member.
+        Be concise but provide meaningful insights about the workload distribution.
+      `;
+
+      formattedResponse = await completeChat(services.llm, res, {
+        messages: [
+          { role: "system", content: prompt },
+          { role: "user", content: `Team workload data: ${JSON.stringify(workloadData)}` },
+        ],
+      });
+    } catch (aiError) {
+      console.error("Error generating AI workload:", aiError);
+
+      // Fallback to a simpler format
+      formattedResponse = `## Team Workload Overview\n\n`;
+      formattedResponse += `Currently there are **${issues.length} active tasks** assigned across **${byAssignee.length} team members**.\n\n`;
+
+      for (const [assignee, tasks] of byAssignee) {
+        const highPriorityCount = tasks.filter(isHighPriority).length;
+
+        formattedResponse += `### ${assignee}\n`;
+        formattedResponse += `**Total tasks**: ${tasks.length}`;
+        if (highPriorityCount > 0) {
+          formattedResponse += ` (${highPriorityCount} high priority)`;
+        }
+        formattedResponse += `\n\n`;
+
+        // Show examples of their tasks
+        for (const task of tasks.slice(0, 3)) {
+          formattedResponse += formatIssueLine(task, [statusName(task), priorityName(task, "")]);
+        }
+
+        if (tasks.length > 3) {
+          formattedResponse += `... and ${tasks.length - 3} more tasks.\n`;
+        }
+
+        formattedResponse += `\n`;
+      }
+    }
+
+    return res.json({
+      message: formattedResponse,
+      meta: {
+        intent: "WORKLOAD",
+      },
+    });
+  } catch (error) {
+    console.error("Error handling workload query:", error);
+    return null; // Continue with normal processing
+  }
+}
@@ -0,0 +1,222 @@
+// Write actions: assign, transition, comment on and create issues from chat.
+// Commands are parsed into a small action object, resolved against Jira (accounts, transitions)
+// and turned into the exact request that will be sent. Nothing runs until the client confirms
+// with the token handed out by PendingActionStore.
+import crypto from "crypto";
+
+const ISSUE_KEY = "([A-Za-z][A-Za-z0-9]+-\\d+)";
+const POLITE = "^(?:please\\s+|can you\\s+|could you\\s+)?";
+const END = "\\s*[.!]?$";
+
+const ACTION_PATTERNS = [
+  {
+    regex: new RegExp(`${POLITE}unassign\\s+${ISSUE_KEY}${END}`, "i"),
+    build: ([, issueKey]) => ({ type: "assign", issueKey, assignee: null }),
+  },
+  {
+    regex: new RegExp(`${POLITE}(?:re)?assign\\s+${ISSUE_KEY}\\s+to\\s+(.+?)${END}`, "i"),
+    build: ([, issueKey, assignee]) => ({ type: "assign", issueKey, assignee }),
+  },
+  {
+    regex: new RegExp(`${POLITE}(?:move|transition|set|change|put)\\s+${ISSUE_KEY}\\s+(?:to|into|as)\\s+(.+?)${END}`, "i"),
+    build: ([, issueKey, status]) => ({ type: "transition", issueKey, status }),
+  },
+  {
+    regex: new RegExp(`${POLITE}mark\\s+${ISSUE_KEY}\\s+(?:as\\s+)?(.+?)${END}`, "i"),
+    build: ([, issueKey, status]) => ({ type: "transition", issueKey, status }),
+  },
+  {
+    regex: new RegExp(`${POLITE}(close|resolve|reopen|start)\\s+${ISSUE_KEY}${END}`, "i"),
+    build: ([, verb, issueKey]) => ({ type: "transition", issueKey, status: verb }),
+  },
+  {
+    regex: new RegExp(
+      `${POLITE}(?:add\\s+(?:a\\s+)?comment\\s+(?:to|on)|comment\\s+on)\\s+${ISSUE_KEY}\\s*(?:saying|that says|with|:)?\\s*(.+?)\\s*$`,
+      "i"
+    ),
+    build: ([, issueKey, comment]) => ({ type: "comment", issueKey, comment: stripQuotes(comment) }),
+  },
+  {
+    regex: new RegExp(
+      `${POLITE}(?:create|open|file|log|raise|add)\\s+(?:a\\s+new|a|an|new)\\s+(bug|task|story|epic|issue|ticket)\\s+(?:for|about|called|titled|named|:)?\\s*(.+?)\\s*$`,
+      "i"
+    ),
+    build: ([, issueType, summary]) => ({ type: "create", issueType: normalizeIssueType(issueType), summary: stripQuotes(summary) }),
+  },
+];
+
+// Verbs that stand for a status, with the status names they usually lead to
+const STATUS_SYNONYMS = {
+  close: ["closed", "done", "close"],
+  resolve: ["resolved", "done", "resolve"],
+  reopen: ["reopened", "reopen", "to do", "open"],
+  start: ["in progress", "start progress", "start"],
+  done: ["done", "closed", "resolved"],
+};
+
+function stripQuotes(text) {
+  return text.trim().replace(/^["“'](.*)["”']$/s, "$1").trim();
+}
+
+function normalizeIssueType(type) {
+  const lower = String(type || "").toLowerCase();
+  if (lower === "bug") return "Bug";
+  if (lower === "story") return "Story";
+  if (lower === "epic") return "Epic";
+  return "Task";
+}
+
+// Parse a chat command into an action, or null if it doesn't look like one we support
+export function parseActionCommand(query) {
+  const text = String(query || "").trim();
+
+  for (const { regex, build } of ACTION_PATTERNS) {
+    const match = text.match(regex);
+    if (match) return normalizeActionCommand(build(match));
+  }
+
+  return null;
+}
+
+// Whether a query asks to change something in Jira rather than read from it
+export function looksLikeAction(query) {
+  return (
+    parseActionCommand(query) !== null ||
+    /^(?:please\s+|can you\s+|could you\s+)?(?:assign|reassign|unassign|transition|comment on|add (?:a )?comment)\b/i.test(String(query || "").trim())
+  );
+}
+
+// Check an action (parsed or produced by the model) has what its type needs. Returns null if not.
+export function normalizeActionCommand(command) {
+  if (!command || typeof command !== "object") return null;
+
+  const issueKey = command.issueKey ? String(command.issueKey).toUpperCase() : null;
+
+  switch (command.type) {
+    case "assign":
+      if (!issueKey) return null;
+      return { type: "assign", issueKey, assignee: command.assignee ? String(command.assignee).trim() : null };
+    case "transition":
+      if (!issueKey || !command.status) return null;
+      return { type: "transition", issueKey, status: String(command.status).trim() };
+    case "comment":
+      if (!issueKey || !command.comment) return null;
+      return { type: "comment", issueKey, comment: String(command.comment).trim() };
+    case "create":
+      if (!command.summary) return null;
+      return { type: "create", issueType: normalizeIssueType(command.issueType), summary: String(command.summary).trim() };
+    default:
+      return null;
+  }
+}
+
+// Pick the transition that leads to the requested status. Matches the target status or the
+// transition's own name, then common synonyms ("close" -> Done), then partial names.
+export function matchTransition(transitions, status) {
+  const wanted = String(status || "").trim().toLowerCase();
+  const names = (transition) => [transition.to?.name, transition.name].filter(Boolean).map((name) => name.toLowerCase());
+
+  const exact = transitions.find((transition) => names(transition).includes(wanted));
+  if (exact) return exact;
+
+  for (const synonym of STATUS_SYNONYMS[wanted] || []) {
+    const match = transitions.find((transition) => names(transition).includes(synonym));
+    if (match) return match;
+  }
+
+  return transitions.find((transition) => names(transition).some((name) => name.includes(wanted) || wanted.includes(name))) || null;
+}
+
+// Jira's rich-text (ADF) document for a plain-text comment
+function toADF(text) {
+  return {
+    type: "doc",
+    version: 1,
+    content: text.split(/\n{2,}/).map((paragraph) => ({ type: "paragraph", content: [{ type: "text", text: paragraph }] })),
+  };
+}
+
+// The exact Jira request for a resolved action
+export function buildJiraRequest(action) {
+  switch (action.type) {
+    case "assign":
+      return { method: "put", path: `/rest/api/3/issue/${action.issueKey}/assignee`, data: { accountId: action.accountId } };
+    case "transition":
+      return { method: "post", path: `/rest/api/3/issue/${action.issueKey}/transitions`, data: { transition: { id: action.transitionId } } };
+    case "comment":
+      return { method: "post", path: `/rest/api/3/issue/${action.issueKey}/comment`, data: { body: toADF(action.comment) } };
+    case "create":
+      return {
+        method: "post",
+        path: "/rest/api/3/issue",
+        data: { fields: { project: { key: action.projectKey }, issuetype: { name: action.issueType }, summary: action.summary } },
+      };
+    default:
+      throw new Error(`Unknown action type: ${action.type}`);
+  }
+}
+
+// What a resolved action will do, phrased for the confirmation prompt ("move NIHK-17 to In Progress")
+export function describeAction(action) {
+  switch (action.type) {
+    case "assign":
+      return action.accountId ? `assign ${action.issueKey} to ${action.assigneeName}` : `unassign ${action.issueKey}`;
+    case "transition":
+      return `move ${action.issueKey} to ${action.statusName}`;
+    case "comment":
+      return `add a comment to ${action.issueKey}: "${action.comment}"`;
+    case "create":
+      return `create a ${action.issueType} in ${action.projectKey}: "${action.summary}"`;
+    default:
+      return action.type;
+  }
+}
+
+// Actions waiting for confirmation, keyed by a single-use token. Kept in memory only: a pending
+// confirmation that is lost on restart simply has to be asked for again.
+export class PendingActionStore {
+  constructor({ ttlMs = 10 * 60 * 1000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.pending = new Map();
+  }
+
+  create(sessionId, action) {
+    this.prune();
+
+    const token = crypto.randomBytes(18).toString("base64url");
+    const expiresAt = new Date(Date.now() + this.ttlMs).toISOString();
+    this.pending.set(token, { sessionId, action, expiresAt });
+
+    return { token, expiresAt };
+  }
+
+  // The pending action for a token, left in place; null if unknown or expired
+  get(token) {
+    const entry = this.pending.get(token);
+    if (!entry) return null;
+
+    if (new Date(entry.expiresAt).getTime() < Date.now()) {
+      this.pending.delete(token);
+      return null;
+    }
+    return entry;
+  }
+
+  delete(token) {
+    return this.pending.delete(token);
+  }
+
+  // Remove and return the pending action for a token; null if unknown or expired
+  take(token) {
+    const entry = this.get(token);
+    this.pending.delete(token);
+    return entry;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [token, entry] of this.pending) {
+      if (new Date(entry.expiresAt).getTime() < now) this.pending.delete(token);
+    }
+  }
+}
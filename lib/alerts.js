@@ -0,0 +1,244 @@
+// Proactive alerts from Jira webhooks. Each rule belongs to a conversation and watches for some
+// of the conditions below in its projects; the conditions are those of the BLOCKERS template
+// (BLOCKER_CONDITIONS) seen as changes: an open issue that becomes high priority or gets the
+// blocker label, loses its assignee or runs past its due date. Matches go to the conversation's
+// subscribers (routes/alerts.js streams them) and to the alert sinks.
+import crypto from "crypto";
+import { BLOCKER_CONDITIONS } from "./projectScope.js";
+import { isoDay, todayIn } from "./dateRanges.js";
+
+const PRIORITY_ORDER = ["Lowest", "Low", "Medium", "High", "Highest"];
+const MAX_RULES_PER_SESSION = 20;
+
+export class AlertRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AlertRuleError";
+  }
+}
+
+// Check "X-Hub-Signature: sha256=<hex>", the HMAC-SHA256 of the raw body keyed with the secret
+// entered when the webhook was registered in Jira
+export function verifyJiraSignature({ rawBody, signature }, secret) {
+  if (!secret || !rawBody || !signature) return false;
+
+  const expected = Buffer.from(`sha256=${crypto.createHmac("sha256", secret).update(rawBody).digest("hex")}`);
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+const EVENT_TYPES = {
+  "jira:issue_created": "created",
+  "jira:issue_updated": "updated",
+  comment_created: "commented",
+  comment_updated: "commented",
+};
+
+// A Jira webhook body as { type, issue, changes: [{ field, from, to }], actor, at }, or null for
+// events alerts don't look at
+export function parseJiraWebhook(body = {}) {
+  const type = EVENT_TYPES[body.webhookEvent];
+  if (!type || !body.issue?.key) return null;
+
+  return {
+    type,
+    issue: body.issue,
+    changes: (body.changelog?.items || []).map((item) => ({ field: item.field, from: item.fromString ?? item.from ?? null, to: item.toString ?? item.to ?? null })),
+    actor: body.user?.displayName || body.comment?.author?.displayName || null,
+    at: new Date(body.timestamp || Date.now()).toISOString(),
+  };
+}
+
+const isOpen = (issue) => !BLOCKER_CONDITIONS.closedStatuses.includes(issue.fields?.status?.name);
+const labelsOf = (value) => String(value || "").split(/\s+/).filter(Boolean);
+const priorityRank = (name) => PRIORITY_ORDER.indexOf(name);
+const by = (event) => (event.actor ? ` by ${event.actor}` : "");
+
+// Each condition describes what happened, or returns null when the event doesn't match
+export const ALERT_CONDITIONS = {
+  priority_raised(event) {
+    const { priorities } = BLOCKER_CONDITIONS;
+    if (event.type === "created") {
+      const priority = event.issue.fields?.priority?.name;
+      return priorities.includes(priority) ? `was created with ${priority} priority${by(event)}` : null;
+    }
+
+    const change = event.changes.find(({ field, from, to }) => field === "priority" && priorities.includes(to) && priorityRank(to) > priorityRank(from));
+    return change ? `was raised from ${change.from || "no"} to ${change.to} priority${by(event)}` : null;
+  },
+
+  blocker_label_added(event) {
+    if (event.type === "created") {
+      const label = BLOCKER_CONDITIONS.labels.find((name) => (event.issue.fields?.labels || []).includes(name));
+      return label ? `was created with the ${label} label${by(event)}` : null;
+    }
+
+    for (const change of event.changes.filter(({ field }) => field === "labels")) {
+      const before = labelsOf(change.from);
+      const label = BLOCKER_CONDITIONS.labels.find((name) => labelsOf(change.to).includes(name) && !before.includes(name));
+      if (label) return `was labelled ${label}${by(event)}`;
+    }
+    return null;
+  },
+
+  // Due dates are days, so "past" is judged by the day it is in the configured time zone
+  due_date_passed(event, { now, timeZone }) {
+    const duedate = event.issue.fields?.duedate;
+    return duedate && duedate < isoDay(todayIn(timeZone, now)) ? `is past its due date of ${duedate}` : null;
+  },
+
+  assignee_removed(event) {
+    const change = event.changes.find(({ field, from, to }) => field === "assignee" && from && !to);
+    return change ? `was unassigned from ${change.from}${by(event)}` : null;
+  },
+};
+
+// Rules per conversation: { id, sessionId, name, conditions, projects, createdAt }. An empty
+// projects list watches every allowed project. Rules are kept in memory and lost on restart.
+export class AlertRuleStore {
+  constructor({ allowedKeys = [] } = {}) {
+    this.allowedKeys = allowedKeys;
+    this.rules = new Map();
+  }
+
+  create(sessionId, { name, conditions, projects = [] } = {}) {
+    if (!Array.isArray(conditions) || conditions.length === 0 || conditions.some((condition) => !ALERT_CONDITIONS[condition])) {
+      throw new AlertRuleError(`conditions must be a list of ${Object.keys(ALERT_CONDITIONS).join(", ")}`);
+    }
+
+    const unknownProjects = projects.filter((key) => !this.allowedKeys.includes(key));
+    if (unknownProjects.length > 0) {
+      throw new AlertRuleError(`Unknown project: ${unknownProjects.join(", ")}`);
+    }
+
+    if (this.list(sessionId).length >= MAX_RULES_PER_SESSION) {
+      throw new AlertRuleError(`A conversation can have at most ${MAX_RULES_PER_SESSION} alert rules`);
+    }
+
+    const rule = {
+      id: crypto.randomUUID(),
+      sessionId,
+      name: String(name || conditions.join(", ")).slice(0, 100),
+      conditions: [...new Set(conditions)],
+      projects,
+      createdAt: new Date().toISOString(),
+    };
+    this.rules.set(rule.id, rule);
+    return rule;
+  }
+
+  list(sessionId) {
+    return this.all().filter((rule) => rule.sessionId === sessionId);
+  }
+
+  all() {
+    return [...this.rules.values()];
+  }
+
+  // Remove one of a conversation's rules; false when it has no such rule
+  remove(sessionId, id) {
+    if (this.rules.get(id)?.sessionId !== sessionId) return false;
+    return this.rules.delete(id);
+  }
+}
+
+// Alerts raised by an event: one per rule and matching condition
+export function evaluateRules(rules, event, { allowedKeys, now = new Date(), timeZone }) {
+  const projectKey = event.issue.fields?.project?.key || event.issue.key.split("-")[0];
+  if (!allowedKeys.includes(projectKey) || !isOpen(event.issue)) return [];
+
+  return rules.flatMap((rule) => {
+    if (rule.projects.length > 0 && !rule.projects.includes(projectKey)) return [];
+
+    return rule.conditions.flatMap((condition) => {
+      const detail = ALERT_CONDITIONS[condition](event, { now, timeZone });
+      if (!detail) return [];
+
+      const summary = event.issue.fields?.summary;
+      return [
+        {
+          id: crypto.randomUUID(),
+          ruleId: rule.id,
+          rule: rule.name,
+          sessionId: rule.sessionId,
+          condition,
+          issueKey: event.issue.key,
+          summary: summary || null,
+          message: `${event.issue.key}${summary ? ` (${summary})` : ""} ${detail}`,
+          event: event.type,
+          at: event.at,
+        },
+      ];
+    });
+  });
+}
+
+// Fans alerts out to the conversations listening for them and to the sinks. A due date only
+// alerts once per rule and issue, however many later events the issue gets, until it's moved.
+export function createAlertService({ ruleStore, allowedKeys, sinks = [], timeZone }) {
+  const subscribers = new Map();
+  // "<ruleId>:<issueKey>" -> { ruleId, issueKey, duedate } for overdue alerts already raised
+  const overdueSeen = new Map();
+
+  // Call `send(alert)` with each alert for the conversation, and only those `canSee(alert)`
+  // resolves true for when given; returns the unsubscribe function
+  function subscribe(sessionId, send, { canSee = null } = {}) {
+    const subscriber = { send, canSee };
+    if (!subscribers.has(sessionId)) subscribers.set(sessionId, new Set());
+    subscribers.get(sessionId).add(subscriber);
+
+    return () => {
+      subscribers.get(sessionId)?.delete(subscriber);
+      if (subscribers.get(sessionId)?.size === 0) subscribers.delete(sessionId);
+    };
+  }
+
+  // Drop what's remembered for removed rules, and for this issue under rules it's no longer
+  // overdue for (closed, or due again later)
+  function forgetOverdue(rules, issueKey, raised) {
+    const ruleIds = new Set(rules.map((rule) => rule.id));
+    const stillOverdue = new Set(raised.filter((alert) => alert.condition === "due_date_passed").map((alert) => alert.ruleId));
+
+    for (const [key, seen] of overdueSeen) {
+      if (!ruleIds.has(seen.ruleId) || (seen.issueKey === issueKey && !stillOverdue.has(seen.ruleId))) overdueSeen.delete(key);
+    }
+  }
+
+  // Evaluate a Jira webhook body. Resolves to the alerts it raised once they're delivered.
+  async function handleWebhook(body, { now = new Date() } = {}) {
+    const event = parseJiraWebhook(body);
+    if (!event) return [];
+
+    const rules = ruleStore.all();
+    const raised = evaluateRules(rules, event, { allowedKeys, now, timeZone });
+    forgetOverdue(rules, event.issue.key, raised);
+
+    const duedate = event.issue.fields?.duedate;
+    const alerts = raised.filter((alert) => {
+      if (alert.condition !== "due_date_passed") return true;
+      const key = `${alert.ruleId}:${alert.issueKey}`;
+      if (overdueSeen.get(key)?.duedate === duedate) return false;
+      overdueSeen.set(key, { ruleId: alert.ruleId, issueKey: alert.issueKey, duedate });
+      return true;
+    });
+
+    // The conversation an alert is for stays on the server
+    const delivered = await Promise.all(
+      alerts.map(async ({ sessionId, ...alert }) => {
+        for (const { send, canSee } of subscribers.get(sessionId) || []) {
+          if (!canSee || (await canSee(alert).catch(() => false))) send(alert);
+        }
+        return alert;
+      })
+    );
+
+    const results = await Promise.allSettled(delivered.flatMap((alert) => sinks.map((sink) => sink.deliver(alert))));
+    results
+      .filter((result) => result.status === "rejected")
+      .forEach((result) => console.error("Error delivering alert:", result.reason));
+
+    return delivered;
+  }
+
+  return { subscribe, handleWebhook };
+}
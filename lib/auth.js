@@ -0,0 +1,85 @@
+// Login sessions and credential encryption.
+// A logged-in user carries a signed token (HS256 JWT) in the session cookie or an
+// Authorization: Bearer header. Jira credentials are stored encrypted with AES-256-GCM.
+import crypto from "crypto";
+
+export const SESSION_COOKIE = "jira_session";
+
+function base64url(value) {
+  return Buffer.from(value).toString("base64url");
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+// Sign a JWT carrying `claims` that expires after `ttlSeconds`
+export function signToken(claims, secret, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }));
+  return `${header}.${payload}.${hmac(secret, `${header}.${payload}`)}`;
+}
+
+// Verify a JWT signed by signToken. Returns its claims, or null if it is malformed, forged or expired.
+export function verifyToken(token, secret) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(hmac(secret, `${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, "base64url").toString("utf8"));
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (alg !== "HS256" || typeof claims.exp !== "number" || claims.exp * 1000 < Date.now()) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+// Value of a cookie sent with a request, or null
+export function readCookie(req, cookieName) {
+  for (const pair of (req.headers.cookie || "").split(";")) {
+    const [name, ...rest] = pair.trim().split("=");
+    if (name === cookieName) return decodeURIComponent(rest.join("="));
+  }
+  return null;
+}
+
+// The login token sent with a request: the session cookie, or a Bearer token for API clients
+export function readRequestToken(req) {
+  const header = req.headers.authorization || "";
+  if (/^Bearer\s+/i.test(header)) {
+    return header.replace(/^Bearer\s+/i, "").trim();
+  }
+
+  return readCookie(req, SESSION_COOKIE);
+}
+
+function encryptionKey(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest();
+}
+
+// Encrypt a secret (API token, OAuth token) for storage
+export function encryptSecret(plaintext, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(secret), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+  return ["v1", iv.toString("base64url"), cipher.getAuthTag().toString("base64url"), ciphertext.toString("base64url")].join(":");
+}
+
+// Decrypt a value produced by encryptSecret. Throws if it was tampered with or the key changed.
+export function decryptSecret(encrypted, secret) {
+  const [version, iv, tag, ciphertext] = String(encrypted).split(":");
+  if (version !== "v1" || !iv || !tag || ciphertext === undefined) {
+    throw new Error("Unrecognized encrypted value");
+  }
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(secret), Buffer.from(iv, "base64url"));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64url")), decipher.final()]).toString("utf8");
+}
@@ -0,0 +1,78 @@
+// In-memory TTL cache with hit/miss statistics.
+// Entries expire after their own TTL and the least recently used entries are evicted beyond
+// `maxEntries`. wrap() memoizes async work and shares one in-flight promise between callers
+// asking for the same key at the same time.
+
+export class TtlCache {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // insertion order doubles as least-recently-used order
+    this.stats = { hits: 0, misses: 0, bypasses: 0, evictions: 0 };
+  }
+
+  // The cached value, or undefined if missing or expired. Counts as a hit or miss.
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.stats.misses++;
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  // Return the cached value for `key`, or run `load` and cache what it resolves to.
+  // With `bypass`, the cached value is ignored and replaced by a fresh one.
+  wrap(key, ttlMs, load, { bypass = false } = {}) {
+    if (bypass) {
+      this.stats.bypasses++;
+    } else {
+      const cached = this.get(key);
+      if (cached !== undefined) return cached;
+    }
+
+    const pending = Promise.resolve().then(load);
+    this.set(key, pending, ttlMs);
+
+    // Failures aren't cached; the next caller tries again
+    pending.catch(() => {
+      if (this.entries.get(key)?.value === pending) this.entries.delete(key);
+    });
+
+    return pending;
+  }
+
+  // Statistics for the diagnostics endpoint
+  summary() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : null,
+    };
+  }
+}
@@ -0,0 +1,175 @@
+// Assistant replies for chat platforms. Replies are written in the markdown subset described in
+// src/markdown.js (## and ### headers, **bold**, `code`, • or - bullets, numbered lists); Slack
+// gets them as Block Kit blocks in its own mrkdwn dialect and Teams as an Adaptive Card. Issue keys
+// become links to their Jira page when the site is known.
+
+// Slack limits: 3000 characters of text per section, 150 per header, 50 blocks per message
+const SLACK_SECTION_LIMIT = 3000;
+const SLACK_HEADER_LIMIT = 150;
+const SLACK_BLOCK_LIMIT = 50;
+
+const HEADER = /^(#{1,3})\s+(.*)$/;
+const BULLET = /^\s*[•\-*]\s+(.*)$/;
+
+function issueKeyPattern(projectKeys = []) {
+  const project = projectKeys.length > 0 ? `(?:${projectKeys.join("|")})` : "[A-Z][A-Z0-9_]+";
+  return new RegExp(`\\b${project}-\\d+\\b`, "g");
+}
+
+const truncate = (text, limit) => (text.length > limit ? `${text.slice(0, limit - 1)}…` : text);
+
+// Split a reply into headers and the runs of lines between them
+function splitSections(markdown) {
+  const sections = [];
+  let lines = [];
+
+  const flush = () => {
+    const text = lines.join("\n").trim();
+    if (text) sections.push({ type: "text", text });
+    lines = [];
+  };
+
+  for (const line of String(markdown || "").split("\n")) {
+    const header = line.match(HEADER);
+    if (header) {
+      flush();
+      sections.push({ type: "header", level: header[1].length, text: header[2].trim() });
+    } else {
+      lines.push(line);
+    }
+  }
+  flush();
+
+  return sections;
+}
+
+// Rewrite the inline markup of one line. Code spans and [text](url) links are converted as a whole
+// so bold markers or issue keys inside them are left alone.
+function convertInline(line, { code, link, plain }) {
+  return line
+    .split(/(`[^`]+`|\[[^\]]+\]\([^)\s]+\))/)
+    .map((part, index) => {
+      if (index % 2 === 0) return plain(part);
+      if (part.startsWith("`")) return code(part.slice(1, -1));
+      const [, text, url] = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+      return link(text, url);
+    })
+    .join("");
+}
+
+const browseUrl = (jiraUrl, key) => `${jiraUrl.replace(/\/+$/, "")}/browse/${key}`;
+
+// Slack mrkdwn: &, < and > escaped, *bold*, <url|text> links and • bullets
+const escapeSlack = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+function toMrkdwn(text, { jiraUrl, projectKeys }) {
+  return text
+    .split("\n")
+    .map((line) => {
+      const bullet = line.match(BULLET);
+      const converted = convertInline(bullet ? bullet[1] : line, {
+        code: (code) => `\`${escapeSlack(code)}\``,
+        link: (label, url) => `<${url}|${escapeSlack(label)}>`,
+        plain: (part) => {
+          let mrkdwn = escapeSlack(part).replace(/\*\*(.+?)\*\*/g, "*$1*");
+          if (jiraUrl) mrkdwn = mrkdwn.replace(issueKeyPattern(projectKeys), (key) => `<${browseUrl(jiraUrl, key)}|${key}>`);
+          return mrkdwn;
+        },
+      });
+      return bullet ? `• ${converted}` : converted;
+    })
+    .join("\n");
+}
+
+// Cut text into pieces of at most `limit` characters, at line breaks where possible
+function chunkText(text, limit) {
+  const chunks = [];
+  let current = "";
+
+  for (const line of text.split("\n")) {
+    const candidate = current ? `${current}\n${line}` : line;
+    if (candidate.length <= limit) {
+      current = candidate;
+      continue;
+    }
+    if (current) chunks.push(current);
+    current = line;
+    while (current.length > limit) {
+      chunks.push(current.slice(0, limit));
+      current = current.slice(limit);
+    }
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+// What the answer was based on, shown in small print under it
+function describeMeta(meta = {}) {
+  return [meta.intent && `Intent: ${meta.intent}`, meta.jql && `JQL: ${meta.jql}`].filter(Boolean);
+}
+
+// A reply payload ({ message, meta }) as a Slack message: { text, blocks }. `text` is the plain
+// fallback Slack shows in notifications.
+export function toBlockKit({ message, meta } = {}, { jiraUrl = null, projectKeys = [] } = {}) {
+  const options = { jiraUrl, projectKeys };
+  const blocks = [];
+
+  for (const section of splitSections(message)) {
+    if (section.type === "header" && section.level <= 2) {
+      blocks.push({ type: "header", text: { type: "plain_text", text: truncate(section.text.replace(/\*\*/g, ""), SLACK_HEADER_LIMIT), emoji: true } });
+    } else if (section.type === "header") {
+      blocks.push({ type: "section", text: { type: "mrkdwn", text: `*${toMrkdwn(section.text.replace(/\*\*/g, ""), options)}*` } });
+    } else {
+      for (const chunk of chunkText(toMrkdwn(section.text, options), SLACK_SECTION_LIMIT)) {
+        blocks.push({ type: "section", text: { type: "mrkdwn", text: chunk } });
+      }
+    }
+  }
+
+  const context = describeMeta(meta);
+  const room = context.length > 0 ? SLACK_BLOCK_LIMIT - 1 : SLACK_BLOCK_LIMIT;
+  if (blocks.length > room) {
+    blocks.splice(room - 1, blocks.length, { type: "section", text: { type: "mrkdwn", text: "_The rest of this answer was too long for Slack._" } });
+  }
+  if (context.length > 0) {
+    blocks.push({ type: "context", elements: context.map((text) => ({ type: "mrkdwn", text: escapeSlack(text) })) });
+  }
+
+  return { text: truncate(String(message || ""), SLACK_SECTION_LIMIT), blocks };
+}
+
+// Adaptive Card TextBlocks understand **bold**, [text](url) links and "- " or "1. " lists, but
+// not code spans, so those lose their backticks
+function toCardMarkdown(text, { jiraUrl, projectKeys }) {
+  return text
+    .split("\n")
+    .map((line) => {
+      const bullet = line.match(BULLET);
+      const converted = convertInline(bullet ? bullet[1] : line, {
+        code: (code) => code,
+        link: (label, url) => `[${label}](${url})`,
+        plain: (part) => (jiraUrl ? part.replace(issueKeyPattern(projectKeys), (key) => `[${key}](${browseUrl(jiraUrl, key)})`) : part),
+      });
+      return bullet ? `- ${converted}` : converted;
+    })
+    .join("\n");
+}
+
+// A reply payload ({ message, meta }) as an Adaptive Card
+export function toAdaptiveCard({ message, meta } = {}, { jiraUrl = null, projectKeys = [] } = {}) {
+  const options = { jiraUrl, projectKeys };
+
+  const body = splitSections(message).map((section) =>
+    section.type === "header"
+      ? { type: "TextBlock", text: section.text.replace(/\*\*/g, ""), weight: "Bolder", size: section.level <= 2 ? "Medium" : "Default", wrap: true }
+      : { type: "TextBlock", text: toCardMarkdown(section.text, options), wrap: true }
+  );
+
+  const context = describeMeta(meta);
+  if (context.length > 0) {
+    body.push({ type: "TextBlock", text: context.join(" · "), isSubtle: true, size: "Small", wrap: true, separator: true });
+  }
+
+  return { type: "AdaptiveCard", $schema: "http://adaptivecards.io/schemas/adaptive-card.json", version: "1.4", body };
+}
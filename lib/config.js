@@ -0,0 +1,173 @@
+// Server configuration.
+// Everything the server reads from the environment is collected here once, at startup, so the
+// rest of the code receives plain settings instead of reaching into process.env.
+import { LLM_TASKS } from "./llm.js";
+import { normalizeProjectKeys } from "./projectScope.js";
+import { isValidTimeZone } from "./dateRanges.js";
+
+const seconds = (value, fallback) => Number(value ?? fallback) * 1000;
+const optionalNumber = (value) => (value ? Number(value) : undefined);
+const list = (value) => String(value || "").split(",").map((item) => item.trim()).filter(Boolean);
+
+export function loadConfig(env = process.env) {
+  // How requests reach Jira. In "user" mode everyone logs in with their own Jira account (OAuth 2.0
+  // or a personal API token) and Jira sees who did what; in "shared" mode every request uses the
+  // JIRA_USER account. Setting AUTH_SECRET switches the default to "user".
+  const authMode = env.AUTH_MODE || (env.AUTH_SECRET ? "user" : "shared");
+  if (authMode === "user" && !env.AUTH_SECRET) {
+    throw new Error("AUTH_SECRET is required when AUTH_MODE=user");
+  }
+  // Browsers send the login cookie along, so the origins allowed to call the API must be named
+  if (authMode === "user" && !env.CORS_ORIGIN) {
+    throw new Error("CORS_ORIGIN is required when AUTH_MODE=user");
+  }
+  if (env.TIME_ZONE && !isValidTimeZone(env.TIME_ZONE)) {
+    throw new Error(`TIME_ZONE "${env.TIME_ZONE}" isn't a known time zone`);
+  }
+
+  // LLM_PROVIDER picks OpenAI ("openai"), Azure OpenAI ("azure"), an OpenAI-compatible local server
+  // such as Ollama ("local") or canned offline replies ("stub"). LLM_MODEL is the default model (the
+  // deployment name on Azure); LLM_<TASK>_MODEL, LLM_<TASK>_TEMPERATURE and LLM_<TASK>_MAX_TOKENS
+  // override it for the intent, jql and response tasks.
+  const provider = env.LLM_PROVIDER || "openai";
+  const taskSettings = (task) => {
+    const prefix = `LLM_${task.toUpperCase()}_`;
+    return {
+      model: env[prefix + "MODEL"],
+      temperature: optionalNumber(env[prefix + "TEMPERATURE"]),
+      max_tokens: optionalNumber(env[prefix + "MAX_TOKENS"]),
+    };
+  };
+
+  return {
+    // Jira projects the assistant may query. JIRA_PROJECT_KEYS is a comma-separated allow-list;
+    // JIRA_PROJECT_KEY is still honored for single-project setups.
+    projectKeys: normalizeProjectKeys(env.JIRA_PROJECT_KEYS || env.JIRA_PROJECT_KEY || "NIHK"),
+    // Origins the frontend is served from (comma-separated); the Vite dev server by default
+    corsOrigin: env.CORS_ORIGIN ? list(env.CORS_ORIGIN) : ["http://localhost:5173"],
+    appUrl: env.APP_URL || "/",
+    production: env.NODE_ENV === "production",
+    // The time zone dates in questions ("before Friday", "created last week") are read in when
+    // neither the request nor the user's Jira profile names one
+    timeZone: env.TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+
+    jira: {
+      url: env.JIRA_URL,
+      user: env.JIRA_USER,
+      apiToken: env.JIRA_API_TOKEN,
+      // Retry, paging and logging settings shared by every user's Jira client
+      clientOptions: {
+        maxResults: optionalNumber(env.JIRA_MAX_RESULTS),
+        maxRetries: optionalNumber(env.JIRA_MAX_RETRIES),
+        searchPath: env.JIRA_SEARCH_PATH,
+        logRequests: env.JIRA_LOG_REQUESTS !== "false",
+      },
+      oauth: {
+        clientId: env.JIRA_OAUTH_CLIENT_ID,
+        clientSecret: env.JIRA_OAUTH_CLIENT_SECRET,
+        redirectUri: env.JIRA_OAUTH_REDIRECT_URI,
+      },
+    },
+
+    auth: {
+      mode: authMode,
+      secret: env.AUTH_SECRET,
+      credentialsKey: env.CREDENTIALS_ENCRYPTION_KEY || env.AUTH_SECRET,
+      loginTtlSeconds: Number(env.LOGIN_TTL_HOURS || 12) * 60 * 60,
+      userStore: { type: env.USER_STORE || "file", dir: env.USER_STORE_DIR || ".users" },
+    },
+
+    // Response caches. Counts go stale fastest, single issues change least often; a TTL of 0 turns
+    // that kind of caching off. LLM results are keyed by the standardized query.
+    cache: {
+      maxEntries: Number(env.CACHE_MAX_ENTRIES || 1000),
+      jiraTtls: {
+        count: seconds(env.CACHE_TTL_COUNT_SECONDS, 30),
+        search: seconds(env.CACHE_TTL_SEARCH_SECONDS, 60),
+        issue: seconds(env.CACHE_TTL_ISSUE_SECONDS, 300),
+        users: seconds(env.CACHE_TTL_USERS_SECONDS, 3600),
+      },
+      llmTtlMs: seconds(env.LLM_CACHE_TTL_SECONDS, 600),
+    },
+
+    llm: {
+      provider,
+      model: env.LLM_MODEL,
+      tasks: Object.fromEntries(LLM_TASKS.map((task) => [task, taskSettings(task)])),
+      apiKey: provider === "azure" ? env.AZURE_OPENAI_API_KEY : provider === "local" ? env.LOCAL_LLM_API_KEY : env.OPENAI_API_KEY,
+      baseURL: provider === "local" ? env.LOCAL_LLM_URL : env.OPENAI_BASE_URL,
+      endpoint: env.AZURE_OPENAI_ENDPOINT,
+      apiVersion: env.AZURE_OPENAI_API_VERSION || "2024-10-21",
+    },
+
+    // Conversation sessions, kept in the store selected by SESSION_STORE ("memory" or "file")
+    sessions: {
+      type: env.SESSION_STORE || "memory",
+      dir: env.SESSION_STORE_DIR || ".sessions",
+      ttlMs: Number(env.SESSION_TTL_MINUTES || 24 * 60) * 60 * 1000,
+      maxSessions: Number(env.SESSION_MAX_COUNT || 500),
+      // Turns kept per session; the oldest turns are dropped first
+      maxTurns: Number(env.SESSION_MAX_TURNS || 50),
+    },
+
+    // Sprint analytics. JIRA_STORY_POINTS_FIELD is the estimation field's id ("Story point estimate"
+    // on team-managed projects; classic projects often use a different customfield).
+    agile: {
+      storyPointsField: env.JIRA_STORY_POINTS_FIELD || "customfield_10016",
+      velocitySprints: Number(env.SPRINT_VELOCITY_COUNT || 3),
+    },
+
+    // Flow metrics (lead time, cycle time, throughput) cover this many weeks unless asked otherwise
+    metrics: {
+      flowWeeks: Number(env.FLOW_METRICS_WEEKS || 8),
+    },
+
+    // Scheduled reports. REPORT_STANDUP_CRON and REPORT_WEEKLY_CRON are cron expressions in server
+    // time ("none" turns a report off); the scheduler runs in server.js and reads Jira as JIRA_USER.
+    // Their days ("yesterday", "due today") are the ones in TIME_ZONE.
+    // Reports are kept in REPORT_STORE ("memory" or "file") and sent to the REPORT_SINKS (file,
+    // webhook, smtp).
+    reports: {
+      schedules: {
+        standup: env.REPORT_STANDUP_CRON || "0 9 * * 1-5",
+        weekly: env.REPORT_WEEKLY_CRON || "0 9 * * 1",
+      },
+      store: { type: env.REPORT_STORE || "memory", dir: env.REPORT_STORE_DIR || ".reports", maxReports: Number(env.REPORT_MAX_COUNT || 100) },
+      sinks: list(env.REPORT_SINKS),
+      file: { dir: env.REPORT_FILE_DIR || "reports" },
+      webhook: { url: env.REPORT_WEBHOOK_URL },
+      smtp: {
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT || 25),
+        user: env.SMTP_USER,
+        password: env.SMTP_PASSWORD,
+        from: env.SMTP_FROM,
+        to: list(env.SMTP_TO),
+      },
+    },
+
+    // Slack and Teams adapters (routes/chat.js). SLACK_SIGNING_SECRET verifies Slack's requests and
+    // SLACK_BOT_TOKEN posts answers to mentions and direct messages; TEAMS_WEBHOOK_SECRET is the
+    // security token of a Teams outgoing webhook. A platform without its secret is turned off.
+    chat: {
+      slack: {
+        signingSecret: env.SLACK_SIGNING_SECRET,
+        botToken: env.SLACK_BOT_TOKEN,
+        apiUrl: (env.SLACK_API_URL || "https://slack.com/api").replace(/\/+$/, ""),
+      },
+      teams: { secret: env.TEAMS_WEBHOOK_SECRET },
+    },
+
+    // Alerts from Jira webhooks (routes/alerts.js). JIRA_WEBHOOK_SECRET is the secret the webhook
+    // was registered with in Jira; without it the endpoint is off. Every alert is also POSTed to
+    // ALERT_WEBHOOK_URL when it is set.
+    alerts: {
+      webhookSecret: env.JIRA_WEBHOOK_SECRET,
+      webhook: { url: env.ALERT_WEBHOOK_URL },
+    },
+
+    actions: {
+      confirmationTtlMs: Number(env.ACTION_CONFIRMATION_MINUTES || 10) * 60 * 1000,
+    },
+  };
+}
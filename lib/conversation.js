@@ -0,0 +1,42 @@
+// Conversation turns.
+// Every answer is saved to its session as a turn (query, intent, JQL, issue keys, response), which
+// is what follow-up questions and the session endpoints read back.
+import { collectIssueKeys } from "./followUp.js";
+
+// Conversations belong to the user who started them, so session ids are only unique per user
+export function conversationKey(req, sessionId) {
+  return req.user ? `${req.user.id}:${sessionId}` : sessionId;
+}
+
+// Wrap a response so the finished turn (query, intent, JQL, response) is saved to the session
+// when the final payload goes out, whichever handler produced it
+export function recordTurnOnReply(res, session, query, { sessionStore, maxTurns }) {
+  let statusCode = 200;
+  const reply = Object.create(res);
+
+  reply.status = (code) => {
+    statusCode = code;
+    res.status(code);
+    return reply;
+  };
+
+  reply.json = (payload) => {
+    if (statusCode < 400 && payload?.message) {
+      session.turns.push({
+        query,
+        intent: payload.meta?.intent || null,
+        jql: payload.meta?.jql || null,
+        issueKeys: collectIssueKeys(payload),
+        response: payload.message,
+        // A "which one do you mean?" the next message may answer
+        disambiguation: payload.meta?.disambiguation || null,
+        at: new Date().toISOString(),
+      });
+      session.turns = session.turns.slice(-maxTurns);
+      sessionStore.save(session).catch((error) => console.error("Error saving session:", error));
+    }
+    return res.json(payload);
+  };
+
+  return reply;
+}
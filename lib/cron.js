@@ -0,0 +1,126 @@
+// Cron expressions for the report scheduler: the classic five fields (minute, hour, day of month,
+// month, day of week) with lists, ranges, steps and month/day names, plus @hourly, @daily,
+// @weekly and @monthly. Times are in the server's time zone. As in cron, when both day fields
+// are restricted a day matching either one runs.
+
+export class CronError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CronError";
+  }
+}
+
+const MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  // 7 is Sunday too
+  { name: "day of week", min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+// No schedule needs to look further ahead than this (29 February comes round within 8 years)
+const MAX_SEARCH_DAYS = 8 * 366;
+
+function parseValue(text, field) {
+  const index = field.names?.indexOf(text.toLowerCase()) ?? -1;
+  if (index !== -1) return index + field.offset;
+
+  if (!/^\d+$/.test(text)) throw new CronError(`Invalid ${field.name} "${text}"`);
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new CronError(`${field.name} ${value} is out of range (${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+// One field into the set of values it allows, e.g. "1-5" or "*/15" or "mon,wed,fri"
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new CronError(`Invalid step "${stepText}" in ${field.name}`);
+
+    let [start, end] = [field.min, field.max];
+    if (range !== "*") {
+      const [from, to] = range.split("-");
+      start = parseValue(from, field);
+      end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field);
+      if (start > end) throw new CronError(`Invalid range "${range}" in ${field.name}`);
+    }
+
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+
+  return values;
+}
+
+// A parsed expression: { source, minute, hour, dayOfMonth, month, dayOfWeek, anyDayOfMonth,
+// anyDayOfWeek }. Throws CronError for expressions cron wouldn't accept.
+export function parseCron(expression) {
+  const source = String(expression || "").trim();
+  const fields = (MACROS[source.toLowerCase()] || source).split(/\s+/);
+  if (fields.length !== 5) throw new CronError(`Expected 5 fields in "${source}", got ${fields.length}`);
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((text, index) => parseField(text, FIELDS[index]));
+  if (dayOfWeek.delete(7)) dayOfWeek.add(0);
+
+  return {
+    source,
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: fields[2] === "*",
+    anyDayOfWeek: fields[4] === "*",
+  };
+}
+
+function matchesDay(cron, date) {
+  const byMonthDay = cron.dayOfMonth.has(date.getDate());
+  const byWeekDay = cron.dayOfWeek.has(date.getDay());
+  if (cron.anyDayOfMonth) return byWeekDay;
+  if (cron.anyDayOfWeek) return byMonthDay;
+  return byMonthDay || byWeekDay;
+}
+
+// The first time after `after` (exclusive, to the minute) the expression matches
+export function nextRun(expression, after = new Date()) {
+  const cron = typeof expression === "string" ? parseCron(expression) : expression;
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new CronError(`"${cron.source}" never runs`);
+}
@@ -0,0 +1,348 @@
+// Natural-language date ranges: "before Friday", "in Q3", "between May 1 and May 15", "next two
+// sprints", "end of month", "in 3 days", "last 10 days", "2026-11-03". A range is whole days in the
+// asker's time zone, { field, label, from, to } with YYYY-MM-DD bounds (inclusive, either may be
+// open), and becomes precise JQL on duedate, created, resolved or updated with dateRangeJql. The
+// field is null when the question doesn't say which date it means.
+// Weeks start on Monday.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12 };
+const ORDINAL_QUARTERS = { first: 1, second: 2, third: 3, fourth: 4 };
+
+const MONTH = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const WEEKDAY = `(${WEEKDAYS.join("|")})`;
+const NUMBER = `(\\d+|${Object.keys(NUMBER_WORDS).join("|")})`;
+const UNIT = "(day|week|month|quarter|year)s?";
+const ORDINAL = "(?:st|nd|rd|th)?";
+
+// The longest phrase tried, in words ("between May 1st 2027 and May 15th 2027")
+const MAX_PHRASE_WORDS = 10;
+
+// Calendar days are UTC midnights, so day arithmetic never meets a daylight saving change
+const toDay = (year, month, date) => new Date(Date.UTC(year, month, date));
+const addDays = (day, days) => new Date(day.getTime() + days * DAY_MS);
+export const isoDay = (day) => day.toISOString().slice(0, 10);
+const numberOf = (value) => NUMBER_WORDS[value.toLowerCase()] ?? Number(value);
+const monthIndex = (name) => MONTHS.findIndex((month) => month.startsWith(name.slice(0, 3).toLowerCase()));
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return Boolean(timeZone);
+  } catch {
+    return false;
+  }
+}
+
+// The first of the given time zones that is valid: the request's, the user's, the server default
+export function resolveTimeZone(...candidates) {
+  return candidates.find(isValidTimeZone);
+}
+
+// Today in a time zone (the server's when none is given), as a calendar day
+export function todayIn(timeZone, now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone, year: "numeric", month: "numeric", day: "numeric" }).formatToParts(now).map(({ type, value }) => [type, value])
+  );
+  return toDay(Number(parts.year), Number(parts.month) - 1, Number(parts.day));
+}
+
+// How far a time zone's clock is ahead of UTC at an instant, in milliseconds
+function offsetAt(timeZone, instant) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone, hourCycle: "h23", year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", second: "numeric" })
+      .formatToParts(instant)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// The instant a calendar day ("2026-10-19") starts in a time zone. The offset is looked up again
+// at the first guess, in case a daylight saving change lies between it and UTC midnight.
+export function startOfDayIn(timeZone, day) {
+  const midnightUtc = new Date(`${day}T00:00:00Z`).getTime();
+  const guess = midnightUtc - offsetAt(timeZone, new Date(midnightUtc));
+  return new Date(midnightUtc - offsetAt(timeZone, new Date(guess)));
+}
+
+// The instant a calendar day ends in a time zone: when the next one starts
+export function endOfDayIn(timeZone, day) {
+  return startOfDayIn(timeZone, isoDay(addDays(new Date(`${day}T00:00:00Z`), 1)));
+}
+
+// A valid calendar day or null ("February 30" isn't one)
+function dayOf(year, month, date) {
+  const day = toDay(year, month, date);
+  return day.getUTCMonth() === month && day.getUTCDate() === date ? day : null;
+}
+
+const single = (day) => day && { from: day, to: day };
+const startOfWeek = (day) => addDays(day, -((day.getUTCDay() + 6) % 7));
+const monthRange = (year, month) => ({ from: toDay(year, month, 1), to: toDay(year, month + 1, 0) });
+const quarterRange = (year, quarter) => ({ from: toDay(year, (quarter - 1) * 3, 1), to: toDay(year, quarter * 3, 0) });
+const yearRange = (year) => ({ from: toDay(year, 0, 1), to: toDay(year, 11, 31) });
+
+// `amount` days, weeks, months, quarters or years after (or before, when negative) a day
+function shift(day, amount, unit) {
+  if (unit === "day") return addDays(day, amount);
+  if (unit === "week") return addDays(day, amount * 7);
+  const months = amount * { month: 1, quarter: 3, year: 12 }[unit];
+  return toDay(day.getUTCFullYear(), day.getUTCMonth() + months, day.getUTCDate());
+}
+
+// The calendar week, month, quarter or year `offset` periods from the one containing `day`
+function calendarPeriod(day, unit, offset) {
+  const year = day.getUTCFullYear();
+  if (unit === "week") {
+    const from = addDays(startOfWeek(day), offset * 7);
+    return { from, to: addDays(from, 6) };
+  }
+  if (unit === "month") return monthRange(year, day.getUTCMonth() + offset);
+  if (unit === "quarter") return quarterRange(year, Math.floor(day.getUTCMonth() / 3) + 1 + offset);
+  return yearRange(year + offset);
+}
+
+// A weekday: the coming one ("Friday", "this Friday"), the one in next week or the last one. In
+// the past (`past`), "Friday" and "this Friday" are the most recent Friday, today included.
+function weekday(today, name, which, past) {
+  const target = WEEKDAYS.indexOf(name.toLowerCase());
+  if (which === "next") return addDays(startOfWeek(addDays(today, 7)), (target + 6) % 7);
+  if (which === "last") return addDays(today, -(((today.getUTCDay() - target + 6) % 7) + 1));
+  if (past) return addDays(today, -((today.getUTCDay() - target + 7) % 7));
+  return addDays(today, (target - today.getUTCDay() + 7) % 7);
+}
+
+// Phrases and the days they cover. `bare` phrases (a month or year on its own) only count after a
+// preposition, so "may" in "what may slip" isn't May. Builders get `past` when the phrase is about
+// days gone by: "since Friday", "created on Friday".
+const PHRASES = [
+  // Bounds around another phrase
+  {
+    regex: new RegExp(`^between (.+?) and (.+)$`, "i"),
+    build: (match, today, parse) => {
+      const [start, end] = [parse(match[1], { bare: true }), parse(match[2], { bare: true })];
+      return start?.from && end?.to && start.from <= end.to ? { from: start.from, to: end.to } : null;
+    },
+  },
+  {
+    regex: new RegExp(`^from (.+?) (?:to|until|till|through) (.+)$`, "i"),
+    build: (match, today, parse) => {
+      const [start, end] = [parse(match[1], { bare: true }), parse(match[2], { bare: true })];
+      return start?.from && end?.to && start.from <= end.to ? { from: start.from, to: end.to } : null;
+    },
+  },
+  {
+    regex: /^(?:before|earlier than|prior to) (.+)$/i,
+    build: (match, today, parse) => {
+      const period = parse(match[1], { bare: true });
+      return period?.from && { from: null, to: addDays(period.from, -1) };
+    },
+  },
+  {
+    regex: /^(?:after|later than) (.+)$/i,
+    build: (match, today, parse) => {
+      const period = parse(match[1], { bare: true });
+      return period?.to && { from: addDays(period.to, 1), to: null };
+    },
+  },
+  {
+    regex: /^(?:since|on or after) (.+)$/i,
+    build: (match, today, parse) => {
+      const period = parse(match[1], { bare: true, past: /^since/i.test(match[0]) });
+      return period?.from && { from: period.from, to: null };
+    },
+  },
+  {
+    regex: /^(?:by|until|till|no later than|on or before) (.+)$/i,
+    build: (match, today, parse) => {
+      const period = parse(match[1], { bare: true });
+      return period?.to && { from: null, to: period.to };
+    },
+  },
+
+  // Relative to today
+  { regex: /^today$/i, build: (match, today) => single(today) },
+  { regex: /^tomorrow$/i, build: (match, today) => single(addDays(today, 1)) },
+  { regex: /^yesterday$/i, build: (match, today) => single(addDays(today, -1)) },
+  { regex: new RegExp(`^in ${NUMBER} ${UNIT}$`, "i"), build: (match, today) => single(shift(today, numberOf(match[1]), match[2].toLowerCase())) },
+  { regex: new RegExp(`^${NUMBER} ${UNIT} ago$`, "i"), build: (match, today) => single(shift(today, -numberOf(match[1]), match[2].toLowerCase())) },
+  {
+    regex: new RegExp(`^(?:the )?(?:last|past|previous) ${NUMBER} ${UNIT}$`, "i"),
+    build: (match, today) => ({ from: shift(today, -numberOf(match[1]), match[2].toLowerCase()), to: today }),
+  },
+  {
+    regex: new RegExp(`^(?:the )?(?:next|coming|within(?: the next)?) ${NUMBER} ${UNIT}$`, "i"),
+    build: (match, today) => ({ from: today, to: shift(today, numberOf(match[1]), match[2].toLowerCase()) }),
+  },
+  { regex: /^(?:the )?past (week|month|year)$/i, build: (match, today) => ({ from: shift(today, -1, match[1].toLowerCase()), to: today }) },
+  {
+    regex: /^(this|current|next|last|previous) (week|month|quarter|year)$/i,
+    build: (match, today) => calendarPeriod(today, match[2].toLowerCase(), { next: 1, last: -1, previous: -1 }[match[1].toLowerCase()] || 0),
+  },
+  {
+    regex: /^(?:the )?(end|start|beginning) of (?:the )?(?:(this|next|last) )?(week|month|quarter|year)$/i,
+    build: (match, today) => {
+      const period = calendarPeriod(today, match[3].toLowerCase(), { next: 1, last: -1 }[match[2]?.toLowerCase()] || 0);
+      return single(match[1].toLowerCase() === "end" ? period.to : period.from);
+    },
+  },
+  { regex: new RegExp(`^(?:(this|next|last) )?${WEEKDAY}$`, "i"), build: (match, today, parse, { past }) => single(weekday(today, match[2], match[1]?.toLowerCase(), past)) },
+
+  // Calendar dates and periods
+  { regex: /^(\d{4})-(\d{2})-(\d{2})$/, build: (match) => single(dayOf(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) },
+  {
+    regex: new RegExp(`^${MONTH} (\\d{1,2})${ORDINAL}(?:,? (\\d{4}))?$`, "i"),
+    build: (match, today) => single(dayOf(match[3] ? Number(match[3]) : today.getUTCFullYear(), monthIndex(match[1]), Number(match[2]))),
+  },
+  {
+    regex: new RegExp(`^(?:the )?(\\d{1,2})${ORDINAL} (?:of )?${MONTH}(?:,? (\\d{4}))?$`, "i"),
+    build: (match, today) => single(dayOf(match[3] ? Number(match[3]) : today.getUTCFullYear(), monthIndex(match[2]), Number(match[1]))),
+  },
+  { regex: /^q([1-4])(?: (\d{4}))?$/i, build: (match, today) => quarterRange(match[2] ? Number(match[2]) : today.getUTCFullYear(), Number(match[1])) },
+  {
+    regex: /^(?:the )?(first|second|third|fourth) quarter(?: of (\d{4}))?$/i,
+    build: (match, today) => quarterRange(match[2] ? Number(match[2]) : today.getUTCFullYear(), ORDINAL_QUARTERS[match[1].toLowerCase()]),
+  },
+  { regex: new RegExp(`^${MONTH}(?: (\\d{4}))?$`, "i"), bare: true, build: (match, today) => monthRange(match[2] ? Number(match[2]) : today.getUTCFullYear(), monthIndex(match[1])) },
+  { regex: /^(\d{4})$/, bare: true, build: (match) => yearRange(Number(match[1])) },
+
+  // Sprints, dated later from the board (resolveSprintRange)
+  { regex: /^(?:the )?(this|current|active) sprint$/i, build: () => ({ sprint: { which: "current", count: 1 } }) },
+  {
+    regex: new RegExp(`^(?:the )?(next|coming|upcoming|last|previous|past)(?: ${NUMBER})? sprints?$`, "i"),
+    build: (match) => ({ sprint: { which: /^(?:last|previous|past)$/i.test(match[1]) ? "last" : "next", count: match[2] ? numberOf(match[2]) : 1 } }),
+  },
+
+  // "in Q3", "during May", "on Friday", "for next week": the preposition lets bare phrases count
+  { regex: /^(?:in|during|on|for|of) (.+)$/i, build: (match, today, parse) => parse(match[1], { bare: true }) },
+];
+
+// The days one phrase covers ({ from, to } calendar days, or { sprint }), or null
+function parsePhrase(phrase, today, { bare = false, past = false } = {}) {
+  const text = phrase.trim().replace(/\s+/g, " ");
+  const parse = (inner, options) => parsePhrase(inner, today, { past, ...options });
+
+  for (const { regex, build, bare: needsPreposition } of PHRASES) {
+    if (needsPreposition && !bare) continue;
+    const match = text.match(regex);
+    const period = match && build(match, today, parse, { past });
+    if (period) return period;
+  }
+  return null;
+}
+
+// What a question's dates are about: when issues are due, were created, resolved or updated;
+// null when it doesn't say
+function fieldOf(query) {
+  if (/\bdue\b|\bdeadlines?\b/i.test(query)) return "duedate";
+  if (/\b(?:created|opened|raised|reported|filed|logged)\b/i.test(query)) return "created";
+  if (/\b(?:resolved?|closed?|completed|finished|fixed|shipped)\b/i.test(query)) return "resolved";
+  if (/\b(?:updated|modified|touched)\b/i.test(query)) return "updated";
+  return null;
+}
+
+// The date range a question mentions, or null. The earliest, longest phrase wins. Sprint phrases
+// come back with `sprint: { which: "current" | "next" | "last", count }` and no dates until
+// resolveSprintRange dates them. `label` is the wording the range came from.
+export function parseDateRange(query, { now = new Date(), timeZone } = {}) {
+  const today = todayIn(timeZone, now);
+  const words = String(query || "").split(/\s+/).filter(Boolean);
+  // Issues were created, resolved and updated in the past, so "on Friday" is the Friday just gone
+  const field = fieldOf(query);
+  const past = ["created", "resolved", "updated"].includes(field);
+
+  for (let start = 0; start < words.length; start++) {
+    for (let end = Math.min(words.length, start + MAX_PHRASE_WORDS); end > start; end--) {
+      const phrase = words
+        .slice(start, end)
+        .join(" ")
+        .replace(/^[("']+|[)"'?!.,;:]+$/g, "")
+        .replace(/'s$/i, "");
+      const period = phrase && parsePhrase(phrase, today, { past });
+      if (!period) continue;
+
+      return {
+        field,
+        label: phrase,
+        from: period.from ? isoDay(period.from) : null,
+        to: period.to ? isoDay(period.to) : null,
+        ...(period.sprint && { sprint: period.sprint }),
+      };
+    }
+  }
+
+  return null;
+}
+
+// Calendar day of an instant in a time zone
+const dayIn = (timeZone, instant) => isoDay(todayIn(timeZone, new Date(instant)));
+
+// Date a sprint phrase from a board's sprints (in board order). "next two sprints" are the two
+// after the active one; future sprints without dates are assumed to follow on at the length of
+// the last dated sprint. Returns the range with dates and the sprints' names in the label, or null
+// when the board doesn't have the sprints.
+export function resolveSprintRange(range, sprints, { timeZone } = {}) {
+  const { which, count } = range.sprint;
+  let picked;
+
+  if (which === "last") {
+    picked = sprints.filter((sprint) => sprint.state === "closed").slice(-count);
+  } else {
+    const activeIndex = sprints.findIndex((sprint) => sprint.state === "active");
+    const following = sprints.slice(activeIndex + 1).filter((sprint) => sprint.state !== "closed");
+    picked = which === "current" ? sprints.filter((sprint) => sprint.state === "active").slice(0, 1) : following.slice(0, count);
+
+    // Extrapolate dates for future sprints from the sprint before them
+    const dated = sprints.filter((sprint) => sprint.startDate && sprint.endDate);
+    const template = dated.at(-1);
+    if (template) {
+      const lengthMs = new Date(template.endDate) - new Date(template.startDate);
+      let previousEnd = new Date(template.endDate);
+      picked = picked.map((sprint) => {
+        if (sprint.startDate && sprint.endDate) {
+          previousEnd = new Date(sprint.endDate);
+          return sprint;
+        }
+        const startDate = previousEnd;
+        previousEnd = new Date(startDate.getTime() + lengthMs);
+        return { ...sprint, startDate: startDate.toISOString(), endDate: previousEnd.toISOString() };
+      });
+    }
+  }
+
+  if (picked.length < count || picked.some((sprint) => !sprint.startDate || !sprint.endDate)) return null;
+
+  return {
+    ...range,
+    label: `${range.label} (${picked.map((sprint) => sprint.name).join(", ")})`,
+    from: dayIn(timeZone, picked[0].startDate),
+    to: dayIn(timeZone, picked.at(-1).completeDate || picked.at(-1).endDate),
+  };
+}
+
+// An instant as JQL relative to `now`: "-1440m" a day before it, "60m" an hour after
+const minutesFrom = (now, instant) => `"${Math.round((instant.getTime() - now.getTime()) / 60000)}m"`;
+
+// The JQL condition for a range: `duedate >= "2026-10-01" AND duedate <= "2026-10-15"`. Due dates
+// are days and stay as they are. Jira reads a day on the date-time fields in the searching
+// account's time zone, though, so those get the instants the asker's days start and end, as
+// minutes from now: `created >= "-2160m" AND created < "-720m"`.
+export function dateRangeJql({ field, from, to }, { now = new Date(), timeZone } = {}) {
+  if (field === "duedate") {
+    return [from && `${field} >= "${from}"`, to && `${field} <= "${to}"`].filter(Boolean).join(" AND ");
+  }
+
+  const conditions = [];
+  if (from) conditions.push(`${field} >= ${minutesFrom(now, startOfDayIn(timeZone, from))}`);
+  if (to) conditions.push(`${field} < ${minutesFrom(now, endOfDayIn(timeZone, to))}`);
+  return conditions.join(" AND ");
+}
+
+// The range as words for replies: "2026-10-20 to 2026-10-23", "until 2026-10-22", "from 2026-07-01"
+export function describeDateRange({ from, to }) {
+  if (from && to) return from === to ? from : `${from} to ${to}`;
+  return from ? `from ${from}` : `until ${to}`;
+}
@@ -0,0 +1,54 @@
+// Server-Sent Events.
+// /api/query/stream answers through the same handlers as /api/query; the handlers see an event
+// stream that keeps the res.status().json() contract and additionally accepts progress events.
+
+// Send a progress event (intent, jql, ...) when the client is listening on an event stream
+export function emitQueryEvent(res, event, data) {
+  if (res && typeof res.sendEvent === "function") {
+    res.sendEvent(event, data);
+  }
+}
+
+// Wrap an Express response as a Server-Sent Events stream. The wrapper keeps the
+// res.status().json() contract the handlers use, so the final payload goes out as a "done" event.
+export function createEventStream(res) {
+  let statusCode = 200;
+  let opened = false;
+
+  const open = () => {
+    if (opened) return;
+    opened = true;
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+  };
+
+  const stream = {
+    sendEvent(event, data) {
+      if (res.writableEnded || res.destroyed) return;
+      open();
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    streamToken(text) {
+      stream.sendEvent("token", { text });
+    },
+    status(code) {
+      statusCode = code;
+      return stream;
+    },
+    json(payload) {
+      // Nothing streamed yet, so a client error can still go out as a plain HTTP error
+      if (!opened && statusCode >= 400) {
+        return res.status(statusCode).json(payload);
+      }
+
+      stream.sendEvent(statusCode >= 400 ? "error" : "done", payload);
+      res.end();
+      return stream;
+    },
+  };
+
+  return stream;
+}
@@ -0,0 +1,160 @@
+// Flow metrics from changelogs: lead time (created → done), cycle time (first started → done),
+// weekly throughput and the age of work in progress, overall and broken down by issue type,
+// priority and assignee. Statuses are classified by their Jira status category, so custom
+// workflows ("In Review", "QA", "Blocked") count as started work like "In Progress" does.
+import { normalizeChangelog, withFullChangelog } from "./history.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const MAX_FLOW_ISSUES = 200;
+const FLOW_FIELDS = ["summary", "status", "issuetype", "priority", "assignee", "created", "resolutiondate"];
+
+export const BREAKDOWNS = {
+  issueType: (flow) => flow.issueType,
+  priority: (flow) => flow.priority,
+  assignee: (flow) => flow.assignee,
+};
+
+// Questions about how work flows, rather than what the work is
+export const FLOW_QUESTION = /\b(?:cycle[- ]times?|lead[- ]times?|throughput|aging (?:wip|work)|wip age|flow metrics?)\b/i;
+
+// Status names by category when Jira's status list isn't available
+const DONE_NAMES = /^(?:done|closed|resolved|completed?|released)$/i;
+const NEW_NAMES = /^(?:open|to ?do|backlog|new|selected for development)$/i;
+
+// A status name -> status category lookup ("new", "indeterminate" or "done", as Jira names them).
+// `statuses` is the /rest/api/3/status list; names it doesn't know are classified by name.
+export function createStatusCategories(statuses = []) {
+  const byName = new Map(statuses.map((status) => [status.name.toLowerCase(), status.statusCategory?.key]));
+
+  return (name) => {
+    const known = byName.get(String(name).toLowerCase());
+    if (known) return known;
+    return DONE_NAMES.test(name) ? "done" : NEW_NAMES.test(name) ? "new" : "indeterminate";
+  };
+}
+
+export async function loadStatusCategories(jira) {
+  try {
+    const { data } = await jira.get("/rest/api/3/status");
+    return createStatusCategories(data);
+  } catch (error) {
+    console.log("Error fetching status categories:", error.message);
+    return createStatusCategories();
+  }
+}
+
+const time = (value) => (value ? new Date(value).getTime() : null);
+
+// When an issue was created, first started and (if it's done now) last finished, with its lead
+// and cycle time in ms, or its age for work in progress
+export function analyzeIssueFlow(issue, categoryOf, { now = new Date() } = {}) {
+  const transitions = normalizeChangelog(issue).filter((change) => change.field.toLowerCase() === "status");
+  const status = issue.fields.status?.name ?? "Unknown";
+  const category = categoryOf(status);
+
+  // Going straight from to-do to done counts as starting and finishing at once
+  const started = transitions.find((transition) => categoryOf(transition.to) !== "new");
+  const finished = transitions.findLast((transition) => categoryOf(transition.to) === "done");
+
+  const createdAt = time(issue.fields.created);
+  const startedAt = time(started?.at);
+  const doneAt = category === "done" ? (time(finished?.at) ?? time(issue.fields.resolutiondate)) : null;
+
+  return {
+    key: issue.key,
+    summary: issue.fields.summary,
+    status,
+    category,
+    issueType: issue.fields.issuetype?.name || "Unknown",
+    priority: issue.fields.priority?.name || "None",
+    assignee: issue.fields.assignee?.displayName || "Unassigned",
+    createdAt,
+    startedAt,
+    doneAt,
+    leadTimeMs: doneAt !== null && createdAt !== null ? doneAt - createdAt : null,
+    cycleTimeMs: doneAt !== null ? doneAt - (startedAt ?? doneAt) : null,
+    ageMs: category === "indeterminate" ? now.getTime() - (startedAt ?? createdAt) : null,
+  };
+}
+
+// Average, median and 85th percentile of durations in ms (nulls when there are none)
+export function summarizeDurations(values) {
+  const sorted = values.filter((value) => value !== null).sort((a, b) => a - b);
+  if (sorted.length === 0) return { count: 0, averageMs: null, medianMs: null, p85Ms: null };
+
+  // Nearest-rank percentile
+  const percentile = (p) => sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+  return {
+    count: sorted.length,
+    averageMs: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    medianMs: percentile(50),
+    p85Ms: percentile(85),
+  };
+}
+
+// Completed and in-progress work grouped by `labelOf`: [{ name, completed, leadTime, cycleTime, wip }],
+// busiest first
+function breakDown(completed, inProgress, labelOf) {
+  const names = [...new Set([...completed, ...inProgress].map(labelOf))];
+
+  return names
+    .map((name) => {
+      const done = completed.filter((flow) => labelOf(flow) === name);
+      return {
+        name,
+        completed: done.length,
+        leadTime: summarizeDurations(done.map((flow) => flow.leadTimeMs)),
+        cycleTime: summarizeDurations(done.map((flow) => flow.cycleTimeMs)),
+        wip: inProgress.filter((flow) => labelOf(flow) === name).length,
+      };
+    })
+    .sort((a, b) => b.completed - a.completed || b.wip - a.wip || a.name.localeCompare(b.name));
+}
+
+// Flow metrics for issues finished in the `weeks` weeks up to `now`, plus the work in progress now.
+// Throughput is counted per 7-day period, oldest first, the last one ending now.
+export function computeFlowMetrics(flows, { weeks, now = new Date() }) {
+  const until = now.getTime();
+  const since = until - weeks * WEEK_MS;
+
+  const completed = flows.filter((flow) => flow.doneAt !== null && flow.doneAt >= since && flow.doneAt <= until);
+  const inProgress = flows.filter((flow) => flow.category === "indeterminate").sort((a, b) => b.ageMs - a.ageMs);
+
+  const throughput = Array.from({ length: weeks }, (_, index) => ({ weekStart: new Date(since + index * WEEK_MS).toISOString(), completed: 0 }));
+  for (const flow of completed) {
+    throughput[Math.min(weeks - 1, Math.floor((flow.doneAt - since) / WEEK_MS))].completed++;
+  }
+
+  return {
+    period: { since: new Date(since).toISOString(), until: new Date(until).toISOString(), weeks },
+    completed: completed.length,
+    leadTime: summarizeDurations(completed.map((flow) => flow.leadTimeMs)),
+    cycleTime: summarizeDurations(completed.map((flow) => flow.cycleTimeMs)),
+    throughput: { weeks: throughput, averagePerWeek: Math.round((completed.length / weeks) * 10) / 10 },
+    wip: {
+      count: inProgress.length,
+      age: summarizeDurations(inProgress.map((flow) => flow.ageMs)),
+      issues: inProgress.map(({ key, summary, status, assignee, ageMs }) => ({ key, summary, status, assignee, ageMs })),
+    },
+    breakdowns: Object.fromEntries(Object.entries(BREAKDOWNS).map(([name, labelOf]) => [name, breakDown(completed, inProgress, labelOf)])),
+  };
+}
+
+// Flow metrics for the scope over the last `weeks` weeks, from the issues finished in that time and
+// the ones in progress now, with their complete changelogs
+export async function loadFlowMetrics(jira, scope, { weeks, now = new Date() }) {
+  const options = { fields: FLOW_FIELDS, expand: ["changelog"], maxResults: MAX_FLOW_ISSUES };
+
+  const [done, inProgress, categoryOf] = await Promise.all([
+    jira.search(`${scope.clause} AND statusCategory = Done AND updated >= -${weeks * 7}d ORDER BY updated DESC`, options),
+    jira.search(`${scope.clause} AND statusCategory = "In Progress" ORDER BY updated DESC`, options),
+    loadStatusCategories(jira),
+  ]);
+
+  const unique = new Map([...done.issues, ...inProgress.issues].map((issue) => [issue.key, issue]));
+  const issues = await Promise.all([...unique.values()].map((issue) => withFullChangelog(jira, issue)));
+  const flows = issues.map((issue) => analyzeIssueFlow(issue, categoryOf, { now }));
+
+  return { ...computeFlowMetrics(flows, { weeks, now }), truncated: done.truncated || inProgress.truncated };
+}
@@ -0,0 +1,178 @@
+// Follow-up resolution.
+// Every conversation turn remembers the issue keys and JQL it produced. Follow-up questions that
+// point back at those results ("which of those are unassigned?", "tell me more about the second
+// one") are resolved against that turn instead of being run as a fresh search.
+import { validateJQL, describeJqlErrors, refineJQL, JqlError } from "./jql.js";
+import { cleanGeneratedJQL } from "./jqlGeneration.js";
+import { parseSprintReference } from "./sprints.js";
+
+const ORDINAL_WORDS = ["first", "second", "third", "fourth", "fifth", "sixth", "seventh", "eighth", "ninth", "tenth"];
+const ORDINAL = `(${ORDINAL_WORDS.join("|")}|last|\\d+(?:st|nd|rd|th))`;
+
+const NUMBER = "(?:#|number\\s+|no\\.\\s*)(\\d+)\\b";
+
+// "the second one", "the 3rd issue", "the last of those", "issue #2", and "#2" or "number 2" on
+// their own. Elsewhere a number belongs to something else: "how did sprint #14 go?".
+const ORDINAL_REFERENCES = [
+  new RegExp(`\\b(?:the\\s+)?${ORDINAL}\\s+(?:one|issue|task|ticket|item|bug|story|result)\\b`, "i"),
+  new RegExp(`\\b(?:the\\s+)?${ORDINAL}\\s+(?:of|from|in)\\s+(?:those|them|these|the list)\\b`, "i"),
+  new RegExp(`\\b(?:issue|task|ticket|item|bug|story|result)\\s*${NUMBER}`, "i"),
+  new RegExp(`(?<=^\\s*(?:(?:and|so|ok|okay),?\\s+)?(?:(?:what|how) about|tell me (?:more )?about|more on|details (?:of|for|on)|show(?: me)?|open)?\\s*)${NUMBER}(?=\\s*[?.!]*\\s*$)`, "i"),
+];
+
+// "those", "them", "the ones", "that list", ...
+const SET_REFERENCE =
+  /\b(?:those|these|them|the ones|that list|this list|the list|the above|above ones|that set|the same (?:issues|tasks|tickets|ones))\b/i;
+
+// Narrowing conditions common enough to resolve without the model
+const FOLLOW_UP_FILTERS = [
+  { pattern: /\bunassigned\b|\bnot assigned\b|\bwithout an? assignee\b|\bno assignee\b/i, condition: "assignee IS EMPTY" },
+  { pattern: /\bassigned(?=\s*[?.!]*$)|\bhave an? assignee\b/i, condition: "assignee IS NOT EMPTY" },
+  { pattern: /\b(?:high|highest|top)[- ]priority\b|\bcritical\b|\burgent\b/i, condition: 'priority in ("High", "Highest")' },
+  { pattern: /\boverdue\b|\bpast due\b|\blate\b/i, condition: 'duedate < now() AND status not in ("Done", "Closed", "Resolved")' },
+  { pattern: /\bin progress\b|\bbeing worked on\b/i, condition: 'status = "In Progress"' },
+  { pattern: /(?<!\bnot\s)\b(?:done|closed|completed|finished|resolved)\b/i, condition: 'status in ("Done", "Closed", "Resolved")' },
+  { pattern: /\b(?:still open|open|not done|unresolved|remaining|outstanding)\b/i, condition: 'status not in ("Done", "Closed", "Resolved")' },
+  { pattern: /\bbugs?\b/i, condition: "issuetype = Bug" },
+  { pattern: /\bno due date\b|\bwithout (?:a )?due date\b/i, condition: "duedate IS EMPTY" },
+  { pattern: /\b(?:updated|changed|touched) today\b/i, condition: "updated >= startOfDay()" },
+  { pattern: /\b(?:updated|changed|touched) this week\b/i, condition: "updated >= startOfWeek()" },
+];
+
+// Words that can surround a filter without adding criteria of their own
+const FILLER_WORDS = new Set(
+  "which what are is of those these them the ones show me only just list any how many still that there with have has a an and or to filter out from in do does can you please issues tasks tickets items"
+    .split(" ")
+);
+
+// Issue keys a response payload showed to the user
+export function collectIssueKeys(payload) {
+  const data = payload?.rawData;
+
+  if (Array.isArray(data?.issues)) {
+    return data.issues.map((issue) => issue.key).filter(Boolean);
+  }
+  if (data?.key) {
+    return [data.key];
+  }
+  if (payload?.meta?.issueKey) {
+    return [payload.meta.issueKey];
+  }
+
+  return [];
+}
+
+// The most recent turn that produced issues a follow-up can refer to
+export function findResultTurn(turns = []) {
+  for (let i = turns.length - 1; i >= 0; i--) {
+    if (turns[i].issueKeys?.length > 0) return turns[i];
+  }
+  return null;
+}
+
+// Whether the query talks about the previous results as a set
+export function refersToPreviousResults(query) {
+  return SET_REFERENCE.test(query);
+}
+
+// Resolve an ordinal reference ("the second one") against the previous results.
+// Returns null when there is no reference, otherwise { position, issueKey, query } where query has
+// the reference replaced by the issue key and issueKey is null if the position is out of range.
+export function resolveIssueReference(query, issueKeys) {
+  if (parseSprintReference(query).kind === "number") return null;
+
+  for (const pattern of ORDINAL_REFERENCES) {
+    const match = query.match(pattern);
+    if (!match) continue;
+
+    const word = match[1].toLowerCase();
+    const position = word === "last" ? issueKeys.length : ORDINAL_WORDS.includes(word) ? ORDINAL_WORDS.indexOf(word) + 1 : parseInt(word, 10);
+    const issueKey = position >= 1 && position <= issueKeys.length ? issueKeys[position - 1] : null;
+
+    return {
+      position,
+      issueKey,
+      query: issueKey ? query.replace(match[0], issueKey) : query,
+    };
+  }
+
+  return null;
+}
+
+// JQL condition for a follow-up made only of well-known filters ("which of those are unassigned?").
+// Returns null when the query asks for anything else, so the model can work it out instead.
+export function matchFollowUpFilter(query) {
+  let remainder = query.replace(SET_REFERENCE, " ");
+  const conditions = [];
+
+  for (const { pattern, condition } of FOLLOW_UP_FILTERS) {
+    if (pattern.test(remainder)) {
+      conditions.push(condition);
+      remainder = remainder.replace(pattern, " ");
+    }
+  }
+
+  const leftover = remainder
+    .toLowerCase()
+    .split(/[^a-z0-9']+/)
+    .filter((word) => word && !FILLER_WORDS.has(word));
+
+  return conditions.length > 0 && leftover.length === 0 ? conditions.join(" AND ") : null;
+}
+
+// Intents whose response style suits a narrowed version of their own results
+export const FOLLOW_UP_INTENTS = ["TASK_LIST", "ASSIGNED_TASKS", "BLOCKERS", "TIMELINE", "COMMENTS", "WORKLOAD"];
+
+// Turn a follow-up about the previous results ("which of those are unassigned?") into JQL that
+// narrows the previous query. Well-known filters are applied directly; anything else is phrased
+// as an extra condition by the model. Returns null if the previous query can't be reused.
+export async function resolveFollowUpJQL(llm, query, turn, scope) {
+  const baseJql = turn.jql || `key in (${turn.issueKeys.join(", ")})`;
+  const base = validateJQL(baseJql, { projectKeys: scope.keys });
+  if (!base.valid) return null;
+
+  let condition = matchFollowUpFilter(query);
+
+  if (!condition) {
+    try {
+      const response = await llm.complete("jql", {
+        messages: [
+          {
+            role: "system",
+            content: `
+              You narrow a previous Jira search using the user's follow-up question.
+              The previous search was: ${base.jql}
+              It returned these issues, in order: ${turn.issueKeys.slice(0, 50).join(", ")}
+
+              Reply with ONLY the extra JQL condition the follow-up adds, e.g. assignee IS EMPTY or priority = "High".
+              Don't repeat the previous search. Only add ORDER BY if the question asks for a different order.
+              If the follow-up doesn't narrow the results (e.g. "summarize those"), reply with NONE.
+            `,
+          },
+          { role: "user", content: query },
+        ],
+      });
+
+      const text = cleanGeneratedJQL(response);
+      condition = /^none$/i.test(text) ? null : text;
+    } catch (error) {
+      console.error("Error generating follow-up JQL:", error);
+    }
+  }
+
+  if (condition) {
+    try {
+      const refined = validateJQL(refineJQL(base.jql, condition), { projectKeys: scope.keys });
+      if (refined.valid) {
+        return { jql: refined.jql, baseJql: base.jql, condition };
+      }
+      console.log("Follow-up condition rejected:", describeJqlErrors(refined.errors));
+    } catch (error) {
+      if (!(error instanceof JqlError)) throw error;
+      console.log("Follow-up condition doesn't parse:", error.message);
+    }
+  }
+
+  // Without a usable condition, answer from the previous result set itself
+  return { jql: base.jql, baseJql: base.jql, condition: null };
+}
@@ -0,0 +1,130 @@
+// Issue formatting.
+// Field fallbacks, issue lines and detail blocks shared by every handler, so an issue reads the
+// same whichever intent answered the question.
+
+// Function to extract plain text from Atlassian Document Format (ADF)
+export function extractTextFromADF(adf) {
+  if (!adf || !adf.content || !Array.isArray(adf.content)) {
+    return ""; // Return empty string if no valid content
+  }
+
+  let result = "";
+
+  // Recursively extract text from content nodes
+  function processNode(node) {
+    if (node.text) {
+      return node.text;
+    }
+
+    if (node.content && Array.isArray(node.content)) {
+      return node.content.map(processNode).join("");
+    }
+
+    return "";
+  }
+
+  // Process each top-level paragraph or other content block
+  for (const block of adf.content) {
+    if (block.type === "paragraph" || block.type === "text") {
+      result += processNode(block) + "\n";
+    } else if (block.type === "bulletList" || block.type === "orderedList") {
+      // Handle lists
+      if (block.content) {
+        block.content.forEach((item) => {
+          if (item.type === "listItem" && item.content) {
+            result += "• " + item.content.map(processNode).join("") + "\n";
+          }
+        });
+      }
+    } else if (block.content) {
+      // Other block types with content
+      result += block.content.map(processNode).join("") + "\n";
+    }
+  }
+
+  return result.trim();
+}
+
+// Plain text of a description or comment body, which Jira sends as a string or as ADF
+export function toPlainText(body) {
+  return typeof body === "string" ? body : extractTextFromADF(body);
+}
+
+export const statusName = (issue) => issue.fields.status?.name || "Unknown";
+export const assigneeName = (issue) => issue.fields.assignee?.displayName || "Unassigned";
+export const priorityName = (issue, fallback = "Unknown") => issue.fields.priority?.name || fallback;
+export const isHighPriority = (issue) => ["Highest", "High"].includes(issue.fields.priority?.name);
+export const formatDate = (value) => new Date(value).toLocaleDateString();
+// "2026-09-30 16:30 UTC", for answers that need the exact moment
+export const formatTimestamp = (value) => `${new Date(value).toISOString().slice(0, 16).replace("T", " ")} UTC`;
+
+// Group issues by a label such as their status or assignee, keeping first-seen order
+export function groupIssues(issues, labelOf) {
+  const groups = {};
+  for (const issue of issues) {
+    const label = labelOf(issue);
+    if (!groups[label]) groups[label] = [];
+    groups[label].push(issue);
+  }
+  return groups;
+}
+
+// Pick one of several phrasings so repeated answers don't sound canned
+export function pickOne(options) {
+  return options[Math.floor(Math.random() * options.length)];
+}
+
+// One bullet line per issue: "• NIHK-4: Write onboarding guide (Open, Assigned to: Ana)"
+export function formatIssueLine(issue, details = []) {
+  const shown = details.filter(Boolean);
+  return `• ${issue.key}: ${issue.fields.summary}${shown.length > 0 ? ` (${shown.join(", ")})` : ""}\n`;
+}
+
+// The fields models get to see for an issue
+export function summarizeIssue(issue) {
+  return {
+    key: issue.key,
+    summary: issue.fields.summary,
+    status: statusName(issue),
+    priority: priorityName(issue),
+    assignee: assigneeName(issue),
+  };
+}
+
+// The latest comment on an issue, or a note that there are none
+export function formatLatestComment(issue) {
+  const comments = issue.fields.comment?.comments || [];
+  if (comments.length === 0) {
+    return "No comments found on this issue.";
+  }
+
+  const latestComment = comments[comments.length - 1];
+  const author = latestComment.author?.displayName || "Unknown";
+
+  let commentText;
+  if (typeof latestComment.body === "string") {
+    commentText = latestComment.body;
+  } else if (latestComment.body?.content) {
+    commentText = extractTextFromADF(latestComment.body);
+  } else {
+    commentText = "Comment has a format that cannot be displayed here. Please check directly in Jira.";
+  }
+
+  return `**Latest comment** (by ${author} on ${formatDate(latestComment.created)}):\n"${commentText}"`;
+}
+
+// Full markdown card for one issue: fields, description and latest comment
+export function formatIssueDetails(issue, { title = `${issue.key}: ${issue.fields.summary || "No summary"}` } = {}) {
+  const description = (issue.fields.description && toPlainText(issue.fields.description)) || "No description provided.";
+
+  return (
+    `## ${title}\n\n` +
+    `**Status**: ${statusName(issue)}\n` +
+    `**Priority**: ${priorityName(issue, "Not set")}\n` +
+    `**Assignee**: ${assigneeName(issue)}\n` +
+    `**Created**: ${formatDate(issue.fields.created)}\n` +
+    `**Last Updated**: ${formatDate(issue.fields.updated)}\n\n` +
+    `### Description\n${description}\n\n` +
+    `### Latest Comment\n${formatLatestComment(issue)}`
+  );
+}
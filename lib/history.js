@@ -0,0 +1,194 @@
+// Issue history: changelogs normalized into a timeline of field changes, time spent in each status,
+// and the parts of a history question (which field, which value, which time window).
+import { endOfDayIn, parseDateRange, startOfDayIn } from "./dateRanges.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_HISTORY_ISSUES = 50;
+
+// Words in a question and the changelog fields they refer to
+const FIELD_WORDS = [
+  { field: "status", regex: /\b(?:status|statuses|moved?|moving|transition(?:ed)?|went|go(?:ne)?|closed|resolved|reopened|done)\b/i },
+  { field: "priority", regex: /\bpriorit(?:y|ies|ised|ized)\b/i },
+  { field: "assignee", regex: /\b(?:assignee|assigned|reassigned|assign|owner)\b/i },
+  { field: "sprint", regex: /\bsprints?\b/i },
+  { field: "points", regex: /\b(?:story points?|points|estimate[sd]?|re-?estimated)\b/i },
+  { field: "summary", regex: /\b(?:summary|title|renamed)\b/i },
+  { field: "description", regex: /\bdescription\b/i },
+  { field: "labels", regex: /\blabels?\b/i },
+  { field: "duedate", regex: /\bdue ?dates?\b/i },
+];
+
+// Verbs that make "when did/was ..." a question about a change rather than a date ("when was
+// NIHK-12 due?", "when was the release planned?")
+const CHANGE_VERB =
+  "(?:move[sd]?|changed?|(?:re)?assign(?:ed)?|unassigned|closed?|resolved?|reopen(?:ed)?|set|transition(?:ed)?|raised?|lowered?|bumped|(?:de)?prioriti[sz]ed|(?:re-?)?estimated?|renamed?|updated?|marked|flagged|blocked|unblocked|started|finished|completed|done|(?:go|went|gone) (?:to|into|back))";
+
+// Questions about what changed, when and by whom, rather than how things are now
+export const HISTORY_QUESTION = new RegExp(
+  `^when (?:did|was|were|has|have)\\b.*\\b${CHANGE_VERB}\\b|` +
+    /\bwho (?:changed|moved|set|updated|reassigned|assigned|closed|resolved|reopened|raised|lowered)\b|\bhistory\b|\bchangelog\b|\btime in status\b|\bhow long (?:has|have|was|were|did)\b|\bwhat(?:'s| has| have)? (?:changed|happened)\b/.source,
+  "i"
+);
+const TARGET_VALUE =
+  /\b(?:moved?|went|gone|go|transitioned|changed|set|assigned|reassigned|put|raised|lowered|bumped|added)\b.*?\b(?:to|into)\s+["']?([^"'?!]+?)["']?\s*[?.!]*$/i;
+const WINDOW_SUFFIX = /\s+(?:today|yesterday|this week|last week|(?:in the )?(?:last|past)\s+\d+\s+(?:hour|day|week)s?)$/i;
+
+const time = (value) => new Date(value).getTime();
+
+// Every field change of an issue, oldest first:
+// [{ issueKey, at, author, field, fieldId, from, to }] with from/to as display strings
+export function normalizeChangelog(issue) {
+  const changes = [];
+
+  for (const history of issue.changelog?.histories || []) {
+    for (const item of history.items || []) {
+      changes.push({
+        issueKey: issue.key,
+        at: new Date(history.created).toISOString(),
+        author: history.author ? { accountId: history.author.accountId ?? null, displayName: history.author.displayName } : null,
+        field: item.field,
+        fieldId: item.fieldId ?? null,
+        from: item.fromString ?? item.from ?? null,
+        to: item.toString ?? item.to ?? null,
+      });
+    }
+  }
+
+  return changes.sort((a, b) => time(a.at) - time(b.at));
+}
+
+// Time spent in each status from creation until now, in the order the statuses were first entered:
+// [{ status, totalMs, visits, enteredAt, lastEnteredAt, current }]
+export function computeTimeInStatus(issue, { now = new Date() } = {}) {
+  const transitions = normalizeChangelog(issue).filter((change) => change.field.toLowerCase() === "status");
+  const initial = transitions[0]?.from ?? issue.fields.status?.name ?? "Unknown";
+
+  const periods = [{ status: initial, start: time(issue.fields.created) }];
+  for (const transition of transitions) {
+    periods.push({ status: transition.to, start: time(transition.at) });
+  }
+
+  const byStatus = new Map();
+  periods.forEach((period, index) => {
+    const end = index + 1 < periods.length ? periods[index + 1].start : now.getTime();
+    const enteredAt = new Date(period.start).toISOString();
+    const entry = byStatus.get(period.status) || { status: period.status, totalMs: 0, visits: 0, enteredAt, lastEnteredAt: enteredAt, current: false };
+    entry.totalMs += Math.max(0, end - period.start);
+    entry.visits++;
+    entry.lastEnteredAt = enteredAt;
+    entry.current = index === periods.length - 1;
+    byStatus.set(period.status, entry);
+  });
+
+  return [...byStatus.values()];
+}
+
+// "3d 4h", "5h 20m" or "12m"
+export function formatDuration(ms) {
+  const days = Math.floor(ms / DAY_MS);
+  const hours = Math.floor((ms % DAY_MS) / HOUR_MS);
+  const minutes = Math.floor((ms % HOUR_MS) / 60000);
+
+  if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  if (hours > 0) return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+  return `${minutes}m`;
+}
+
+// The time window a question mentions, as { label, since, until } instants, or null. Dates are
+// read by parseDateRange, so days are the asker's in `timeZone`; a window ends now at the latest.
+// "the last 3 hours" counts back from now.
+export function parseTimeWindow(query, { now = new Date(), timeZone } = {}) {
+  const hours = query.match(/\b(?:last|past)\s+(\d+)\s+hours?\b/i);
+  if (hours) {
+    const amount = Number(hours[1]);
+    return { label: `the last ${amount} hour${amount === 1 ? "" : "s"}`, since: new Date(now.getTime() - amount * HOUR_MS), until: now };
+  }
+
+  const range = parseDateRange(query, { now, timeZone });
+  if (!range?.from) return null;
+
+  const until = range.to ? endOfDayIn(timeZone, range.to) : now;
+  return { label: range.label, since: startOfDayIn(timeZone, range.from), until: until < now ? until : now };
+}
+
+export function looksLikeHistoryQuestion(query) {
+  return HISTORY_QUESTION.test(String(query));
+}
+
+// What a history question asks: { fields, toValue, wantsTimeInStatus, window }, with the window
+// read in the asker's time zone
+export function parseHistoryQuestion(query, { now = new Date(), timeZone } = {}) {
+  const fields = FIELD_WORDS.filter(({ regex }) => regex.test(query)).map(({ field }) => field);
+  const wantsTimeInStatus = /\btime in status\b|\bhow long\b|\bstuck\b/i.test(query);
+
+  // "moved to Done", "set to Highest", "assigned to Ana", without a trailing "yesterday"
+  const target = query.match(TARGET_VALUE);
+  const toValue = target ? target[1].replace(WINDOW_SUFFIX, "").trim() : "";
+
+  return {
+    fields: wantsTimeInStatus && fields.length === 0 ? ["status"] : fields,
+    toValue: toValue || null,
+    wantsTimeInStatus,
+    window: parseTimeWindow(query, { now, timeZone }),
+  };
+}
+
+// Whether a change is to one of `fields` (question field names, see FIELD_WORDS)
+function matchesField(change, fields, storyPointsField) {
+  const name = change.field.toLowerCase();
+  return fields.some((field) => {
+    if (field === "points") return change.fieldId === storyPointsField || /^story points?( estimate)?$/.test(name);
+    return name === field;
+  });
+}
+
+// Changes narrowed to the question's fields, target value and time window
+export function filterChanges(changes, { fields = [], toValue = null, window = null }, { storyPointsField } = {}) {
+  return changes.filter((change) => {
+    if (fields.length > 0 && !matchesField(change, fields, storyPointsField)) return false;
+    if (toValue && !String(change.to ?? "").toLowerCase().includes(toValue.toLowerCase())) return false;
+    if (window && (time(change.at) < window.since.getTime() || time(change.at) >= window.until.getTime())) return false;
+    return true;
+  });
+}
+
+// An issue loaded with expand=changelog, with its complete changelog. Issues embed their latest 100
+// changes at most; longer histories are paged in from the changelog endpoint.
+export async function withFullChangelog(jira, issue) {
+  const changelog = issue.changelog || { histories: [] };
+
+  if (typeof changelog.total === "number" && changelog.total > changelog.histories.length) {
+    const histories = await jira.paginate(`/rest/api/3/issue/${issue.key}/changelog`, { maxResults: changelog.total });
+    return { ...issue, changelog: { ...changelog, histories } };
+  }
+
+  return issue;
+}
+
+// An issue with its complete changelog
+export async function loadIssueHistory(jira, issueKey, { fields = ["summary", "status", "created"] } = {}) {
+  return withFullChangelog(jira, await jira.getIssue(issueKey, { fields, expand: ["changelog"] }));
+}
+
+// JQL for a date field at or after an instant: `created >= "-1440m"`. Minutes ago read the same in
+// every time zone, unlike a date and time, which Jira takes in the searching user's.
+export function sinceJql(field, since) {
+  return `${field} >= "-${Math.max(0, Math.ceil((Date.now() - since.getTime()) / 60000))}m"`;
+}
+
+// The scope's issues with their changelogs, most recently updated first: those updated since
+// `since`, or with `unresolved` the ones still open. Resolves to { issues, truncated }, truncated
+// when more issues matched than are loaded.
+export async function loadProjectHistory(jira, scope, { since = null, unresolved = false, fields = ["summary", "status", "created"] } = {}) {
+  const conditions = [scope.clause];
+  if (since) conditions.push(sinceJql("updated", since));
+  if (unresolved) conditions.push("statusCategory != Done");
+
+  const { issues, truncated } = await jira.search(`${conditions.join(" AND ")} ORDER BY updated DESC`, {
+    fields,
+    expand: ["changelog"],
+    maxResults: MAX_HISTORY_ISSUES,
+  });
+  return { issues, truncated: Boolean(truncated) };
+}
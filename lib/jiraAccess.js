@@ -0,0 +1,110 @@
+// Jira access per request.
+// In "shared" mode every request uses the JIRA_USER account; in "user" mode the caller's login
+// cookie (or Bearer token) picks their stored credentials, so Jira sees who did what. Either way
+// the request ends up with a Jira client in req.jira.
+import { verifyToken, readRequestToken, decryptSecret, encryptSecret } from "./auth.js";
+import { createJiraClient } from "./jiraClient.js";
+import { refreshAccessToken } from "./jiraOAuth.js";
+
+// Whether the caller asked to skip cached results: a Cache-Control: no-cache (or no-store) header,
+// "noCache": true in the body or ?noCache in the query string
+export function wantsFreshData(req) {
+  if (/\bno-(?:cache|store)\b/i.test(req.headers["cache-control"] || "")) return true;
+  if (req.body?.noCache === true) return true;
+  return req.query.noCache !== undefined && req.query.noCache !== "false";
+}
+
+export function createJiraAccess({ config, cache, userStore }) {
+  const { jira, auth } = config;
+
+  // Retry, paging, logging and cache settings shared by every user's Jira client
+  const clientOptions = { ...jira.clientOptions, cache, cacheTtls: config.cache.jiraTtls };
+
+  const sharedJira = createJiraClient(
+    { type: "basic", baseUrl: jira.url, email: jira.user, apiToken: jira.apiToken },
+    clientOptions
+  );
+
+  // Jira client for credentials that haven't been stored yet, e.g. while logging in
+  function createClient(credentials) {
+    return createJiraClient(credentials.type === "basic" ? { baseUrl: jira.url, ...credentials } : credentials, clientOptions);
+  }
+
+  // OAuth refreshes in flight, by user id. Atlassian rotates refresh tokens, so requests that arrive
+  // together share one refresh instead of each spending the same refresh token.
+  const refreshes = new Map();
+
+  function refreshCredentials(user) {
+    if (!refreshes.has(user.id)) {
+      const refresh = (async () => {
+        const tokens = await refreshAccessToken({
+          ...jira.oauth,
+          refreshToken: decryptSecret(user.jira.refreshToken, auth.credentialsKey),
+        });
+
+        const credentials = {
+          ...user.jira,
+          accessToken: encryptSecret(tokens.accessToken, auth.credentialsKey),
+          refreshToken: encryptSecret(tokens.refreshToken, auth.credentialsKey),
+          expiresAt: tokens.expiresAt,
+        };
+        // Saved over the user as they are now: a logout during the refresh has changed their tokenVersion
+        const current = await userStore.get(user.id);
+        if (current) await userStore.save({ ...current, jira: credentials });
+        return credentials;
+      })().finally(() => refreshes.delete(user.id));
+
+      refreshes.set(user.id, refresh);
+    }
+
+    return refreshes.get(user.id);
+  }
+
+  // Jira client acting as a stored user, refreshing their OAuth access token when it is about to expire
+  async function clientForUser(user) {
+    if (user.jira.type === "oauth") {
+      if (new Date(user.jira.expiresAt).getTime() - 60 * 1000 < Date.now()) {
+        user.jira = await refreshCredentials(user);
+      }
+
+      return createJiraClient(
+        { type: "oauth", cloudId: user.jira.cloudId, accessToken: decryptSecret(user.jira.accessToken, auth.credentialsKey) },
+        { ...clientOptions, cacheScope: user.id }
+      );
+    }
+
+    return createJiraClient(
+      { type: "basic", baseUrl: jira.url, email: user.jira.email, apiToken: decryptSecret(user.jira.apiToken, auth.credentialsKey) },
+      { ...clientOptions, cacheScope: user.id }
+    );
+  }
+
+  // Attach the caller (req.user) and a Jira client acting as them (req.jira) to the request
+  async function authenticate(req, res, next) {
+    req.bypassCache = wantsFreshData(req);
+
+    if (auth.mode !== "user") {
+      req.jira = req.bypassCache ? sharedJira.withCacheBypass() : sharedJira;
+      return next();
+    }
+
+    // Tokens issued before the user last logged out carry an older token version
+    const claims = verifyToken(readRequestToken(req), auth.secret);
+    const user = claims && (await userStore.get(claims.sub));
+    if (!user || (claims.ver ?? 0) !== (user.tokenVersion ?? 0)) {
+      return res.status(401).json({ message: "Please log in to Jira to continue." });
+    }
+
+    try {
+      req.user = user;
+      req.jira = await clientForUser(user);
+      if (req.bypassCache) req.jira = req.jira.withCacheBypass();
+      next();
+    } catch (error) {
+      console.error("Error loading Jira credentials:", error.message);
+      res.status(401).json({ message: "Your Jira login has expired. Please log in again." });
+    }
+  }
+
+  return { sharedJira, createClient, clientForUser, authenticate };
+}
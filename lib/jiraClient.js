@@ -0,0 +1,273 @@
+// Jira HTTP client.
+// Every Jira call goes through a client bound to one set of credentials: the shared service
+// account from the environment, a user's API token, or a user's OAuth 2.0 (3LO) access token.
+// The client retries rate-limited and transient failures with exponential backoff (honoring
+// Retry-After), pages through search results up to a ceiling and logs every request with its timing.
+// With a cache, searches, counts, issue lookups and user lists are reused for their TTL; cached
+// results are shared between callers and must be treated as read-only.
+// Paths are relative to the Jira site, e.g. client.get("/rest/api/3/issue/NIHK-1").
+import axios from "axios";
+import { parseJQL, formatJQL } from "./jql.js";
+
+export const ATLASSIAN_API_URL = "https://api.atlassian.com";
+
+// Statuses worth retrying: rate limiting and gateway/availability errors
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+const RETRYABLE_ERROR_CODES = new Set(["ECONNRESET", "ETIMEDOUT", "ECONNABORTED", "EAI_AGAIN", "ECONNREFUSED"]);
+
+// Requests that are safe to send twice. Others are only retried on 429, which Jira never processed.
+const IDEMPOTENT_METHODS = new Set(["get", "head", "options", "put", "delete"]);
+
+const DEFAULTS = {
+  maxRetries: 3,
+  retryBaseMs: 500,
+  maxRetryDelayMs: 30 * 1000,
+  maxResults: 500,
+  pageSize: 100,
+  searchPath: "/rest/api/3/search",
+  logRequests: true,
+  cache: null,
+  cacheScope: "shared",
+  cacheTtls: { count: 30 * 1000, search: 60 * 1000, issue: 5 * 60 * 1000, users: 60 * 60 * 1000 },
+  bypassCache: false,
+};
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Retry-After is either a number of seconds or an HTTP date. Returns milliseconds, or null.
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function joinList(value) {
+  return Array.isArray(value) ? value.join(",") : value;
+}
+
+// Same query, same key: JQL is normalized through the parser when it parses, field lists are sorted
+function normalizeJqlKey(jql) {
+  try {
+    return formatJQL(parseJQL(jql));
+  } catch {
+    return String(jql).trim().replace(/\s+/g, " ");
+  }
+}
+
+function listKey(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return list
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .sort()
+    .join(",");
+}
+
+export class JiraClient {
+  constructor({ http, sleep: wait = sleep, logger = console, ...options }) {
+    this.http = http;
+    this.sleep = wait;
+    this.logger = logger;
+    this.options = { ...DEFAULTS, ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)) };
+  }
+
+  // The same client reading around the cache (fresh data is still stored for later requests)
+  withCacheBypass() {
+    return new JiraClient({ http: this.http, sleep: this.sleep, logger: this.logger, ...this.options, bypassCache: true });
+  }
+
+  // Cache `load` under `key` for the TTL configured for `kind`. Keys are scoped per credentials,
+  // since two users may not be allowed to see the same issues.
+  cached(kind, key, load) {
+    const { cache, cacheScope, cacheTtls, bypassCache } = this.options;
+    if (!cache || !cacheTtls[kind]) return load();
+
+    return cache.wrap(`jira|${cacheScope}|${kind}|${key}`, cacheTtls[kind], load, { bypass: bypassCache });
+  }
+
+  // How long to wait before retrying a failed request, or null if it shouldn't be retried
+  retryDelay(error, method, attempt) {
+    if (attempt >= this.options.maxRetries) return null;
+
+    const status = error.response?.status;
+    const retryable = status ? RETRYABLE_STATUSES.has(status) : RETRYABLE_ERROR_CODES.has(error.code);
+    if (!retryable || (status !== 429 && !IDEMPOTENT_METHODS.has(method))) return null;
+
+    const retryAfter = parseRetryAfter(error.response?.headers?.["retry-after"]);
+    if (retryAfter !== null) {
+      // Retrying earlier than Jira asked would only be rejected again
+      return retryAfter <= this.options.maxRetryDelayMs ? retryAfter : null;
+    }
+
+    const backoff = this.options.retryBaseMs * 2 ** attempt;
+    return Math.min(backoff + Math.random() * this.options.retryBaseMs, this.options.maxRetryDelayMs);
+  }
+
+  // Send a request, retrying rate-limited and transient failures. Resolves to the axios response.
+  // Successful writes clear the cache so nobody reads results from before the change.
+  async request({ invalidatesCache, ...config }) {
+    const method = (config.method || "get").toLowerCase();
+
+    for (let attempt = 0; ; attempt++) {
+      const started = Date.now();
+      try {
+        const response = await this.http.request({ ...config, method });
+        this.log(method, config.url, response.status, started, attempt);
+
+        if (this.options.cache && (invalidatesCache ?? method !== "get")) {
+          this.options.cache.clear();
+        }
+        return response;
+      } catch (error) {
+        this.log(method, config.url, error.response?.status || error.code || "failed", started, attempt);
+
+        const delay = this.retryDelay(error, method, attempt);
+        if (delay === null) throw error;
+
+        this.logger.log(`Retrying Jira ${method.toUpperCase()} ${config.url} in ${Math.round(delay)}ms`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  log(method, url, status, started, attempt) {
+    if (!this.options.logRequests) return;
+    const retry = attempt > 0 ? ` (retry ${attempt})` : "";
+    this.logger.log(`Jira ${method.toUpperCase()} ${url} -> ${status} in ${Date.now() - started}ms${retry}`);
+  }
+
+  get(url, config = {}) {
+    return this.request({ ...config, method: "get", url });
+  }
+
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: "post", url, data });
+  }
+
+  put(url, data, config = {}) {
+    return this.request({ ...config, method: "put", url, data });
+  }
+
+  // Run a JQL search, following startAt or nextPageToken pages until `maxResults` issues (default:
+  // the configured ceiling) are collected. Resolves to { issues, total, startAt, maxResults, truncated }.
+  search(jql, { fields, expand, maxResults = this.options.maxResults, pageSize = this.options.pageSize } = {}) {
+    const limit = Math.min(maxResults, this.options.maxResults);
+    const key = `${normalizeJqlKey(jql)}|fields=${listKey(fields)}|expand=${listKey(expand)}|max=${limit}`;
+    return this.cached("search", key, () => this.searchPages(jql, { fields, expand, limit, pageSize }));
+  }
+
+  async searchPages(jql, { fields, expand, limit, pageSize }) {
+    const issues = [];
+    let total = null;
+    let nextPageToken;
+    let done = false;
+
+    while (!done && issues.length < limit) {
+      const params = { jql, maxResults: Math.min(pageSize, limit - issues.length), fields: joinList(fields), expand: joinList(expand) };
+      if (nextPageToken) params.nextPageToken = nextPageToken;
+      else params.startAt = issues.length;
+
+      const { data } = await this.get(this.options.searchPath, { params });
+      const page = data.issues || [];
+      issues.push(...page);
+
+      if (typeof data.total === "number") total = data.total;
+      nextPageToken = data.nextPageToken;
+
+      // Classic search pages by startAt and reports a total; enhanced search hands out page tokens
+      done = page.length === 0 || data.isLast === true || (typeof data.total === "number" ? issues.length >= data.total : !nextPageToken);
+    }
+
+    const truncated = !done;
+    if (total === null) {
+      total = truncated ? await this.count(jql) : issues.length;
+    }
+
+    return { startAt: 0, maxResults: limit, total, issues: issues.slice(0, limit), truncated };
+  }
+
+  // Number of issues matching a JQL query, without fetching them
+  count(jql) {
+    return this.cached("count", normalizeJqlKey(jql), async () => {
+      if (usesEnhancedSearch(this.options.searchPath)) {
+        const { data } = await this.post("/rest/api/3/search/approximate-count", { jql }, { invalidatesCache: false });
+        return data.count;
+      }
+
+      const { data } = await this.get(this.options.searchPath, { params: { jql, maxResults: 0 } });
+      return data.total;
+    });
+  }
+
+  // Collect every item of a startAt-paged resource (e.g. agile boards, sprints and sprint issues)
+  async paginate(url, { params = {}, itemsKey = "values", maxResults = this.options.maxResults } = {}) {
+    const items = [];
+
+    while (items.length < maxResults) {
+      const { data } = await this.get(url, { params: { ...params, startAt: items.length, maxResults: Math.min(this.options.pageSize, maxResults - items.length) } });
+      const page = data[itemsKey] || [];
+      items.push(...page);
+
+      const reachedTotal = typeof data.total === "number" && items.length >= data.total;
+      if (page.length === 0 || data.isLast === true || reachedTotal) break;
+    }
+
+    return items.slice(0, maxResults);
+  }
+
+  // One issue with the chosen fields and expansions (e.g. expand: ["changelog"])
+  getIssue(issueKey, { fields, expand } = {}) {
+    const key = `${String(issueKey).toUpperCase()}|fields=${listKey(fields)}|expand=${listKey(expand)}`;
+    return this.cached("issue", key, async () => {
+      const { data } = await this.get(`/rest/api/3/issue/${issueKey}`, { params: { fields: joinList(fields), expand: joinList(expand) } });
+      return data;
+    });
+  }
+
+  // Everyone who can be assigned issues in a project. The endpoint pages by startAt but returns a
+  // bare list, so a short page is the last one.
+  assignableUsers(projectKey, { maxResults = this.options.maxResults } = {}) {
+    return this.cached("users", `${String(projectKey).toUpperCase()}|max=${maxResults}`, async () => {
+      const users = [];
+
+      while (users.length < maxResults) {
+        const pageSize = Math.min(this.options.pageSize, maxResults - users.length);
+        const { data } = await this.get("/rest/api/3/user/assignable/search", { params: { project: projectKey, startAt: users.length, maxResults: pageSize } });
+        users.push(...data);
+        if (data.length < pageSize) break;
+      }
+
+      return users.slice(0, maxResults);
+    });
+  }
+}
+
+// The enhanced search endpoint doesn't report totals, so counts use its approximate-count endpoint
+function usesEnhancedSearch(searchPath) {
+  return /\/search\/jql$/.test(searchPath);
+}
+
+// credentials: { type: "basic", baseUrl, email, apiToken } or { type: "oauth", cloudId, accessToken }.
+// options: maxRetries, retryBaseMs, maxRetryDelayMs, maxResults, pageSize, searchPath, logRequests,
+// cache (a TtlCache), cacheScope, cacheTtls ({ count, search, issue, users } in ms) and bypassCache.
+export function createJiraClient(credentials, { apiUrl = ATLASSIAN_API_URL, ...options } = {}) {
+  const http =
+    credentials.type === "oauth"
+      ? // OAuth apps reach the site through the Atlassian API gateway, addressed by cloud id
+        axios.create({
+          baseURL: `${apiUrl}/ex/jira/${credentials.cloudId}`,
+          headers: { Authorization: `Bearer ${credentials.accessToken}` },
+        })
+      : axios.create({
+          baseURL: credentials.baseUrl,
+          auth: { username: credentials.email, password: credentials.apiToken },
+        });
+
+  return new JiraClient({ http, ...options });
+}
@@ -0,0 +1,66 @@
+// Atlassian OAuth 2.0 (3LO) authorization code flow.
+// See https://developer.atlassian.com/cloud/jira/platform/oauth-2-3lo-apps/
+import axios from "axios";
+import { ATLASSIAN_API_URL } from "./jiraClient.js";
+
+const AUTH_URL = "https://auth.atlassian.com";
+
+// offline_access is needed for a refresh token, so users don't have to log in every hour
+export const DEFAULT_SCOPES = ["read:jira-work", "write:jira-work", "read:jira-user", "offline_access"];
+
+function toTokens(data) {
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token,
+    expiresAt: new Date(Date.now() + data.expires_in * 1000).toISOString(),
+  };
+}
+
+// Where to send the user to grant access
+export function authorizationUrl({ clientId, redirectUri, state, scopes = DEFAULT_SCOPES, authUrl = AUTH_URL }) {
+  const params = new URLSearchParams({
+    audience: "api.atlassian.com",
+    client_id: clientId,
+    scope: scopes.join(" "),
+    redirect_uri: redirectUri,
+    state,
+    response_type: "code",
+    prompt: "consent",
+  });
+  return `${authUrl}/authorize?${params}`;
+}
+
+// Trade the code from the callback for access and refresh tokens
+export async function exchangeCode({ clientId, clientSecret, redirectUri, code, authUrl = AUTH_URL }) {
+  const { data } = await axios.post(`${authUrl}/oauth/token`, {
+    grant_type: "authorization_code",
+    client_id: clientId,
+    client_secret: clientSecret,
+    code,
+    redirect_uri: redirectUri,
+  });
+  return toTokens(data);
+}
+
+// Get a new access token. Atlassian rotates refresh tokens, so the returned one replaces the old.
+export async function refreshAccessToken({ clientId, clientSecret, refreshToken, authUrl = AUTH_URL }) {
+  const { data } = await axios.post(`${authUrl}/oauth/token`, {
+    grant_type: "refresh_token",
+    client_id: clientId,
+    client_secret: clientSecret,
+    refresh_token: refreshToken,
+  });
+  return { ...toTokens(data), refreshToken: data.refresh_token || refreshToken };
+}
+
+// Cloud id of the configured Jira site, or null when the token doesn't grant access to it. A grant
+// for other sites only isn't enough: their cloud ids are other tenants.
+export async function findCloudId(accessToken, siteUrl, { apiUrl = ATLASSIAN_API_URL } = {}) {
+  const { data: resources } = await axios.get(`${apiUrl}/oauth/token/accessible-resources`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+
+  const normalize = (url) => String(url || "").replace(/\/+$/, "").toLowerCase();
+  const site = resources.find((resource) => normalize(resource.url) === normalize(siteUrl));
+  return site ? site.id : null;
+}
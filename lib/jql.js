@@ -0,0 +1,715 @@
+// JQL tokenizer, parser and validator.
+// Parses a JQL string into an AST, checks field names, operators and functions against what
+// Jira accepts, enforces the project clause and serializes the AST back into normalized JQL.
+
+// Raised for syntax errors; `position` is the character offset the error refers to
+export class JqlError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = "JqlError";
+    this.position = position;
+  }
+}
+
+// Field name -> field type. Types drive which operators are allowed.
+const FIELDS = {
+  project: "project",
+  key: "key",
+  issuekey: "key",
+  id: "key",
+  parent: "key",
+  summary: "text",
+  description: "text",
+  environment: "text",
+  comment: "text",
+  text: "text",
+  status: "enum",
+  statuscategory: "enum",
+  priority: "ordered",
+  resolution: "enum",
+  issuetype: "enum",
+  type: "enum",
+  labels: "enum",
+  component: "enum",
+  fixversion: "ordered",
+  affectedversion: "ordered",
+  sprint: "enum",
+  "epic link": "key",
+  assignee: "user",
+  reporter: "user",
+  creator: "user",
+  watcher: "user",
+  voter: "user",
+  created: "date",
+  createddate: "date",
+  updated: "date",
+  updateddate: "date",
+  resolved: "date",
+  resolutiondate: "date",
+  duedate: "date",
+  due: "date",
+  lastviewed: "date",
+  statuscategorychangeddate: "date",
+  votes: "number",
+  watchers: "number",
+  rank: "ordered",
+  timespent: "number",
+  originalestimate: "number",
+  remainingestimate: "number",
+  workratio: "number",
+};
+
+// Fields Jira keeps history for, usable with WAS and CHANGED
+const HISTORY_FIELDS = new Set(["assignee", "fixversion", "priority", "reporter", "resolution", "status"]);
+
+const FUNCTIONS = new Set(
+  [
+    "openSprints",
+    "closedSprints",
+    "futureSprints",
+    "now",
+    "startOfDay",
+    "endOfDay",
+    "startOfWeek",
+    "endOfWeek",
+    "startOfMonth",
+    "endOfMonth",
+    "startOfYear",
+    "endOfYear",
+    "currentUser",
+    "currentLogin",
+    "lastLogin",
+    "membersOf",
+    "issueHistory",
+    "updatedBy",
+    "linkedIssues",
+    "watchedIssues",
+    "votedIssues",
+    "standardIssueTypes",
+    "subtaskIssueTypes",
+    "releasedVersions",
+    "unreleasedVersions",
+    "latestReleasedVersion",
+    "earliestUnreleasedVersion",
+    "componentsLeadByUser",
+  ].map((name) => name.toLowerCase())
+);
+
+const KEYWORDS = new Set(["and", "or", "not", "in", "is", "was", "changed", "empty", "null", "order", "by", "asc", "desc", "limit"]);
+const HISTORY_PREDICATES = new Set(["after", "before", "by", "during", "on", "from", "to"]);
+const COMPARISON_OPERATORS = new Set([">", ">=", "<", "<="]);
+const TEXT_OPERATORS = new Set(["~", "!~"]);
+const LIST_OPERATORS = new Set(["in", "not in", "was in", "was not in"]);
+
+// Split a JQL string into string, word, operator and punctuation tokens
+export function tokenizeJQL(jql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < jql.length) {
+    const char = jql[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === "(" || char === ")" || char === ",") {
+      const type = char === "(" ? "lparen" : char === ")" ? "rparen" : "comma";
+      tokens.push({ type, value: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const start = i;
+      let value = "";
+      i++;
+      while (i < jql.length && jql[i] !== char) {
+        if (jql[i] === "\\" && i + 1 < jql.length) i++;
+        value += jql[i];
+        i++;
+      }
+      if (i >= jql.length) {
+        throw new JqlError(`Unterminated string starting at position ${start}`, start);
+      }
+      i++;
+      tokens.push({ type: "string", value, position: start });
+      continue;
+    }
+
+    const twoChars = jql.slice(i, i + 2);
+    if (twoChars === "!=" || twoChars === ">=" || twoChars === "<=" || twoChars === "!~") {
+      tokens.push({ type: "operator", value: twoChars, position: i });
+      i += 2;
+      continue;
+    }
+
+    if (char === "=" || char === ">" || char === "<" || char === "~") {
+      tokens.push({ type: "operator", value: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === "!") {
+      throw new JqlError(`Unexpected '!' at position ${i}; use != or !~`, i);
+    }
+
+    const start = i;
+    while (i < jql.length && !/[\s()",'=!<>~]/.test(jql[i])) i++;
+    tokens.push({ type: "word", value: jql.slice(start, i), position: start });
+  }
+
+  tokens.push({ type: "eof", value: "", position: jql.length });
+  return tokens;
+}
+
+// Recursive-descent parser over the token list
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== "eof") this.index++;
+    return token;
+  }
+
+  isKeyword(token, keyword) {
+    return token.type === "word" && token.value.toLowerCase() === keyword;
+  }
+
+  acceptKeyword(keyword) {
+    if (this.isKeyword(this.peek(), keyword)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  expect(type, description) {
+    const token = this.peek();
+    if (token.type !== type) {
+      throw this.unexpected(token, description);
+    }
+    return this.next();
+  }
+
+  // Build an error for an unexpected token, with targeted hints for the mistakes models make most
+  unexpected(token, expected) {
+    if (token.type === "eof") {
+      return new JqlError(`Unexpected end of query; expected ${expected}`, token.position);
+    }
+    if (this.isKeyword(token, "limit")) {
+      return new JqlError("LIMIT is not supported in JQL; use ORDER BY and let the API limit the results", token.position);
+    }
+    if (token.type === "comma") {
+      return new JqlError(`Unexpected ',' at position ${token.position}; join conditions with AND or OR`, token.position);
+    }
+    return new JqlError(`Unexpected '${token.value}' at position ${token.position}; expected ${expected}`, token.position);
+  }
+
+  parseQuery() {
+    let where = null;
+    const orderBy = [];
+
+    if (this.peek().type !== "eof" && !this.isKeyword(this.peek(), "order")) {
+      where = this.parseOr();
+    }
+
+    if (this.acceptKeyword("order")) {
+      if (!this.acceptKeyword("by")) {
+        throw this.unexpected(this.peek(), "BY after ORDER");
+      }
+
+      do {
+        const fieldToken = this.peek();
+        if (fieldToken.type !== "word" && fieldToken.type !== "string") {
+          throw this.unexpected(fieldToken, "a field to order by");
+        }
+        this.next();
+
+        let direction = null;
+        if (this.acceptKeyword("asc")) direction = "ASC";
+        else if (this.acceptKeyword("desc")) direction = "DESC";
+
+        orderBy.push({ field: this.fieldFromToken(fieldToken), direction });
+      } while (this.peek().type === "comma" && this.next());
+    }
+
+    if (this.peek().type !== "eof") {
+      throw this.unexpected(this.peek(), "AND, OR or ORDER BY");
+    }
+
+    return { where, orderBy };
+  }
+
+  parseOr() {
+    const clauses = [this.parseAnd()];
+    while (this.acceptKeyword("or")) {
+      clauses.push(this.parseAnd());
+    }
+    return clauses.length === 1 ? clauses[0] : { type: "or", clauses };
+  }
+
+  parseAnd() {
+    const clauses = [this.parseNot()];
+    while (this.acceptKeyword("and")) {
+      clauses.push(this.parseNot());
+    }
+    return clauses.length === 1 ? clauses[0] : { type: "and", clauses };
+  }
+
+  parseNot() {
+    // NOT IN belongs to a clause, so only treat NOT as negation when it starts an expression
+    if (this.isKeyword(this.peek(), "not")) {
+      this.next();
+      return { type: "not", clause: this.parseNot() };
+    }
+
+    if (this.peek().type === "lparen") {
+      this.next();
+      const expression = this.parseOr();
+      this.expect("rparen", "')'");
+      return expression;
+    }
+
+    return this.parseClause();
+  }
+
+  fieldFromToken(token) {
+    return { name: token.value, quoted: token.type === "string", position: token.position };
+  }
+
+  parseClause() {
+    const fieldToken = this.peek();
+    if (fieldToken.type === "string" || (fieldToken.type === "word" && !KEYWORDS.has(fieldToken.value.toLowerCase()))) {
+      this.next();
+    } else {
+      throw this.unexpected(fieldToken, "a field name");
+    }
+
+    const field = this.fieldFromToken(fieldToken);
+    const operatorToken = this.peek();
+    const operator = this.parseOperator(field);
+    const clause = { type: "clause", field, operator, position: operatorToken.position, value: null, predicates: [] };
+
+    if (operator !== "changed") {
+      clause.value = this.parseValue(operator);
+      this.rejectLooseWord(clause.value);
+    }
+
+    // History predicates: status WAS "Done" BEFORE "2024-01-01", status CHANGED TO "Done" AFTER -7d
+    while (this.peek().type === "word" && HISTORY_PREDICATES.has(this.peek().value.toLowerCase())) {
+      const predicateToken = this.next();
+      const name = predicateToken.value.toUpperCase();
+      const value = name === "DURING" ? this.parseList() : this.parseOperand();
+      clause.predicates.push({ name, value, position: predicateToken.position });
+    }
+
+    return clause;
+  }
+
+  parseOperator(field) {
+    const token = this.peek();
+
+    if (token.type === "operator") {
+      this.next();
+      return token.value;
+    }
+
+    if (this.acceptKeyword("in")) return "in";
+    if (this.acceptKeyword("changed")) return "changed";
+
+    if (this.acceptKeyword("not")) {
+      if (this.acceptKeyword("in")) return "not in";
+      throw this.unexpected(this.peek(), "IN after NOT");
+    }
+
+    if (this.acceptKeyword("is")) {
+      return this.acceptKeyword("not") ? "is not" : "is";
+    }
+
+    if (this.acceptKeyword("was")) {
+      const negated = Boolean(this.acceptKeyword("not"));
+      const list = Boolean(this.acceptKeyword("in"));
+      return `was${negated ? " not" : ""}${list ? " in" : ""}`;
+    }
+
+    throw this.unexpected(token, `an operator after field '${field.name}'`);
+  }
+
+  parseValue(operator) {
+    if (operator === "is" || operator === "is not") {
+      const token = this.peek();
+      if (this.isKeyword(token, "empty") || this.isKeyword(token, "null")) {
+        this.next();
+        return { type: "empty" };
+      }
+      throw this.unexpected(token, `EMPTY or NULL after ${operator.toUpperCase()}`);
+    }
+
+    if (LIST_OPERATORS.has(operator)) {
+      // Functions returning lists are allowed here as well: sprint in openSprints()
+      if (this.peek().type === "word" && this.peek(1).type === "lparen") {
+        return this.parseOperand();
+      }
+      return this.parseList();
+    }
+
+    return this.parseOperand();
+  }
+
+  parseList() {
+    const start = this.expect("lparen", "'(' to start a list");
+    const values = [];
+
+    if (this.peek().type !== "rparen") {
+      do {
+        values.push(this.parseOperand());
+      } while (this.peek().type === "comma" && this.next());
+    }
+
+    this.expect("rparen", "',' or ')' in the list");
+
+    if (values.length === 0) {
+      throw new JqlError(`Empty list at position ${start.position}`, start.position);
+    }
+
+    return { type: "list", values };
+  }
+
+  parseOperand() {
+    const token = this.peek();
+
+    if (token.type === "string") {
+      this.next();
+      return { type: "string", value: token.value, position: token.position };
+    }
+
+    if (token.type === "word") {
+      const lower = token.value.toLowerCase();
+
+      if (lower === "empty" || lower === "null") {
+        this.next();
+        return { type: "empty" };
+      }
+
+      if (KEYWORDS.has(lower)) {
+        // `status = In Progress`: the first word of an unquoted value happens to be a keyword
+        const following = this.peek(1);
+        if (following.type === "word" && !KEYWORDS.has(following.value.toLowerCase())) {
+          throw new JqlError(
+            `Unexpected '${token.value}' at position ${token.position}; quote values that contain spaces, e.g. "${token.value} ${following.value}"`,
+            token.position
+          );
+        }
+        throw this.unexpected(token, "a value");
+      }
+
+      this.next();
+
+      if (this.peek().type === "lparen") {
+        this.next();
+        const args = [];
+        if (this.peek().type !== "rparen") {
+          do {
+            args.push(this.parseOperand());
+          } while (this.peek().type === "comma" && this.next());
+        }
+        this.expect("rparen", "')' to close the function call");
+        return { type: "function", name: token.value, args, position: token.position };
+      }
+
+      return { type: "word", value: token.value, position: token.position };
+    }
+
+    throw this.unexpected(token, "a value");
+  }
+
+  // `status = In Progress` parses as `status = In` followed by a stray word; explain the missing quotes
+  rejectLooseWord(value) {
+    const token = this.peek();
+    if (token.type !== "word") return;
+
+    const lower = token.value.toLowerCase();
+    if (KEYWORDS.has(lower) || HISTORY_PREDICATES.has(lower)) return;
+
+    if (value && value.type === "word") {
+      throw new JqlError(
+        `Unexpected '${token.value}' after value '${value.value}' at position ${token.position}; quote values that contain spaces, e.g. "${value.value} ${token.value}"`,
+        token.position
+      );
+    }
+
+    throw this.unexpected(token, "AND, OR or ORDER BY");
+  }
+}
+
+// Parse JQL into { where, orderBy }. Throws JqlError on syntax errors.
+export function parseJQL(jql) {
+  const parser = new Parser(tokenizeJQL(String(jql || "")));
+  return parser.parseQuery();
+}
+
+// Levenshtein distance, used to suggest the field a typo was meant to be (and by userDirectory.js
+// for misspelled names)
+export function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+// Type of a field, or null when the field is unknown. Quoted names and cf[123] are custom fields.
+function fieldType(field) {
+  if (field.quoted) return FIELDS[field.name.toLowerCase()] || "custom";
+  if (/^cf\[\d+\]$/i.test(field.name)) return "custom";
+  return FIELDS[field.name.toLowerCase()] || null;
+}
+
+function checkOperand(operand, errors) {
+  if (!operand) return;
+
+  if (operand.type === "list") {
+    operand.values.forEach((value) => checkOperand(value, errors));
+    return;
+  }
+
+  if (operand.type === "function") {
+    if (!FUNCTIONS.has(operand.name.toLowerCase())) {
+      errors.push({ message: `Unknown function '${operand.name}()'`, position: operand.position });
+    }
+    operand.args.forEach((arg) => checkOperand(arg, errors));
+  }
+}
+
+function checkClause(clause, errors) {
+  const { field, operator } = clause;
+  const type = fieldType(field);
+
+  if (!type) {
+    const suggestion = Object.keys(FIELDS).find((name) => editDistance(name, field.name.toLowerCase()) <= 2);
+    errors.push({
+      message: `Unknown field '${field.name}'${suggestion ? `; did you mean '${suggestion}'?` : ""}`,
+      position: field.position,
+    });
+    return;
+  }
+
+  const operatorLabel = operator.toUpperCase();
+
+  if (type === "text" && !TEXT_OPERATORS.has(operator) && operator !== "is" && operator !== "is not") {
+    errors.push({ message: `Field '${field.name}' is a text field; use ~ or !~ instead of ${operatorLabel}`, position: clause.position });
+  }
+
+  if (TEXT_OPERATORS.has(operator) && type !== "text" && type !== "custom") {
+    errors.push({ message: `Operator ${operatorLabel} only works on text fields, not '${field.name}'`, position: clause.position });
+  }
+
+  if (COMPARISON_OPERATORS.has(operator) && !["date", "number", "ordered", "key", "custom"].includes(type)) {
+    errors.push({ message: `Operator ${operatorLabel} is not supported by the '${field.name}' field`, position: clause.position });
+  }
+
+  if ((operator.startsWith("was") || operator === "changed") && !HISTORY_FIELDS.has(field.name.toLowerCase())) {
+    errors.push({ message: `Field '${field.name}' has no history; ${operatorLabel} is not supported`, position: clause.position });
+  }
+
+  if (clause.predicates.length > 0 && !(operator.startsWith("was") || operator === "changed")) {
+    errors.push({ message: `${clause.predicates[0].name} can only follow WAS or CHANGED`, position: clause.predicates[0].position });
+  }
+
+  checkOperand(clause.value, errors);
+  clause.predicates.forEach((predicate) => checkOperand(predicate.value, errors));
+}
+
+function walkClauses(node, visit) {
+  if (!node) return;
+  if (node.type === "clause") visit(node);
+  else if (node.type === "not") walkClauses(node.clause, visit);
+  else node.clauses.forEach((child) => walkClauses(child, visit));
+}
+
+function isProjectClause(node) {
+  return node.type === "clause" && !node.field.quoted && node.field.name.toLowerCase() === "project";
+}
+
+// Build the project restriction clause for a set of project keys
+function projectClause(projectKeys) {
+  if (projectKeys.length === 1) {
+    return { type: "clause", field: { name: "project", quoted: false }, operator: "=", value: { type: "word", value: projectKeys[0] }, predicates: [] };
+  }
+
+  return {
+    type: "clause",
+    field: { name: "project", quoted: false },
+    operator: "in",
+    value: { type: "list", values: projectKeys.map((key) => ({ type: "word", value: key })) },
+    predicates: [],
+  };
+}
+
+// Check every project clause against the allow-list and make sure the top level is ANDed with one.
+// Mutates the query to add the restriction when it is missing.
+function enforceProjectScope(query, projectKeys, errors) {
+  const allowed = new Set(projectKeys.map((key) => key.toUpperCase()));
+
+  walkClauses(query.where, (clause) => {
+    if (!isProjectClause(clause)) return;
+
+    if (clause.operator !== "=" && clause.operator !== "in") {
+      errors.push({ message: "Projects can only be restricted with = or IN", position: clause.position });
+      return;
+    }
+
+    const values = clause.value.type === "list" ? clause.value.values : [clause.value];
+    for (const value of values) {
+      if (value.type !== "word" && value.type !== "string") {
+        errors.push({ message: "Projects must be listed by key", position: clause.position });
+      } else if (!allowed.has(value.value.toUpperCase())) {
+        errors.push({ message: `Project '${value.value}' is not allowed; use ${[...allowed].join(", ")}`, position: value.position });
+      }
+    }
+  });
+
+  const topLevel = !query.where ? [] : query.where.type === "and" ? query.where.clauses : [query.where];
+  if (!topLevel.some(isProjectClause)) {
+    const restriction = projectClause([...allowed]);
+    query.where = !query.where ? restriction : { type: "and", clauses: [restriction, ...topLevel] };
+  }
+}
+
+function formatString(value) {
+  return `"${value.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+function formatOperand(operand) {
+  switch (operand.type) {
+    case "string":
+      return formatString(operand.value);
+    case "word":
+      return operand.value;
+    case "empty":
+      return "EMPTY";
+    case "function":
+      return `${operand.name}(${operand.args.map(formatOperand).join(", ")})`;
+    case "list":
+      return `(${operand.values.map(formatOperand).join(", ")})`;
+    default:
+      return "";
+  }
+}
+
+function formatField(field) {
+  return field.quoted ? formatString(field.name) : field.name;
+}
+
+const PRECEDENCE = { or: 1, and: 2, not: 3, clause: 4 };
+
+function formatNode(node, parentPrecedence = 0) {
+  let text;
+
+  if (node.type === "clause") {
+    text = `${formatField(node.field)} ${node.operator.toUpperCase()}`;
+    if (node.value) text += ` ${formatOperand(node.value)}`;
+    for (const predicate of node.predicates) {
+      text += ` ${predicate.name} ${formatOperand(predicate.value)}`;
+    }
+  } else if (node.type === "not") {
+    text = `NOT ${formatNode(node.clause, PRECEDENCE.not)}`;
+  } else {
+    const joiner = node.type === "and" ? " AND " : " OR ";
+    text = node.clauses.map((child) => formatNode(child, PRECEDENCE[node.type])).join(joiner);
+  }
+
+  return PRECEDENCE[node.type] <= parentPrecedence ? `(${text})` : text;
+}
+
+// Serialize a parsed query back into JQL
+export function formatJQL(query) {
+  let jql = query.where ? formatNode(query.where) : "";
+
+  if (query.orderBy.length > 0) {
+    const order = query.orderBy.map(({ field, direction }) => (direction ? `${formatField(field)} ${direction}` : formatField(field))).join(", ");
+    jql += `${jql ? " " : ""}ORDER BY ${order}`;
+  }
+
+  return jql;
+}
+
+// Parse and validate JQL. With projectKeys, the query is also restricted to those projects.
+// Returns { valid, errors, jql } where jql is the normalized query when valid.
+export function validateJQL(jql, { projectKeys = [] } = {}) {
+  let query;
+  try {
+    query = parseJQL(jql);
+  } catch (error) {
+    if (error instanceof JqlError) {
+      return { valid: false, errors: [{ message: error.message, position: error.position }], jql: null };
+    }
+    throw error;
+  }
+
+  const errors = [];
+  walkClauses(query.where, (clause) => checkClause(clause, errors));
+  query.orderBy.forEach(({ field }) => {
+    if (!fieldType(field)) {
+      errors.push({ message: `Unknown field '${field.name}' in ORDER BY`, position: field.position });
+    }
+  });
+
+  if (projectKeys.length > 0) {
+    enforceProjectScope(query, projectKeys, errors);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    jql: errors.length === 0 ? formatJQL(query) : null,
+  };
+}
+
+// Render validation errors as a list the model can act on when retrying
+export function describeJqlErrors(errors) {
+  return errors.map((error) => `- ${error.message}`).join("\n");
+}
+
+// Rewrite the people a query names: `replace(operand)` is called with each value of a user field
+// (assignee = "Ana Lee", reporter IN (...), currentUser()) and of CHANGED BY, and returns the
+// operand to use instead or undefined to keep it. Throws JqlError if the query doesn't parse.
+export function mapUserValues(jql, replace) {
+  const query = parseJQL(jql);
+  const map = (operand) => (operand.type === "list" ? { ...operand, values: operand.values.map(map) } : (replace(operand) ?? operand));
+
+  walkClauses(query.where, (clause) => {
+    if (clause.value && fieldType(clause.field) === "user") clause.value = map(clause.value);
+    clause.predicates.filter((predicate) => predicate.name === "BY").forEach((predicate) => (predicate.value = map(predicate.value)));
+  });
+
+  return formatJQL(query);
+}
+
+// AND an extra condition onto an existing query, keeping the base query's ORDER BY unless the
+// condition brings its own. Throws JqlError if either part doesn't parse.
+export function refineJQL(baseJql, condition) {
+  const base = parseJQL(baseJql);
+  const extra = parseJQL(condition);
+
+  const clauses = [base.where, extra.where].filter(Boolean).flatMap((node) => (node.type === "and" ? node.clauses : [node]));
+  return formatJQL({
+    where: clauses.length === 0 ? null : clauses.length === 1 ? clauses[0] : { type: "and", clauses },
+    orderBy: extra.orderBy.length > 0 ? extra.orderBy : base.orderBy,
+  });
+}
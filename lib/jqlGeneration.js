@@ -0,0 +1,265 @@
+// JQL generation.
+// Standardized queries map straight to templates; anything else is written by the model, checked
+// with validateJQL and corrected from the exact validation or Jira errors a bounded number of times
+// before falling back to a template.
+import { validateJQL, describeJqlErrors } from "./jql.js";
+import { dateRangeJql, parseDateRange } from "./dateRanges.js";
+
+// How many times the model may correct JQL that failed validation before we fall back to a template
+const MAX_JQL_VALIDATION_RETRIES = 2;
+
+// How many times the model may repair JQL that Jira rejected before we fall back to a template
+export const MAX_JQL_REPAIR_ATTEMPTS = 2;
+
+// Enhanced fallback JQL generator
+export function fallbackGenerateJQL(query, intent, scope) {
+  const safeJqlTemplates = scope.templates;
+
+  // Look for keywords to determine the right fallback
+  query = query.toLowerCase();
+
+  // Try to match intent to a safe template first
+  if (intent === "PROJECT_STATUS") return safeJqlTemplates.PROJECT_STATUS;
+  if (intent === "TIMELINE") return safeJqlTemplates.TIMELINE;
+  if (intent === "BLOCKERS") return safeJqlTemplates.BLOCKERS;
+  if (intent === "TASK_LIST" && /open|active|current/i.test(query)) return safeJqlTemplates.OPEN_TASKS;
+  if (intent === "TASK_LIST" && /closed|completed|done|resolved/i.test(query)) return safeJqlTemplates.CLOSED_TASKS;
+  if (intent === "TASK_LIST" && /high|important|critical|priority/i.test(query)) return safeJqlTemplates.HIGH_PRIORITY;
+  if (intent === "TASK_LIST" && /unassigned|without assignee/i.test(query)) return safeJqlTemplates.UNASSIGNED_TASKS;
+  if (intent === "ASSIGNED_TASKS") return safeJqlTemplates.ASSIGNED_TASKS;
+  if (intent === "SPRINT") return safeJqlTemplates.CURRENT_SPRINT;
+  if (intent === "WORKLOAD") return safeJqlTemplates.ASSIGNED_TASKS;
+
+  // If no intent match, look for keywords in the query
+  if (/timeline|deadline|due|schedule/i.test(query)) return safeJqlTemplates.TIMELINE;
+  if (/blocker|blocking|impediment|risk/i.test(query)) return safeJqlTemplates.BLOCKERS;
+  if (/high|priority|important|urgent|critical/i.test(query)) return safeJqlTemplates.HIGH_PRIORITY;
+  if (/open|active|current/i.test(query) && /task|issue|ticket/i.test(query)) return safeJqlTemplates.OPEN_TASKS;
+  if (/closed|completed|done|resolved/i.test(query)) return safeJqlTemplates.CLOSED_TASKS;
+  if (/assign|work|responsible/i.test(query)) return safeJqlTemplates.ASSIGNED_TASKS;
+  if (/recent|latest|new|update/i.test(query)) return safeJqlTemplates.RECENT_UPDATES;
+  if (/sprint/i.test(query)) return safeJqlTemplates.CURRENT_SPRINT;
+
+  // Default fallback
+  return safeJqlTemplates.PROJECT_STATUS;
+}
+
+// Words that don't narrow a search beyond its dates ("which tickets were created last week?")
+const DATE_QUESTION_FILLER =
+  /\b(?:what|which|show|list|find|me|all|the|any|issues?|tickets?|tasks?|stories|items?|work|were|was|is|are|be|been|got|get|have|has|had|did|do|does|we|our|us|there|that|due|deadlines?|created|opened|raised|reported|filed|logged|resolved?|closed?|completed|finished|fixed|shipped|updated|modified|touched)\b|what's|'s|[?.!,]/gi;
+
+// Whether a question asks for nothing but issues in a date range
+function asksOnlyForDates(query, range) {
+  return query.toLowerCase().replace(range.label.toLowerCase(), " ").replace(DATE_QUESTION_FILLER, " ").trim() === "";
+}
+
+// The people in a query for the prompt: '"John" is John Smith (accountId "acc-1")'
+const describePeople = (people) =>
+  people.map(({ mention, displayName, accountId }) => `"${mention}" is ${displayName} (accountId "${accountId}")`).join("; ");
+
+// Enhanced JQL generator with more nuanced query understanding. `draftJql` is the JQL the query
+// analysis proposed; it is used when it validates and otherwise corrected like any generated JQL.
+// Dates in the query are read in `timeZone` (dateRanges.js) rather than left to the model, and
+// `people` are the accounts the names in it resolved to (userDirectory.js).
+export async function generateJQL(llm, query, intent, scope, draftJql = null, { timeZone, now = new Date(), people = [] } = {}) {
+  const safeJqlTemplates = scope.templates;
+
+  try {
+    // First, check for pre-defined templates based on standardized queries
+    if (query === "show project status") return safeJqlTemplates.PROJECT_STATUS;
+    if (query === "show project timeline") return safeJqlTemplates.TIMELINE;
+    if (query === "show upcoming deadlines") return safeJqlTemplates.TIMELINE_UPCOMING;
+    if (query === "show project blockers") return safeJqlTemplates.BLOCKERS;
+    if (query === "show high risk items") return safeJqlTemplates.HIGH_PRIORITY;
+    if (query === "show team workload") return safeJqlTemplates.ASSIGNED_TASKS;
+    if (query === "show open tasks") return safeJqlTemplates.OPEN_TASKS;
+    if (query === "show closed tasks") return safeJqlTemplates.CLOSED_TASKS;
+    if (query === "show high priority tasks") return safeJqlTemplates.HIGH_PRIORITY;
+    if (query === "show unassigned tasks") return safeJqlTemplates.UNASSIGNED_TASKS;
+    if (query === "show recent updates") return safeJqlTemplates.RECENT_UPDATES;
+    if (query === "show current sprint") return safeJqlTemplates.CURRENT_SPRINT;
+    if (query === "show most recently updated task") return safeJqlTemplates.MOST_RECENT_TASK;
+
+    // Check for specific issue key
+    const issueKeyPattern = new RegExp(`^\\s*${scope.issueKeyPattern}\\s*$`, "i");
+    if (issueKeyPattern.test(query)) {
+      const cleanKey = query.trim();
+      console.log("Direct issue key detected:", cleanKey);
+      return `key = "${cleanKey}"`;
+    }
+
+    // Check if the query contains a JIRA issue key within it
+    const containsIssueKey = new RegExp(scope.issueKeyPattern, "i");
+    const matches = query.match(containsIssueKey);
+    if (matches && matches.length > 0) {
+      const issueKey = matches[0].toUpperCase();
+      console.log("Issue key found in query:", issueKey);
+      return `key = "${issueKey}"`;
+    }
+
+    // Date ranges have one right answer: "created last week" is a fixed set of days. A question
+    // about nothing else gets its JQL directly; otherwise the model must use the same condition.
+    const range = parseDateRange(query, { now, timeZone });
+    const dateCondition = range?.field && !range.sprint ? dateRangeJql(range, { now, timeZone }) : null;
+    if (dateCondition && asksOnlyForDates(query, range)) {
+      return `${scope.clause} AND ${dateCondition} ORDER BY ${range.field} ${range.field === "duedate" ? "ASC" : "DESC"}`;
+    }
+    if (dateCondition && draftJql && !draftJql.includes(dateCondition)) {
+      draftJql = null;
+    }
+
+    // Use intent-based templates for some common intents
+    if (intent === "CONVERSATION" || intent === "GREETING") {
+      return safeJqlTemplates.RECENT_UPDATES;
+    }
+
+    if (intent === "SPRINT") {
+      return safeJqlTemplates.CURRENT_SPRINT;
+    }
+
+    if (intent === "PROJECT_STATUS") {
+      return safeJqlTemplates.PROJECT_STATUS;
+    }
+
+    // Special case for recent/latest task queries
+    if (/recent|latest|most recent|last|newest/i.test(query) && /edited|updated|modified|changed|task/i.test(query)) {
+      return safeJqlTemplates.MOST_RECENT_TASK;
+    }
+
+    // Enhanced system prompt for JQL generation
+    const systemPrompt = `
+      You are a specialized AI that converts natural language into precise Jira Query Language (JQL).
+      Your task is to generate ONLY valid JQL that will work correctly with Jira.
+      
+      VERY IMPORTANT RULES:
+      1. Always add "${scope.clause}" to all JQL queries and never query other projects
+      2. Return ONLY the JQL query, nothing else. No explanations or additional text.
+      3. ALWAYS use double quotes for field values containing spaces
+      4. NEVER use commas outside of parentheses except in IN clauses - use AND or OR instead
+      5. NEVER use "LIMIT" in JQL - if quantity limiting is needed, use ORDER BY instead
+      6. For queries about recent/latest items, use "ORDER BY updated DESC" or "ORDER BY created DESC"
+      7. Ensure all special characters and reserved words are properly escaped
+      8. For multiple values in an IN statement, format like: status IN ("Open", "In Progress")
+      9. Avoid complex syntax with unclear operators
+      10. Avoid any syntax that might cause this error: "Expecting operator but got ','"
+      
+      Common valid JQL patterns:
+      - status = "In Progress"
+      - assignee = currentUser()
+      - ${scope.clause} AND status IN ("Open", "In Progress")
+      - ${scope.clause} AND priority = "High" AND assignee IS NOT EMPTY
+      - ${scope.clause} AND labels = "frontend" AND status != "Done"
+      - ${scope.clause} AND created >= -7d
+      
+      FORBIDDEN PATTERNS:
+      - AVOID: status = open, priority = high  ← NO COMMAS between conditions, missing quotes
+      - AVOID: status = "open", updated = "2023-01-01"  ← NO COMMAS between conditions
+      - AVOID: project, status = open  ← Invalid syntax, missing operators
+      - AVOID: LIMIT 5  ← Never use LIMIT keyword
+      - AVOID: ORDER BY status DESC LIMIT 10  ← Never use LIMIT keyword
+      
+      CORRECT PATTERNS:
+      - ${scope.clause} AND status = "Open" AND assignee = "<accountId>"
+      - ${scope.clause} AND (status = "Open" OR status = "In Progress")
+      - ${scope.clause} AND status IN ("Open", "In Progress")
+      
+      Generate a valid JQL query based on the user's intent: ${intent} and query: "${query}".
+      ${dateCondition ? `The dates in the query mean exactly: ${dateCondition}. Use that condition as written.` : ""}
+      ${people.length > 0 ? `Jira only accepts accountIds for people. ${describePeople(people)}. Use these accountIds in assignee, reporter and other user fields.` : ""}
+    `;
+
+    const messages = [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: `Convert this to precise JQL: "${query}"` },
+    ];
+
+    let draft = draftJql && cleanGeneratedJQL(draftJql);
+    for (let attempt = 0; attempt <= MAX_JQL_VALIDATION_RETRIES; attempt++) {
+      const jqlQuery = draft || cleanGeneratedJQL(await llm.complete("jql", { messages }));
+      draft = null;
+      console.log("Generated JQL:", jqlQuery);
+
+      // Parse and validate the AI-generated JQL, restricting it to the request's projects
+      const validation = validateJQL(jqlQuery, { projectKeys: scope.keys });
+      if (validation.valid) {
+        console.log("Validated JQL:", validation.jql);
+        return validation.jql;
+      }
+
+      // Feed the precise errors back so the model can correct its own query
+      console.log("Generated JQL failed validation:", validation.errors);
+      messages.push(
+        { role: "assistant", content: jqlQuery },
+        {
+          role: "user",
+          content: `That JQL is invalid:\n${describeJqlErrors(validation.errors)}\n\nReturn only the corrected JQL.`,
+        }
+      );
+    }
+
+    console.log("Giving up on generated JQL, using a template instead");
+    return fallbackGenerateJQL(query, intent, scope);
+  } catch (error) {
+    console.error("Error generating JQL:", error);
+    // Use the enhanced fallback JQL generator
+    return fallbackGenerateJQL(query, intent, scope);
+  }
+}
+
+// Ask the model to repair JQL that Jira (or our validator) rejected, using the exact error messages.
+// Returns { valid, jql, errors } or null when the model could not be reached.
+export async function repairJQL(llm, query, intent, failedJql, errorMessages, scope) {
+  const systemPrompt = `
+    You fix Jira Query Language (JQL) queries that Jira rejected.
+    You get the user's question, the JQL that failed and the error messages Jira returned.
+    
+    Rules:
+    1. Return ONLY the corrected JQL query, nothing else
+    2. Keep "${scope.clause}" in the query and never query other projects
+    3. Change only what the errors point at and keep the rest of the query's meaning
+    4. If a field or value does not exist, drop that condition rather than guessing a new one
+    5. NEVER use "LIMIT" and never join conditions with commas
+  `;
+
+  try {
+    const response = await llm.complete("jql", {
+      messages: [
+        { role: "system", content: systemPrompt },
+        {
+          role: "user",
+          content:
+            `Question: "${query}"\nIntent: ${intent}\nFailed JQL: ${failedJql}\n` +
+            `Errors:\n${errorMessages.map((message) => `- ${message}`).join("\n")}`,
+        },
+      ],
+    });
+
+    const jql = cleanGeneratedJQL(response);
+    const validation = validateJQL(jql, { projectKeys: scope.keys });
+
+    return validation.valid
+      ? { valid: true, jql: validation.jql, errors: [] }
+      : { valid: false, jql, errors: validation.errors.map((error) => error.message) };
+  } catch (error) {
+    console.error("Error repairing JQL:", error);
+    return null;
+  }
+}
+
+// Pull Jira's own error messages out of a failed search request
+export function getJiraErrorMessages(error) {
+  const data = error.response?.data;
+  const messages = [...(data?.errorMessages || []), ...Object.values(data?.errors || {})];
+  return messages.length > 0 ? messages : [error.message];
+}
+
+// Strip the code fences, labels and quotes models like to wrap JQL in
+export function cleanGeneratedJQL(text) {
+  return text
+    .trim()
+    .replace(/^```(?:jql|sql)?\s*/i, "")
+    .replace(/\s*```$/, "")
+    .replace(/^jql:\s*/i, "")
+    .replace(/^`(.*)`$/s, "$1")
+    .trim();
+}
@@ -0,0 +1,144 @@
+// LLM providers.
+// The assistant uses a chat model for three tasks: classifying questions ("intent"), writing JQL
+// ("jql") and writing answers ("response"). Each task has its own model, temperature and max_tokens.
+// Providers: OpenAI, Azure OpenAI (models are deployment names), any OpenAI-compatible local server
+// (Ollama, llama.cpp) and a deterministic stub for running the pipeline offline.
+import { OpenAI, AzureOpenAI } from "openai";
+
+export const LLM_TASKS = ["intent", "jql", "response"];
+
+const DEFAULT_MODELS = { openai: "gpt-4", azure: "gpt-4", local: "llama3.1", stub: "stub" };
+
+// Per-task defaults; call sites may pass their own settings and configured task settings win over both
+const DEFAULT_TASK_SETTINGS = {
+  intent: { temperature: 0.1 },
+  jql: { temperature: 0.1 },
+  response: { temperature: 0.7 },
+};
+
+// Chat completions through the OpenAI SDK (OpenAI, Azure OpenAI and OpenAI-compatible servers)
+export class OpenAIProvider {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async complete(params) {
+    const response = await this.client.chat.completions.create(params);
+    return response.choices[0]?.message?.content ?? "";
+  }
+
+  async *stream(params) {
+    const stream = await this.client.chat.completions.create({ ...params, stream: true });
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+
+  // Force a call to `fn` and return its parsed arguments. Servers without tool support (some local
+  // models) answer in plain text, which is read as the arguments when it is JSON.
+  async callFunction(params, fn) {
+    const response = await this.client.chat.completions.create({
+      ...params,
+      tools: [{ type: "function", function: fn }],
+      tool_choice: { type: "function", function: { name: fn.name } },
+    });
+
+    const message = response.choices[0]?.message;
+    const call = message?.tool_calls?.find((toolCall) => toolCall.function?.name === fn.name);
+    return JSON.parse(call ? call.function.arguments : message?.content || "null");
+  }
+}
+
+// Canned replies by task, so every branch of the pipeline can run without a model. Function calls
+// reply null and JQL replies NONE, which fall back to the keyword classifier and the template JQL.
+const STUB_REPLIES = {
+  intent: "GENERAL",
+  jql: "NONE",
+  response: (params) => `Stub response to: ${params.messages.at(-1)?.content ?? ""}`,
+};
+
+// Deterministic provider. `replies` maps a task to a string or a function (params, task) => string,
+// and a function name to the arguments its calls return (or a function producing them; default null).
+// Every call is recorded in `calls`.
+export class StubProvider {
+  constructor({ replies = {} } = {}) {
+    this.replies = { ...STUB_REPLIES, ...replies };
+    this.calls = [];
+  }
+
+  async complete(params, task) {
+    this.calls.push({ task, ...params });
+    const reply = this.replies[task] ?? "";
+    return typeof reply === "function" ? reply(params, task) : reply;
+  }
+
+  async *stream(params, task) {
+    const text = await this.complete(params, task);
+    for (const word of text.match(/\S+\s*/g) || []) {
+      yield word;
+    }
+  }
+
+  async callFunction(params, fn, task) {
+    this.calls.push({ task, function: fn.name, ...params });
+    const reply = this.replies[fn.name] ?? null;
+    return typeof reply === "function" ? reply(params, task) : reply;
+  }
+}
+
+// A provider plus the settings for each task
+export class LLM {
+  constructor(provider, { model, tasks = {} } = {}) {
+    this.provider = provider;
+    this.model = model;
+    this.tasks = tasks;
+  }
+
+  // Request parameters for `task`: task defaults, then the call's own parameters, then configured settings
+  paramsFor(task, params) {
+    if (!LLM_TASKS.includes(task)) {
+      throw new Error(`Unknown LLM task: ${task}`);
+    }
+
+    const configured = Object.fromEntries(Object.entries(this.tasks[task] || {}).filter(([, value]) => value !== undefined));
+    return { model: this.model, ...DEFAULT_TASK_SETTINGS[task], ...params, ...configured };
+  }
+
+  // Run a chat completion for `task` and return its text
+  complete(task, params) {
+    return this.provider.complete(this.paramsFor(task, params), task);
+  }
+
+  // Run a chat completion for `task`, yielding its text as it arrives
+  stream(task, params) {
+    return this.provider.stream(this.paramsFor(task, params), task);
+  }
+
+  // Have the model call `fn` (an OpenAI function definition) and return the arguments it passed.
+  // The arguments aren't validated here.
+  callFunction(task, params, fn) {
+    return this.provider.callFunction(this.paramsFor(task, params), fn, task);
+  }
+}
+
+// Build the LLM for a provider name: "openai", "azure", "local" or "stub".
+// options: apiKey, baseURL (openai/local), endpoint and apiVersion (azure), replies (stub),
+// model (the default for every task) and tasks ({ intent, jql, response } of { model, temperature, max_tokens }).
+export function createLLM({ provider = "openai", model, tasks, apiKey, baseURL, endpoint, apiVersion, replies } = {}) {
+  const settings = { model: model || DEFAULT_MODELS[provider], tasks };
+
+  switch (provider) {
+    case "openai":
+      return new LLM(new OpenAIProvider(new OpenAI({ apiKey, baseURL })), settings);
+    case "azure":
+      return new LLM(new OpenAIProvider(new AzureOpenAI({ apiKey, endpoint, apiVersion })), settings);
+    case "local":
+      // Local servers don't check the key, but the SDK insists on one
+      return new LLM(new OpenAIProvider(new OpenAI({ apiKey: apiKey || "local", baseURL: baseURL || "http://localhost:11434/v1" })), settings);
+    case "stub":
+      return new LLM(new StubProvider({ replies }), settings);
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+}
@@ -0,0 +1,89 @@
+// Project scope.
+// Every request works against a set of projects from the configured allow-list. The scope carries
+// those keys, the JQL clause that restricts a search to them and safe JQL templates built from it.
+
+// What makes an open issue a blocker: a high priority, the Blocked status or the blocker label.
+// The BLOCKERS template searches for it and the Jira webhook alert rules (alerts.js) watch for it.
+export const BLOCKER_CONDITIONS = {
+  priorities: ["High", "Highest"],
+  statuses: ["Blocked"],
+  labels: ["blocker"],
+  closedStatuses: ["Done", "Closed", "Resolved"],
+};
+
+const quoted = (values) => values.map((value) => `"${value}"`).join(", ");
+
+function blockersJql(projectClause) {
+  const { priorities, statuses, labels, closedStatuses } = BLOCKER_CONDITIONS;
+  const conditions = [
+    `priority in (${quoted(priorities)})`,
+    ...statuses.map((status) => `status = "${status}"`),
+    ...labels.map((label) => `labels = "${label}"`),
+  ];
+  return `${projectClause} AND (${conditions.join(" OR ")}) AND status not in (${quoted(closedStatuses)})`;
+}
+
+// Safe JQL templates for common query types, built for a project clause
+// such as `project = NIHK` or `project in (NIHK, WEB)`
+export function buildJqlTemplates(projectClause) {
+  return {
+    PROJECT_STATUS: `${projectClause} ORDER BY updated DESC`,
+    TIMELINE: `${projectClause} AND duedate IS NOT EMPTY ORDER BY duedate ASC`,
+    TIMELINE_UPCOMING: `${projectClause} AND duedate >= now() ORDER BY duedate ASC`,
+    TIMELINE_OVERDUE: `${projectClause} AND duedate < now() AND status != "Done" ORDER BY duedate ASC`,
+    BLOCKERS: blockersJql(projectClause),
+    HIGH_PRIORITY: `${projectClause} AND priority in ("High", "Highest") AND status not in ("Done", "Closed", "Resolved")`,
+    OPEN_TASKS: `${projectClause} AND status in ("Open", "In Progress", "To Do", "Reopened")`,
+    CLOSED_TASKS: `${projectClause} AND status in ("Done", "Closed", "Resolved")`,
+    ASSIGNED_TASKS: `${projectClause} AND assignee IS NOT EMPTY AND status not in ("Done", "Closed", "Resolved")`,
+    UNASSIGNED_TASKS: `${projectClause} AND assignee IS EMPTY AND status not in ("Done", "Closed", "Resolved")`,
+    RECENT_UPDATES: `${projectClause} ORDER BY updated DESC`,
+    CURRENT_SPRINT: `${projectClause} AND sprint in openSprints()`,
+    MOST_RECENT_TASK: `${projectClause} ORDER BY updated DESC`,
+  };
+}
+
+// Normalize a projectKey/projectKeys value from a request into upper-case keys
+export function normalizeProjectKeys(value) {
+  if (!value) return [];
+  const keys = Array.isArray(value) ? value : String(value).split(",");
+  return keys.map((key) => String(key).trim().toUpperCase()).filter(Boolean);
+}
+
+// Requested project keys that aren't on the allow-list
+export function findUnknownProjects(allowedKeys, requestedKeys) {
+  return requestedKeys.filter((key) => !allowedKeys.includes(key));
+}
+
+// Pattern source matching issue keys from any allowed project, e.g. NIHK-42 or WEB-7
+export function issueKeyPatternSource(allowedKeys) {
+  return `(?:${allowedKeys.join("|")})-\\d+`;
+}
+
+// Allowed project keys mentioned on their own in a query ("compare NIHK and WEB").
+// Matching is case-sensitive so everyday words like "web" don't switch projects.
+export function findMentionedProjects(allowedKeys, query) {
+  return allowedKeys.filter((key) => new RegExp(`\\b${key}\\b(?!-\\d)`).test(query));
+}
+
+// Scope of a single request: the project keys, their JQL clause and the templates built from it.
+// Issue keys are recognized for every allowed project, not just the ones in scope.
+export function createProjectScope(allowedKeys, projectKeys) {
+  const keys = projectKeys.length > 0 ? projectKeys : allowedKeys;
+  const clause = keys.length === 1 ? `project = ${keys[0]}` : `project in (${keys.join(", ")})`;
+
+  return {
+    keys,
+    clause,
+    templates: buildJqlTemplates(clause),
+    allowedKeys,
+    issueKeyPattern: issueKeyPatternSource(allowedKeys),
+  };
+}
+
+// Resolve the projects a request works against. Projects named in the question win over the
+// projects the client asked for, which in turn default to the whole allow-list.
+export function resolveProjectScope(allowedKeys, requestedKeys, query = "") {
+  const mentioned = findMentionedProjects(allowedKeys, query);
+  return createProjectScope(allowedKeys, mentioned.length > 0 ? mentioned : requestedKeys);
+}
@@ -0,0 +1,83 @@
+// The project snapshot behind /api/project-summary and the dashboard: open work, recent and
+// high-priority issues, the unassigned queue, status/priority breakdowns and the last week's activity.
+import { statusName, priorityName, groupIssues } from "./formatting.js";
+
+const ACTIVITY_DAYS = 7;
+const PRIORITY_ORDER = ["Highest", "High", "Medium", "Low", "Lowest"];
+
+// [{ name, count }] for each label, largest first (or in `order` for the labels it lists)
+export function countBy(issues, labelOf, order = []) {
+  const counts = Object.entries(groupIssues(issues, labelOf)).map(([name, group]) => ({ name, count: group.length }));
+  const rank = (name) => (order.includes(name) ? order.indexOf(name) : order.length);
+  return counts.sort((a, b) => rank(a.name) - rank(b.name) || b.count - a.count);
+}
+
+// Issues created, updated and resolved on each of the last `days` days (UTC), oldest first
+export function dailyActivity(issues, { days = ACTIVITY_DAYS, now = new Date() } = {}) {
+  const activity = [];
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const date = new Date(now.getTime() - offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    activity.push({ date, created: 0, updated: 0, resolved: 0 });
+  }
+
+  const byDate = new Map(activity.map((day) => [day.date, day]));
+  const dayOf = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+  for (const { fields } of issues) {
+    for (const [counter, value] of [["created", fields.created], ["updated", fields.updated], ["resolved", fields.resolutiondate]]) {
+      const day = byDate.get(dayOf(value));
+      if (day) day[counter]++;
+    }
+  }
+
+  return activity;
+}
+
+export async function loadProjectSummary(jira, scope, { now = new Date() } = {}) {
+  // Run multiple queries in parallel for better performance
+  const [openCount, recentResponse, priorityResponse, unassignedResponse, unresolvedResponse, activityResponse] = await Promise.all([
+    // Get open issues count
+    jira.count(`${scope.clause} AND status in ("Open", "In Progress", "To Do", "Reopened")`),
+
+    // Get recently updated issues
+    jira.search(`${scope.clause} AND updated >= -7d ORDER BY updated DESC`, {
+      fields: "summary,status,assignee,updated",
+      maxResults: 5,
+    }),
+
+    // Get high priority issues
+    jira.search(`${scope.clause} AND priority in ("High", "Highest") AND status != "Done"`, {
+      fields: "summary,status,assignee,priority",
+      maxResults: 5,
+    }),
+
+    // Get unassigned issues
+    jira.search(`${scope.clause} AND assignee is EMPTY AND status != "Done"`, {
+      fields: "summary,status,priority,created",
+      maxResults: 5,
+    }),
+
+    // Everything not done, for the status and priority breakdowns (up to the search ceiling)
+    jira.search(`${scope.clause} AND status != "Done"`, { fields: "status,priority" }),
+
+    // Everything touched in the activity window
+    jira.search(`${scope.clause} AND updated >= -${ACTIVITY_DAYS}d`, { fields: "created,updated,resolutiondate" }),
+  ]);
+
+  // Put it all together in a rich project summary
+  return {
+    projects: scope.keys,
+    openCount,
+    recentIssues: recentResponse.issues,
+    highPriorityIssues: priorityResponse.issues,
+    highPriorityCount: priorityResponse.total,
+    unassignedIssues: unassignedResponse.issues,
+    unassignedCount: unassignedResponse.total,
+    statusBreakdown: countBy(unresolvedResponse.issues, statusName),
+    priorityBreakdown: countBy(unresolvedResponse.issues, (issue) => priorityName(issue, "None"), PRIORITY_ORDER),
+    // The breakdowns only cover the first issues when the search was cut off at the ceiling
+    breakdownTruncated: Boolean(unresolvedResponse.truncated),
+    activity: dailyActivity(activityResponse.issues, { now }),
+    lastUpdated: now.toISOString(),
+  };
+}
@@ -0,0 +1,307 @@
+// Structured query analysis.
+// One function call to the model classifies a question and drafts its JQL, returning an object
+// described by QUERY_ANALYSIS_FUNCTION. Replies are validated before use: the model's intent must
+// be one of INTENTS, so a reply like "Intent: TIMELINE." can never reach the handlers. Questions
+// simple patterns recognize skip the model, and a keyword classifier stands in when it fails.
+import { looksLikeAction } from "./actions.js";
+import { looksLikeHistoryQuestion } from "./history.js";
+import { FLOW_QUESTION } from "./flowMetrics.js";
+
+export const INTENTS = [
+  "PROJECT_STATUS",
+  "TASK_LIST",
+  "ASSIGNED_TASKS",
+  "TASK_DETAILS",
+  "BLOCKERS",
+  "TIMELINE",
+  "COMMENTS",
+  "WORKLOAD",
+  "SPRINT",
+  "HISTORY",
+  "METRICS",
+  "GENERAL",
+  "CONVERSATION",
+  "ACTION",
+];
+
+const ISSUE_KEY = /^[A-Z][A-Z0-9_]+-\d+$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// OpenAI function definition (JSON Schema parameters) for the analysis call
+export const QUERY_ANALYSIS_FUNCTION = {
+  name: "analyze_query",
+  description: "Classify a question about Jira and translate it into JQL.",
+  parameters: {
+    type: "object",
+    properties: {
+      intent: { type: "string", enum: INTENTS, description: "The category the question falls into" },
+      jql: {
+        type: ["string", "null"],
+        description: "JQL answering the question, or null if the question doesn't need a search",
+      },
+      people: { type: "array", items: { type: "string" }, description: "Names of the people the question mentions" },
+      dateRange: {
+        type: ["object", "null"],
+        properties: {
+          from: { type: ["string", "null"], description: "First day, YYYY-MM-DD" },
+          to: { type: ["string", "null"], description: "Last day, YYYY-MM-DD" },
+        },
+        required: ["from", "to"],
+        additionalProperties: false,
+        description: "The dates the question is about, or null",
+      },
+      issueKeys: { type: "array", items: { type: "string" }, description: "Issue keys the question mentions, e.g. NIHK-42" },
+      confidence: { type: "number", minimum: 0, maximum: 1, description: "How sure you are of the intent, from 0 to 1" },
+    },
+    required: ["intent", "jql", "people", "dateRange", "issueKeys", "confidence"],
+    additionalProperties: false,
+  },
+};
+
+// Check a reply against QUERY_ANALYSIS_FUNCTION. Returns { valid, analysis, errors }, where
+// `analysis` is the cleaned-up reply (trimmed strings, upper-case issue keys) when it is valid.
+export function validateQueryAnalysis(value) {
+  const errors = [];
+
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return { valid: false, analysis: null, errors: ["The reply is not an object"] };
+  }
+
+  const intent = typeof value.intent === "string" ? value.intent.trim().toUpperCase() : value.intent;
+  if (!INTENTS.includes(intent)) {
+    errors.push(`intent must be one of ${INTENTS.join(", ")}, got ${JSON.stringify(value.intent)}`);
+  }
+
+  const jql = typeof value.jql === "string" ? value.jql.trim() || null : value.jql;
+  if (jql !== null && typeof jql !== "string") {
+    errors.push("jql must be a string or null");
+  }
+
+  const people = value.people ?? [];
+  if (!Array.isArray(people) || !people.every((name) => typeof name === "string")) {
+    errors.push("people must be a list of names");
+  }
+
+  const issueKeys = value.issueKeys ?? [];
+  if (!Array.isArray(issueKeys) || !issueKeys.every((key) => typeof key === "string" && ISSUE_KEY.test(key.trim().toUpperCase()))) {
+    errors.push("issueKeys must be a list of issue keys");
+  }
+
+  const dateRange = value.dateRange ?? null;
+  if (dateRange !== null) {
+    const validDay = (day) => day === null || day === undefined || (typeof day === "string" && ISO_DATE.test(day) && !Number.isNaN(Date.parse(day)));
+    if (typeof dateRange !== "object" || !validDay(dateRange.from) || !validDay(dateRange.to)) {
+      errors.push("dateRange must be null or { from, to } with YYYY-MM-DD dates");
+    } else if (dateRange.from && dateRange.to && dateRange.from > dateRange.to) {
+      errors.push("dateRange.from must not be after dateRange.to");
+    }
+  }
+
+  if (typeof value.confidence !== "number" || value.confidence < 0 || value.confidence > 1) {
+    errors.push("confidence must be a number from 0 to 1");
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, analysis: null, errors };
+  }
+
+  return {
+    valid: true,
+    analysis: {
+      intent,
+      jql,
+      people: people.map((name) => name.trim()).filter(Boolean),
+      dateRange: dateRange && { from: dateRange.from ?? null, to: dateRange.to ?? null },
+      issueKeys: [...new Set(issueKeys.map((key) => key.trim().toUpperCase()))],
+      confidence: value.confidence,
+    },
+    errors: [],
+  };
+}
+
+// Intents that simple patterns recognize without asking the model, or null
+export function matchIntentPattern(query, scope) {
+  // First check for special patterns we can directly classify
+  if (looksLikeAction(query)) {
+    return "ACTION";
+  }
+
+  if (FLOW_QUESTION.test(query)) {
+    return "METRICS";
+  }
+
+  // Before SPRINT and TIMELINE: "when did NIHK-1 move to Done?" asks about the past
+  if (looksLikeHistoryQuestion(query)) {
+    return "HISTORY";
+  }
+
+  if (/sprint|current sprint|active sprint|sprint status|sprint board/i.test(query)) {
+    return "SPRINT";
+  }
+
+  if (/^(?:hi|hello|hey|hi there|greetings|how are you|what can you do|what do you do|help me|how do you work)/i.test(query.trim())) {
+    return "GREETING";
+  }
+
+  const directLookupPattern = new RegExp(`^(?:show|tell|get|what is|about) ${scope.issueKeyPattern}$`, "i");
+  if (directLookupPattern.test(query.trim())) {
+    return "TASK_DETAILS";
+  }
+
+  // Common patterns with direct intent mapping
+  if (/project.* status|status.* project|\bhow\b.* project|project.* health|project.* overview/i.test(query)) {
+    return "PROJECT_STATUS";
+  }
+
+  if (/timeline|roadmap|schedule|deadline|due date|what.* due|calendar|when/i.test(query)) {
+    return "TIMELINE";
+  }
+
+  if (/block|blocker|blocking|stuck|impediment|obstacle|risk|critical|prevent/i.test(query)) {
+    return "BLOCKERS";
+  }
+
+  if (/workload|capacity|bandwidth|overloaded|busy|who.*working|team.* work/i.test(query)) {
+    return "WORKLOAD";
+  }
+
+  if (/assign|working on|responsible|owner|who is|who's/i.test(query)) {
+    return "ASSIGNED_TASKS";
+  }
+
+  if (/list|show|find|search|get|all|open|closed|high/i.test(query) && /task|issue|ticket/i.test(query)) {
+    return "TASK_LIST";
+  }
+
+  if (/comment|said|mentioned|update|notes/i.test(query)) {
+    return "COMMENTS";
+  }
+
+  return null;
+}
+
+// Keyword classifier used when the model is unavailable or its reply fails validation
+export function fallbackIntent(query) {
+  if (FLOW_QUESTION.test(query)) {
+    return "METRICS";
+  } else if (looksLikeHistoryQuestion(query)) {
+    return "HISTORY";
+  } else if (/timeline|roadmap|schedule|deadline|due date|what.* due|calendar|when/i.test(query)) {
+    return "TIMELINE";
+  } else if (/block|blocker|blocking|stuck|impediment|obstacle|risk|critical/i.test(query)) {
+    return "BLOCKERS";
+  } else if (/assign|working on|responsible|owner|who is|who's/i.test(query)) {
+    return "ASSIGNED_TASKS";
+  } else if (/status|progress|update|how is|how's|overview/i.test(query)) {
+    return "PROJECT_STATUS";
+  } else if (/list|show|find|search|get|all/i.test(query)) {
+    return "TASK_LIST";
+  } else if (/comment|said|mentioned|update|notes/i.test(query)) {
+    return "COMMENTS";
+  } else if (/workload|capacity|bandwidth|overloaded|busy/i.test(query)) {
+    return "WORKLOAD";
+  } else if (/sprint/i.test(query)) {
+    return "SPRINT";
+  } else {
+    return "GENERAL";
+  }
+}
+
+// Classify a question and draft its JQL with one structured model call. Questions the patterns
+// recognize skip the model; a reply that fails validation falls back to the keyword classifier,
+// leaving the JQL to generateJQL. Resolves to the validated analysis plus its source.
+export async function analyzeQuery(llm, query, scope) {
+  const issueKeys = [...new Set((query.match(new RegExp(scope.issueKeyPattern, "gi")) || []).map((key) => key.toUpperCase()))];
+
+  const patternIntent = matchIntentPattern(query, scope);
+  if (patternIntent) {
+    return { intent: patternIntent, jql: null, people: [], dateRange: null, issueKeys, confidence: 1, source: "pattern" };
+  }
+
+  try {
+    const reply = await llm.callFunction(
+      "intent",
+      {
+        messages: [
+          {
+            role: "system",
+            content: `
+              You analyze questions about Jira projects. Call analyze_query with:
+              - intent: the ONE category the question falls into
+              - jql: JQL that answers it, or null for greetings, conversation and general questions
+              - people: names of people the question mentions
+              - dateRange: the dates the question is about (today is ${new Date().toISOString().slice(0, 10)}), or null
+              - issueKeys: issue keys the question mentions
+              - confidence: how sure you are of the intent, from 0 to 1
+
+              Categories:
+              - PROJECT_STATUS: Questions about overall project health, progress, metrics
+                Examples: "How's the project going?", "What's our current status?", "Give me a project overview"
+
+              - TASK_LIST: Requests for lists of tasks matching certain criteria
+                Examples: "Show me all open bugs", "List the high priority tasks", "What tasks are due this week?"
+
+              - ASSIGNED_TASKS: Questions about who is working on what
+                Examples: "What is John working on?", "Show me Sarah's tasks", "Who's responsible for the login feature?"
+
+              - TASK_DETAILS: Questions about specific tickets or issues
+                Examples: "Tell me about PROJ-123", "What's the status of the payment feature?", "Who's working on the homepage redesign?"
+
+              - BLOCKERS: Questions about impediments or high-priority issues
+                Examples: "What's blocking us?", "Are there any critical issues?", "What should we focus on fixing first?"
+
+              - TIMELINE: Questions about deadlines, due dates, or project schedule
+                Examples: "What's due this week?", "When will feature X be done?", "Show me upcoming deadlines"
+
+              - COMMENTS: Questions looking for updates, comments, or recent activity
+                Examples: "Any updates on PROJ-123?", "What did John say about the login issue?", "Latest comments on the API task?"
+
+              - WORKLOAD: Questions about team capacity and individual workloads
+                Examples: "Who has the most tasks?", "Is anyone overloaded?", "How's the team's capacity looking?"
+
+              - SPRINT: Questions about sprint status and activity, including past and upcoming sprints
+                Examples: "How's the current sprint?", "What's in this sprint?", "How did the last sprint go?", "Sprint 14 review"
+
+              - HISTORY: Questions about when something changed, who changed it, or how long an issue spent in a status
+                Examples: "When did PROJ-12 move to Done?", "Who changed the priority?", "What changed yesterday?"
+
+              - METRICS: Questions about flow metrics: lead time, cycle time, throughput and aging work in progress
+                Examples: "What's our cycle time?", "Lead time by assignee", "How many issues do we finish per week?"
+
+              - GENERAL: General questions that don't fit other categories
+                Examples: "Help me with Jira", "What can you do?", "How does this work?"
+
+              - CONVERSATION: Follow-up questions, clarifications, or conversational exchanges
+                Examples: "Can you explain more?", "Thanks for that info", "That's not what I meant"
+
+              - ACTION: Requests to change issues: assign, move to another status, comment on, or create
+                Examples: "Assign NIHK-42 to Ana", "Move NIHK-17 to In Progress", "Create a bug for the login crash"
+
+              JQL rules:
+              1. Always include "${scope.clause}" and never query other projects
+              2. Quote values containing spaces, join conditions with AND/OR and never use commas between them
+              3. NEVER use "LIMIT"; use ORDER BY for "latest" or "most recent" questions
+            `,
+          },
+          { role: "user", content: query },
+        ],
+      },
+      QUERY_ANALYSIS_FUNCTION
+    );
+
+    const { valid, analysis, errors } = validateQueryAnalysis(reply);
+    if (valid) {
+      return { ...analysis, issueKeys: [...new Set([...analysis.issueKeys, ...issueKeys])], source: "model" };
+    }
+    console.log("Query analysis failed validation:", errors);
+  } catch (error) {
+    console.error("Error analyzing query:", error);
+  }
+
+  return { intent: fallbackIntent(query), jql: null, people: [], dateRange: null, issueKeys, confidence: 0, source: "fallback" };
+}
+
+// What the query analysis found, for the intent event and the response meta
+export function summarizeAnalysis({ source, confidence, people, dateRange, issueKeys }) {
+  return { source, confidence, people, dateRange, issueKeys };
+}
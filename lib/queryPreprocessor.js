@@ -0,0 +1,99 @@
+// Query preprocessing.
+// Common phrasings are rewritten to a small set of standardized queries ("show project status",
+// "show team workload", ...) that the shortcut handlers and JQL templates recognize directly.
+import { HISTORY_QUESTION } from "./history.js";
+import { FLOW_QUESTION } from "./flowMetrics.js";
+
+// Comprehensive query preprocessor with standardized forms
+export function preprocessQuery(query, scope) {
+  // Trim whitespace and normalize
+  query = query.trim().toLowerCase();
+
+  // Map of common query patterns to standardized forms
+  const queryMappings = [
+    // Questions about a particular sprint keep their wording, so the sprint handler can tell which
+    // one is meant ("last sprint" isn't a request for recent updates)
+    { regex: /\b(?:last|previous|prior|next|upcoming|following)\s+sprint\b|\bsprint\s*#?\s*\d+\b/i, standardized: query },
+
+    // History and flow metric questions too: "what changed yesterday?" and "throughput over the last 4
+    // weeks" need the changelogs, not recent updates
+    { regex: HISTORY_QUESTION, standardized: query },
+    { regex: FLOW_QUESTION, standardized: query },
+
+    // Project overview and health
+    {
+      regex: /^(?:how is|how's|what's|what is) (?:the )?project(?:'s)? (?:status|progress|going|health)/i,
+      standardized: "show project status",
+    },
+    {
+      regex: /^(?:give me|show|display) (?:the |a )?(?:project|overall) (?:status|overview|summary|health)/i,
+      standardized: "show project status",
+    },
+    { regex: /^(?:project|status) (?:overview|health|summary)/i, standardized: "show project status" },
+
+    // Timeline and deadlines
+    { regex: /(?:timeline|schedule|roadmap|plan|calendar|deadlines)/i, standardized: "show project timeline" },
+    { regex: /what(?:'s| is)? (?:coming up|planned|scheduled|due)/i, standardized: "show upcoming deadlines" },
+    { regex: /what(?:'s| is)? due (?:this|next) (?:week|month)/i, standardized: "show upcoming deadlines" },
+    { regex: /when (?:will|is|are) .* (?:due|finish|complete|done)/i, standardized: "show project timeline" },
+    { regex: /what(?:'s| is) (?:the |our )?schedule/i, standardized: "show project timeline" },
+
+    // Blockers and impediments
+    { regex: /(?:blocker|blocking issue|impediment|what's blocking|what is blocking)/i, standardized: "show project blockers" },
+    { regex: /what(?:'s| is)? (?:preventing|stopping|holding up)/i, standardized: "show project blockers" },
+    { regex: /(?:risk|risks|at risk|critical issue)/i, standardized: "show high risk items" },
+
+    // Workloads and assignments
+    { regex: /who(?:'s| is) (?:working on|assigned to|responsible for)/i, standardized: "show team workload" },
+    { regex: /what(?:'s| is) (?:everyone|everybody|the team) working on/i, standardized: "show team workload" },
+    { regex: /(?:workload|bandwidth|capacity|allocation)/i, standardized: "show team workload" },
+    { regex: /who(?:'s| is) (?:overloaded|busy|free|available)/i, standardized: "show team workload" },
+
+    // Tasks and issues
+    { regex: /(?:show|list|find|get) (?:all |the |)?(?:open|active|current) (?:tasks|issues|tickets)/i, standardized: "show open tasks" },
+    {
+      regex: /(?:show|list|find|get) (?:all |the |)?(?:closed|completed|done|resolved) (?:tasks|issues|tickets)/i,
+      standardized: "show closed tasks",
+    },
+    {
+      regex: /(?:show|list|find|get) (?:all |the |)?(?:high priority|important|critical) (?:tasks|issues|tickets)/i,
+      standardized: "show high priority tasks",
+    },
+    {
+      regex: /(?:show|list|find|get) (?:all |the |)?(?:unassigned|without assignee) (?:tasks|issues|tickets)/i,
+      standardized: "show unassigned tasks",
+    },
+
+    // Recent activity
+    { regex: /(?:recent|latest|last|newest|what's new|what is new)/i, standardized: "show recent updates" },
+    { regex: /what(?:'s| has) changed/i, standardized: "show recent updates" },
+    { regex: /what(?:'s| has) happened/i, standardized: "show recent updates" },
+
+    // Sprint related
+    { regex: /(?:current|active|ongoing) sprint/i, standardized: "show current sprint" },
+    { regex: /sprint status/i, standardized: "show current sprint" },
+    { regex: /(?:sprint|iteration) progress/i, standardized: "show current sprint" },
+
+    // Most recent task specifically
+    {
+      regex: /(?:latest|most recent|last) (?:edited|updated|modified|changed) (?:task|issue|ticket)/i,
+      standardized: "show most recently updated task",
+    },
+
+    // Specific task by ID
+    { regex: new RegExp(`(?:show|tell me about|what is|details for|info on)\\s+${scope.issueKeyPattern}`, "i"), standardized: query },
+  ];
+
+  // Find a match and return the standardized form
+  for (const mapping of queryMappings) {
+    if (mapping.regex.test(query)) {
+      console.log(`Standardized query from "${query}" to "${mapping.standardized}"`);
+      return mapping.standardized;
+    }
+  }
+
+  // If no mapping found, clean up the query a bit
+  const cleanQuery = query.replace(/[.,!?;]/g, "").trim();
+
+  return cleanQuery;
+}
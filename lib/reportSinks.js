@@ -0,0 +1,90 @@
+// Where reports are delivered. Each sink has a name and deliver(report); REPORT_SINKS picks them:
+//   file     writes the report's markdown to REPORT_FILE_DIR
+//   webhook  POSTs the report as JSON to REPORT_WEBHOOK_URL
+//   smtp     emails the report to SMTP_TO through the SMTP_HOST relay (see smtp.js)
+// A sink that fails doesn't stop the others; deliverReport records how each one went.
+import { promises as fs } from "fs";
+import path from "path";
+import axios from "axios";
+import { sendMail } from "./smtp.js";
+
+export function createFileSink({ dir }) {
+  return {
+    name: "file",
+    async deliver(report) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${report.generatedAt.slice(0, 10)}-${report.type}-${report.id}.md`);
+      await fs.writeFile(file, report.markdown);
+      return { file };
+    },
+  };
+}
+
+const reportBody = ({ id, type, title, projects, generatedAt, period, data, markdown }) => ({ id, type, title, projects, generatedAt, period, data, text: markdown });
+
+// `toBody` shapes what is posted; the alerts (alerts.js) post themselves as they are
+export function createWebhookSink({ url, timeoutMs = 10000, toBody = reportBody }) {
+  return {
+    name: "webhook",
+    async deliver(item) {
+      const response = await axios.post(url, toBody(item), { timeout: timeoutMs });
+      return { status: response.status };
+    },
+  };
+}
+
+export function createSmtpSink(smtp) {
+  return {
+    name: "smtp",
+    async deliver(report) {
+      await sendMail({ ...smtp, subject: report.title, text: report.markdown });
+      return { recipients: smtp.to.length };
+    },
+  };
+}
+
+// Settings each sink can't work without, as the environment variables that hold them
+const REQUIRED = {
+  file: () => [],
+  webhook: (reports) => (reports.webhook.url ? [] : ["REPORT_WEBHOOK_URL"]),
+  smtp: (reports) => [!reports.smtp.host && "SMTP_HOST", !reports.smtp.from && "SMTP_FROM", reports.smtp.to.length === 0 && "SMTP_TO"].filter(Boolean),
+};
+
+const FACTORIES = {
+  file: (reports) => createFileSink(reports.file),
+  webhook: (reports) => createWebhookSink(reports.webhook),
+  smtp: (reports) => createSmtpSink(reports.smtp),
+};
+
+// The sinks named in the reports configuration. Unknown or incompletely configured sinks are
+// skipped with a warning.
+export function createReportSinks(reports) {
+  return reports.sinks.flatMap((name) => {
+    if (!FACTORIES[name]) {
+      console.warn(`Unknown report sink "${name}", skipping it`);
+      return [];
+    }
+
+    const missing = REQUIRED[name](reports);
+    if (missing.length > 0) {
+      console.warn(`Report sink "${name}" needs ${missing.join(", ")}, skipping it`);
+      return [];
+    }
+
+    return [FACTORIES[name](reports)];
+  });
+}
+
+// Send a report to every sink. Resolves to [{ sink, delivered, ...details }] or
+// [{ sink, delivered: false, error }], never rejects.
+export async function deliverReport(report, sinks) {
+  const results = await Promise.allSettled(sinks.map((sink) => sink.deliver(report)));
+
+  return results.map((result, index) => {
+    const sink = sinks[index].name;
+    if (result.status === "fulfilled") return { sink, delivered: true, ...result.value };
+
+    console.error(`Error delivering report ${report.id} to ${sink}:`, result.reason);
+    return { sink, delivered: false, error: result.reason.message };
+  });
+}
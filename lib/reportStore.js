@@ -0,0 +1,130 @@
+// Report stores. Reports are kept newest first, at most `maxReports` of them; the oldest are
+// dropped first.
+import { promises as fs } from "fs";
+import { randomUUID } from "crypto";
+import path from "path";
+
+const DEFAULT_MAX_REPORTS = 100;
+// How often the file store looks for reports to drop
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const newestFirst = (a, b) => new Date(b.generatedAt) - new Date(a.generatedAt);
+
+// Reports kept in process memory, lost on restart
+export class MemoryReportStore {
+  constructor({ maxReports = DEFAULT_MAX_REPORTS } = {}) {
+    this.maxReports = maxReports;
+    this.reports = new Map();
+  }
+
+  async get(id) {
+    return this.reports.get(id) || null;
+  }
+
+  async save(report) {
+    this.reports.set(report.id, report);
+
+    const reports = await this.list();
+    for (const stale of reports.slice(this.maxReports)) {
+      this.reports.delete(stale.id);
+    }
+
+    return report;
+  }
+
+  async list() {
+    return [...this.reports.values()].sort(newestFirst);
+  }
+}
+
+// Reports stored as one JSON file each in a directory, kept across restarts
+export class FileReportStore {
+  constructor({ dir, maxReports = DEFAULT_MAX_REPORTS } = {}) {
+    this.dir = dir;
+    this.maxReports = maxReports;
+    this.prunedAt = 0;
+    this.ready = fs.mkdir(dir, { recursive: true });
+  }
+
+  fileFor(id) {
+    return path.join(this.dir, `${path.basename(id)}.json`);
+  }
+
+  async read(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT" || error instanceof SyntaxError) return null;
+      throw error;
+    }
+  }
+
+  async get(id) {
+    await this.ready;
+    return this.read(this.fileFor(id));
+  }
+
+  async save(report) {
+    await this.ready;
+
+    // Write to a temporary file and rename so readers never see a half-written report
+    const file = this.fileFor(report.id);
+    const tempFile = `${file}.${randomUUID()}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(report));
+    await fs.rename(tempFile, file);
+
+    if (Date.now() - this.prunedAt >= PRUNE_INTERVAL_MS) {
+      this.prunedAt = Date.now();
+      await this.prune();
+    }
+
+    return report;
+  }
+
+  // Drop the oldest reports beyond `maxReports`, going by the files' modification times
+  async prune() {
+    await this.ready;
+    const files = [];
+
+    for (const name of await fs.readdir(this.dir)) {
+      if (!name.endsWith(".json")) continue;
+      try {
+        const { mtimeMs } = await fs.stat(path.join(this.dir, name));
+        files.push({ name, mtimeMs });
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    }
+
+    files.sort((a, b) => b.mtimeMs - a.mtimeMs);
+    for (const { name } of files.slice(this.maxReports)) {
+      await fs.rm(path.join(this.dir, name), { force: true });
+    }
+  }
+
+  async list() {
+    await this.ready;
+    const reports = [];
+
+    for (const name of await fs.readdir(this.dir)) {
+      if (!name.endsWith(".json")) continue;
+      const report = await this.read(path.join(this.dir, name));
+      if (report) reports.push(report);
+    }
+
+    return reports.sort(newestFirst);
+  }
+}
+
+// Build the store selected by configuration: "memory" (default) or "file"
+export function createReportStore({ type = "memory", dir = ".reports", maxReports } = {}) {
+  if (type === "file") {
+    return new FileReportStore({ dir, maxReports });
+  }
+
+  if (type !== "memory") {
+    console.warn(`Unknown report store "${type}", using the in-memory store`);
+  }
+
+  return new MemoryReportStore({ maxReports });
+}
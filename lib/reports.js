@@ -0,0 +1,226 @@
+// Scheduled reports: the daily standup digest (what moved since the last working day, what's
+// blocked, what's due today) and the weekly status report (completion, new vs resolved, overdue
+// work and workload changes). Both are built from Jira data alone, so they arrive even when the
+// model is down, and are stored and delivered by publishReport.
+import { randomUUID } from "crypto";
+import { assigneeName, formatIssueLine, statusName } from "./formatting.js";
+import { filterChanges, loadProjectHistory, normalizeChangelog, sinceJql } from "./history.js";
+import { deliverReport } from "./reportSinks.js";
+import { isoDay, startOfDayIn, todayIn } from "./dateRanges.js";
+
+export const REPORT_TYPES = ["standup", "weekly"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const ISSUE_FIELDS = "summary,status,assignee,priority,duedate";
+const HISTORY_FIELDS = ["summary", "status", "assignee"];
+
+const plural = (count, word) => `${count} ${count === 1 ? word : `${word}s`}`;
+
+// What a standup looks back on: yesterday, or Friday on a Monday, as days in the report's time zone
+function previousWorkday(now, timeZone) {
+  const today = todayIn(timeZone, now);
+  const back = today.getUTCDay() === 1 ? 3 : 1;
+  const since = new Date(today.getTime() - back * DAY_MS);
+  return {
+    label: back === 1 ? "yesterday" : `since ${DAY_NAMES[since.getUTCDay()]}`,
+    since: startOfDayIn(timeZone, isoDay(since)),
+    until: startOfDayIn(timeZone, isoDay(today)),
+  };
+}
+
+// Open issues due on or before today (in the report's time zone), split into due today and overdue
+async function loadDueIssues(jira, scope, now, timeZone) {
+  const today = isoDay(todayIn(timeZone, now));
+  const { issues } = await jira.search(`${scope.clause} AND duedate <= "${today}" AND statusCategory != Done ORDER BY duedate ASC`, {
+    fields: ISSUE_FIELDS,
+  });
+  return {
+    dueToday: issues.filter((issue) => issue.fields.duedate === today),
+    overdue: issues.filter((issue) => issue.fields.duedate && issue.fields.duedate < today),
+  };
+}
+
+// Open issues per assignee name: { counts: { [name]: open }, truncated }. When there are more open
+// issues than one search loads, everyone found is counted with a search of their own; truncated
+// then says people with none among the loaded issues may be missing.
+async function countOpenByAssignee(jira, scope) {
+  const openJql = `${scope.clause} AND statusCategory != Done`;
+  const open = await jira.search(openJql, { fields: "assignee", maxResults: 500 });
+
+  const people = new Map();
+  for (const issue of open.issues) {
+    const name = assigneeName(issue);
+    if (!people.has(name)) people.set(name, { open: 0, accountId: issue.fields.assignee?.accountId || null });
+    people.get(name).open += 1;
+  }
+
+  if (open.truncated) {
+    await Promise.all(
+      [...people.values()].map(async (person) => {
+        person.open = await jira.count(`${openJql} AND ${person.accountId ? `assignee = "${person.accountId}"` : "assignee IS EMPTY"}`);
+      })
+    );
+  }
+
+  return { counts: Object.fromEntries([...people].map(([name, { open: count }]) => [name, count])), truncated: open.truncated };
+}
+
+// The daily standup digest. Days are the ones in `timeZone`.
+export async function buildStandupDigest(jira, scope, { now = new Date(), timeZone } = {}) {
+  const window = previousWorkday(now, timeZone);
+  const today = todayIn(timeZone, now);
+
+  const [history, blocked, due] = await Promise.all([
+    loadProjectHistory(jira, scope, { since: window.since }),
+    jira.search(`${scope.clause} AND (status = "Blocked" OR labels = "blocker") AND statusCategory != Done`, { fields: ISSUE_FIELDS }),
+    loadDueIssues(jira, scope, now, timeZone),
+  ]);
+
+  const moved = history.issues
+    .map((issue) => ({ issue, changes: filterChanges(normalizeChangelog(issue), { fields: ["status"], window }) }))
+    .filter(({ changes }) => changes.length > 0);
+
+  let markdown = `## Daily standup: ${scope.keys.join(", ")}, ${DAY_NAMES[today.getUTCDay()]} ${isoDay(today)}\n\n`;
+
+  markdown += `### Moved ${window.label}\n`;
+  markdown +=
+    moved.length > 0
+      ? moved
+          .map(({ issue, changes }) => {
+            const path = [changes[0].from, ...changes.map((change) => change.to)].join(" → ");
+            const people = [...new Set(changes.map((change) => change.author?.displayName).filter(Boolean))];
+            return formatIssueLine(issue, [path, people.length > 0 ? `by ${people.join(", ")}` : null]);
+          })
+          .join("")
+      : "Nothing changed status.\n";
+  markdown += describeTruncation(history);
+
+  markdown += `\n### Blocked\n`;
+  markdown += blocked.issues.length > 0 ? blocked.issues.map((issue) => formatIssueLine(issue, [statusName(issue), assigneeName(issue)])).join("") : "Nothing is blocked.\n";
+
+  markdown += `\n### Due today\n`;
+  markdown += due.dueToday.length > 0 ? due.dueToday.map((issue) => formatIssueLine(issue, [statusName(issue), assigneeName(issue)])).join("") : "Nothing is due today.\n";
+  if (due.overdue.length > 0) {
+    markdown += `\n${plural(due.overdue.length, "more issue")} ${due.overdue.length === 1 ? "is" : "are"} past ${due.overdue.length === 1 ? "its" : "their"} due date.\n`;
+  }
+
+  return {
+    title: `Daily standup for ${scope.keys.join(", ")}, ${isoDay(today)}`,
+    period: { label: window.label, since: window.since.toISOString(), until: window.until.toISOString() },
+    data: {
+      historyTruncated: history.truncated,
+      moved: moved.map(({ issue, changes }) => ({
+        key: issue.key,
+        summary: issue.fields.summary,
+        changes: changes.map(({ at, author, from, to }) => ({ at, author: author?.displayName ?? null, from, to })),
+      })),
+      blocked: blocked.issues.map(({ key }) => key),
+      blockedCount: blocked.total,
+      dueToday: due.dueToday.map(({ key }) => key),
+      overdue: due.overdue.map(({ key }) => key),
+    },
+    markdown,
+  };
+}
+
+// A note when more issues were updated than the history covers
+function describeTruncation(history) {
+  return history.truncated ? `_Only the ${plural(history.issues.length, "most recently updated issue")} were checked; earlier changes may be missing._\n` : "";
+}
+
+// Assignment changes in the week per person: { [name]: { assigned, unassigned } }
+function countAssignmentChanges(issues, window) {
+  const counts = {};
+  const entry = (name) => (counts[name] ||= { assigned: 0, unassigned: 0 });
+
+  for (const issue of issues) {
+    for (const change of filterChanges(normalizeChangelog(issue), { fields: ["assignee"], window })) {
+      if (change.to) entry(change.to).assigned++;
+      if (change.from) entry(change.from).unassigned++;
+    }
+  }
+
+  return counts;
+}
+
+// The weekly status report, covering the 7 days up to `now`. Overdue is judged by today in `timeZone`.
+export async function buildWeeklyReport(jira, scope, { now = new Date(), timeZone } = {}) {
+  const window = { label: "this week", since: new Date(now.getTime() - 7 * DAY_MS), until: now };
+  const today = isoDay(todayIn(timeZone, now));
+
+  // New and resolved issues are searched for directly, so a busy week is counted in full
+  const [total, done, created, resolved, history, open, due] = await Promise.all([
+    jira.count(scope.clause),
+    jira.count(`${scope.clause} AND statusCategory = Done`),
+    jira.search(`${scope.clause} AND ${sinceJql("created", window.since)}`, { fields: "summary", maxResults: 500 }),
+    jira.search(`${scope.clause} AND ${sinceJql("resolved", window.since)}`, { fields: "summary", maxResults: 500 }),
+    loadProjectHistory(jira, scope, { since: window.since, fields: HISTORY_FIELDS }),
+    countOpenByAssignee(jira, scope),
+    loadDueIssues(jira, scope, now, timeZone),
+  ]);
+
+  const openByAssignee = open.counts;
+  const assignmentChanges = countAssignmentChanges(history.issues, window);
+  const workload = [...new Set([...Object.keys(openByAssignee), ...Object.keys(assignmentChanges)])]
+    .map((name) => ({ name, open: openByAssignee[name] || 0, assigned: 0, unassigned: 0, ...assignmentChanges[name] }))
+    .sort((a, b) => b.open - a.open || a.name.localeCompare(b.name));
+
+  const completion = total > 0 ? Math.round((done / total) * 100) : 0;
+
+  let markdown = `## Weekly status: ${scope.keys.join(", ")}, week to ${today}\n\n`;
+  markdown += `**Completion**: ${done} of ${plural(total, "issue")} done (${completion}%)\n`;
+  markdown += `**New vs resolved**: ${created.total} created, ${resolved.total} resolved this week\n`;
+
+  markdown += `\n### Overdue\n`;
+  markdown +=
+    due.overdue.length > 0
+      ? due.overdue.map((issue) => formatIssueLine(issue, [`due ${issue.fields.duedate}`, statusName(issue), assigneeName(issue)])).join("")
+      : "Nothing is overdue.\n";
+
+  markdown += `\n### Workload\n`;
+  markdown += workload
+    .map(({ name, open: count, assigned, unassigned }) => {
+      const moves = [assigned > 0 ? `+${assigned} assigned` : null, unassigned > 0 ? `−${unassigned} reassigned away` : null].filter(Boolean);
+      return `• ${name}: ${count} open${moves.length > 0 ? ` (${moves.join(", ")} this week)` : ""}\n`;
+    })
+    .join("");
+  if (open.truncated) markdown += "_There are more open issues than could be loaded; people with none of the loaded ones aren't listed._\n";
+  markdown += describeTruncation(history);
+
+  return {
+    title: `Weekly status for ${scope.keys.join(", ")}, week to ${today}`,
+    period: { label: window.label, since: window.since.toISOString(), until: window.until.toISOString() },
+    data: {
+      completion: { done, total, percentage: completion },
+      createdCount: created.total,
+      resolvedCount: resolved.total,
+      created: created.issues.map(({ key }) => key),
+      resolved: resolved.issues.map(({ key }) => key),
+      historyTruncated: history.truncated,
+      overdue: due.overdue.map(({ key, fields }) => ({ key, duedate: fields.duedate })),
+      workload,
+      workloadTruncated: open.truncated,
+    },
+    markdown,
+  };
+}
+
+const BUILDERS = { standup: buildStandupDigest, weekly: buildWeeklyReport };
+
+// Build a report of `type`, store it and send it to the sinks. Resolves to the stored report,
+// including how each delivery went. Days in the report are the ones in `timeZone`. `createdBy` is
+// the id of the user whose Jira access built it, null for the shared account.
+export async function publishReport({ jira, scope, type, store, sinks, now = new Date(), timeZone, createdBy = null }) {
+  const built = await BUILDERS[type](jira, scope, { now, timeZone });
+  const report = { id: randomUUID(), type, projects: scope.keys, generatedAt: now.toISOString(), createdBy, ...built, deliveries: [] };
+
+  await store.save(report);
+  report.deliveries = await deliverReport(report, sinks);
+  return store.save(report);
+}
+
+// What listings show of a report
+export function summarizeReport({ id, type, title, projects, generatedAt, deliveries }) {
+  return { id, type, title, projects, generatedAt, deliveries };
+}
@@ -0,0 +1,383 @@
+// Answer writing.
+// Handlers hand their Jira data to the response model here. When the model can't be reached the
+// answer is built from the same data with the shared issue formatting, so a question never fails
+// just because the model is down.
+import {
+  statusName,
+  assigneeName,
+  priorityName,
+  formatDate,
+  formatIssueLine,
+  groupIssues,
+  pickOne,
+  summarizeIssue,
+} from "./formatting.js";
+
+// Write an answer with the response model and return its text. When the response is an event
+// stream, the completion is streamed and every token is forwarded to the client as it arrives.
+export async function completeChat(llm, res, params) {
+  if (!res || typeof res.streamToken !== "function") {
+    return llm.complete("response", params);
+  }
+
+  let content = "";
+  for await (const delta of llm.stream("response", params)) {
+    content += delta;
+    res.streamToken(delta);
+  }
+  return content;
+}
+
+// Enhanced response generation function with better conversational capabilities.
+// `context` carries the event stream (res), the request's project scope and previousQueries.
+export async function generateResponse(llm, query, jiraData, intent, context = {}) {
+  // Basic data checks
+  if (!jiraData || !jiraData.issues) {
+    return "I couldn't find any relevant information for your query.";
+  }
+
+  if (intent === "CONVERSATION") {
+    // Pull out recent project activity for conversational context
+    const recentActivity = jiraData.issues.slice(0, 3).map(summarizeIssue);
+
+    const conversationPrompt = `
+      You are a friendly Jira assistant chatting with a user. The user has said: "${query}"
+
+      This appears to be a conversational follow-up rather than a direct query about Jira data.
+
+      Some recent activity in the project includes:
+      ${recentActivity.map((i) => `- ${i.key}: ${i.summary} (${i.status})`).join("\n")}
+
+      Respond in a friendly, helpful way. If they're asking for more information or clarification,
+      offer to help them by suggesting specific types of queries they could ask. If they're
+      expressing appreciation, acknowledge it warmly and ask if they need anything else.
+
+      Don't fabricate Jira data that wasn't provided. Make your response conversational and natural.
+    `;
+
+    try {
+      const response = await completeChat(llm, context.res, {
+        messages: [
+          { role: "system", content: conversationPrompt },
+          { role: "user", content: query },
+        ],
+      });
+
+      return response.trim();
+    } catch (error) {
+      console.error("Error generating conversational response:", error);
+      return "I'm here to help with your Jira queries. What would you like to know about your project?";
+    }
+  }
+
+  try {
+    // Create a more varied and context-aware system prompt based on intent
+    let systemPrompt = `
+      You are a helpful, friendly Jira project assistant providing information in a conversational, natural tone.
+
+      Format requirements for the frontend:
+      - Use markdown formatting that works with the frontend:
+        - ## for main headers (issue keys)
+        - ### for section headers
+        - **bold** for field names and important information
+        - • or - for bullet points
+        - Line breaks to separate sections
+    `;
+
+    // Add intent-specific guidance
+    if (intent === "PROJECT_STATUS") {
+      systemPrompt += `
+        For PROJECT_STATUS intent:
+        - Begin with a conversational summary of the project's current state
+        - Highlight key metrics (open issues, in progress, completed)
+        - Mention any critical or high priority items
+        - Add insights about progress and bottlenecks
+        - Organize information in a clear, scannable way
+      `;
+    } else if (intent === "TASK_LIST") {
+      systemPrompt += `
+        For TASK_LIST intent:
+        - Start with a brief overview of the results ("I found X tasks...")
+        - Group tasks logically (by status, priority, etc.)
+        - For each task, include the key, summary, status and assignee
+        - Limit to showing 5-7 tasks with a note about the rest
+        - Add a brief insight about the tasks if possible
+      `;
+    } else if (intent === "ASSIGNED_TASKS") {
+      systemPrompt += `
+        For ASSIGNED_TASKS intent:
+        - Group tasks by assignee
+        - For each person, list 2-3 of their most important tasks
+        - Include task key, summary and status
+        - Add a brief comment about each person's workload
+        - Highlight any potential overloading or imbalances
+      `;
+    } else if (intent === "TASK_DETAILS") {
+      systemPrompt += `
+        For TASK_DETAILS intent:
+        - Use a clear header with the issue key and summary
+        - Organize details into logical sections
+        - Include all important fields (status, priority, assignee, dates)
+        - Format description and comments for readability
+        - Highlight the most recent or important information
+      `;
+    } else if (intent === "BLOCKERS") {
+      systemPrompt += `
+        For BLOCKERS intent:
+        - Use slightly urgent language appropriate for blockers
+        - Clearly identify the most critical issues first
+        - For each blocker, include who it's assigned to and its status
+        - Group by priority if there are multiple blockers
+        - Suggest possible next steps if appropriate
+      `;
+    } else if (intent === "TIMELINE") {
+      systemPrompt += `
+        For TIMELINE intent:
+        - Organize items chronologically
+        - Group by timeframe (this week, next week, this month)
+        - Highlight upcoming deadlines
+        - Include due dates, current status, and assignees
+        - Add context about timing and priorities
+      `;
+    } else if (intent === "COMMENTS") {
+      systemPrompt += `
+        For COMMENTS intent:
+        - Show the most recent comments first
+        - Include the author and date for each comment
+        - Format the comment text for readability
+        - Provide context around what the comment is referring to
+        - Highlight important points from the comments
+      `;
+    } else if (intent === "WORKLOAD") {
+      systemPrompt += `
+        For WORKLOAD intent:
+        - Compare team members' workloads
+        - Show who has the most and least tasks
+        - Highlight who has high priority items
+        - Note any potential overloading
+        - Suggest workload balancing if needed
+      `;
+    } else if (intent === "SPRINT") {
+      systemPrompt += `
+        For SPRINT intent:
+        - Provide an overview of the current sprint status
+        - Group issues by status (to do, in progress, done)
+        - Highlight progress (% complete, days remaining)
+        - Note any blockers or at-risk items
+        - Keep the tone conversational and insightful
+      `;
+    }
+
+    systemPrompt += `
+      General guidelines:
+      - Maintain a conversational, helpful tone throughout
+      - Begin with a direct response to their query, then provide supporting details
+      - Keep lists concise - show 5 items max and summarize the rest if there are more
+      - Show Jira issue keys in their original format (${context.scope?.keys[0] || "PROJ"}-123)
+      - Vary your language patterns and openings to sound natural
+      - Add relevant insights beyond just listing data
+      - Include specific counts and metrics when available
+      - Adjust your tone based on the urgency/priority of the issues
+      - Never mention JQL or technical implementation details
+      - End with a brief, helpful question or suggestion if appropriate
+
+      The query intent is: ${intent}
+      The user asked: "${query}"
+    `;
+
+    // Prepare a condensed version of the Jira data
+    const condensedIssues = jiraData.issues.map((issue) => {
+      const comments = issue.fields.comment?.comments || [];
+      const latest = comments[comments.length - 1];
+
+      return {
+        ...summarizeIssue(issue),
+        created: issue.fields.created,
+        updated: issue.fields.updated,
+        dueDate: issue.fields.duedate || "No due date",
+        comments: latest
+          ? {
+              count: comments.length,
+              latest: {
+                author: latest.author?.displayName || "Unknown",
+                created: latest.created,
+                body: typeof latest.body === "string" ? latest.body.substring(0, 150) + "..." : "Complex formatted comment",
+              },
+            }
+          : null,
+      };
+    });
+
+    // Add analysis of the query and data to provide context
+    const queryAnalysis = {
+      seemsUrgent: /urgent|asap|immediately|critical|blocker/i.test(query),
+      mentionsTime: /due date|deadline|when|timeline|schedule|milestone/i.test(query),
+      mentionsPerson: /assigned to|working on|responsible for/i.test(query),
+      isSpecific: /specific|exactly|precisely|only/i.test(query),
+      requestsCount: /how many|count|number of/i.test(query),
+    };
+
+    // Calculate basic statistics to enrich the response
+    const countBy = (field) =>
+      condensedIssues.reduce((acc, issue) => {
+        acc[issue[field]] = (acc[issue[field]] || 0) + 1;
+        return acc;
+      }, {});
+
+    const statistics = {
+      statusBreakdown: countBy("status"),
+      priorityBreakdown: countBy("priority"),
+      assigneeBreakdown: countBy("assignee"),
+    };
+
+    // Add conversation context if available
+    const conversationContext = context.previousQueries ? { previousQueries: context.previousQueries.slice(-3) } : {};
+
+    const contextData = {
+      query,
+      total: jiraData.total,
+      shownCount: condensedIssues.length,
+      issues: condensedIssues,
+      queryAnalysis,
+      statistics,
+      ...conversationContext,
+    };
+
+    const response = await completeChat(llm, context.res, {
+      messages: [
+        { role: "system", content: systemPrompt },
+        {
+          role: "user",
+          content: `Query: "${query}"\nJira data: ${JSON.stringify(contextData)}\n\nGenerate a helpful, conversational response.`,
+        },
+      ],
+      max_tokens: 800, // Ensure we get a full, detailed response
+    });
+
+    return response.trim();
+  } catch (error) {
+    console.error("Error generating response:", error);
+
+    // Even if the model fails, answer from the Jira data itself
+    return fallbackResponse(jiraData, intent);
+  }
+}
+
+// Intent-specific answer built from the Jira data alone
+function fallbackResponse(jiraData, intent) {
+  const issues = jiraData.issues;
+
+  if (issues.length === 0) {
+    return pickOne([
+      "I couldn't find any issues matching your criteria. Would you like to try a different search?",
+      "I looked, but didn't find any matching issues in Jira. Could you try rephrasing your question?",
+      "No results found for that query. Maybe we could try a broader search?",
+      "I don't see any issues that match what you're looking for. Let me know if you'd like to try a different approach.",
+    ]);
+  }
+
+  if (intent === "PROJECT_STATUS") {
+    let response = `## Project Status Overview\n\n`;
+
+    // Add status breakdown
+    response += `Here's the current status of the project:\n\n`;
+    for (const [status, statusIssues] of Object.entries(groupIssues(issues, statusName))) {
+      response += `• **${status}**: ${statusIssues.length} issues\n`;
+    }
+
+    // Add recent activity
+    response += `\n### Recent Activity\n`;
+    for (const issue of issues.slice(0, 3)) {
+      response += formatIssueLine(issue, [statusName(issue)]);
+    }
+
+    return response;
+  }
+
+  if (intent === "TIMELINE") {
+    let response = `## Project Timeline\n\n`;
+
+    // Group by due date (month)
+    const issuesByMonth = groupIssues(
+      issues.filter((issue) => issue.fields.duedate),
+      (issue) => new Date(issue.fields.duedate).toLocaleDateString("en-US", { month: "long", year: "numeric" })
+    );
+
+    if (Object.keys(issuesByMonth).length === 0) {
+      response += "I didn't find any issues with due dates in the timeline.";
+    } else {
+      for (const [month, monthIssues] of Object.entries(issuesByMonth)) {
+        response += `### ${month}\n`;
+        for (const issue of monthIssues) {
+          response += formatIssueLine(issue, [`Due: ${formatDate(issue.fields.duedate)}`, statusName(issue)]);
+        }
+        response += "\n";
+      }
+    }
+
+    return response;
+  }
+
+  if (intent === "BLOCKERS" || intent === "HIGH_PRIORITY") {
+    let response = `## Key Issues Requiring Attention\n\n`;
+    response += `I found ${issues.length} issues that need attention:\n\n`;
+
+    for (const issue of issues) {
+      response += `• **${issue.key}**: ${issue.fields.summary} (${priorityName(issue)}, ${statusName(issue)}, Assigned to: ${assigneeName(issue)})\n`;
+    }
+
+    return response;
+  }
+
+  if (intent === "ASSIGNED_TASKS" || intent === "WORKLOAD") {
+    let response = `## Team Workload\n\n`;
+
+    for (const [assignee, assignedIssues] of Object.entries(groupIssues(issues, assigneeName))) {
+      response += `### ${assignee} (${assignedIssues.length} issues)\n`;
+
+      for (const issue of assignedIssues.slice(0, 3)) {
+        response += formatIssueLine(issue, [statusName(issue)]);
+      }
+
+      if (assignedIssues.length > 3) {
+        response += `... and ${assignedIssues.length - 3} more issues.\n`;
+      }
+
+      response += "\n";
+    }
+
+    return response;
+  }
+
+  // Default fallback: group by status for better organization, with a varied opening
+  let response = pickOne([
+    `I found ${issues.length} issues related to your query.`,
+    `There are ${issues.length} issues that match what you're looking for.`,
+    `Your search returned ${issues.length} issues.`,
+    `I've located ${issues.length} relevant issues in the project.`,
+    `Looking at your query, I found ${issues.length} matching issues.`,
+  ]);
+  if (jiraData.total > issues.length) {
+    response += ` (Out of ${jiraData.total} total in the project)`;
+  }
+  response += `\n\n`;
+
+  for (const [status, statusIssues] of Object.entries(groupIssues(issues, statusName))) {
+    response += `**${status}**:\n`;
+    for (const issue of statusIssues) {
+      response += formatIssueLine(issue, [`Assigned to: ${assigneeName(issue)}`]);
+    }
+    response += "\n";
+  }
+
+  // Varied closing prompts
+  response += pickOne([
+    "Is there a specific issue you'd like to know more about?",
+    "Would you like details about any of these issues?",
+    "Let me know if you need more information on any particular issue.",
+    "I can tell you more about any of these issues if you're interested.",
+    "Would you like to dive deeper into any of these?",
+  ]);
+
+  return response;
+}
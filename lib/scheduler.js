@@ -0,0 +1,59 @@
+// Runs jobs on cron schedules (lib/cron.js) in this process. Each job is { name, cron, run };
+// run(scheduledAt) is awaited before the job's next run is planned, so a slow job never overlaps
+// itself, and a failing job is logged and tried again at its next scheduled time.
+import { nextRun, parseCron } from "./cron.js";
+
+// setTimeout can't wait longer than this; longer waits are split up
+const MAX_DELAY_MS = 2 ** 31 - 1;
+
+export function createScheduler(jobs, { now = () => new Date() } = {}) {
+  // Parsing up front turns a typo in the configuration into a startup error
+  const scheduled = jobs.map((job) => ({ ...job, cron: parseCron(job.cron), timer: null, next: null }));
+  let running = false;
+
+  function plan(job) {
+    job.next = nextRun(job.cron, now());
+    wait(job);
+  }
+
+  function wait(job) {
+    const delay = Math.min(Math.max(job.next.getTime() - now().getTime(), 0), MAX_DELAY_MS);
+
+    job.timer = setTimeout(async () => {
+      if (!running) return;
+      if (now() < job.next) return wait(job);
+
+      try {
+        await job.run(job.next);
+      } catch (error) {
+        console.error(`Scheduled job "${job.name}" failed:`, error);
+      }
+      if (running) plan(job);
+    }, delay);
+
+    // A pending job doesn't keep the process alive on its own
+    job.timer.unref?.();
+  }
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      scheduled.forEach(plan);
+    },
+
+    stop() {
+      running = false;
+      for (const job of scheduled) {
+        clearTimeout(job.timer);
+        job.timer = null;
+        job.next = null;
+      }
+    },
+
+    // The jobs with their schedules and, while running, when each runs next
+    describe() {
+      return scheduled.map((job) => ({ name: job.name, cron: job.cron.source, nextRun: job.next ? job.next.toISOString() : null }));
+    },
+  };
+}
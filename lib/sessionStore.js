@@ -0,0 +1,211 @@
+// Conversation session stores.
+// A session holds the full turns of a conversation (query, intent, JQL, response) and the user's
+// preferences for it (the board sprint questions refer to). Stores expire
+// sessions that have not been updated within `ttlMs` and keep at most `maxSessions` sessions,
+// evicting the least recently updated ones first. The file store checks both at most once a
+// minute, by the files' modification times.
+import { promises as fs } from "fs";
+import { randomUUID } from "crypto";
+import path from "path";
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_SESSIONS = 500;
+// How often the file store looks for sessions to remove
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Create an empty session
+export function createSession(id) {
+  const now = new Date().toISOString();
+  return { id, createdAt: now, updatedAt: now, turns: [], preferences: {} };
+}
+
+// Short description of a session for listings
+export function summarizeSession(session) {
+  const lastTurn = session.turns[session.turns.length - 1];
+  return {
+    id: session.id,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    turnCount: session.turns.length,
+    lastQuery: lastTurn ? lastTurn.query : null,
+  };
+}
+
+function isExpired(session, ttlMs) {
+  return Date.now() - new Date(session.updatedAt).getTime() > ttlMs;
+}
+
+// Sessions kept in process memory. Fast, but lost on restart and not shared between instances.
+export class MemorySessionStore {
+  constructor({ ttlMs = DEFAULT_TTL_MS, maxSessions = DEFAULT_MAX_SESSIONS } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxSessions = maxSessions;
+    this.sessions = new Map(); // insertion order doubles as least-recently-updated order
+  }
+
+  async get(id) {
+    const session = this.sessions.get(id);
+    if (!session) return null;
+
+    if (isExpired(session, this.ttlMs)) {
+      this.sessions.delete(id);
+      return null;
+    }
+
+    return session;
+  }
+
+  async save(session) {
+    session.updatedAt = new Date().toISOString();
+    this.sessions.delete(session.id);
+    this.sessions.set(session.id, session);
+
+    while (this.sessions.size > this.maxSessions) {
+      const oldestId = this.sessions.keys().next().value;
+      this.sessions.delete(oldestId);
+    }
+
+    return session;
+  }
+
+  async delete(id) {
+    return this.sessions.delete(id);
+  }
+
+  async list() {
+    const sessions = [];
+    for (const session of this.sessions.values()) {
+      if (isExpired(session, this.ttlMs)) {
+        this.sessions.delete(session.id);
+      } else {
+        sessions.push(session);
+      }
+    }
+    return sessions;
+  }
+}
+
+// Sessions stored as one JSON file each in a directory. Survives restarts and can be shared by
+// several server instances pointing at the same directory.
+export class FileSessionStore {
+  constructor({ dir, ttlMs = DEFAULT_TTL_MS, maxSessions = DEFAULT_MAX_SESSIONS } = {}) {
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+    this.maxSessions = maxSessions;
+    this.prunedAt = 0;
+    this.ready = fs.mkdir(dir, { recursive: true });
+  }
+
+  fileFor(id) {
+    return path.join(this.dir, `${Buffer.from(id).toString("base64url")}.json`);
+  }
+
+  async read(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (error) {
+      // Missing files are normal; files another instance is rewriting are treated as missing too
+      if (error.code === "ENOENT" || error instanceof SyntaxError) return null;
+      throw error;
+    }
+  }
+
+  async get(id) {
+    await this.ready;
+    const session = await this.read(this.fileFor(id));
+    if (!session) return null;
+
+    if (isExpired(session, this.ttlMs)) {
+      await this.delete(id);
+      return null;
+    }
+
+    return session;
+  }
+
+  async save(session) {
+    await this.ready;
+    session.updatedAt = new Date().toISOString();
+
+    // Write to a temporary file and rename so readers never see a half-written session. Each
+    // write has its own temporary file, so saves of the same session can overlap.
+    const file = this.fileFor(session.id);
+    const tempFile = `${file}.${randomUUID()}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(session));
+    await fs.rename(tempFile, file);
+
+    if (Date.now() - this.prunedAt >= PRUNE_INTERVAL_MS) {
+      this.prunedAt = Date.now();
+      await this.prune();
+    }
+
+    return session;
+  }
+
+  // Remove expired sessions and the least recently saved beyond `maxSessions`. Goes by the files'
+  // modification times, so no session has to be read.
+  async prune() {
+    await this.ready;
+    const files = [];
+
+    for (const name of await fs.readdir(this.dir)) {
+      if (!name.endsWith(".json")) continue;
+      try {
+        const { mtimeMs } = await fs.stat(path.join(this.dir, name));
+        files.push({ name, mtimeMs });
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    }
+
+    files.sort((a, b) => b.mtimeMs - a.mtimeMs);
+    const stale = files.filter((file, index) => index >= this.maxSessions || Date.now() - file.mtimeMs > this.ttlMs);
+    for (const { name } of stale) {
+      await fs.rm(path.join(this.dir, name), { force: true });
+    }
+  }
+
+  async delete(id) {
+    await this.ready;
+    try {
+      await fs.unlink(this.fileFor(id));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  }
+
+  async list() {
+    await this.ready;
+    const sessions = [];
+
+    for (const name of await fs.readdir(this.dir)) {
+      if (!name.endsWith(".json")) continue;
+
+      const session = await this.read(path.join(this.dir, name));
+      if (!session) continue;
+
+      if (isExpired(session, this.ttlMs)) {
+        await this.delete(session.id);
+      } else {
+        sessions.push(session);
+      }
+    }
+
+    return sessions;
+  }
+}
+
+// Build the store selected by configuration: "memory" (default) or "file"
+export function createSessionStore({ type = "memory", dir = ".sessions", ttlMs, maxSessions } = {}) {
+  if (type === "file") {
+    return new FileSessionStore({ dir, ttlMs, maxSessions });
+  }
+
+  if (type !== "memory") {
+    console.warn(`Unknown session store "${type}", using the in-memory store`);
+  }
+
+  return new MemorySessionStore({ ttlMs, maxSessions });
+}
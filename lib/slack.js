@@ -0,0 +1,69 @@
+// Slack: request signatures, the Events API and slash-command payloads, and sending replies.
+// https://api.slack.com/authentication/verifying-requests-from-slack
+import crypto from "crypto";
+import axios from "axios";
+
+// Slack's own replay window: requests signed more than five minutes ago are refused
+const MAX_AGE_SECONDS = 5 * 60;
+
+// Check the X-Slack-Signature of a request against the app's signing secret. `rawBody` is the body
+// exactly as received; re-serialized JSON wouldn't match.
+export function verifySlackSignature({ rawBody, timestamp, signature }, signingSecret, { now = Date.now() } = {}) {
+  if (!signingSecret || !rawBody || !timestamp || !signature) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > MAX_AGE_SECONDS) return false;
+
+  const expected = Buffer.from(`v0=${crypto.createHmac("sha256", signingSecret).update(`v0:${timestamp}:${rawBody}`).digest("hex")}`);
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Mentions of the bot ("<@U0123ABCD> how's the sprint?") aren't part of the question
+const stripMentions = (text) => String(text || "").replace(/<@[A-Z0-9]+(?:\|[^>]*)?>/g, "").trim();
+
+// The question in an Events API callback, or null for events the assistant doesn't answer: its own
+// and other bots' messages, edits and deletions, and channel messages that don't mention it.
+// Returns { query, sessionId, channel, threadTs }.
+export function parseSlackEvent({ team_id: teamId, event } = {}) {
+  if (!event || event.bot_id || event.subtype) return null;
+
+  const isMention = event.type === "app_mention";
+  const isDirectMessage = event.type === "message" && event.channel_type === "im";
+  if (!isMention && !isDirectMessage) return null;
+
+  const query = stripMentions(event.text);
+  if (!query) return null;
+
+  // A thread is its own conversation; elsewhere the channel (or direct message) is
+  const thread = event.thread_ts ? `:${event.thread_ts}` : "";
+  return {
+    query,
+    sessionId: `slack:${teamId}:${event.channel}${thread}`,
+    channel: event.channel,
+    threadTs: event.thread_ts || (isMention ? event.ts : null),
+  };
+}
+
+// The question in a slash command ("/jira what's blocked?"). Each person's slash commands in a
+// channel are one conversation. Returns { query, sessionId, responseUrl }.
+export function parseSlashCommand({ team_id: teamId, channel_id: channelId, user_id: userId, text, response_url: responseUrl } = {}) {
+  return { query: String(text || "").trim(), sessionId: `slack:${teamId}:${channelId}:${userId}`, responseUrl };
+}
+
+// Post a message to a channel (or thread) with the bot token
+export async function postSlackMessage({ apiUrl, botToken, channel, threadTs, message, timeoutMs = 10000 }) {
+  const response = await axios.post(
+    `${apiUrl}/chat.postMessage`,
+    { channel, ...(threadTs ? { thread_ts: threadTs } : {}), ...message },
+    { headers: { Authorization: `Bearer ${botToken}` }, timeout: timeoutMs }
+  );
+
+  // Slack reports most failures as 200 { ok: false, error }
+  if (response.data?.ok === false) {
+    throw new Error(`Slack chat.postMessage failed: ${response.data.error}`);
+  }
+}
+
+// Answer a slash command through its response_url, visible to the whole channel
+export async function postSlashCommandReply(responseUrl, message, { timeoutMs = 10000 } = {}) {
+  await axios.post(responseUrl, { response_type: "in_channel", ...message }, { timeout: timeoutMs });
+}
@@ -0,0 +1,121 @@
+// A minimal SMTP client for report emails: one plain-text message per connection to a relay, with
+// optional AUTH PLAIN. There's no STARTTLS, so use a relay on localhost or a trusted network (or a
+// local forwarder such as an MTA in front of the real mail service).
+import net from "net";
+import os from "os";
+import { randomUUID } from "crypto";
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+export class SmtpError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = "SmtpError";
+    this.code = code;
+  }
+}
+
+// Headers that may carry non-ASCII text are sent as RFC 2047 encoded words
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`);
+
+function buildMessage({ from, to, subject, text, date = new Date() }) {
+  const body = text
+    .replace(/\r?\n/g, "\r\n")
+    // Dot-stuffing: a line starting with "." would otherwise end the message early
+    .replace(/^\./gm, "..");
+
+  return [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${randomUUID()}@${from.split("@")[1] || os.hostname()}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+    "",
+    body,
+  ].join("\r\n");
+}
+
+// Reads the server's replies; multi-line replies ("250-...", "250 ...") resolve once complete
+function createReplyReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const waiting = [];
+  const ready = [];
+  let failure = null;
+
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+    let index;
+    while ((index = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+
+      // "250 OK" ends a reply, "250-SIZE" continues it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), text: lines.map((part) => part.slice(4)).join("\n") };
+        lines = [];
+        if (waiting.length > 0) waiting.shift().resolve(reply);
+        else ready.push(reply);
+      }
+    }
+  });
+
+  const fail = (error) => {
+    failure ||= error;
+    waiting.splice(0).forEach(({ reject }) => reject(failure));
+  };
+  socket.on("error", fail);
+  socket.on("close", () => fail(new SmtpError("The SMTP server closed the connection")));
+
+  return () => {
+    if (ready.length > 0) return Promise.resolve(ready.shift());
+    if (failure) return Promise.reject(failure);
+    return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  };
+}
+
+// Send one message. Resolves once the server accepts it; rejects with SmtpError when it doesn't.
+export async function sendMail({ host, port = 25, user, password, from, to, subject, text, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  if (!host || !from || !to?.length) {
+    throw new SmtpError("SMTP host, sender and recipients are required");
+  }
+
+  const socket = net.createConnection({ host, port });
+  socket.setTimeout(timeoutMs, () => socket.destroy(new SmtpError(`The SMTP server didn't answer within ${timeoutMs} ms`)));
+  const nextReply = createReplyReader(socket);
+
+  const expect = async (accepted, step) => {
+    const reply = await nextReply();
+    if (!accepted.includes(reply.code)) throw new SmtpError(`SMTP ${step} failed: ${reply.code} ${reply.text}`, reply.code);
+    return reply;
+  };
+  const command = (line, accepted, step = line.split(" ")[0]) => {
+    socket.write(`${line}\r\n`);
+    return expect(accepted, step);
+  };
+
+  try {
+    await expect([220], "greeting");
+    await command(`EHLO ${os.hostname()}`, [250]);
+
+    if (user) {
+      const credentials = Buffer.from(`\0${user}\0${password || ""}`).toString("base64");
+      await command(`AUTH PLAIN ${credentials}`, [235], "AUTH");
+    }
+
+    await command(`MAIL FROM:<${from}>`, [250], "MAIL FROM");
+    for (const recipient of to) {
+      await command(`RCPT TO:<${recipient}>`, [250, 251], "RCPT TO");
+    }
+
+    await command("DATA", [354]);
+    await command(`${buildMessage({ from, to, subject, text })}\r\n.`, [250], "message");
+    await command("QUIT", [221]);
+  } finally {
+    socket.end();
+  }
+}
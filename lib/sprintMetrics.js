@@ -0,0 +1,199 @@
+// Sprint analytics computed from issue changelogs: burndown/burnup series, scope change after the
+// sprint started and velocity over closed sprints.
+// Every issue's sprint membership, estimate and status at a past moment is rebuilt by undoing the
+// changes recorded after that moment, so the issues must be loaded with expand=changelog.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses that count as finished when an issue's status category isn't known (changelogs only
+// record status names)
+const DONE_STATUSES = ["done", "closed", "resolved"];
+
+const round = (value) => Math.round(value * 10) / 10;
+const time = (value) => new Date(value).getTime();
+
+function isSprintField(item) {
+  return item.field?.toLowerCase() === "sprint";
+}
+
+function isStatusField(item) {
+  return item.fieldId === "status" || item.field?.toLowerCase() === "status";
+}
+
+function isPointsField(storyPointsField) {
+  return (item) => item.fieldId === storyPointsField || /^story points?( estimate)?$/i.test(item.field || "");
+}
+
+// Changelog entries in time order
+function histories(issue) {
+  return [...(issue.changelog?.histories || [])].sort((a, b) => time(a.created) - time(b.created));
+}
+
+// The value a field had at `at`: the "from" side of its first change after that moment, or the
+// current value when it hasn't changed since
+function valueAt(issue, matchesField, at, current, read) {
+  for (const history of histories(issue)) {
+    if (time(history.created) <= at) continue;
+    const item = history.items.find(matchesField);
+    if (item) return read(item);
+  }
+  return current;
+}
+
+const sprintIdsOf = (value) =>
+  String(value || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+const parsePoints = (value) => (value === null || value === undefined || value === "" ? null : Number(value));
+
+// Reads an issue's sprint membership, estimate and done-ness at any moment
+export function createIssueTimeline(issue, { sprintId, inSprintNow, storyPointsField }) {
+  const created = time(issue.fields.created);
+  const currentStatus = issue.fields.status?.name || "";
+  const doneNow = issue.fields.status?.statusCategory?.key === "done" || DONE_STATUSES.includes(currentStatus.toLowerCase());
+  const currentPoints = parsePoints(issue.fields[storyPointsField]);
+
+  return {
+    key: issue.key,
+    summary: issue.fields.summary,
+
+    inSprintAt(at) {
+      if (created > at) return false;
+      return valueAt(issue, isSprintField, at, inSprintNow, (item) => sprintIdsOf(item.from).includes(String(sprintId)));
+    },
+
+    pointsAt(at) {
+      return valueAt(issue, isPointsField(storyPointsField), at, currentPoints, (item) => parsePoints(item.fromString ?? item.from));
+    },
+
+    doneAt(at) {
+      if (created > at) return false;
+      return valueAt(issue, isStatusField, at, doneNow, (item) => DONE_STATUSES.includes(String(item.fromString).toLowerCase()));
+    },
+
+    // Whether the issue was in the sprint at any moment between `from` and `to`
+    inSprintBetween(from, to) {
+      const changes = histories(issue)
+        .filter((history) => history.items.some(isSprintField))
+        .map((history) => time(history.created))
+        .filter((at) => at > from && at <= to);
+      return [from, ...changes, to].some((at) => this.inSprintAt(at));
+    },
+
+    // Whether the issue carried an estimate at any point
+    hasEstimate() {
+      return currentPoints !== null || histories(issue).some((history) => history.items.some(isPointsField(storyPointsField)));
+    },
+  };
+}
+
+// Moments to sample: the sprint start, then every day until `end`, then `end` itself
+function sampleTimes(start, end) {
+  const times = [];
+  for (let at = start; at < end; at += DAY_MS) times.push(at);
+  times.push(end);
+  return times;
+}
+
+// Burndown/burnup, scope change and totals for one sprint.
+// issues: [{ issue, inSprintNow }] loaded with expand=changelog; unit: "points" or "issues" (by
+// default "points" when any issue is estimated).
+export function computeSprintMetrics(sprint, issues, { storyPointsField, unit, now = new Date() } = {}) {
+  const timelines = issues.map(({ issue, inSprintNow }) => createIssueTimeline(issue, { sprintId: sprint.id, inSprintNow, storyPointsField }));
+  unit ||= timelines.some((timeline) => timeline.hasEstimate()) ? "points" : "issues";
+
+  const amountAt = (timeline, at) => (unit === "points" ? timeline.pointsAt(at) || 0 : 1);
+  const sum = (list, at) => round(list.reduce((total, timeline) => total + amountAt(timeline, at), 0));
+
+  const start = sprint.startDate ? time(sprint.startDate) : null;
+  const plannedEnd = sprint.endDate ? time(sprint.endDate) : null;
+  // Closed sprints are measured up to when they were completed, open ones up to now
+  const end = Math.min(time(sprint.completeDate || now), now.getTime());
+
+  const inSprint = (at) => timelines.filter((timeline) => timeline.inSprintAt(at));
+  const current = inSprint(end);
+  const completed = current.filter((timeline) => timeline.doneAt(end));
+
+  const metrics = {
+    sprint: {
+      id: sprint.id,
+      name: sprint.name,
+      state: sprint.state,
+      goal: sprint.goal || null,
+      startDate: sprint.startDate || null,
+      endDate: sprint.endDate || null,
+      completeDate: sprint.completeDate || null,
+    },
+    unit,
+    totals: {
+      issues: current.length,
+      scope: sum(current, end),
+      completed: sum(completed, end),
+      remaining: round(sum(current, end) - sum(completed, end)),
+      // Issues without an estimate count as 0 points
+      unestimated: unit === "points" ? current.filter((timeline) => timeline.pointsAt(end) === null).length : 0,
+    },
+    // Not done by the end: the work left in an open sprint, or what a closed one carried over
+    incomplete: current
+      .filter((timeline) => !timeline.doneAt(end))
+      .map((timeline) => ({ key: timeline.key, summary: timeline.summary, value: amountAt(timeline, end) })),
+    committed: null,
+    scopeChange: null,
+    series: [],
+  };
+
+  // A sprint that hasn't started has no history to chart yet
+  if (start === null || start > end) return metrics;
+
+  const committed = inSprint(start);
+  const committedValue = sum(committed, start);
+  const duration = (plannedEnd ?? end) - start;
+
+  metrics.committed = committedValue;
+
+  // Scope added: joined after the start. Scope removed: in the sprint at some point but not at the end.
+  const everIn = timelines.filter((timeline) => timeline.inSprintBetween(start, end));
+  const added = everIn.filter((timeline) => !committed.includes(timeline));
+  const removed = everIn.filter((timeline) => !current.includes(timeline));
+  const describe = (list) => ({
+    count: list.length,
+    value: sum(list, end),
+    issues: list.map((timeline) => ({ key: timeline.key, summary: timeline.summary, value: amountAt(timeline, end) })),
+  });
+
+  metrics.scopeChange = { committed: committedValue, added: describe(added), removed: describe(removed) };
+
+  // One point per day: what was left, what was done, the total scope, and the ideal straight line
+  // from the committed scope to zero at the planned end
+  metrics.series = sampleTimes(start, end).map((at) => {
+    const scope = inSprint(at);
+    const done = sum(scope.filter((timeline) => timeline.doneAt(at)), at);
+    const total = sum(scope, at);
+    return {
+      date: new Date(at).toISOString(),
+      scope: total,
+      completed: done,
+      remaining: round(total - done),
+      ideal: duration > 0 ? round(Math.max(0, committedValue * (1 - (at - start) / duration))) : 0,
+    };
+  });
+
+  return metrics;
+}
+
+// Committed vs completed for each closed sprint, and the average completed per sprint
+export function computeVelocity(sprintMetrics) {
+  const sprints = sprintMetrics.map(({ sprint, unit, committed, totals }) => ({
+    id: sprint.id,
+    name: sprint.name,
+    completeDate: sprint.completeDate,
+    unit,
+    committed: committed ?? totals.scope,
+    completed: totals.completed,
+  }));
+
+  const average = sprints.length > 0 ? round(sprints.reduce((total, sprint) => total + sprint.completed, 0) / sprints.length) : null;
+  return { sprints, average };
+}
@@ -0,0 +1,181 @@
+// Sprints from the Jira agile API: listing boards and sprints for the project scope, finding the
+// sprint a question refers to ("sprint 14", "last sprint", "next sprint"), and loading a sprint's
+// issues with their changelogs for the analytics in sprintMetrics.js.
+import { computeSprintMetrics, computeVelocity } from "./sprintMetrics.js";
+import { withFullChangelog } from "./history.js";
+
+const SPRINT_ISSUE_FIELDS = ["summary", "status", "assignee", "priority", "issuetype", "created"];
+
+const isNotFound = (error) => error.response?.status === 404;
+
+// What clients see of a board and a sprint
+export function summarizeBoard(board) {
+  return { id: board.id, name: board.name, type: board.type, projectKey: board.location?.projectKey ?? null };
+}
+
+export function summarizeSprint(sprint) {
+  return {
+    id: sprint.id,
+    name: sprint.name,
+    state: sprint.state,
+    goal: sprint.goal || null,
+    startDate: sprint.startDate || null,
+    endDate: sprint.endDate || null,
+    completeDate: sprint.completeDate || null,
+  };
+}
+
+// The boards of the projects in scope; `type: "scrum"` leaves out boards without sprints
+export async function findBoards(jira, scope, { type } = {}) {
+  const boards = await Promise.all(
+    scope.keys.map((projectKey) => jira.paginate("/rest/agile/1.0/board", { params: { projectKeyOrId: projectKey, ...(type && { type }) } }))
+  );
+  return boards.flat();
+}
+
+// A board, or null when it doesn't exist or belongs to a project outside `allowedKeys`
+export async function loadBoard(jira, boardId, allowedKeys) {
+  try {
+    const { data: board } = await jira.get(`/rest/agile/1.0/board/${encodeURIComponent(boardId)}`);
+    return allowedKeys.includes(board.location?.projectKey) ? board : null;
+  } catch (error) {
+    if (isNotFound(error)) return null;
+    throw error;
+  }
+}
+
+// A board's sprints in board order, optionally only those in `states` ("active", "closed", "future")
+export function listSprints(jira, boardId, { states = [] } = {}) {
+  return jira.paginate(`/rest/agile/1.0/board/${boardId}/sprint`, { params: states.length > 0 ? { state: states.join(",") } : {} });
+}
+
+// A sprint and its board, or null when either doesn't exist or the board belongs to a project
+// outside `allowedKeys`
+export async function loadSprint(jira, sprintId, allowedKeys) {
+  try {
+    const { data: sprint } = await jira.get(`/rest/agile/1.0/sprint/${encodeURIComponent(sprintId)}`);
+    const board = await loadBoard(jira, sprint.originBoardId, allowedKeys);
+    return board && { sprint, board };
+  } catch (error) {
+    if (isNotFound(error)) return null;
+    throw error;
+  }
+}
+
+// Which sprint a question is about: { kind: "number", number }, { kind: "last" }, { kind: "next" }
+// or { kind: "active" } (the default)
+export function parseSprintReference(query) {
+  const text = String(query);
+  if (/\b(?:last|previous|prior)\s+sprint\b/i.test(text)) return { kind: "last" };
+  if (/\b(?:next|upcoming|following)\s+sprint\b/i.test(text)) return { kind: "next" };
+
+  const numbered = text.match(/\bsprint\s*(?:#|number\s+|no\.\s*)?\s*(\d+)\b/i);
+  if (numbered) return { kind: "number", number: Number(numbered[1]) };
+
+  return { kind: "active" };
+}
+
+const endOf = (sprint) => new Date(sprint.completeDate || sprint.endDate || 0).getTime();
+
+// The sprints of a board matching a reference, best match first
+export function selectSprints(sprints, reference) {
+  switch (reference.kind) {
+    case "last":
+      return sprints.filter((sprint) => sprint.state === "closed").sort((a, b) => endOf(b) - endOf(a));
+    case "next":
+      // Future sprints have no dates until they start; board order is the planned order
+      return sprints.filter((sprint) => sprint.state === "future");
+    case "number": {
+      const byName = new RegExp(`\\b${reference.number}\\b`);
+      const named = sprints.filter((sprint) => byName.test(sprint.name));
+      return named.length > 0 ? named : sprints.filter((sprint) => sprint.id === reference.number);
+    }
+    default:
+      return sprints.filter((sprint) => sprint.state === "active");
+  }
+}
+
+// The sprint a question refers to, looked up on the preferred board or else on every scrum board
+// in scope (the first board with a match wins). Resolves to { sprint, board, alternatives } or null;
+// alternatives are the other matching sprints, e.g. parallel active sprints or other boards' sprint 14.
+export async function resolveSprint(jira, scope, reference, { board: preferredBoard } = {}) {
+  const boards = preferredBoard ? [preferredBoard] : await findBoards(jira, scope, { type: "scrum" });
+
+  const matches = await Promise.all(
+    boards.map(async (board) => {
+      const sprints = await listSprints(jira, board.id).catch((error) => {
+        console.log(`Error fetching sprints of board ${board.id}:`, error.message);
+        return [];
+      });
+      return selectSprints(sprints, reference).map((sprint) => ({ sprint, board }));
+    })
+  );
+
+  const [best, ...alternatives] = matches.flat();
+  return best ? { ...best, alternatives } : null;
+}
+
+// The sprint's issues, plus the ones taken out of it after it started, with their complete
+// changelogs.
+// Resolves to { issues: [{ issue, inSprintNow }], removalsKnown }. Issues taken out of a sprint are
+// found with removedAfterSprintStart(), which only sites with ScriptRunner have; elsewhere
+// removalsKnown is false and nothing counts as removed.
+export async function loadSprintIssues(jira, sprint, board, { storyPointsField }) {
+  const fields = [...SPRINT_ISSUE_FIELDS, storyPointsField].join(",");
+
+  const [loaded, removedLoaded] = await Promise.all([
+    jira.paginate(`/rest/agile/1.0/sprint/${sprint.id}/issue`, { params: { fields, expand: "changelog" }, itemsKey: "issues" }),
+
+    sprint.startDate
+      ? jira
+          .search(`issue in removedAfterSprintStart("${board.name.replace(/"/g, '\\"')}", "${sprint.name.replace(/"/g, '\\"')}")`, {
+            fields,
+            expand: "changelog",
+          })
+          .then((result) => result.issues)
+          .catch((error) => {
+            console.log("Error fetching issues removed from the sprint:", error.message);
+            return null;
+          })
+      : [],
+  ]);
+
+  const withChangelogs = (issues) => Promise.all(issues.map((issue) => withFullChangelog(jira, issue)));
+  const current = await withChangelogs(loaded);
+  const removed = removedLoaded && (await withChangelogs(removedLoaded));
+
+  const currentKeys = new Set(current.map((issue) => issue.key));
+  return {
+    issues: [
+      ...current.map((issue) => ({ issue, inSprintNow: true })),
+      ...(removed || []).filter((issue) => !currentKeys.has(issue.key)).map((issue) => ({ issue, inSprintNow: false })),
+    ],
+    removalsKnown: removed !== null,
+  };
+}
+
+// Metrics for a sprint plus velocity over the board's last `velocitySprints` closed sprints (oldest
+// first). Resolves to { metrics, issues }.
+export async function loadSprintMetrics(jira, sprint, board, { storyPointsField, velocitySprints, now = new Date() }) {
+  const { issues, removalsKnown } = await loadSprintIssues(jira, sprint, board, { storyPointsField });
+  const metrics = computeSprintMetrics(sprint, issues, { storyPointsField, now });
+  if (metrics.scopeChange) metrics.scopeChange.removalsKnown = removalsKnown;
+
+  const closedSprints = (await listSprints(jira, board.id, { states: ["closed"] }))
+    // Only sprints finished before this one started count towards its velocity
+    .filter((closed) => closed.id !== sprint.id && (!sprint.startDate || new Date(closed.completeDate || closed.endDate) <= new Date(sprint.startDate)))
+    .sort((a, b) => new Date(b.completeDate || b.endDate) - new Date(a.completeDate || a.endDate))
+    .slice(0, velocitySprints);
+
+  const closedMetrics = await Promise.all(
+    closedSprints.map(async (closed) =>
+      computeSprintMetrics(closed, (await loadSprintIssues(jira, closed, board, { storyPointsField })).issues, { storyPointsField, unit: metrics.unit, now })
+    )
+  );
+
+  return {
+    metrics: { ...metrics, velocity: computeVelocity(closedMetrics.reverse()) },
+    // The sprint's current issues, for callers that describe them too
+    issues: issues.filter(({ inSprintNow }) => inSprintNow).map(({ issue }) => issue),
+  };
+}
@@ -0,0 +1,40 @@
+// Microsoft Teams outgoing webhooks: request signatures and message activities. Teams waits up to
+// five seconds for the answer, which is the response to its request.
+// https://learn.microsoft.com/microsoftteams/platform/webhooks-and-connectors/how-to/add-outgoing-webhook
+import crypto from "crypto";
+import { toAdaptiveCard } from "./chatFormatting.js";
+
+// Check the "Authorization: HMAC <signature>" header: the base64 HMAC-SHA256 of the raw body,
+// keyed with the base64-decoded security token Teams showed when the webhook was created
+export function verifyTeamsSignature({ rawBody, authorization }, secret) {
+  const signature = String(authorization || "").match(/^HMAC\s+(\S+)$/)?.[1];
+  if (!secret || !rawBody || !signature) return false;
+
+  const expected = Buffer.from(crypto.createHmac("sha256", Buffer.from(secret, "base64")).update(rawBody).digest("base64"));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// The question in a message activity, without the <at>mention</at> that addressed the webhook.
+// Each Teams conversation (channel thread, group chat) is one assistant conversation.
+// Returns { query, sessionId }, or null for anything but a message.
+export function parseTeamsActivity(activity = {}) {
+  if (activity.type !== "message") return null;
+
+  const query = String(activity.text || "")
+    .replace(/<at>[^<]*<\/at>/g, "")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return { query, sessionId: `teams:${activity.conversation?.id || activity.from?.id}` };
+}
+
+// The reply activity carrying an answer as an Adaptive Card
+export function toTeamsMessage(payload, options) {
+  return {
+    type: "message",
+    attachments: [{ contentType: "application/vnd.microsoft.card.adaptive", content: toAdaptiveCard(payload, options) }],
+  };
+}
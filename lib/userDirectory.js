@@ -0,0 +1,303 @@
+// People in questions: names, first names, nicknames and "me" mapped to Jira accounts. The
+// directory is everyone who can be assigned issues in the projects in scope, cached by the Jira
+// client. Jira Cloud only accepts accountIds in user fields, so JQL naming people by display name
+// gets their accountIds instead, and a name several people answer to is asked about rather than
+// guessed.
+import { editDistance, mapUserValues, JqlError } from "./jql.js";
+
+// Given names that are the same person: "Bill" in a question finds William in Jira and the other
+// way around
+const NICKNAME_GROUPS = [
+  ["william", "will", "bill", "billy", "liam"],
+  ["robert", "rob", "bob", "bobby", "robbie"],
+  ["richard", "rick", "ricky", "rich", "dick"],
+  ["john", "johnny", "jon", "jack"],
+  ["jonathan", "jon", "jonny", "nathan"],
+  ["james", "jim", "jimmy", "jamie"],
+  ["michael", "mike", "mikey", "mick"],
+  ["elizabeth", "liz", "lizzie", "beth", "betty", "eliza"],
+  ["katherine", "catherine", "kate", "katie", "kathy", "cathy", "kat"],
+  ["margaret", "maggie", "meg", "peggy"],
+  ["alexander", "alex", "xander", "sasha"],
+  ["alexandra", "alex", "lexi", "sasha"],
+  ["christopher", "chris", "topher"],
+  ["christina", "christine", "chris", "tina"],
+  ["daniel", "dan", "danny"],
+  ["david", "dave", "davey"],
+  ["edward", "ed", "eddie", "ted", "ned"],
+  ["thomas", "tom", "tommy"],
+  ["joseph", "joe", "joey"],
+  ["matthew", "matt"],
+  ["nicholas", "nick", "nicky"],
+  ["anthony", "tony"],
+  ["benjamin", "ben", "benny"],
+  ["samuel", "sam", "sammy"],
+  ["samantha", "sam", "sammy"],
+  ["steven", "stephen", "steve"],
+  ["andrew", "andy", "drew"],
+  ["jennifer", "jen", "jenny"],
+  ["patricia", "pat", "patty", "trish"],
+  ["susan", "sue", "suzy"],
+  ["rebecca", "becky", "becca"],
+  ["victoria", "vicky", "tori"],
+];
+
+// Names that are also everyday words. Found in a question, they only count when capitalized
+// somewhere other than the start of a sentence.
+const COMMON_WORDS = new Set(
+  "will may june april august mark bill grant rose pat sue art max ray don joy hope faith chase dawn rich sky jack ben drew ted jira assistant".split(" ")
+);
+
+// Words that stand for people without naming anyone
+const NOT_NAMES = new Set(
+  "i me myself you we us they them he him she her it this that who whom anyone anybody everyone everybody someone somebody nobody team the all each one".split(" ")
+);
+const SELF_NAMES = new Set(["i", "me", "myself"]);
+
+// "assigned to me", "my tasks", "what am I working on"
+const SELF_MENTION =
+  /\b(?:(?:assigned to|for|by|from|with) (?:me|myself)|my (?:own )?(?:tasks?|issues?|tickets?|bugs?|stories|work|assignments?|queue|backlog|items?)|mine|(?:am|have|did|do|should|was) i (?:been )?(?:working|assigned|doing|responsible|reported|created|supposed)|i'm (?:working|assigned|doing|responsible))\b/i;
+
+// Where questions name people: "what is John working on", "assigned to Ana Lee", "Marko's bugs".
+// Only the first and last can't be about anything but a person, so elsewhere a lowercase word has
+// to be someone's name or nickname, not just close to one: "bugs for data" aren't Dana's.
+const NAME = "([a-z][\\w'.-]*(?: [a-z][\\w'.-]*)?)";
+const PERSON_PATTERNS = [
+  { pattern: new RegExp(`\\b(?:is|are|was|has|have) ${NAME} (?:been )?(?:working|assigned|doing|responsible|busy)\\b`, "i"), loose: true },
+  {
+    pattern: new RegExp(`\\b(?:assigned to|owned by|reported by|created by|raised by|opened by|filed by|for) ${NAME}(?=\\s*[?.!,]|\\s*$| (?:this|last|next|in|on|with|that|and|since|before|after|today|yesterday)\\b)`, "i"),
+    loose: false,
+  },
+  { pattern: /\b([a-z][\w.-]*)'s (?:open |current |closed |assigned )?(?:tasks?|issues?|tickets?|bugs?|work|stories|workload|assignments?|queue)\b/i, loose: true },
+];
+
+const normalize = (value) =>
+  String(value)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+const wordsOf = (value) => normalize(value).split(/[^a-z0-9]+/).filter(Boolean);
+
+// Words a person answers to: their display name and the name part of their email
+const nameWords = (user) => [...new Set([...wordsOf(user.displayName || ""), ...wordsOf((user.emailAddress || "").split("@")[0])])];
+
+const sameGivenName = (a, b) => NICKNAME_GROUPS.some((group) => group.includes(a) && group.includes(b));
+
+// How well a word of a question matches a word of someone's name: 1 exactly, 2 as a nickname,
+// 3 as the start of it ("Iva" for Ivana), 4 misspelled; null when it doesn't
+function wordTier(word, name) {
+  if (word === name) return 1;
+  if (sameGivenName(word, name)) return 2;
+  if (word.length >= 3 && name.startsWith(word)) return 3;
+  if (word.length >= 4 && editDistance(word, name) <= (word.length >= 7 ? 2 : 1)) return 4;
+  return null;
+}
+
+// How well a name matches a person (0 for their display name, then as wordTier for the worst of
+// its words), or null when some word matches none of theirs
+function matchTier(name, user) {
+  if (normalize(name) === normalize(user.displayName || "")) return 0;
+
+  const available = nameWords(user);
+  let worst = 0;
+  for (const word of wordsOf(name)) {
+    let best = null;
+    let bestIndex = -1;
+    available.forEach((candidate, index) => {
+      const tier = wordTier(word, candidate);
+      if (tier !== null && (best === null || tier < best)) {
+        best = tier;
+        bestIndex = index;
+      }
+    });
+
+    if (best === null) return null;
+    available.splice(bestIndex, 1);
+    worst = Math.max(worst, best);
+  }
+  return wordsOf(name).length > 0 ? worst : null;
+}
+
+// The people a name could mean: everyone who matches it as well as the best match does
+export function matchPeople(users, name) {
+  const tiers = users.map((user) => matchTier(name, user));
+  const best = Math.min(...tiers.filter((tier) => tier !== null));
+  return users.filter((user, index) => tiers[index] === best);
+}
+
+// Everyone who can be assigned issues in the projects, without deactivated and app accounts
+export async function loadDirectory(jira, projectKeys) {
+  const lists = await Promise.all(projectKeys.map((key) => jira.assignableUsers(key)));
+
+  const byId = new Map();
+  for (const user of lists.flat()) {
+    if (user.active !== false && user.accountType !== "app") byId.set(user.accountId, user);
+  }
+  return [...byId.values()];
+}
+
+// Runs of words in a question that are someone's name or nickname ("Ana", "Ana Lee", "Bill")
+function scanForNames(query, directory) {
+  const known = directory.flatMap(nameWords);
+  const runs = [];
+  let previousEnd = null;
+
+  for (const match of query.matchAll(/\p{L}[\p{L}'.-]*/gu)) {
+    const possessive = /'s$/i.test(match[0]);
+    const word = match[0].replace(/'s$/i, "");
+    const lower = normalize(word);
+    const capitalized = /^\p{Lu}/u.test(word) && !/(?:^|[.?!])\s*$/.test(query.slice(0, match.index));
+
+    if (NOT_NAMES.has(lower) || (COMMON_WORDS.has(lower) && !capitalized) || !known.some((name) => name === lower || sameGivenName(lower, name))) {
+      previousEnd = null;
+      continue;
+    }
+
+    if (previousEnd === match.index - 1) runs.at(-1).push(word);
+    else runs.push([word]);
+    // A possessive ends the name: "Ana's Marko" is two people
+    previousEnd = possessive ? null : match.index + match[0].length;
+  }
+
+  return runs.map((words) => words.join(" "));
+}
+
+// The names a question mentions: where its wording names people, plus the people the analysis
+// found and directory names anywhere in it. A name that is part of a longer one is dropped.
+export function findMentions(query, directory, names = []) {
+  const mentions = [...names];
+
+  for (const { pattern, loose } of PERSON_PATTERNS) {
+    const name = query.match(pattern)?.[1];
+    if (!name) continue;
+    // "for John today": the first word alone when the whole phrase matches nobody
+    const found = [name, name.split(" ")[0]].find((candidate) => {
+      if (SELF_NAMES.has(normalize(candidate))) return true;
+
+      const words = wordsOf(candidate);
+      const capitalized = candidate.split(" ").every((word) => /^\p{Lu}/u.test(word));
+      if (words.some((word) => NOT_NAMES.has(word) || (COMMON_WORDS.has(word) && !capitalized))) return false;
+
+      const tiers = directory.map((user) => matchTier(candidate, user)).filter((tier) => tier !== null);
+      return tiers.length > 0 && (loose || capitalized || Math.min(...tiers) <= 2);
+    });
+    if (found) mentions.push(found);
+  }
+  mentions.push(...scanForNames(query, directory));
+
+  const unique = [...new Map(mentions.map((mention) => [normalize(mention), mention.trim()])).values()].filter(Boolean);
+  return unique.filter((mention) => {
+    const words = wordsOf(mention);
+    return !unique.some((other) => other !== mention && wordsOf(other).length > words.length && words.every((word) => wordsOf(other).includes(word)));
+  });
+}
+
+const personOf = (user, mention) => ({ mention, accountId: user.accountId, displayName: user.displayName });
+
+// The authenticated user: the logged-in user in user mode, otherwise the account Jira sees
+async function currentPerson(jira, user) {
+  if (user) return { mention: "me", accountId: user.id, displayName: user.displayName };
+
+  const { data } = await jira.get("/rest/api/3/myself");
+  return { mention: "me", accountId: data.accountId, displayName: data.displayName };
+}
+
+// The people a question (or a list of names) refers to. Resolves to { people, ambiguous, unknown }:
+// people as [{ mention, accountId, displayName }], the first name that fits several people as
+// { mention, candidates } (null if none) and the names nobody fits. `chosen` are earlier answers
+// to "which one do you mean?". A directory that can't be loaded resolves nobody but "me".
+export async function resolvePeople(jira, { query = "", names = [], projectKeys, user = null, chosen = [] }) {
+  const directory = await loadDirectory(jira, projectKeys).catch((error) => {
+    console.error("Error loading the user directory:", error.message);
+    return [];
+  });
+
+  const mentions = findMentions(query, directory, names);
+  const people = [];
+  const unknown = [];
+  let ambiguous = null;
+
+  if (SELF_MENTION.test(query) || mentions.some((mention) => SELF_NAMES.has(normalize(mention)))) {
+    people.push(await currentPerson(jira, user));
+  }
+
+  for (const mention of mentions.filter((name) => !SELF_NAMES.has(normalize(name)))) {
+    const choice = chosen.find((person) => normalize(person.mention) === normalize(mention));
+    if (choice) {
+      people.push(choice);
+      continue;
+    }
+
+    const candidates = directory.length > 0 ? matchPeople(directory, mention) : [];
+    if (candidates.length === 1) people.push(personOf(candidates[0], mention));
+    else if (candidates.length === 0) unknown.push(mention);
+    else ambiguous ??= { mention, candidates: candidates.map((candidate) => personOf(candidate, mention)) };
+  }
+
+  return { people: [...new Map(people.map((person) => [person.accountId, person])).values()], ambiguous, unknown };
+}
+
+// The reply asking which person a name means. Its meta.disambiguation is remembered with the turn,
+// so the next message can answer it (see choosePerson).
+export function disambiguationReply({ query, intent, ambiguous, chosen = [] }) {
+  const options = ambiguous.candidates.map((candidate, index) => `${index + 1}. ${candidate.displayName}`).join("\n");
+
+  return {
+    message: `More than one person matches "${ambiguous.mention}":\n\n${options}\n\nWhich one do you mean?`,
+    meta: {
+      intent,
+      disambiguation: { query, mention: ambiguous.mention, candidates: ambiguous.candidates, chosen },
+    },
+  };
+}
+
+const CHOICE_WORDS = ["first", "second", "third", "fourth", "fifth", "sixth", "seventh", "eighth", "ninth", "tenth"];
+const CHOICE = new RegExp(`^(?:the\\s+)?(?:number\\s+|#)?(\\d+|${CHOICE_WORDS.join("|")}|last)(?:st|nd|rd|th)?(?:\\s+one)?$`, "i");
+
+// Whether a message answers "which one do you mean?": "2", "the second one", "Johnny" or "John
+// Doe". Returns the people chosen so far, this one included, or null when it picks nobody.
+export function choosePerson(reply, disambiguation) {
+  const { mention, candidates, chosen = [] } = disambiguation;
+  const answer = String(reply)
+    .trim()
+    .replace(/[.!?]+$/, "")
+    .replace(/^(?:i mean|i meant|it's|the one called)\s+/i, "");
+
+  let picked;
+  const choice = answer.match(CHOICE);
+  if (choice) {
+    const word = choice[1].toLowerCase();
+    const position = word === "last" ? candidates.length : CHOICE_WORDS.includes(word) ? CHOICE_WORDS.indexOf(word) + 1 : Number(word);
+    picked = candidates[position - 1];
+  } else {
+    const matches = matchPeople(candidates, answer);
+    picked = matches.length === 1 ? matches[0] : null;
+  }
+
+  return picked ? [...chosen, { mention, accountId: picked.accountId, displayName: picked.displayName }] : null;
+}
+
+// JQL with the people it names by display name, first name or nickname (and currentUser() when
+// the question said "me") replaced by their accountIds. JQL that doesn't parse is returned as is.
+export function injectAccountIds(jql, people) {
+  if (!jql || people.length === 0) return jql;
+  const self = people.find((person) => person.mention === "me");
+
+  try {
+    return mapUserValues(jql, (operand) => {
+      if (operand.type === "function") {
+        return self && operand.name.toLowerCase() === "currentuser" ? { type: "string", value: self.accountId } : undefined;
+      }
+      if (operand.type !== "string" && operand.type !== "word") return undefined;
+      if (people.some((person) => person.accountId === operand.value)) return undefined;
+
+      const byMention = people.filter((person) => normalize(person.mention) === normalize(operand.value));
+      const matches = byMention.length > 0 ? byMention : matchPeople(people, operand.value);
+      return matches.length === 1 ? { type: "string", value: matches[0].accountId } : undefined;
+    });
+  } catch (error) {
+    if (error instanceof JqlError) return jql;
+    throw error;
+  }
+}
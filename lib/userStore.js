@@ -0,0 +1,86 @@
+// User stores.
+// A user is keyed by their Atlassian account id and holds their Jira credentials (encrypted by
+// the caller) so every request can run against Jira as the person who made it.
+import { randomUUID } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+
+// Users kept in process memory. Everyone has to log in again after a restart.
+export class MemoryUserStore {
+  constructor() {
+    this.users = new Map();
+  }
+
+  async get(id) {
+    return this.users.get(id) || null;
+  }
+
+  async save(user) {
+    user.updatedAt = new Date().toISOString();
+    this.users.set(user.id, user);
+    return user;
+  }
+
+  async delete(id) {
+    return this.users.delete(id);
+  }
+}
+
+// Users stored as one JSON file each in a directory
+export class FileUserStore {
+  constructor({ dir } = {}) {
+    this.dir = dir;
+    this.ready = fs.mkdir(dir, { recursive: true });
+  }
+
+  fileFor(id) {
+    return path.join(this.dir, `${Buffer.from(id).toString("base64url")}.json`);
+  }
+
+  async get(id) {
+    await this.ready;
+    try {
+      return JSON.parse(await fs.readFile(this.fileFor(id), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async save(user) {
+    await this.ready;
+    user.updatedAt = new Date().toISOString();
+
+    // Write to a temporary file of its own and rename so readers never see a half-written user
+    const file = this.fileFor(user.id);
+    const tempFile = `${file}.${randomUUID()}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(user), { mode: 0o600 });
+    await fs.rename(tempFile, file);
+
+    return user;
+  }
+
+  async delete(id) {
+    await this.ready;
+    try {
+      await fs.unlink(this.fileFor(id));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  }
+}
+
+// Build the store selected by configuration: "file" (default) or "memory"
+export function createUserStore({ type = "file", dir = ".users" } = {}) {
+  if (type === "memory") {
+    return new MemoryUserStore();
+  }
+
+  if (type !== "file") {
+    console.warn(`Unknown user store "${type}", using the file store`);
+  }
+
+  return new FileUserStore({ dir });
+}
@@ -0,0 +1,74 @@
+// /api/actions: confirm or cancel write actions proposed by the ACTION intent.
+import express from "express";
+import { createSession } from "../lib/sessionStore.js";
+import { conversationKey, recordTurnOnReply } from "../lib/conversation.js";
+import { getJiraErrorMessages } from "../lib/jqlGeneration.js";
+
+export function createActionsRouter({ config, sessionStore, pendingActions }) {
+  const router = express.Router();
+
+  // Run a write action proposed by /api/query. The token is single-use and tied to the session.
+  router.post("/actions/confirm", async (req, res) => {
+    const { token } = req.body;
+    const sessionId = conversationKey(req, req.body.sessionId || "default");
+
+    if (!token) {
+      return res.status(400).json({ message: "Confirmation token is required" });
+    }
+
+    // A confirmation from another conversation leaves the token for the one that asked
+    const pending = pendingActions.get(token);
+    if (!pending) {
+      return res.status(404).json({ message: "This change has expired or was already handled. Please ask again." });
+    }
+    if (pending.sessionId !== sessionId) {
+      return res.status(403).json({ message: "This change was proposed in a different conversation." });
+    }
+    pendingActions.delete(token);
+
+    const session = (await sessionStore.get(sessionId)) || createSession(sessionId);
+    const reply = recordTurnOnReply(res, session, `Confirm: ${pending.action.description}`, {
+      sessionStore,
+      maxTurns: config.sessions.maxTurns,
+    });
+    const { action } = pending;
+
+    try {
+      // Runs as the confirming user, so Jira attributes the change to them
+      const { data } = await req.jira.request({
+        method: action.request.method,
+        url: action.request.path,
+        data: action.request.data,
+      });
+
+      const issueKey = action.type === "create" ? data.key : action.issueKey;
+      const message = action.type === "create" ? `Created ${issueKey}: ${action.summary}` : `Done: ${action.description}.`;
+
+      return reply.json({
+        message,
+        meta: { intent: "ACTION", issueKey, action: { type: action.type, description: action.description }, executed: true },
+      });
+    } catch (error) {
+      const errorMessages = getJiraErrorMessages(error);
+      console.error("Error running action:", errorMessages.join("; "));
+
+      return reply.status(502).json({
+        message: `Jira didn't accept the change: ${errorMessages.join(" ")}`,
+        meta: { intent: "ACTION", issueKey: action.issueKey, executed: false },
+      });
+    }
+  });
+
+  // Drop a proposed write action without running it
+  router.post("/actions/cancel", (req, res) => {
+    const { token } = req.body;
+    const sessionId = conversationKey(req, req.body.sessionId || "default");
+    const pending = token && pendingActions.get(token);
+    const cancelled = Boolean(pending) && pending.sessionId === sessionId;
+    if (cancelled) pendingActions.delete(token);
+
+    res.json({ success: cancelled, message: cancelled ? "Change cancelled" : "Nothing to cancel" });
+  });
+
+  return router;
+}
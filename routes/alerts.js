@@ -0,0 +1,101 @@
+// /api/webhooks/jira and /api/alerts: Jira's issue events checked against each conversation's
+// alert rules (see lib/alerts.js), and the rules and alert stream of a conversation. Rules are kept
+// in memory only: a restart loses them, and clients have to set them up again. Webhooks arrive
+// without a user, so with per-user logins a stream only gets the alerts for issues its user can
+// open in Jira.
+import express from "express";
+import { conversationKey } from "../lib/conversation.js";
+import { normalizeProjectKeys } from "../lib/projectScope.js";
+import { createEventStream } from "../lib/eventStream.js";
+import { AlertRuleError, verifyJiraSignature } from "../lib/alerts.js";
+
+// Proxies drop idle connections, so the alert stream sends a comment this often
+const KEEP_ALIVE_MS = 25 * 1000;
+
+// Rules as clients see them: the conversation they belong to stays on the server
+const publicRule = ({ sessionId, ...rule }) => rule;
+
+export function createAlertsRouter({ config, alertRules, alertService, userStore, jiraAccess }) {
+  const router = express.Router();
+
+  // Whether a logged-in user can open an alert's issue, asked of Jira as them. The user is loaded
+  // again each time, so a stream stops getting alerts once its user has logged out.
+  async function visibleTo({ id, tokenVersion }, alert) {
+    const user = await userStore.get(id);
+    if (!user || (user.tokenVersion ?? 0) !== (tokenVersion ?? 0)) return false;
+
+    try {
+      await (await jiraAccess.clientForUser(user)).getIssue(alert.issueKey, { fields: ["summary"] });
+      return true;
+    } catch (error) {
+      if (![403, 404].includes(error.response?.status)) console.error("Error checking access to an alert's issue:", error.message);
+      return false;
+    }
+  }
+
+  // Issue created, updated and commented events, signed with JIRA_WEBHOOK_SECRET. Jira only needs
+  // to hear that the event arrived; it's answered once the alerts are delivered.
+  router.post("/webhooks/jira", async (req, res) => {
+    if (!config.alerts.webhookSecret) {
+      return res.status(503).json({ message: "Jira webhooks aren't set up on this server" });
+    }
+    if (!verifyJiraSignature({ rawBody: req.rawBody, signature: req.get("X-Hub-Signature") }, config.alerts.webhookSecret)) {
+      return res.status(401).json({ message: "Invalid request signature" });
+    }
+
+    try {
+      const alerts = await alertService.handleWebhook(req.body);
+      res.json({ alerts: alerts.length });
+    } catch (error) {
+      console.error("Error handling Jira webhook:", error);
+      res.status(500).json({ message: "Couldn't process the event at this time." });
+    }
+  });
+
+  // The conversation's alert rules
+  router.get("/alerts/rules", (req, res) => {
+    res.json({ rules: alertRules.list(conversationKey(req, req.query.sessionId || "default")).map(publicRule) });
+  });
+
+  // Add a rule: { sessionId, name?, conditions: ["priority_raised", ...], projects? }
+  router.post("/alerts/rules", (req, res) => {
+    const { sessionId = "default", name, conditions, projects } = req.body || {};
+
+    try {
+      const rule = alertRules.create(conversationKey(req, sessionId), { name, conditions, projects: normalizeProjectKeys(projects) });
+      res.status(201).json(publicRule(rule));
+    } catch (error) {
+      if (error instanceof AlertRuleError) {
+        return res.status(400).json({ message: error.message });
+      }
+      throw error;
+    }
+  });
+
+  router.delete("/alerts/rules/:ruleId", (req, res) => {
+    if (!alertRules.remove(conversationKey(req, req.query.sessionId || "default"), req.params.ruleId)) {
+      return res.status(404).json({ message: "Alert rule not found" });
+    }
+    res.json({ success: true });
+  });
+
+  // Server-Sent Events: "ready" once subscribed, then an "alert" event per alert for the conversation
+  router.get("/alerts/stream", (req, res) => {
+    const sessionId = conversationKey(req, req.query.sessionId || "default");
+    const stream = createEventStream(res);
+
+    stream.sendEvent("ready", { rules: alertRules.list(sessionId).length });
+    const user = req.user;
+    const unsubscribe = alertService.subscribe(sessionId, (alert) => stream.sendEvent("alert", alert), {
+      canSee: user ? (alert) => visibleTo(user, alert) : null,
+    });
+    const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), KEEP_ALIVE_MS);
+
+    res.on("close", () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,146 @@
+// /api/auth: logging in to Jira with an API token or OAuth 2.0 (3LO), and logging out.
+import express from "express";
+import crypto from "crypto";
+import { SESSION_COOKIE, signToken, verifyToken, readCookie, readRequestToken, encryptSecret } from "../lib/auth.js";
+import { authorizationUrl, exchangeCode, findCloudId } from "../lib/jiraOAuth.js";
+
+// What a client may know about the logged-in user (never their credentials)
+function publicUser(user) {
+  return { id: user.id, displayName: user.displayName, email: user.email, timeZone: user.timeZone ?? null, authType: user.jira.type };
+}
+
+export function createAuthRouter({ config, userStore, jiraAccess }) {
+  const { auth, jira } = config;
+  const router = express.Router();
+
+  // Store a user's Jira credentials and log them in: the token goes into the session cookie and is
+  // also returned for API clients that send it as a Bearer header. Tokens carry the user's token
+  // version, which logging out increases.
+  async function completeLogin(res, user) {
+    const existing = await userStore.get(user.id);
+    const saved = await userStore.save({
+      ...user,
+      tokenVersion: existing?.tokenVersion ?? 0,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+    });
+    const token = signToken({ sub: saved.id, ver: saved.tokenVersion }, auth.secret, auth.loginTtlSeconds);
+
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: config.production,
+      maxAge: auth.loginTtlSeconds * 1000,
+      path: "/",
+    });
+
+    return { token, user: publicUser(saved) };
+  }
+
+  // Which login options the frontend should offer
+  router.get("/auth/config", (req, res) => {
+    res.json({ mode: auth.mode, oauth: auth.mode === "user" && Boolean(jira.oauth.clientId), jiraUrl: jira.url });
+  });
+
+  // Log in with a Jira email and personal API token. The token is checked against Jira and stored encrypted.
+  router.post("/auth/token", async (req, res) => {
+    const { email, apiToken } = req.body;
+
+    if (auth.mode !== "user") {
+      return res.status(400).json({ message: "Login is disabled; this server uses a shared Jira account." });
+    }
+    if (!email || !apiToken) {
+      return res.status(400).json({ message: "Email and API token are required" });
+    }
+
+    try {
+      const { data: me } = await jiraAccess.createClient({ type: "basic", email, apiToken }).get("/rest/api/3/myself");
+
+      const login = await completeLogin(res, {
+        id: me.accountId,
+        displayName: me.displayName,
+        email: me.emailAddress || email,
+        timeZone: me.timeZone || null,
+        jira: { type: "token", email, apiToken: encryptSecret(apiToken, auth.credentialsKey) },
+      });
+
+      res.json(login);
+    } catch (error) {
+      if (error.response?.status === 401 || error.response?.status === 403) {
+        return res.status(401).json({ message: "Jira didn't accept that email and API token." });
+      }
+
+      console.error("Error logging in with API token:", error.message);
+      res.status(502).json({ message: "Couldn't reach Jira to check your login. Please try again later." });
+    }
+  });
+
+  // Start the Jira OAuth 2.0 (3LO) login. The state nonce is kept in a cookie and checked on return.
+  router.get("/auth/jira/login", (req, res) => {
+    if (auth.mode !== "user" || !jira.oauth.clientId) {
+      return res.status(404).json({ message: "Jira OAuth login is not configured" });
+    }
+
+    const state = crypto.randomBytes(16).toString("base64url");
+    res.cookie("jira_oauth_state", state, { httpOnly: true, sameSite: "lax", maxAge: 10 * 60 * 1000, path: "/api/auth/jira" });
+    res.redirect(authorizationUrl({ clientId: jira.oauth.clientId, redirectUri: jira.oauth.redirectUri, state }));
+  });
+
+  // Atlassian redirects here after the user grants access
+  router.get("/auth/jira/callback", async (req, res) => {
+    const { code, state } = req.query;
+    const expectedState = readCookie(req, "jira_oauth_state");
+    res.clearCookie("jira_oauth_state", { path: "/api/auth/jira" });
+
+    if (!code || !state || state !== expectedState) {
+      return res.status(400).json({ message: "Jira login failed or expired. Please try again." });
+    }
+
+    try {
+      const tokens = await exchangeCode({ ...jira.oauth, code });
+      const cloudId = await findCloudId(tokens.accessToken, jira.url);
+      if (!cloudId) {
+        return res.status(403).json({ message: "Your Atlassian account doesn't have access to this Jira site." });
+      }
+
+      const { data: me } = await jiraAccess.createClient({ type: "oauth", cloudId, accessToken: tokens.accessToken }).get("/rest/api/3/myself");
+
+      await completeLogin(res, {
+        id: me.accountId,
+        displayName: me.displayName,
+        email: me.emailAddress || null,
+        timeZone: me.timeZone || null,
+        jira: {
+          type: "oauth",
+          cloudId,
+          accessToken: encryptSecret(tokens.accessToken, auth.credentialsKey),
+          refreshToken: encryptSecret(tokens.refreshToken, auth.credentialsKey),
+          expiresAt: tokens.expiresAt,
+        },
+      });
+
+      res.redirect(config.appUrl);
+    } catch (error) {
+      console.error("Error completing Jira OAuth login:", error.message);
+      res.status(502).json({ message: "Couldn't complete the Jira login. Please try again." });
+    }
+  });
+
+  // The logged-in user; null in shared mode
+  router.get("/auth/me", jiraAccess.authenticate, (req, res) => {
+    res.json({ mode: auth.mode, user: req.user ? publicUser(req.user) : null });
+  });
+
+  // Log out everywhere: every token issued to the user so far stops working, Bearer tokens included
+  router.post("/auth/logout", async (req, res) => {
+    const claims = auth.mode === "user" && verifyToken(readRequestToken(req), auth.secret);
+    const user = claims && (await userStore.get(claims.sub));
+    if (user && (claims.ver ?? 0) === (user.tokenVersion ?? 0)) {
+      await userStore.save({ ...user, tokenVersion: (user.tokenVersion ?? 0) + 1 });
+    }
+
+    res.clearCookie(SESSION_COOKIE, { path: "/" });
+    res.json({ success: true });
+  });
+
+  return router;
+}
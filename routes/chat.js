@@ -0,0 +1,130 @@
+// /api/chat: Slack and Microsoft Teams adapters. Questions asked in a workspace go through the same
+// pipeline as /api/query and are answered as Block Kit messages or Adaptive Cards. Requests are
+// authenticated by their platform signature rather than a login, and Jira is read as JIRA_USER.
+//   POST /api/chat/slack/events    Events API: mentions of the app and direct messages to it
+//   POST /api/chat/slack/commands  a slash command such as /jira
+//   POST /api/chat/teams           a Teams outgoing webhook
+import express from "express";
+import { createQueryHandler } from "./query.js";
+import { toBlockKit } from "../lib/chatFormatting.js";
+import { parseSlackEvent, parseSlashCommand, postSlackMessage, postSlashCommandReply, verifySlackSignature } from "../lib/slack.js";
+import { parseTeamsActivity, toTeamsMessage, verifyTeamsSignature } from "../lib/teams.js";
+
+const HELP = 'Ask me about your Jira projects, for example "what\'s blocked?" or "how is the current sprint going?"';
+
+// Body parser option keeping the body as received, which signatures are computed over
+export function keepRawBody(req, res, body) {
+  req.rawBody = body.toString("utf8");
+}
+
+export function createChatRouter(services) {
+  const { config, jiraAccess } = services;
+  const { slack, teams } = config.chat;
+  const handleQuery = createQueryHandler(services);
+  const formatting = { jiraUrl: config.jira.url, projectKeys: config.projectKeys };
+  const router = express.Router();
+
+  // Answer a question in a conversation. Resolves to the reply payload ({ message, meta }) that
+  // /api/query would have sent.
+  function answer(query, sessionId) {
+    return new Promise((resolve, reject) => {
+      let statusCode = 200;
+      const res = {
+        status(code) {
+          statusCode = code;
+          return res;
+        },
+        json(payload) {
+          resolve(statusCode < 400 ? forChat(payload) : { message: payload.message });
+          return res;
+        },
+      };
+
+      const req = { body: { query, sessionId }, jira: jiraAccess.sharedJira, bypassCache: false, headers: {} };
+      handleQuery(req, res).then(() => resolve({ message: "I couldn't come up with an answer to that. Could you rephrase it?" }), reject);
+    });
+  }
+
+  // Write actions wait for a confirmation chat can't give, and would be made as JIRA_USER rather
+  // than the person asking, so they stay in the web app
+  function forChat(payload) {
+    if (!payload.meta?.confirmationToken) return payload;
+    return {
+      message: `I can't make changes from chat. To **${payload.meta.action.description}**, ask in the assistant's web app, where you can confirm it.`,
+      meta: { intent: "ACTION", issueKey: payload.meta.issueKey },
+    };
+  }
+
+  const notConfigured = (res, platform) => res.status(503).json({ message: `${platform} isn't set up on this server` });
+  const badSignature = (res) => res.status(401).json({ message: "Invalid request signature" });
+
+  const slackSigned = (req) =>
+    verifySlackSignature(
+      { rawBody: req.rawBody, timestamp: req.get("X-Slack-Request-Timestamp"), signature: req.get("X-Slack-Signature") },
+      slack.signingSecret
+    );
+
+  // Slack wants events acknowledged within three seconds, so the answer is posted afterwards
+  router.post("/chat/slack/events", (req, res) => {
+    if (!slack.signingSecret) return notConfigured(res, "Slack");
+    if (!slackSigned(req)) return badSignature(res);
+
+    if (req.body.type === "url_verification") {
+      return res.json({ challenge: req.body.challenge });
+    }
+
+    // A retry means Slack missed our acknowledgement; the first delivery is already being answered
+    const question = req.get("X-Slack-Retry-Num") ? null : parseSlackEvent(req.body);
+    res.sendStatus(200);
+    if (!question) return;
+
+    if (!slack.botToken) {
+      console.warn("SLACK_BOT_TOKEN isn't set, so Slack events can't be answered");
+      return;
+    }
+
+    answer(question.query, question.sessionId)
+      .then((payload) =>
+        postSlackMessage({ apiUrl: slack.apiUrl, botToken: slack.botToken, channel: question.channel, threadTs: question.threadTs, message: toBlockKit(payload, formatting) })
+      )
+      .catch((error) => console.error("Error answering Slack event:", error));
+  });
+
+  // The command is acknowledged privately at once; the answer follows through its response_url
+  router.post("/chat/slack/commands", express.urlencoded({ extended: false, verify: keepRawBody }), (req, res) => {
+    if (!slack.signingSecret) return notConfigured(res, "Slack");
+    if (!slackSigned(req)) return badSignature(res);
+
+    const { query, sessionId, responseUrl } = parseSlashCommand(req.body);
+    if (!query) {
+      return res.json({ response_type: "ephemeral", text: HELP });
+    }
+
+    res.json({ response_type: "ephemeral", text: `Looking into "${query}"…` });
+
+    answer(query, sessionId)
+      .then((payload) => postSlashCommandReply(responseUrl, toBlockKit(payload, formatting)))
+      .catch((error) => console.error("Error answering Slack command:", error));
+  });
+
+  // Teams outgoing webhooks are answered in the response
+  router.post("/chat/teams", async (req, res) => {
+    if (!teams.secret) return notConfigured(res, "Teams");
+    if (!verifyTeamsSignature({ rawBody: req.rawBody, authorization: req.get("Authorization") }, teams.secret)) {
+      return badSignature(res);
+    }
+
+    const question = parseTeamsActivity(req.body);
+    if (!question) return res.json({});
+
+    try {
+      const payload = question.query ? await answer(question.query, question.sessionId) : { message: HELP };
+      res.json(toTeamsMessage(payload, formatting));
+    } catch (error) {
+      console.error("Error answering Teams message:", error);
+      res.json({ type: "message", text: "I couldn't answer that at this time. Please try again later." });
+    }
+  });
+
+  return router;
+}
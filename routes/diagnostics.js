@@ -0,0 +1,16 @@
+// /api/diagnostics: runtime statistics for operators.
+import express from "express";
+
+export function createDiagnosticsRouter({ config, jiraCache, llmCache }) {
+  const router = express.Router();
+
+  // Cache hit/miss statistics
+  router.get("/diagnostics/cache", (req, res) => {
+    res.json({
+      jira: { ...jiraCache.summary(), ttlMs: config.cache.jiraTtls },
+      llm: { ...llmCache.summary(), ttlMs: config.cache.llmTtlMs },
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,36 @@
+// /api/metrics: flow metrics for the allowed projects (lead time, cycle time, throughput and aging
+// work in progress, with breakdowns by issue type, priority and assignee).
+import express from "express";
+import { normalizeProjectKeys, findUnknownProjects, createProjectScope } from "../lib/projectScope.js";
+import { loadFlowMetrics } from "../lib/flowMetrics.js";
+
+const MAX_FLOW_WEEKS = 52;
+
+export function createMetricsRouter({ config }) {
+  const router = express.Router();
+
+  // ?project=NIHK narrows the projects, ?weeks=N sets the period
+  router.get("/metrics/flow", async (req, res) => {
+    const requestedProjects = normalizeProjectKeys(req.query.project);
+    const unknownProjects = findUnknownProjects(config.projectKeys, requestedProjects);
+    if (unknownProjects.length > 0) {
+      return res.status(400).json({ message: `Unknown project: ${unknownProjects.join(", ")}` });
+    }
+
+    const weeks = req.query.weeks === undefined ? config.metrics.flowWeeks : Number(req.query.weeks);
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_FLOW_WEEKS) {
+      return res.status(400).json({ message: `weeks must be a whole number from 1 to ${MAX_FLOW_WEEKS}` });
+    }
+
+    try {
+      const scope = createProjectScope(config.projectKeys, requestedProjects);
+      const metrics = await loadFlowMetrics(req.jira, scope, { weeks });
+      res.json({ projects: scope.keys, ...metrics });
+    } catch (error) {
+      console.error("Error calculating flow metrics:", error);
+      res.status(500).json({ message: "Couldn't calculate the flow metrics at this time. Please try again later." });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,36 @@
+// /api/projects and /api/project-summary: the allowed projects and a snapshot of their work.
+import express from "express";
+import { normalizeProjectKeys, findUnknownProjects, createProjectScope } from "../lib/projectScope.js";
+import { loadProjectSummary } from "../lib/projectSummary.js";
+
+export function createProjectsRouter({ config }) {
+  const router = express.Router();
+
+  // Projects the assistant is allowed to query
+  router.get("/projects", (req, res) => {
+    res.json({ projects: config.projectKeys });
+  });
+
+  // Snapshot of the projects' work for the dashboard
+  router.get("/project-summary", async (req, res) => {
+    // ?project=NIHK or ?project=NIHK,WEB narrows the summary; defaults to every allowed project
+    const requestedProjects = normalizeProjectKeys(req.query.project);
+    const unknownProjects = findUnknownProjects(config.projectKeys, requestedProjects);
+    if (unknownProjects.length > 0) {
+      return res.status(400).json({ message: `Unknown project: ${unknownProjects.join(", ")}` });
+    }
+
+    const scope = createProjectScope(config.projectKeys, requestedProjects);
+
+    try {
+      res.json(await loadProjectSummary(req.jira, scope));
+    } catch (error) {
+      console.error("Error fetching project summary:", error);
+      res.status(500).json({
+        message: "Couldn't retrieve the project summary at this time. Please try again later.",
+      });
+    }
+  });
+
+  return router;
+}
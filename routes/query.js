@@ -0,0 +1,186 @@
+// /api/query and /api/query/stream: answer a question in a conversation.
+// The route resolves the project scope, the conversation and references to earlier results, then
+// hands the question to the intent handlers in intents/index.js.
+import express from "express";
+import { createSession } from "../lib/sessionStore.js";
+import { conversationKey, recordTurnOnReply } from "../lib/conversation.js";
+import { normalizeProjectKeys, findUnknownProjects, resolveProjectScope } from "../lib/projectScope.js";
+import { findResultTurn, refersToPreviousResults, resolveIssueReference, resolveFollowUpJQL, FOLLOW_UP_INTENTS } from "../lib/followUp.js";
+import { preprocessQuery } from "../lib/queryPreprocessor.js";
+import { analyzeQuery, summarizeAnalysis } from "../lib/queryAnalysis.js";
+import { createEventStream, emitQueryEvent } from "../lib/eventStream.js";
+import { resolveTimeZone } from "../lib/dateRanges.js";
+import { choosePerson } from "../lib/userDirectory.js";
+import { assigneeName, formatIssueLine, pickOne, statusName } from "../lib/formatting.js";
+import { SHORTCUT_HANDLERS, INTENT_HANDLERS, dispatch } from "../intents/index.js";
+
+// The question-answering pipeline as a function of (req, res). `req` needs body, jira and the
+// optional user and bypassCache; `res` is the Express response, an event stream created by
+// createEventStream(), or anything else with status() and json() (the chat adapters pass one).
+export function createQueryHandler(services) {
+  const { config, llm, sessionStore, memoizeLLM } = services;
+
+  // Handle all types of queries with conversation memory
+  async function handleQuery(req, res) {
+    let { query, sessionId = "default", projectKey, projectKeys, boardId } = req.body;
+    sessionId = conversationKey(req, sessionId);
+
+    if (!query) {
+      return res.status(400).json({ message: "Query is required" });
+    }
+
+    // Projects come from the request body and must be on the configured allow-list
+    const requestedProjects = normalizeProjectKeys(projectKeys || projectKey);
+    const unknownProjects = findUnknownProjects(config.projectKeys, requestedProjects);
+    if (unknownProjects.length > 0) {
+      return res.status(400).json({ message: `Unknown project: ${unknownProjects.join(", ")}` });
+    }
+
+    const scope = resolveProjectScope(config.projectKeys, requestedProjects, query);
+
+    // Load the conversation; the turn is saved back once a response is sent
+    const session = (await sessionStore.get(sessionId)) || createSession(sessionId);
+    const previousQueries = session.turns.map((turn) => turn.query);
+
+    // An answer to "which John do you mean?" asks the question that raised it again
+    const pendingChoice = session.turns.at(-1)?.disambiguation;
+    const chosenPeople = pendingChoice ? choosePerson(query, pendingChoice) : null;
+    if (chosenPeople) {
+      console.log(`Resolved "${query}" to ${chosenPeople.at(-1).displayName} for "${pendingChoice.query}"`);
+      query = pendingChoice.query;
+    }
+
+    res = recordTurnOnReply(res, session, query, { sessionStore, maxTurns: config.sessions.maxTurns });
+
+    try {
+      const originalQuery = query;
+
+      // References to the previous results are resolved first: "the second one" becomes its issue key
+      const resultTurn = findResultTurn(session.turns);
+      const reference = resultTurn && resolveIssueReference(query, resultTurn.issueKeys);
+      if (reference && !reference.issueKey) {
+        return res.json({
+          message: `The previous results only had ${resultTurn.issueKeys.length} issue${resultTurn.issueKeys.length === 1 ? "" : "s"}, so I'm not sure which one you mean by number ${reference.position}.`,
+          meta: { intent: "CONVERSATION" },
+        });
+      }
+      if (reference) {
+        console.log(`Resolved "${originalQuery}" to ${reference.issueKey}`);
+        query = reference.query;
+      }
+
+      // Preprocess the query to handle common problematic patterns. Write actions keep the
+      // user's wording (comment text, summaries), so they read actionQuery instead.
+      const actionQuery = query;
+      const preprocessedQuery = preprocessQuery(query, scope);
+      if (preprocessedQuery !== originalQuery) {
+        console.log(`Preprocessed query from "${originalQuery}" to "${preprocessedQuery}"`);
+        query = preprocessedQuery;
+      }
+
+      const ctx = {
+        req,
+        res,
+        jira: req.jira,
+        services,
+        query,
+        originalQuery,
+        actionQuery,
+        sessionId,
+        session,
+        previousQueries,
+        resultTurn,
+        scope,
+        // Dates in the question are read in the time zone the client sends, else the user's Jira one
+        timeZone: resolveTimeZone(req.body.timeZone, req.user?.timeZone, config.timeZone),
+        // The board sprint questions refer to: this request's choice, else the conversation's
+        boardId: boardId ?? session.preferences?.boardId ?? null,
+        // People picked when a name matched several (see lib/userDirectory.js)
+        chosenPeople: chosenPeople || [],
+      };
+
+      // Questions recognized from their wording alone
+      const shortcutAnswered = await dispatch(SHORTCUT_HANDLERS, ctx, {
+        beforeHandle: (handler) => emitQueryEvent(res, "intent", { intent: handler.intent }),
+      });
+      if (shortcutAnswered) return;
+
+      // Follow-ups about the previous results as a set ("which of those are unassigned?")
+      // narrow the query that produced them
+      if (resultTurn && !reference && refersToPreviousResults(query)) {
+        ctx.followUp = await resolveFollowUpJQL(llm, query, resultTurn, scope);
+        if (ctx.followUp) console.log("Follow-up JQL:", ctx.followUp.jql);
+      }
+
+      // Analyze the query: its intent, a draft of its JQL and what it refers to
+      const { followUp } = ctx;
+      ctx.analysis = followUp ? null : await memoizeLLM(req, `analysis:${scope.keys}:${query}`, () => analyzeQuery(llm, query, scope));
+      ctx.intent = followUp ? (FOLLOW_UP_INTENTS.includes(resultTurn.intent) ? resultTurn.intent : "TASK_LIST") : ctx.analysis.intent;
+      console.log("Query intent:", ctx.intent, ctx.analysis ? `(${ctx.analysis.source}, confidence ${ctx.analysis.confidence})` : "(follow-up)");
+
+      emitQueryEvent(res, "intent", { intent: ctx.intent, analysis: ctx.analysis && summarizeAnalysis(ctx.analysis) });
+
+      await dispatch(INTENT_HANDLERS, ctx);
+    } catch (error) {
+      console.error("Error processing query:", error);
+      return answerDespiteError(req, res, scope);
+    }
+  }
+
+  // We never want to show raw error messages to the user. Instead, answer with recent activity or
+  // a friendly message that doesn't reveal technical issues.
+  async function answerDespiteError(req, res, scope) {
+    try {
+      // Try a super-basic query to at least return something useful
+      const { issues } = await req.jira.search(scope.templates.RECENT_UPDATES, { fields: "summary,status,assignee", maxResults: 5 });
+
+      if (issues && issues.length > 0) {
+        let message =
+          pickOne([
+            "I couldn't find exactly what you were looking for, but here are some recent items that might be helpful:",
+            "Let me show you some recent activity in the project that might be relevant:",
+            "While I couldn't answer your specific question, here are some recent updates in the project:",
+            "I found some recent project activity that might interest you:",
+          ]) + "\n\n";
+
+        for (const issue of issues) {
+          message += formatIssueLine(issue, [statusName(issue), `Assigned to: ${assigneeName(issue)}`]);
+        }
+
+        message += "\n\nCould you try rephrasing your question? I can help you with project status, tasks, deadlines, and team workload.";
+
+        return res.json({ message, meta: { intent: "GENERAL" } });
+      }
+    } catch (fallbackError) {
+      // Even the fallback failed, use a very generic response
+    }
+
+    // If all else fails, use these conversational error messages that don't seem like errors
+    return res.json({
+      message: pickOne([
+        "I'm focusing on active issues in the project right now. Would you like to see recent updates or high priority items?",
+        "I'd be happy to help you explore the project data. Could you ask me about project status, tasks, deadlines, or team workload?",
+        "Let me help you navigate your Jira project. You can ask me about project status, tasks, deadlines, team assignments, and more.",
+        "I'm here to help you with your Jira project information. What would you like to know about your tasks or project status?",
+      ]),
+      meta: { intent: "GENERAL" },
+    });
+  }
+
+  return handleQuery;
+}
+
+export function createQueryRouter(services) {
+  const handleQuery = createQueryHandler(services);
+  const router = express.Router();
+
+  // Advanced API endpoint to handle all types of queries with conversation memory
+  router.post("/query", (req, res) => handleQuery(req, res));
+
+  // Streaming variant of /api/query using Server-Sent Events. Emits "intent" and "jql" as soon as
+  // they are resolved, "token" events while the answer is written, and a final "done" event
+  // carrying the same { message, rawData, meta } payload /api/query returns.
+  router.post("/query/stream", (req, res) => handleQuery(req, createEventStream(res)));
+
+  return router;
+}
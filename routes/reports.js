@@ -0,0 +1,82 @@
+// /api/reports: stored standup digests and weekly status reports, their schedule, and generating
+// one on demand.
+import express from "express";
+import { normalizeProjectKeys, findUnknownProjects, createProjectScope } from "../lib/projectScope.js";
+import { REPORT_TYPES, publishReport, summarizeReport } from "../lib/reports.js";
+import { resolveTimeZone } from "../lib/dateRanges.js";
+
+// Reports built with the shared account are everyone's; one built with a user's own Jira access
+// holds what they can see, so it's theirs only
+const canRead = (req, report) => !report.createdBy || report.createdBy === req.user?.id;
+
+export function createReportsRouter({ config, reportStore, reportSinks, reportScheduler }) {
+  const router = express.Router();
+
+  // Newest first; ?type=standup or ?type=weekly narrows them
+  router.get("/reports", async (req, res) => {
+    try {
+      const reports = await reportStore.list();
+      res.json({
+        reports: reports.filter((report) => canRead(req, report) && (!req.query.type || report.type === req.query.type)).map(summarizeReport),
+      });
+    } catch (error) {
+      console.error("Error listing reports:", error);
+      res.status(500).json({ message: "Couldn't load the reports at this time. Please try again later." });
+    }
+  });
+
+  // When each report runs next (null while the scheduler isn't running)
+  router.get("/reports/schedule", (req, res) => {
+    res.json({ jobs: reportScheduler.describe(), sinks: reportSinks.map((sink) => sink.name) });
+  });
+
+  // The full report; ?format=markdown returns its text only
+  router.get("/reports/:reportId", async (req, res) => {
+    try {
+      const report = await reportStore.get(req.params.reportId);
+      if (!report || !canRead(req, report)) {
+        return res.status(404).json({ message: "Report not found" });
+      }
+
+      if (req.query.format === "markdown") {
+        return res.type("text/markdown").send(report.markdown);
+      }
+      res.json(report);
+    } catch (error) {
+      console.error("Error fetching report:", error);
+      res.status(500).json({ message: "Couldn't load the report at this time. Please try again later." });
+    }
+  });
+
+  // Generate, store and deliver a report now: { type: "standup" | "weekly", project?, timeZone? }
+  router.post("/reports", async (req, res) => {
+    const { type, project } = req.body || {};
+    if (!REPORT_TYPES.includes(type)) {
+      return res.status(400).json({ message: `type must be one of ${REPORT_TYPES.join(", ")}` });
+    }
+
+    const requestedProjects = normalizeProjectKeys(project);
+    const unknownProjects = findUnknownProjects(config.projectKeys, requestedProjects);
+    if (unknownProjects.length > 0) {
+      return res.status(400).json({ message: `Unknown project: ${unknownProjects.join(", ")}` });
+    }
+
+    try {
+      const report = await publishReport({
+        jira: req.jira,
+        scope: createProjectScope(config.projectKeys, requestedProjects),
+        type,
+        store: reportStore,
+        sinks: reportSinks,
+        timeZone: resolveTimeZone(req.body.timeZone, req.user?.timeZone, config.timeZone),
+        createdBy: req.user?.id ?? null,
+      });
+      res.status(201).json(report);
+    } catch (error) {
+      console.error("Error generating report:", error);
+      res.status(500).json({ message: "Couldn't generate the report at this time. Please try again later." });
+    }
+  });
+
+  return router;
+}
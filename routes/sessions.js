@@ -0,0 +1,99 @@
+// /api/sessions and /api/reset-conversation: the caller's stored conversations and their preferences.
+import express from "express";
+import { createSession, summarizeSession } from "../lib/sessionStore.js";
+import { conversationKey } from "../lib/conversation.js";
+import { loadBoard, summarizeBoard } from "../lib/sprints.js";
+
+export function createSessionsRouter({ config, sessionStore }) {
+  const router = express.Router();
+
+  // New endpoint to clear conversation context if needed
+  router.post("/reset-conversation", async (req, res) => {
+    const sessionId = conversationKey(req, req.body.sessionId || "default");
+
+    try {
+      const session = await sessionStore.get(sessionId);
+      if (session) {
+        session.turns = [];
+        await sessionStore.save(session);
+      }
+
+      res.json({ success: true, message: "Conversation reset successfully" });
+    } catch (error) {
+      console.error("Error resetting conversation:", error);
+      res.status(500).json({ message: "Couldn't reset the conversation. Please try again later." });
+    }
+  });
+
+  // List stored conversation sessions, most recently updated first
+  router.get("/sessions", async (req, res) => {
+    try {
+      // Only the caller's own conversations, listed by the ids they used
+      const prefix = conversationKey(req, "");
+      const sessions = (await sessionStore.list()).filter((session) => session.id.startsWith(prefix));
+      sessions.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+      res.json({ sessions: sessions.map((session) => ({ ...summarizeSession(session), id: session.id.slice(prefix.length) })) });
+    } catch (error) {
+      console.error("Error listing sessions:", error);
+      res.status(500).json({ message: "Couldn't list conversations at this time. Please try again later." });
+    }
+  });
+
+  // Full history of one conversation session
+  router.get("/sessions/:sessionId", async (req, res) => {
+    try {
+      const session = await sessionStore.get(conversationKey(req, req.params.sessionId));
+      if (!session) {
+        return res.status(404).json({ message: "Conversation not found" });
+      }
+
+      res.json({ ...session, id: req.params.sessionId });
+    } catch (error) {
+      console.error("Error fetching session:", error);
+      res.status(500).json({ message: "Couldn't load the conversation at this time. Please try again later." });
+    }
+  });
+
+  // Delete a conversation session entirely
+  router.delete("/sessions/:sessionId", async (req, res) => {
+    try {
+      const deleted = await sessionStore.delete(conversationKey(req, req.params.sessionId));
+      if (!deleted) {
+        return res.status(404).json({ message: "Conversation not found" });
+      }
+
+      res.json({ success: true, message: "Conversation deleted" });
+    } catch (error) {
+      console.error("Error deleting session:", error);
+      res.status(500).json({ message: "Couldn't delete the conversation at this time. Please try again later." });
+    }
+  });
+
+  // Choose the board sprint questions in this conversation are about; { boardId: null } clears it
+  router.put("/sessions/:sessionId/board", async (req, res) => {
+    const { boardId } = req.body;
+    if (boardId === undefined) {
+      return res.status(400).json({ message: "boardId is required (null clears the preference)" });
+    }
+
+    try {
+      const board = boardId === null ? null : await loadBoard(req.jira, boardId, config.projectKeys);
+      if (boardId !== null && !board) {
+        return res.status(404).json({ message: "Board not found" });
+      }
+
+      const sessionId = conversationKey(req, req.params.sessionId);
+      const session = (await sessionStore.get(sessionId)) || createSession(sessionId);
+      session.preferences = { ...session.preferences, boardId: board ? board.id : null };
+      await sessionStore.save(session);
+
+      res.json({ success: true, board: board && summarizeBoard(board) });
+    } catch (error) {
+      console.error("Error saving the board preference:", error);
+      res.status(500).json({ message: "Couldn't save the board preference. Please try again later." });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,87 @@
+// /api/boards and /api/sprints: the projects' agile boards, their sprints, and burndown/burnup,
+// scope change and velocity for a sprint.
+import express from "express";
+import { normalizeProjectKeys, findUnknownProjects, createProjectScope } from "../lib/projectScope.js";
+import { findBoards, loadBoard, listSprints, loadSprint, loadSprintMetrics, summarizeBoard, summarizeSprint } from "../lib/sprints.js";
+
+const MAX_VELOCITY_SPRINTS = 10;
+const SPRINT_STATES = ["active", "closed", "future"];
+
+export function createSprintsRouter({ config }) {
+  const router = express.Router();
+
+  // Boards of the allowed projects; ?project=NIHK narrows them
+  router.get("/boards", async (req, res) => {
+    const requestedProjects = normalizeProjectKeys(req.query.project);
+    const unknownProjects = findUnknownProjects(config.projectKeys, requestedProjects);
+    if (unknownProjects.length > 0) {
+      return res.status(400).json({ message: `Unknown project: ${unknownProjects.join(", ")}` });
+    }
+
+    try {
+      const boards = await findBoards(req.jira, createProjectScope(config.projectKeys, requestedProjects));
+      res.json({ boards: boards.map(summarizeBoard) });
+    } catch (error) {
+      console.error("Error fetching boards:", error);
+      res.status(500).json({ message: "Couldn't load the boards at this time. Please try again later." });
+    }
+  });
+
+  // A board's sprints in board order; ?state=active,future narrows them
+  router.get("/boards/:boardId/sprints", async (req, res) => {
+    const states = String(req.query.state || "")
+      .split(",")
+      .map((state) => state.trim().toLowerCase())
+      .filter(Boolean);
+    const unknownStates = states.filter((state) => !SPRINT_STATES.includes(state));
+    if (unknownStates.length > 0) {
+      return res.status(400).json({ message: `Unknown sprint state: ${unknownStates.join(", ")}. Use ${SPRINT_STATES.join(", ")}.` });
+    }
+
+    try {
+      const board = await loadBoard(req.jira, req.params.boardId, config.projectKeys);
+      if (!board) {
+        return res.status(404).json({ message: "Board not found" });
+      }
+
+      const sprints = await listSprints(req.jira, board.id, { states });
+      res.json({ board: summarizeBoard(board), sprints: sprints.map(summarizeSprint) });
+    } catch (error) {
+      // Kanban boards have no sprints
+      if (error.response?.status === 400) {
+        return res.status(400).json({ message: "This board doesn't use sprints." });
+      }
+
+      console.error("Error fetching sprints:", error);
+      res.status(500).json({ message: "Couldn't load the sprints at this time. Please try again later." });
+    }
+  });
+
+  // ?velocity=N sets how many closed sprints the velocity covers
+  router.get("/sprints/:sprintId/metrics", async (req, res) => {
+    const requestedSprints = req.query.velocity === undefined ? config.agile.velocitySprints : Number(req.query.velocity);
+    if (!Number.isInteger(requestedSprints) || requestedSprints < 1) {
+      return res.status(400).json({ message: "velocity must be a whole number of sprints, at least 1" });
+    }
+    const velocitySprints = Math.min(requestedSprints, MAX_VELOCITY_SPRINTS);
+
+    try {
+      const found = await loadSprint(req.jira, req.params.sprintId, config.projectKeys);
+      if (!found) {
+        return res.status(404).json({ message: "Sprint not found" });
+      }
+
+      const { metrics } = await loadSprintMetrics(req.jira, found.sprint, found.board, {
+        storyPointsField: config.agile.storyPointsField,
+        velocitySprints,
+      });
+
+      res.json({ ...metrics, board: summarizeBoard(found.board) });
+    } catch (error) {
+      console.error("Error fetching sprint metrics:", error);
+      res.status(500).json({ message: "Couldn't calculate the sprint metrics at this time. Please try again later." });
+    }
+  });
+
+  return router;
+}
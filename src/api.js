@@ -0,0 +1,28 @@
+// Fetch helper for the assistant's API, shared by the chat and the dashboard.
+
+// The API runs on its own port during development; VITE_API_URL points the client at it
+const API_URL = (import.meta.env?.VITE_API_URL ?? "http://localhost:3000").replace(/\/+$/, "");
+
+// Call the API and resolve to the parsed JSON body. Failed requests reject with the server's own
+// message when it sent one.
+export async function api(path, { method = "GET", body } = {}) {
+  let response;
+  try {
+    response = await fetch(API_URL + path, {
+      method,
+      credentials: "include",
+      headers: body ? { "Content-Type": "application/json" } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  } catch {
+    throw new Error("Couldn't reach the assistant. Check your connection and try again.");
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.message || `The assistant answered with an error (${response.status}).`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
@@ -0,0 +1,177 @@
+// Project dashboard shown next to the chat, built from /api/project-summary.
+// Cards, charts and the unassigned queue carry a data-ask question; clicking one drops it into the
+// chat input so the user can send it as is or edit it first.
+import { api } from "./api.js";
+import { escapeHtml, issueLink } from "./markdown.js";
+
+const REFRESH_MS = Number(import.meta.env?.VITE_DASHBOARD_REFRESH_MS) || 60 * 1000;
+
+const PRIORITY_COLORS = {
+  Highest: "bg-red-500",
+  High: "bg-orange-400",
+  Medium: "bg-yellow-400",
+  Low: "bg-emerald-400",
+  Lowest: "bg-sky-400",
+};
+
+const ACTIVITY_SERIES = [
+  { name: "created", color: "bg-sky-400" },
+  { name: "updated", color: "bg-light" },
+  { name: "resolved", color: "bg-emerald-400" },
+];
+
+const askAttribute = (question) => `data-ask="${escapeHtml(question)}"`;
+
+function card(label, value, question) {
+  return `
+    <button ${askAttribute(question)} class="text-left p-3 rounded-xl bg-secondary hover:bg-background transition duration-300">
+      <div class="text-2xl font-semibold">${escapeHtml(value)}</div>
+      <div class="text-xs text-light">${escapeHtml(label)}</div>
+    </button>`;
+}
+
+function section(title, body) {
+  return `
+    <section class="space-y-2">
+      <h2 class="text-sm font-semibold text-light uppercase tracking-wide">${escapeHtml(title)}</h2>
+      ${body}
+    </section>`;
+}
+
+// Horizontal bars for a [{ name, count }] breakdown
+function barChart(breakdown, { colorOf, questionOf }) {
+  if (breakdown.length === 0) return '<p class="text-sm text-light">Nothing open.</p>';
+
+  const max = Math.max(...breakdown.map(({ count }) => count));
+  return breakdown
+    .map(
+      ({ name, count }) => `
+        <button ${askAttribute(questionOf(name))} class="w-full flex items-center gap-2 text-sm group">
+          <span class="w-24 shrink-0 text-left truncate text-light group-hover:text-white">${escapeHtml(name)}</span>
+          <span class="flex-1 h-3 rounded bg-background overflow-hidden">
+            <span class="block h-full rounded ${colorOf(name)}" style="width: ${(count / max) * 100}%"></span>
+          </span>
+          <span class="w-8 text-right">${count}</span>
+        </button>`
+    )
+    .join("");
+}
+
+// Created/updated/resolved columns for each day of the week
+function activityChart(activity) {
+  const max = Math.max(1, ...activity.flatMap((day) => ACTIVITY_SERIES.map(({ name }) => day[name])));
+
+  const columns = activity
+    .map((day) => {
+      const weekday = new Date(`${day.date}T00:00:00Z`).toLocaleDateString(undefined, { weekday: "short", timeZone: "UTC" });
+      const title = ACTIVITY_SERIES.map(({ name }) => `${day[name]} ${name}`).join(", ");
+      const bars = ACTIVITY_SERIES.map(({ name, color }) => `<span class="w-1.5 rounded-t ${color}" style="height: ${(day[name] / max) * 100}%"></span>`).join("");
+
+      return `
+        <button ${askAttribute(`What changed on ${day.date}?`)} title="${escapeHtml(title)}" class="flex-1 flex flex-col items-center gap-1">
+          <span class="h-20 w-full flex items-end justify-center gap-0.5">${bars}</span>
+          <span class="text-[10px] text-light">${escapeHtml(weekday)}</span>
+        </button>`;
+    })
+    .join("");
+
+  const legend = ACTIVITY_SERIES.map(({ name, color }) => `<span class="flex items-center gap-1"><span class="w-2 h-2 rounded-sm ${color}"></span>${name}</span>`).join("");
+
+  return `
+    <div class="flex gap-1">${columns}</div>
+    <div class="flex gap-3 text-[10px] text-light">${legend}</div>`;
+}
+
+function issueList(issues, jiraUrl, emptyText) {
+  if (issues.length === 0) return `<p class="text-sm text-light">${escapeHtml(emptyText)}</p>`;
+
+  const items = issues
+    .map(
+      (issue) => `
+        <li class="flex items-start gap-2">
+          <span class="shrink-0">${issueLink(issue.key, jiraUrl)}</span>
+          <button ${askAttribute(`Tell me about ${issue.key}`)} class="text-left text-light hover:text-white truncate">${escapeHtml(issue.fields.summary || "")}</button>
+        </li>`
+    )
+    .join("");
+  return `<ul class="space-y-1 text-sm">${items}</ul>`;
+}
+
+function render(summary, settings) {
+  const updatedThisWeek = summary.activity.reduce((total, day) => total + day.updated, 0);
+  const unassignedCount = summary.unassignedCount ?? summary.unassignedIssues.length;
+
+  return `
+    <div class="grid grid-cols-2 gap-2">
+      ${card("Open issues", summary.openCount, "Show all open issues")}
+      ${card("High priority", summary.highPriorityCount ?? summary.highPriorityIssues.length, "What high priority issues are still open?")}
+      ${card("Unassigned", unassignedCount, "Which issues are unassigned?")}
+      ${card("Updates this week", updatedThisWeek, "What changed in the last 7 days?")}
+    </div>
+    ${section(
+      "Status",
+      barChart(summary.statusBreakdown, { colorOf: () => "bg-sky-400", questionOf: (status) => `Show issues in status "${status}"` })
+    )}
+    ${section(
+      "Priority",
+      barChart(summary.priorityBreakdown, {
+        colorOf: (priority) => PRIORITY_COLORS[priority] || "bg-light",
+        questionOf: (priority) => `Show open ${priority} priority issues`,
+      })
+    )}
+    ${summary.breakdownTruncated ? '<p class="text-xs text-light">Breakdowns cover the first open issues only.</p>' : ""}
+    ${section("Last 7 days", activityChart(summary.activity))}
+    ${section("Unassigned queue", issueList(summary.unassignedIssues, settings.jiraUrl, "Everything open has an owner."))}`;
+}
+
+// Load the dashboard into `root` and keep it fresh. `onAsk(question)` receives clicked questions;
+// `settings` holds the Jira site used for issue links.
+export function createDashboard(root, { onAsk, settings }) {
+  const content = root.querySelector("[data-dashboard-content]");
+  const status = root.querySelector("[data-dashboard-status]");
+  let loading = false;
+  let loaded = false;
+
+  async function refresh() {
+    if (loading) return;
+    loading = true;
+    status.textContent = "Refreshing…";
+
+    try {
+      const summary = await api("/api/project-summary");
+      content.innerHTML = render(summary, settings);
+      loaded = true;
+      status.textContent = `Updated ${new Date(summary.lastUpdated).toLocaleTimeString()}`;
+    } catch (error) {
+      // Keep showing the last snapshot; only the first load has nothing to fall back on
+      if (!loaded) {
+        content.innerHTML = `<p class="text-sm text-red-200">${escapeHtml(error.message)}</p>`;
+      }
+      status.textContent = "Couldn't refresh";
+    } finally {
+      loading = false;
+    }
+  }
+
+  root.addEventListener("click", (event) => {
+    if (event.target.closest("a")) return;
+
+    const target = event.target.closest("[data-ask]");
+    if (target) {
+      onAsk(target.dataset.ask);
+    } else if (event.target.closest("[data-dashboard-refresh]")) {
+      refresh();
+    }
+  });
+
+  // Refresh on a timer while the page is visible, and straight away when it comes back into view
+  setInterval(() => {
+    if (!document.hidden) refresh();
+  }, REFRESH_MS);
+  document.addEventListener("visibilitychange", () => {
+    if (!document.hidden) refresh();
+  });
+
+  refresh();
+  return { refresh };
+}
@@ -0,0 +1,205 @@
+// Chat client for the Jira assistant.
+// Questions go to /api/query with a sessionId kept in localStorage, so the conversation (and the
+// follow-ups that depend on it) survives a page reload. Replies are rendered from the backend's
+// markdown, with issue keys linked to Jira.
+import "./style.css";
+import { api } from "./api.js";
+import { renderMarkdown, escapeHtml } from "./markdown.js";
+import { createDashboard } from "./dashboard.js";
+
+const SESSION_KEY = "jira-assistant-session";
+
+const chatBox = document.getElementById("chat-box");
+const input = document.getElementById("user-input");
+const sendButton = document.getElementById("send-btn");
+const newConversationButton = document.getElementById("new-conversation-btn");
+const projectLabel = document.getElementById("project-label");
+const dashboard = document.getElementById("dashboard");
+
+// Jira site and project keys, used to link issue keys in replies
+const settings = { jiraUrl: null, projectKeys: [] };
+let busy = false;
+
+function getSessionId() {
+  let sessionId = localStorage.getItem(SESSION_KEY);
+  if (!sessionId) {
+    sessionId = crypto.randomUUID();
+    localStorage.setItem(SESSION_KEY, sessionId);
+  }
+  return sessionId;
+}
+
+function scrollToBottom() {
+  chatBox.scrollTop = chatBox.scrollHeight;
+}
+
+// Add a message bubble and return it. Bot messages are rendered from markdown; user messages are
+// shown as typed.
+function addMessage(role, text) {
+  const row = document.createElement("div");
+  row.className = `flex ${role === "user" ? "justify-end" : "justify-start"}`;
+
+  const bubble = document.createElement("div");
+  bubble.className =
+    role === "user"
+      ? "max-w-[80%] px-4 py-2 rounded-2xl rounded-br-sm bg-bubbleUser text-sm whitespace-pre-wrap shadow"
+      : "max-w-[85%] px-4 py-3 rounded-2xl rounded-bl-sm bg-bubbleBot text-sm leading-relaxed space-y-2 shadow";
+
+  if (role === "user") {
+    bubble.textContent = text;
+  } else {
+    bubble.innerHTML = renderMarkdown(text, settings);
+  }
+
+  row.appendChild(bubble);
+  chatBox.appendChild(row);
+  scrollToBottom();
+  return row;
+}
+
+function addLoadingIndicator() {
+  const row = document.createElement("div");
+  row.className = "flex justify-start";
+  row.setAttribute("aria-live", "polite");
+  row.innerHTML = `
+    <div class="px-4 py-3 rounded-2xl rounded-bl-sm bg-bubbleBot text-sm text-light flex items-center gap-2 shadow">
+      <span class="w-2 h-2 rounded-full bg-light animate-bounce"></span>
+      <span class="w-2 h-2 rounded-full bg-light animate-bounce [animation-delay:150ms]"></span>
+      <span class="w-2 h-2 rounded-full bg-light animate-bounce [animation-delay:300ms]"></span>
+      <span class="sr-only">The assistant is thinking…</span>
+    </div>`;
+  chatBox.appendChild(row);
+  scrollToBottom();
+  return row;
+}
+
+// An error bubble; `retry` adds a button that runs it again
+function addError(message, retry) {
+  const row = document.createElement("div");
+  row.className = "flex justify-start";
+  row.innerHTML = `
+    <div class="max-w-[85%] px-4 py-3 rounded-2xl rounded-bl-sm bg-red-900/60 border border-red-500/50 text-sm text-red-100 shadow" role="alert">
+      <p>${escapeHtml(message)}</p>
+    </div>`;
+
+  if (retry) {
+    const button = document.createElement("button");
+    button.className = "mt-2 text-xs underline text-red-200 hover:text-white";
+    button.textContent = "Try again";
+    button.addEventListener("click", () => {
+      row.remove();
+      retry();
+    });
+    row.firstElementChild.appendChild(button);
+  }
+
+  chatBox.appendChild(row);
+  scrollToBottom();
+}
+
+function setBusy(value) {
+  busy = value;
+  input.disabled = value;
+  sendButton.disabled = value;
+  newConversationButton.disabled = value;
+  sendButton.classList.toggle("opacity-50", value);
+  if (!value) input.focus();
+}
+
+function showWelcome() {
+  addMessage("bot", 'Hi! Ask me about your Jira project, e.g. "How is the project going?" or "What is blocking us?"');
+}
+
+async function ask(query) {
+  setBusy(true);
+  const loading = addLoadingIndicator();
+
+  try {
+    const { message } = await api("/api/query", { method: "POST", body: { query, sessionId: getSessionId(), timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone } });
+    loading.remove();
+    addMessage("bot", message);
+  } catch (error) {
+    loading.remove();
+    addError(error.status === 401 ? "Please log in to Jira to continue." : error.message, error.status === 401 ? null : () => ask(query));
+  } finally {
+    setBusy(false);
+  }
+}
+
+function send() {
+  const query = input.value.trim();
+  if (!query || busy) return;
+
+  input.value = "";
+  addMessage("user", query);
+  ask(query);
+}
+
+// Put a question from the dashboard into the input, ready to send or edit
+function prefillQuestion(question) {
+  if (busy) return;
+  input.value = question;
+  input.focus();
+  input.setSelectionRange(question.length, question.length);
+}
+
+// Clear the conversation on the server so follow-ups start fresh, then clear the screen
+async function startNewConversation() {
+  if (busy) return;
+  setBusy(true);
+
+  try {
+    await api("/api/reset-conversation", { method: "POST", body: { sessionId: getSessionId() } });
+    chatBox.replaceChildren();
+    showWelcome();
+  } catch (error) {
+    addError(`Couldn't start a new conversation: ${error.message}`);
+  } finally {
+    setBusy(false);
+  }
+}
+
+// Show the turns of the stored conversation, or a welcome message for a new one
+async function restoreConversation() {
+  try {
+    const session = await api(`/api/sessions/${encodeURIComponent(getSessionId())}`);
+    for (const turn of session.turns) {
+      addMessage("user", turn.query);
+      addMessage("bot", turn.response);
+    }
+    if (session.turns.length > 0) return;
+  } catch (error) {
+    // 404 just means this is a new conversation
+    if (error.status !== 404) console.error("Couldn't load the conversation:", error.message);
+  }
+
+  showWelcome();
+}
+
+async function loadSettings() {
+  const [authConfig, projects] = await Promise.all([
+    api("/api/auth/config").catch(() => ({})),
+    api("/api/projects").catch(() => ({ projects: [] })),
+  ]);
+
+  settings.jiraUrl = authConfig.jiraUrl || null;
+  settings.projectKeys = projects.projects || [];
+
+  if (settings.projectKeys.length > 0) {
+    projectLabel.textContent = `Jira Assistant – ${settings.projectKeys.length === 1 ? "Project" : "Projects"} ${settings.projectKeys.join(", ")}`;
+  }
+}
+
+sendButton.addEventListener("click", send);
+input.addEventListener("keydown", (event) => {
+  if (event.key === "Enter" && !event.shiftKey) {
+    event.preventDefault();
+    send();
+  }
+});
+newConversationButton.addEventListener("click", startNewConversation);
+
+await loadSettings();
+createDashboard(dashboard, { onAsk: prefillQuestion, settings });
+await restoreConversation();
+input.focus();
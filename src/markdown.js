@@ -0,0 +1,95 @@
+// Markdown rendering for assistant replies.
+// The backend answers in a small markdown subset: ## and ### headers, **bold**, `code`, • or -
+// bullets, numbered lists and blank lines between sections. Text is HTML-escaped before any markup
+// is added, so a reply (or an issue summary quoted in it) can never inject HTML into the page.
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+// Issue keys of the given projects, or of any project when none are known yet
+function issueKeyPattern(projectKeys = []) {
+  const project = projectKeys.length > 0 ? `(?:${projectKeys.join("|")})` : "[A-Z][A-Z0-9_]+";
+  return new RegExp(`\\b${project}-\\d+\\b`, "g");
+}
+
+// An issue key as a link to its Jira page, or plain text when the Jira site isn't known
+export function issueLink(key, jiraUrl) {
+  if (!jiraUrl) return escapeHtml(key);
+  const href = `${jiraUrl.replace(/\/+$/, "")}/browse/${key}`;
+  return `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer" class="underline text-sky-300 hover:text-sky-200">${escapeHtml(key)}</a>`;
+}
+
+// **bold**, `code` and issue keys linked to their Jira page
+function renderInline(text, { jiraUrl, projectKeys }) {
+  let html = escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*/g, '<strong class="font-semibold text-white">$1</strong>')
+    .replace(/`([^`]+)`/g, '<code class="px-1 rounded bg-background text-light">$1</code>');
+
+  if (jiraUrl) {
+    html = html.replace(issueKeyPattern(projectKeys), (key) => issueLink(key, jiraUrl));
+  }
+
+  return html;
+}
+
+const BULLET = /^\s*[•\-*]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+const HEADER = /^(#{1,3})\s+(.*)$/;
+
+// Render a reply to HTML. `jiraUrl` turns issue keys into links to ${jiraUrl}/browse/KEY;
+// `projectKeys` limits which keys count as issue keys.
+export function renderMarkdown(text, { jiraUrl = null, projectKeys = [] } = {}) {
+  const options = { jiraUrl, projectKeys };
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push(`<p>${paragraph.map((line) => renderInline(line, options)).join("<br>")}</p>`);
+      paragraph = [];
+    }
+  };
+
+  const flushList = () => {
+    if (list) {
+      const items = list.items.map((item) => `<li>${renderInline(item, options)}</li>`).join("");
+      blocks.push(list.ordered ? `<ol class="list-decimal pl-6 space-y-1">${items}</ol>` : `<ul class="list-disc pl-6 space-y-1">${items}</ul>`);
+      list = null;
+    }
+  };
+
+  for (const line of String(text ?? "").split("\n")) {
+    const header = line.match(HEADER);
+    const bullet = line.match(BULLET);
+    const numbered = !bullet && line.match(NUMBERED);
+
+    if (header) {
+      flushParagraph();
+      flushList();
+      const tag = header[1].length === 3 ? "h3" : "h2";
+      const size = tag === "h2" ? "text-lg" : "text-base";
+      blocks.push(`<${tag} class="${size} font-semibold text-white">${renderInline(header[2], options)}</${tag}>`);
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const ordered = Boolean(numbered);
+      if (list && list.ordered !== ordered) flushList();
+      if (!list) list = { ordered, items: [] };
+      list.items.push((bullet || numbered)[1]);
+    } else if (line.trim() === "") {
+      flushParagraph();
+      flushList();
+    } else {
+      flushList();
+      paragraph.push(line);
+    }
+  }
+
+  flushParagraph();
+  flushList();
+
+  return blocks.join("\n");
+}
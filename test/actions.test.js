@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseActionCommand, looksLikeAction, matchTransition, buildJiraRequest, describeAction, PendingActionStore } from "../lib/actions.js";
+
+test("parses assign, transition, comment and create commands", () => {
+  assert.deepEqual(parseActionCommand("assign NIHK-42 to Ana"), { type: "assign", issueKey: "NIHK-42", assignee: "Ana" });
+  assert.deepEqual(parseActionCommand("please unassign nihk-42"), { type: "assign", issueKey: "NIHK-42", assignee: null });
+  assert.deepEqual(parseActionCommand("move NIHK-17 to In Progress."), { type: "transition", issueKey: "NIHK-17", status: "In Progress" });
+  assert.deepEqual(parseActionCommand("close NIHK-3"), { type: "transition", issueKey: "NIHK-3", status: "close" });
+  assert.deepEqual(parseActionCommand('add a comment to NIHK-9 saying "Deploy is Friday"'), {
+    type: "comment",
+    issueKey: "NIHK-9",
+    comment: "Deploy is Friday",
+  });
+  assert.deepEqual(parseActionCommand("create a bug for the login crash"), { type: "create", issueType: "Bug", summary: "the login crash" });
+});
+
+test("leaves read-only questions alone", () => {
+  assert.equal(parseActionCommand("show open tasks"), null);
+  assert.equal(looksLikeAction("who is assigned to NIHK-4?"), false);
+  assert.equal(looksLikeAction("assign it to whoever is free"), true);
+});
+
+test("matches transitions by target status, name and synonyms", () => {
+  const transitions = [
+    { id: "11", name: "Start Progress", to: { name: "In Progress" } },
+    { id: "21", name: "Resolve Issue", to: { name: "Resolved" } },
+    { id: "31", name: "Close", to: { name: "Done" } },
+  ];
+
+  assert.equal(matchTransition(transitions, "in progress").id, "11");
+  assert.equal(matchTransition(transitions, "start").id, "11");
+  assert.equal(matchTransition(transitions, "close").id, "31");
+  assert.equal(matchTransition(transitions, "resolve").id, "21");
+  assert.equal(matchTransition(transitions, "Blocked"), null);
+});
+
+test("builds the exact Jira request for each action", () => {
+  assert.deepEqual(buildJiraRequest({ type: "assign", issueKey: "NIHK-1", accountId: "a1" }), {
+    method: "put",
+    path: "/rest/api/3/issue/NIHK-1/assignee",
+    data: { accountId: "a1" },
+  });
+  assert.deepEqual(buildJiraRequest({ type: "transition", issueKey: "NIHK-1", transitionId: "31" }).data, { transition: { id: "31" } });
+  assert.equal(buildJiraRequest({ type: "comment", issueKey: "NIHK-1", comment: "hi" }).data.body.content[0].content[0].text, "hi");
+  assert.deepEqual(buildJiraRequest({ type: "create", projectKey: "NIHK", issueType: "Bug", summary: "Crash" }).data.fields, {
+    project: { key: "NIHK" },
+    issuetype: { name: "Bug" },
+    summary: "Crash",
+  });
+  assert.equal(describeAction({ type: "transition", issueKey: "NIHK-1", statusName: "Done" }), "move NIHK-1 to Done");
+});
+
+test("confirmation tokens are single-use and expire", () => {
+  const store = new PendingActionStore();
+  const { token } = store.create("s1", { type: "comment" });
+
+  assert.equal(store.get(token).sessionId, "s1");
+  assert.equal(store.take(token).sessionId, "s1");
+  assert.equal(store.take(token), null);
+
+  const expiring = new PendingActionStore({ ttlMs: -1 });
+  assert.equal(expiring.take(expiring.create("s1", {}).token), null);
+});
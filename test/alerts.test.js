@@ -0,0 +1,150 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { readFileSync } from "fs";
+import { startTestApp, parseEvents } from "./support/harness.js";
+import { startWebhookServer } from "./support/standIns.js";
+import { AlertRuleStore, createAlertService, evaluateRules, parseJiraWebhook } from "../lib/alerts.js";
+
+// Events as Jira Cloud sent them, re-signed here with the test secret
+const events = JSON.parse(readFileSync(new URL("./fixtures/jiraWebhooks.json", import.meta.url), "utf8"));
+const SECRET = "jira-webhook-secret";
+
+let app;
+let alertWebhook;
+
+before(async () => {
+  alertWebhook = await startWebhookServer();
+  app = await startTestApp({ JIRA_WEBHOOK_SECRET: SECRET, ALERT_WEBHOOK_URL: `${alertWebhook.url}/hooks/alerts` });
+});
+
+after(async () => {
+  await app.close();
+  await alertWebhook.close();
+});
+
+beforeEach(() => {
+  app.mock.reset();
+  alertWebhook.requests.length = 0;
+});
+
+function sendJiraEvent(event, secret = SECRET) {
+  const body = JSON.stringify(event);
+  const signature = `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+  return app.request("POST", "/api/webhooks/jira", { body: event, headers: { "X-Hub-Signature": signature } });
+}
+
+test("alert conditions follow the BLOCKERS template's priorities and labels", () => {
+  const store = new AlertRuleStore({ allowedKeys: ["NIHK"] });
+  const rule = store.create("ops", { conditions: ["priority_raised", "blocker_label_added", "due_date_passed", "assignee_removed"] });
+  const now = new Date(2026, 9, 19, 12);
+  const raised = (name) => evaluateRules(store.all(), parseJiraWebhook(events[name]), { allowedKeys: ["NIHK"], now }).map(({ condition, message }) => [condition, message]);
+
+  assert.deepEqual(raised("highestBugCreated"), [["priority_raised", "NIHK-7 (Checkout fails for saved cards) was created with Highest priority by Ivana Kovac"]]);
+  assert.deepEqual(raised("blockerLabelAdded"), [["blocker_label_added", "NIHK-5 (Migrate user avatars to the CDN) was labelled blocker by Marko Horvat"]]);
+  assert.deepEqual(raised("assigneeRemoved"), [
+    ["due_date_passed", "NIHK-2 (Login page crashes on Safari) is past its due date of 2026-10-15"],
+    ["assignee_removed", "NIHK-2 (Login page crashes on Safari) was unassigned from Ana Lee by Ana Lee"],
+  ]);
+  assert.deepEqual(raised("summaryEdited"), []);
+
+  // Closed issues, other projects and priorities below High don't alert
+  const closed = structuredClone(events.highestBugCreated);
+  closed.issue.fields.status.name = "Done";
+  const lowered = structuredClone(events.blockerLabelAdded);
+  lowered.changelog.items = [{ field: "priority", fromString: "Low", toString: "Medium" }];
+  for (const event of [closed, lowered]) {
+    assert.deepEqual(evaluateRules([rule], parseJiraWebhook(event), { allowedKeys: ["NIHK"], now }), []);
+  }
+  assert.deepEqual(evaluateRules([rule], parseJiraWebhook(events.highestBugCreated), { allowedKeys: ["WEB"], now }), []);
+
+  assert.throws(() => store.create("ops", { conditions: ["status_changed"] }), /conditions must be a list of/);
+  assert.throws(() => store.create("ops", { conditions: ["priority_raised"], projects: ["WEB"] }), /Unknown project: WEB/);
+});
+
+test("due dates pass by the day in the configured time zone", () => {
+  const store = new AlertRuleStore({ allowedKeys: ["NIHK"] });
+  store.create("ops", { conditions: ["due_date_passed"] });
+  const overdue = structuredClone(events.commentOnOverdueIssue);
+  overdue.issue.fields.duedate = "2026-10-19";
+  // Late on 19 October in UTC, already the 20th in Tokyo
+  const raised = (timeZone) => evaluateRules(store.all(), parseJiraWebhook(overdue), { allowedKeys: ["NIHK"], now: new Date("2026-10-19T20:00:00Z"), timeZone }).length;
+
+  assert.equal(raised("UTC"), 0);
+  assert.equal(raised("Asia/Tokyo"), 1);
+});
+
+test("an overdue issue alerts again once its due date moves", async () => {
+  const ruleStore = new AlertRuleStore({ allowedKeys: ["NIHK"] });
+  const rule = ruleStore.create("ops", { conditions: ["due_date_passed"] });
+  const service = createAlertService({ ruleStore, allowedKeys: ["NIHK"], timeZone: "UTC" });
+  const now = new Date("2026-10-19T12:00:00Z");
+  const dueOn = (duedate) => {
+    const event = structuredClone(events.commentOnOverdueIssue);
+    event.issue.fields.duedate = duedate;
+    return service.handleWebhook(event, { now }).then((alerts) => alerts.length);
+  };
+
+  assert.equal(await dueOn("2026-10-15"), 1);
+  assert.equal(await dueOn("2026-10-15"), 0);
+  assert.equal(await dueOn("2026-10-16"), 1);
+  // Pushed into the future and then missed again
+  assert.equal(await dueOn("2026-10-30"), 0);
+  assert.equal(await dueOn("2026-10-16"), 1);
+
+  // A rule set up again is a new rule
+  ruleStore.remove("ops", rule.id);
+  ruleStore.create("ops", { conditions: ["due_date_passed"] });
+  assert.equal(await dueOn("2026-10-16"), 1);
+});
+
+test("Jira webhooks must be signed with the configured secret", async () => {
+  assert.equal((await sendJiraEvent(events.highestBugCreated, "another-secret")).status, 401);
+  assert.equal((await app.request("POST", "/api/webhooks/jira", { body: events.highestBugCreated })).status, 401);
+
+  const { status, body } = await sendJiraEvent(events.highestBugCreated);
+  assert.equal(status, 200);
+  assert.deepEqual(body, { alerts: 0 });
+});
+
+test("matching events are streamed to the rule's conversation and posted to the alert webhook", async () => {
+  const created = await app.request("POST", "/api/alerts/rules", { body: { sessionId: "ops", name: "Escalations", conditions: ["priority_raised", "due_date_passed"], projects: "nihk" } });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.projects, ["NIHK"]);
+  assert.equal((await app.request("POST", "/api/alerts/rules", { body: { sessionId: "ops", conditions: [] } })).status, 400);
+  assert.equal((await app.request("POST", "/api/alerts/rules", { body: { sessionId: "ops", conditions: "priority_raised" } })).status, 400);
+
+  const { body: listed } = await app.request("GET", "/api/alerts/rules?sessionId=ops");
+  assert.deepEqual(listed.rules.map(({ id, name }) => [id, name]), [[created.body.id, "Escalations"]]);
+  assert.deepEqual((await app.request("GET", "/api/alerts/rules?sessionId=other")).body.rules, []);
+
+  const controller = new AbortController();
+  const stream = await fetch(`${app.baseUrl}/api/alerts/stream?sessionId=ops`, { signal: controller.signal });
+  const reader = stream.body.getReader();
+  let text = "";
+  const readUntil = async (pattern) => {
+    while (!pattern.test(text)) text += new TextDecoder().decode((await reader.read()).value);
+  };
+  await readUntil(/event: ready/);
+
+  assert.deepEqual((await sendJiraEvent(events.highestBugCreated)).body, { alerts: 1 });
+  assert.deepEqual((await sendJiraEvent(events.blockerLabelAdded)).body, { alerts: 0 });
+  // The overdue issue alerts on its first event only
+  assert.deepEqual((await sendJiraEvent(events.assigneeRemoved)).body, { alerts: 1 });
+  assert.deepEqual((await sendJiraEvent(events.commentOnOverdueIssue)).body, { alerts: 0 });
+
+  await readUntil(/event: alert[\s\S]*event: alert/);
+  controller.abort();
+
+  const alerts = parseEvents(text).filter(({ event }) => event === "alert").map(({ data }) => data);
+  assert.deepEqual(alerts.map(({ condition, issueKey, rule }) => [condition, issueKey, rule]), [
+    ["priority_raised", "NIHK-7", "Escalations"],
+    ["due_date_passed", "NIHK-2", "Escalations"],
+  ]);
+  assert.ok(alerts.every((alert) => !("sessionId" in alert)));
+
+  assert.deepEqual(alertWebhook.requests.map(({ path, body }) => [path, body.id]), alerts.map(({ id }) => ["/hooks/alerts", id]));
+
+  assert.equal((await app.request("DELETE", `/api/alerts/rules/${created.body.id}?sessionId=other`)).status, 404);
+  assert.equal((await app.request("DELETE", `/api/alerts/rules/${created.body.id}?sessionId=ops`)).status, 200);
+});
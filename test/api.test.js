@@ -0,0 +1,331 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, parseEvents } from "./support/harness.js";
+
+let app;
+let mock;
+
+before(async () => {
+  app = await startTestApp();
+  mock = app.mock;
+});
+
+after(() => app.close());
+
+beforeEach(() => mock.reset());
+
+const keysOf = (issues) => issues.map((issue) => issue.key).sort();
+
+test("greets without calling Jira or the model", async () => {
+  const { status, body } = await app.query("hello");
+
+  assert.equal(status, 200);
+  assert.equal(body.meta.intent, "GREETING");
+  assert.equal(mock.jira.requests.length, 0);
+  assert.equal(mock.llm.requests.length, 0);
+});
+
+test("rejects a request without a query", async () => {
+  const { status, body } = await app.request("POST", "/api/query", { body: { sessionId: "test" } });
+
+  assert.equal(status, 400);
+  assert.equal(body.message, "Query is required");
+});
+
+test("PROJECT_STATUS counts the fixture issues", async () => {
+  const { body } = await app.query("how is the project going?");
+
+  assert.equal(body.meta.intent, "PROJECT_STATUS");
+  assert.deepEqual(
+    [body.rawData.openCount, body.rawData.inProgressCount, body.rawData.doneCount, body.rawData.blockedCount, body.rawData.unassignedCount],
+    [2, 2, 1, 1, 2]
+  );
+  assert.match(body.message, /^Mock answer/);
+});
+
+test("TIMELINE and WORKLOAD answer from their own searches", async () => {
+  const timeline = await app.query("show project timeline");
+  assert.equal(timeline.body.meta.intent, "TIMELINE");
+  assert.equal(timeline.body.meta.timeframe, "upcoming");
+
+  const dated = await app.request("POST", "/api/query", { body: { query: "what's due between 2026-10-01 and 2026-10-31?", sessionId: "test", timeZone: "Europe/Zagreb" } });
+  assert.equal(dated.body.meta.intent, "TIMELINE");
+  assert.deepEqual(dated.body.meta.dateRange, { field: "duedate", from: "2026-10-01", to: "2026-10-31" });
+  assert.match(dated.body.meta.jql, /AND duedate >= "2026-10-01" AND duedate <= "2026-10-31" ORDER BY duedate ASC$/);
+
+  const workload = await app.query("show team workload");
+  assert.equal(workload.body.meta.intent, "WORKLOAD");
+  assert.ok(mock.jiraRequests("search$").some((request) => /assignee IS NOT EMPTY/.test(request.query.jql)));
+});
+
+test("BLOCKERS lists high priority and blocked work that isn't done", async () => {
+  const { body } = await app.query("what is blocking us?");
+
+  assert.equal(body.meta.intent, "BLOCKERS");
+  assert.deepEqual(keysOf(body.rawData.issues), ["NIHK-2", "NIHK-3", "NIHK-5"]);
+});
+
+test("TASK_DETAILS loads the issue with its comments", async () => {
+  const { body } = await app.query("tell me about NIHK-2");
+
+  assert.equal(body.meta.issueKey, "NIHK-2");
+  assert.equal(body.rawData.fields.comment.comments.length, 1);
+  assert.deepEqual(
+    mock.jiraRequests("/issue/").map((request) => request.path),
+    ["/rest/api/3/issue/NIHK-2"]
+  );
+});
+
+test("SPRINT summarizes the current sprint", async () => {
+  const { body } = await app.query("how is the current sprint?");
+
+  assert.equal(body.meta.intent, "SPRINT");
+  assert.equal(body.meta.sprintName, "NIHK Sprint 14");
+  assert.equal(body.meta.issueCount, 4);
+  assert.equal(body.rawData.metrics.totals.scope, 21);
+});
+
+test("/api/sprints/:id/metrics reports the burndown, scope change and velocity", async () => {
+  const { status, body } = await app.request("GET", "/api/sprints/14/metrics");
+
+  assert.equal(status, 200);
+  assert.equal(body.unit, "points");
+  assert.deepEqual([body.committed, body.totals.scope, body.scopeChange.added.value, body.scopeChange.removed.value], [11, 21, 10, 2]);
+  assert.equal(body.scopeChange.removalsKnown, true);
+  assert.deepEqual(body.velocity, {
+    sprints: [{ id: 13, name: "NIHK Sprint 13", completeDate: "2026-10-05T08:00:00.000Z", unit: "points", committed: 3, completed: 3 }],
+    average: 3,
+  });
+  assert.ok(mock.jiraRequests("/sprint/14/issue").every((request) => request.query.expand === "changelog"));
+
+  assert.equal((await app.request("GET", "/api/sprints/99/metrics")).status, 404);
+  assert.equal((await app.request("GET", "/api/sprints/14/metrics?velocity=-3")).status, 400);
+  assert.equal((await app.request("GET", "/api/sprints/14/metrics?velocity=1.5")).status, 400);
+
+  // Issues embed only their latest changes; the rest of a long changelog is paged in
+  mock.jira.embeddedHistories = 1;
+  const paged = await app.request("GET", "/api/sprints/14/metrics", { headers: { "Cache-Control": "no-cache" } });
+  assert.deepEqual([paged.body.committed, paged.body.totals, paged.body.scopeChange, paged.body.velocity], [body.committed, body.totals, body.scopeChange, body.velocity]);
+  assert.ok(mock.jiraRequests("/changelog$").length > 0);
+  mock.jira.embeddedHistories = 100;
+
+  // Without removedAfterSprintStart() (ScriptRunner) removals are reported as unknown, not as none
+  mock.failJira("/search", { status: 400, body: { errorMessages: ["Unable to find JQL function 'removedAfterSprintStart'"] } });
+  const stock = await app.request("GET", "/api/sprints/14/metrics");
+  assert.equal(stock.body.scopeChange.removalsKnown, false);
+  assert.equal(stock.body.scopeChange.removed.count, 0);
+});
+
+test("SPRINT answers about the sprint the question names", async () => {
+  const sprintOf = async (query) => (await app.query(query, "sprint-refs")).body.meta;
+
+  assert.deepEqual(await sprintOf("how did last sprint go?").then(({ sprintName, sprintState }) => [sprintName, sprintState]), ["NIHK Sprint 13", "closed"]);
+  assert.deepEqual(await sprintOf("what's planned for next sprint?").then(({ sprintName, sprintState }) => [sprintName, sprintState]), ["NIHK Sprint 15", "future"]);
+  assert.equal((await sprintOf("show sprint 14 progress")).sprintId, 14);
+
+  // Two boards have an active sprint: the first answers, the other is offered
+  assert.deepEqual((await sprintOf("how is the current sprint?")).alternatives, [{ sprintId: 21, sprintName: "Platform Sprint 3", boardId: 9, boardName: "NIHK platform" }]);
+  assert.match((await app.query("sprint 99 review")).body.message, /couldn't find sprint 99/);
+});
+
+test("boards and sprints can be listed, and a board chosen per conversation or per request", async () => {
+  const { body } = await app.request("GET", "/api/boards");
+  assert.deepEqual(body.boards.map((board) => [board.id, board.type]), [[7, "scrum"], [8, "kanban"], [9, "scrum"]]);
+
+  const sprints = await app.request("GET", "/api/boards/7/sprints?state=closed,future");
+  assert.deepEqual(sprints.body.sprints.map((sprint) => sprint.name), ["NIHK Sprint 13", "NIHK Sprint 15"]);
+  assert.equal((await app.request("GET", "/api/boards/8/sprints")).status, 400);
+  assert.equal((await app.request("GET", "/api/boards/11/sprints")).status, 404);
+
+  assert.equal((await app.request("PUT", "/api/sessions/platform/board", { body: { boardId: 11 } })).status, 404);
+  await app.request("PUT", "/api/sessions/platform/board", { body: { boardId: 9 } });
+  assert.equal((await app.query("how is the current sprint?", "platform")).body.meta.sprintName, "Platform Sprint 3");
+
+  const perRequest = await app.request("POST", "/api/query", { body: { query: "how is the current sprint?", sessionId: "platform", boardId: 7 } });
+  assert.equal(perRequest.body.meta.sprintName, "NIHK Sprint 14");
+});
+
+test("HISTORY answers from the changelog with exact timestamps and actors", async () => {
+  const done = await app.query("when did NIHK-1 move to Done?");
+  assert.equal(done.body.meta.intent, "HISTORY");
+  assert.match(done.body.message, /NIHK-1 moved to \*\*Done\*\* on 2026-09-30 16:30 UTC by Ana Lee \(from In Progress\)/);
+  assert.ok(mock.jiraRequests("/issue/NIHK-1").every((request) => request.query.expand === "changelog"));
+
+  const priority = await app.query("who changed the priority of NIHK-2?");
+  assert.match(priority.body.message, /priority was last changed on 2026-10-16 11:00 UTC by Ivana Kovac, from High to \*\*Highest\*\*/);
+  assert.deepEqual(priority.body.rawData.issues.map(({ key }) => key), ["NIHK-2"]);
+
+  assert.match((await app.query("when did NIHK-4 move to Done?")).body.message, /NIHK-4 hasn't moved to Done\. It's currently Open\./);
+
+  // Without an issue key the scope's recently updated issues are read
+  const recent = await app.query("what changed yesterday?");
+  assert.equal(recent.body.meta.intent, "HISTORY");
+  assert.equal(recent.body.meta.window.label, "yesterday");
+  assert.ok(mock.jiraRequests("/search").some(({ query }) => /updated >= /.test(query.jql) && query.expand === "changelog"));
+});
+
+test("/api/metrics/flow and METRICS report lead time, cycle time, throughput and aging WIP", async () => {
+  const { status, body } = await app.request("GET", "/api/metrics/flow?weeks=12");
+  assert.equal(status, 200);
+  assert.equal(body.completed, 1);
+  assert.equal(body.cycleTime.medianMs, (8 * 24 + 7.5) * 60 * 60 * 1000);
+  assert.equal(body.throughput.weeks.length, 12);
+  assert.deepEqual(body.wip.issues.map(({ key }) => key), ["NIHK-3", "NIHK-2", "NIHK-6"]);
+  assert.deepEqual(body.breakdowns.assignee.map(({ name }) => name), ["Ana Lee", "Ivana Kovac", "Marko Horvat"]);
+  assert.ok(mock.jiraRequests("/search").every(({ query }) => query.expand === "changelog"));
+
+  mock.jira.embeddedHistories = 1;
+  const paged = await app.request("GET", "/api/metrics/flow?weeks=12", { headers: { "Cache-Control": "no-cache" } });
+  const keys = ({ wip }) => wip.issues.map(({ key }) => key);
+  assert.deepEqual([paged.body.leadTime, paged.body.cycleTime, keys(paged.body)], [body.leadTime, body.cycleTime, keys(body)]);
+  assert.ok(mock.jiraRequests("/changelog$").length > 0);
+  mock.jira.embeddedHistories = 100;
+
+  assert.equal((await app.request("GET", "/api/metrics/flow?weeks=0")).status, 400);
+  assert.equal((await app.request("GET", "/api/metrics/flow?project=OPS")).status, 400);
+
+  const answer = await app.query("what's our lead time by assignee?");
+  assert.equal(answer.body.meta.intent, "METRICS");
+  assert.match(answer.body.message, /### By assignee\n• Ana Lee: 1 completed, median lead time 29d 7h/);
+});
+
+test("TASK_LIST uses the intent and JQL from the model's analysis", async () => {
+  mock.llm.analysis = {
+    intent: "TASK_LIST",
+    jql: 'project = NIHK AND assignee = "Ana Lee"',
+    people: ["Ana Lee"],
+    dateRange: null,
+    issueKeys: [],
+    confidence: 0.9,
+  };
+
+  const { body } = await app.query("what has ana got on her plate");
+
+  assert.equal(body.meta.intent, "TASK_LIST");
+  // Jira Cloud only takes accountIds for people
+  assert.equal(body.meta.jql, 'project = NIHK AND assignee = "acc-ana"');
+  assert.deepEqual(body.meta.analysis.people, ["Ana Lee"]);
+  assert.deepEqual(keysOf(body.rawData.issues), ["NIHK-1", "NIHK-2"]);
+  assert.equal(mock.llm.requests.filter((request) => !request.tools && /converts natural language/.test(request.messages[0].content)).length, 0);
+});
+
+test("COMMENTS generates its JQL with the model", async () => {
+  const { body } = await app.query("any comments about the search filters?");
+
+  assert.equal(body.meta.intent, "COMMENTS");
+  assert.equal(body.meta.jql, 'project = NIHK AND status = "Open"');
+  assert.deepEqual(keysOf(body.rawData.issues), ["NIHK-4", "NIHK-5"]);
+});
+
+test("follow-ups narrow the previous results", async () => {
+  await app.query("show open tasks", "follow-up");
+  const { body } = await app.query("which of those are unassigned?", "follow-up");
+
+  assert.equal(body.meta.followUp.condition, "assignee IS EMPTY");
+  assert.deepEqual(keysOf(body.rawData.issues), ["NIHK-4", "NIHK-5"]);
+});
+
+test("numbered sprints after a result list are sprint questions, not references to the results", async () => {
+  await app.query("show open tasks", "numbered-sprint");
+
+  for (const query of ["how did sprint #14 go?", "show sprint number 14"]) {
+    const { body } = await app.query(query, "numbered-sprint");
+    assert.equal(body.meta.intent, "SPRINT", query);
+    assert.equal(body.meta.sprintId, 14, query);
+  }
+});
+
+test("a sprint answer's issues can be referred to by follow-ups", async () => {
+  const { body: sprint } = await app.query("show sprint 14 progress", "sprint-follow-up");
+  const sprintKeys = keysOf(sprint.rawData.issues);
+  assert.ok(sprintKeys.length >= 2);
+
+  const { body } = await app.query("tell me more about the second one", "sprint-follow-up");
+  assert.equal(body.meta.issueKey, sprintKeys[1]);
+});
+
+test("ACTION proposes a change and applies it once confirmed", async () => {
+  const proposal = await app.query("assign NIHK-4 to Ana Lee", "actions");
+  assert.equal(proposal.body.meta.intent, "ACTION");
+  assert.equal(mock.jiraRequests("/assignee$").length, 0);
+
+  // Confirming or cancelling from another conversation doesn't use the token up
+  const confirmElsewhere = await app.request("POST", "/api/actions/confirm", {
+    body: { token: proposal.body.meta.confirmationToken, sessionId: "elsewhere" },
+  });
+  assert.equal(confirmElsewhere.status, 403);
+  const cancelElsewhere = await app.request("POST", "/api/actions/cancel", {
+    body: { token: proposal.body.meta.confirmationToken, sessionId: "elsewhere" },
+  });
+  assert.equal(cancelElsewhere.body.success, false);
+
+  const confirmed = await app.request("POST", "/api/actions/confirm", {
+    body: { token: proposal.body.meta.confirmationToken, sessionId: "actions" },
+  });
+
+  assert.equal(confirmed.status, 200);
+  assert.equal(confirmed.body.meta.executed, true);
+  assert.equal(mock.issues.find((issue) => issue.key === "NIHK-4").fields.assignee.displayName, "Ana Lee");
+
+  const replay = await app.request("POST", "/api/actions/confirm", {
+    body: { token: proposal.body.meta.confirmationToken, sessionId: "actions" },
+  });
+  assert.equal(replay.status, 404);
+});
+
+test("the stream endpoint sends progress events, tokens and the final payload", async () => {
+  const { headers, body } = await app.request("POST", "/api/query/stream", { body: { query: "show open tasks", sessionId: "stream" } });
+  const events = parseEvents(body);
+
+  assert.match(headers.get("content-type"), /text\/event-stream/);
+  assert.deepEqual(
+    [...new Set(events.map(({ event }) => event))],
+    ["intent", "jql", "token", "done"]
+  );
+  assert.equal(events.filter(({ event }) => event === "token").map(({ data }) => data.text).join(""), events.at(-1).data.message.split("\n\n")[0]);
+});
+
+test("/api/project-summary collects counts and issue lists", async () => {
+  const { status, body } = await app.request("GET", "/api/project-summary");
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.projects, ["NIHK"]);
+  assert.equal(body.openCount, 4);
+  assert.deepEqual(keysOf(body.unassignedIssues), ["NIHK-4", "NIHK-5"]);
+  assert.deepEqual(keysOf(body.highPriorityIssues), ["NIHK-2", "NIHK-3", "NIHK-5"]);
+  assert.deepEqual(body.statusBreakdown, [
+    { name: "In Progress", count: 2 },
+    { name: "Open", count: 2 },
+    { name: "Blocked", count: 1 },
+  ]);
+  assert.deepEqual(body.priorityBreakdown.map(({ name }) => name), ["Highest", "High", "Medium", "Low"]);
+  assert.equal(body.activity.length, 7);
+});
+
+test("/api/reset-conversation clears the session's turns", async () => {
+  await app.query("show open tasks", "reset-me");
+  assert.equal((await app.request("GET", "/api/sessions/reset-me")).body.turns.length, 1);
+
+  const { body } = await app.request("POST", "/api/reset-conversation", { body: { sessionId: "reset-me" } });
+
+  assert.equal(body.success, true);
+  assert.equal((await app.request("GET", "/api/sessions/reset-me")).body.turns.length, 0);
+});
+
+test("sessions can be listed, read and deleted", async () => {
+  await app.query("show open tasks", "listed");
+
+  const { body } = await app.request("GET", "/api/sessions");
+  assert.ok(body.sessions.some((session) => session.id === "listed"));
+
+  assert.equal((await app.request("DELETE", "/api/sessions/listed")).status, 200);
+  assert.equal((await app.request("GET", "/api/sessions/listed")).status, 404);
+});
+
+test("/api/projects, /api/auth/config and /api/diagnostics/cache describe the setup", async () => {
+  assert.deepEqual((await app.request("GET", "/api/projects")).body, { projects: ["NIHK"] });
+  assert.equal((await app.request("GET", "/api/auth/config")).body.mode, "shared");
+
+  const { body } = await app.request("GET", "/api/diagnostics/cache");
+  assert.deepEqual(Object.keys(body), ["jira", "llm"]);
+});
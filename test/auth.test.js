@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { once } from "events";
+import { mkdtemp, readdir, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { createJiraAccess } from "../lib/jiraAccess.js";
+import { findCloudId } from "../lib/jiraOAuth.js";
+import { MemoryUserStore, FileUserStore } from "../lib/userStore.js";
+import { TtlCache } from "../lib/cache.js";
+import { signToken, verifyToken, readRequestToken, encryptSecret, decryptSecret, SESSION_COOKIE } from "../lib/auth.js";
+
+test("signs and verifies login tokens", () => {
+  const token = signToken({ sub: "acc-1" }, "secret", 60);
+  assert.equal(verifyToken(token, "secret").sub, "acc-1");
+  assert.equal(verifyToken(token, "other secret"), null);
+  assert.equal(verifyToken(`${token}x`, "secret"), null);
+  assert.equal(verifyToken("not.a.token", "secret"), null);
+});
+
+test("rejects expired login tokens", () => {
+  assert.equal(verifyToken(signToken({ sub: "acc-1" }, "secret", -1), "secret"), null);
+});
+
+test("reads the token from a Bearer header or the session cookie", () => {
+  assert.equal(readRequestToken({ headers: { authorization: "Bearer abc" } }), "abc");
+  assert.equal(readRequestToken({ headers: { cookie: `theme=dark; ${SESSION_COOKIE}=xyz` } }), "xyz");
+  assert.equal(readRequestToken({ headers: {} }), null);
+});
+
+test("encrypts credentials so they only decrypt with the same key", () => {
+  const encrypted = encryptSecret("api-token", "key");
+  assert.doesNotMatch(encrypted, /api-token/);
+  assert.notEqual(encryptSecret("api-token", "key"), encrypted);
+  assert.equal(decryptSecret(encrypted, "key"), "api-token");
+  assert.throws(() => decryptSecret(encrypted, "wrong key"));
+});
+
+test("file user store handles overlapping saves of one user", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "users-"));
+  try {
+    const store = new FileUserStore({ dir });
+    await Promise.all([1, 2, 3].map((tokenVersion) => store.save({ id: "acc-1", tokenVersion })));
+
+    assert.ok([1, 2, 3].includes((await store.get("acc-1")).tokenVersion));
+    assert.deepEqual(await readdir(dir), [path.basename(store.fileFor("acc-1"))]);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("requests arriving together share one OAuth refresh, which keeps a logout made meanwhile", async () => {
+  // Like Atlassian, each refresh token works once and is replaced by a new one
+  const used = new Set();
+  const userStore = new MemoryUserStore();
+  const server = http.createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    const { refresh_token: refreshToken } = JSON.parse(body);
+    if (used.has(refreshToken)) return res.writeHead(403).end();
+
+    used.add(refreshToken);
+    // The user logs out elsewhere while the token is being refreshed
+    await userStore.save({ ...(await userStore.get("acc-1")), tokenVersion: 1 });
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ access_token: `access-${used.size}`, refresh_token: `refresh-${used.size}`, expires_in: 3600 }));
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  try {
+    const config = {
+      jira: { url: "http://jira.invalid", clientOptions: {}, oauth: { clientId: "id", clientSecret: "secret", authUrl: `http://127.0.0.1:${server.address().port}` } },
+      auth: { credentialsKey: "key" },
+      cache: { jiraTtls: {} },
+    };
+    const { clientForUser } = createJiraAccess({ config, cache: new TtlCache(), userStore });
+
+    const user = {
+      id: "acc-1",
+      tokenVersion: 0,
+      jira: { type: "oauth", cloudId: "cloud-1", accessToken: encryptSecret("access-0", "key"), refreshToken: encryptSecret("refresh-0", "key"), expiresAt: new Date(0).toISOString() },
+    };
+    await userStore.save(user);
+
+    // Each request loads its own copy of the user
+    await Promise.all([clientForUser(structuredClone(user)), clientForUser(structuredClone(user)), clientForUser(structuredClone(user))]);
+    assert.equal(used.size, 1);
+    const saved = await userStore.get("acc-1");
+    assert.equal(decryptSecret(saved.jira.refreshToken, "key"), "refresh-1");
+    assert.equal(saved.tokenVersion, 1);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test("logging in needs access to the configured Jira site itself", async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify([{ id: "cloud-other", url: "https://other.atlassian.net" }]));
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  try {
+    const apiUrl = `http://127.0.0.1:${server.address().port}`;
+    assert.equal(await findCloudId("access", "https://other.atlassian.net/", { apiUrl }), "cloud-other");
+    assert.equal(await findCloudId("access", "https://nihk.atlassian.net", { apiUrl }), null);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
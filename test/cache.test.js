@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TtlCache } from "../lib/cache.js";
+
+test("returns cached values until they expire", async () => {
+  const cache = new TtlCache();
+  cache.set("a", 1, 20);
+
+  assert.equal(cache.get("a"), 1);
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(cache.get("a"), undefined);
+  assert.deepEqual({ hits: cache.stats.hits, misses: cache.stats.misses }, { hits: 1, misses: 1 });
+});
+
+test("evicts the least recently used entry beyond maxEntries", () => {
+  const cache = new TtlCache({ maxEntries: 2 });
+  cache.set("a", 1, 1000);
+  cache.set("b", 2, 1000);
+  cache.get("a");
+  cache.set("c", 3, 1000);
+
+  assert.equal(cache.get("b"), undefined);
+  assert.equal(cache.get("a"), 1);
+  assert.equal(cache.summary().evictions, 1);
+});
+
+test("wrap shares one load between concurrent callers and skips the cache on bypass", async () => {
+  const cache = new TtlCache();
+  let loads = 0;
+  const load = async () => ++loads;
+
+  const [first, second] = await Promise.all([cache.wrap("k", 1000, load), cache.wrap("k", 1000, load)]);
+  assert.deepEqual([first, second, loads], [1, 1, 1]);
+
+  assert.equal(await cache.wrap("k", 1000, load, { bypass: true }), 2);
+  assert.equal(await cache.wrap("k", 1000, load), 2);
+
+  const summary = cache.summary();
+  assert.deepEqual([summary.hits, summary.misses, summary.bypasses], [2, 1, 1]);
+  assert.equal(summary.hitRate, 0.667);
+});
+
+test("wrap doesn't cache failures", async () => {
+  const cache = new TtlCache();
+  await assert.rejects(
+    cache.wrap("k", 1000, async () => {
+      throw new Error("Jira is down");
+    }),
+    /down/
+  );
+
+  assert.equal(await cache.wrap("k", 1000, async () => "ok"), "ok");
+});
@@ -0,0 +1,157 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { readFileSync } from "fs";
+import { setTimeout as delay } from "timers/promises";
+import { startTestApp } from "./support/harness.js";
+import { startWebhookServer } from "./support/standIns.js";
+import { toAdaptiveCard, toBlockKit } from "../lib/chatFormatting.js";
+
+// Payloads as Slack and Teams sent them, re-signed here with the test secrets
+const payloads = JSON.parse(readFileSync(new URL("./fixtures/chatPayloads.json", import.meta.url), "utf8"));
+
+const SLACK_SECRET = "8f742231b10e8888abcd99yyyzzz85a5";
+const TEAMS_SECRET = Buffer.from("teams-outgoing-webhook-token").toString("base64");
+
+let app;
+let slackApi;
+
+before(async () => {
+  slackApi = await startWebhookServer();
+  app = await startTestApp({
+    SLACK_SIGNING_SECRET: SLACK_SECRET,
+    SLACK_BOT_TOKEN: "xoxb-test",
+    SLACK_API_URL: `${slackApi.url}/api`,
+    TEAMS_WEBHOOK_SECRET: TEAMS_SECRET,
+  });
+});
+
+after(async () => {
+  await app.close();
+  await slackApi.close();
+});
+
+beforeEach(() => {
+  app.mock.reset();
+  slackApi.requests.length = 0;
+});
+
+function sendSlack(path, body, { contentType = "application/json", timestamp = Math.floor(Date.now() / 1000), secret = SLACK_SECRET, headers = {} } = {}) {
+  const signature = `v0=${crypto.createHmac("sha256", secret).update(`v0:${timestamp}:${body}`).digest("hex")}`;
+  return fetch(app.baseUrl + path, {
+    method: "POST",
+    headers: { "Content-Type": contentType, "X-Slack-Request-Timestamp": String(timestamp), "X-Slack-Signature": signature, ...headers },
+    body,
+  });
+}
+
+function sendTeams(body, secret = TEAMS_SECRET) {
+  const signature = crypto.createHmac("sha256", Buffer.from(secret, "base64")).update(body).digest("base64");
+  return fetch(`${app.baseUrl}/api/chat/teams`, { method: "POST", headers: { "Content-Type": "application/json", Authorization: `HMAC ${signature}` }, body });
+}
+
+// Slack answers are posted after the request is acknowledged
+async function nextSlackRequest() {
+  for (let attempt = 0; attempt < 100 && slackApi.requests.length === 0; attempt++) await delay(20);
+  assert.ok(slackApi.requests.length > 0, "nothing was posted to Slack");
+  return slackApi.requests.shift();
+}
+
+test("Slack requests must carry a fresh, valid signature", async () => {
+  const body = JSON.stringify(payloads.slackUrlVerification);
+
+  const verified = await sendSlack("/api/chat/slack/events", body);
+  assert.equal(verified.status, 200);
+  assert.deepEqual(await verified.json(), { challenge: payloads.slackUrlVerification.challenge });
+
+  assert.equal((await sendSlack("/api/chat/slack/events", body, { secret: "wrong-secret" })).status, 401);
+  assert.equal((await sendSlack("/api/chat/slack/events", body, { timestamp: Math.floor(Date.now() / 1000) - 600 })).status, 401);
+});
+
+test("a Slack mention is answered in its thread with Block Kit, and bot messages are ignored", async () => {
+  assert.equal((await sendSlack("/api/chat/slack/events", JSON.stringify(payloads.slackBotMessage))).status, 200);
+  const acknowledged = await sendSlack("/api/chat/slack/events", JSON.stringify(payloads.slackAppMention));
+  assert.equal(acknowledged.status, 200);
+
+  const { path, body } = await nextSlackRequest();
+  assert.equal(path, "/api/chat.postMessage");
+  assert.equal(body.channel, "C05QWD7J2LA");
+  assert.equal(body.thread_ts, "1760866523.429389");
+  assert.deepEqual(body.blocks[0], { type: "header", text: { type: "plain_text", text: "NIHK-3: Payment provider integration", emoji: true } });
+  assert.match(body.blocks[1].text.text, /^• 2026-09-25 13:05 UTC: Marko Horvat changed Sprint/);
+  assert.equal(body.blocks[2].text.text, "*Time in status*");
+  assert.deepEqual(body.blocks.at(-1), { type: "context", elements: [{ type: "mrkdwn", text: "Intent: HISTORY" }] });
+  assert.equal(slackApi.requests.length, 0);
+
+  // The channel is the conversation
+  const { body: session } = await app.request("GET", `/api/sessions/${encodeURIComponent("slack:T0416RT2G:C05QWD7J2LA")}`);
+  assert.equal(session.turns.at(-1).query, "what changed on NIHK-3?");
+});
+
+test("a slash command is acknowledged at once and answered through its response_url", async () => {
+  const fields = { ...payloads.slackSlashCommand, response_url: `${slackApi.url}/commands/T0416RT2G/9748215540369` };
+  const response = await sendSlack("/api/chat/slack/commands", new URLSearchParams(fields).toString(), { contentType: "application/x-www-form-urlencoded" });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { response_type: "ephemeral", text: 'Looking into "what changed on NIHK-3?"…' });
+
+  const { path, body } = await nextSlackRequest();
+  assert.equal(path, "/commands/T0416RT2G/9748215540369");
+  assert.equal(body.response_type, "in_channel");
+  assert.equal(body.blocks[0].type, "header");
+  assert.match(body.text, /^## NIHK-3: Payment provider integration/);
+});
+
+test("a Teams outgoing webhook is answered with an Adaptive Card", async () => {
+  const body = JSON.stringify(payloads.teamsMessage);
+  assert.equal((await sendTeams(body, Buffer.from("another-token").toString("base64"))).status, 401);
+
+  const response = await sendTeams(body);
+  assert.equal(response.status, 200);
+  const reply = await response.json();
+  assert.equal(reply.type, "message");
+  assert.equal(reply.attachments[0].contentType, "application/vnd.microsoft.card.adaptive");
+
+  const card = reply.attachments[0].content;
+  assert.equal(card.type, "AdaptiveCard");
+  assert.deepEqual(card.body[0], { type: "TextBlock", text: "NIHK-3: Payment provider integration", weight: "Bolder", size: "Medium", wrap: true });
+  assert.match(card.body[1].text, /^- 2026-09-25 13:05 UTC: Marko Horvat changed Sprint/m);
+});
+
+test("replies are converted to Slack mrkdwn and Adaptive Card markdown", () => {
+  const payload = {
+    message: "## Blocked <now>\n\n• **NIHK-3**: `Payment` provider & more\n- see [the board](https://example.com/board)\n\n### Next\n1. NIHK-4",
+    meta: { intent: "BLOCKERS", jql: 'project = NIHK AND status = "Blocked"' },
+  };
+  const options = { jiraUrl: "https://nihk.atlassian.net/", projectKeys: ["NIHK"] };
+
+  const { text, blocks } = toBlockKit(payload, options);
+  assert.equal(text, payload.message);
+  assert.deepEqual(
+    blocks.map((block) => block.text?.text ?? block.elements.map((element) => element.text)),
+    [
+      "Blocked <now>",
+      "• *<https://nihk.atlassian.net/browse/NIHK-3|NIHK-3>*: `Payment` provider &amp; more\n• see <https://example.com/board|the board>",
+      "*Next*",
+      "1. <https://nihk.atlassian.net/browse/NIHK-4|NIHK-4>",
+      ["Intent: BLOCKERS", "JQL: project = NIHK AND status = \"Blocked\""],
+    ]
+  );
+
+  const card = toAdaptiveCard(payload, options);
+  assert.deepEqual(
+    card.body.map((block) => block.text),
+    [
+      "Blocked <now>",
+      "- **[NIHK-3](https://nihk.atlassian.net/browse/NIHK-3)**: Payment provider & more\n- see [the board](https://example.com/board)",
+      "Next",
+      "1. [NIHK-4](https://nihk.atlassian.net/browse/NIHK-4)",
+      'Intent: BLOCKERS · JQL: project = NIHK AND status = "Blocked"',
+    ]
+  );
+
+  // Long answers are cut to Slack's 50 blocks
+  const long = toBlockKit({ message: Array.from({ length: 60 }, (_, index) => `### Section ${index}`).join("\n") });
+  assert.equal(long.blocks.length, 50);
+  assert.match(long.blocks.at(-1).text.text, /too long for Slack/);
+});
@@ -0,0 +1,58 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { CronError, nextRun, parseCron } from "../lib/cron.js";
+import { createScheduler } from "../lib/scheduler.js";
+
+// Dates in server time, as cron reads them
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+test("finds the next time a cron expression matches", () => {
+  // Sunday 2026-10-18 at 10:00
+  const sunday = at(2026, 10, 18, 10);
+
+  assert.deepEqual(nextRun("0 9 * * 1-5", sunday), at(2026, 10, 19, 9));
+  assert.deepEqual(nextRun("0 9 * * mon", at(2026, 10, 19, 9)), at(2026, 10, 26, 9));
+  assert.deepEqual(nextRun("*/15 * * * *", at(2026, 10, 18, 10, 7)), at(2026, 10, 18, 10, 15));
+  assert.deepEqual(nextRun("@monthly", sunday), at(2026, 11, 1));
+  assert.deepEqual(nextRun("30 8 29 feb *", sunday), at(2028, 2, 29, 8, 30));
+
+  // Both day fields restricted: either one matches, as in cron
+  assert.deepEqual(nextRun("0 0 1 * fri", sunday), at(2026, 10, 23));
+});
+
+test("rejects expressions cron wouldn't accept", () => {
+  assert.throws(() => parseCron("0 9 * *"), CronError);
+  assert.throws(() => parseCron("60 9 * * *"), /minute 60 is out of range/);
+  assert.throws(() => parseCron("0 9 * * 5-1"), /Invalid range/);
+  assert.throws(() => nextRun("0 0 31 feb *"), /never runs/);
+});
+
+test("the scheduler runs each job when it's due and plans the next run", async () => {
+  mock.timers.enable({ apis: ["setTimeout"] });
+  mock.method(console, "error", () => {});
+  let clock = at(2026, 10, 19, 8, 59);
+  const runs = [];
+
+  const scheduler = createScheduler(
+    [
+      { name: "standup", cron: "0 9 * * 1-5", run: async (scheduledAt) => runs.push(scheduledAt) },
+      { name: "broken", cron: "0 9 * * *", run: async () => Promise.reject(new Error("Jira is down")) },
+    ],
+    { now: () => clock }
+  );
+  scheduler.start();
+  assert.deepEqual(scheduler.describe()[0], { name: "standup", cron: "0 9 * * 1-5", nextRun: at(2026, 10, 19, 9).toISOString() });
+
+  clock = at(2026, 10, 19, 9);
+  mock.timers.tick(60 * 1000);
+  await new Promise(setImmediate);
+
+  assert.deepEqual(runs, [at(2026, 10, 19, 9)]);
+  assert.equal(scheduler.describe()[0].nextRun, at(2026, 10, 20, 9).toISOString());
+  // A failing job is planned again too
+  assert.equal(scheduler.describe()[1].nextRun, at(2026, 10, 20, 9).toISOString());
+
+  scheduler.stop();
+  mock.timers.reset();
+  mock.restoreAll();
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { parseDateRange, resolveSprintRange, dateRangeJql } from "../lib/dateRanges.js";
+import { generateJQL } from "../lib/jqlGeneration.js";
+import { createProjectScope } from "../lib/projectScope.js";
+
+const agile = JSON.parse(readFileSync(new URL("./fixtures/agile.json", import.meta.url), "utf8"));
+
+// Monday 19 October 2026, midday UTC
+const now = new Date("2026-10-19T12:00:00Z");
+const parse = (query, timeZone = "UTC") => parseDateRange(query, { now, timeZone });
+const bounds = (range) => range && [range.field, range.from, range.to];
+
+test("reads date phrases as whole days", () => {
+  const cases = [
+    ["what's due before Friday?", ["duedate", null, "2026-10-22"]],
+    ["issues due in Q3", ["duedate", "2026-07-01", "2026-09-30"]],
+    ["due between May 1 and May 15", ["duedate", "2026-05-01", "2026-05-15"]],
+    ["what is due by end of month", ["duedate", null, "2026-10-31"]],
+    ["due in 3 days", ["duedate", "2026-10-22", "2026-10-22"]],
+    ["due on 2026-11-03", ["duedate", "2026-11-03", "2026-11-03"]],
+    ["due in the third quarter of 2027", ["duedate", "2027-07-01", "2027-09-30"]],
+    ["tickets created last week", ["created", "2026-10-12", "2026-10-18"]],
+    ["resolved since 2026-10-01", ["resolved", "2026-10-01", null]],
+  ];
+
+  for (const [query, expected] of cases) {
+    assert.deepEqual(bounds(parse(query)), expected, query);
+  }
+  assert.equal(parse("what is Ana working on today?").field, null);
+  assert.equal(parse("how is the project going?"), null);
+});
+
+test("weekdays are the coming ones for due dates and the most recent ones for past events", () => {
+  // Wednesday 21 October 2026
+  const wednesday = { now: new Date("2026-10-21T12:00:00Z"), timeZone: "UTC" };
+  const boundsOn = (query) => bounds(parseDateRange(query, wednesday));
+
+  assert.deepEqual(boundsOn("what was created since Monday?"), ["created", "2026-10-19", null]);
+  assert.deepEqual(boundsOn("what got resolved on Friday"), ["resolved", "2026-10-16", "2026-10-16"]);
+  assert.deepEqual(boundsOn("what changed since Friday?"), [null, "2026-10-16", null]);
+  assert.deepEqual(boundsOn("updated on Wednesday"), ["updated", "2026-10-21", "2026-10-21"]);
+  assert.deepEqual(boundsOn("what's due on Friday?"), ["duedate", "2026-10-23", "2026-10-23"]);
+  assert.deepEqual(boundsOn("what's due after Monday?"), ["duedate", "2026-10-27", null]);
+});
+
+test("today is the asker's today", () => {
+  const lateEvening = { now: new Date("2026-10-19T23:30:00Z") };
+
+  assert.equal(parseDateRange("due today", { ...lateEvening, timeZone: "UTC" }).from, "2026-10-19");
+  assert.equal(parseDateRange("due today", { ...lateEvening, timeZone: "Asia/Tokyo" }).from, "2026-10-20");
+  assert.equal(parseDateRange("due today", { ...lateEvening, timeZone: "America/Los_Angeles" }).from, "2026-10-19");
+});
+
+test("sprint phrases are dated from the board, extrapolating future sprints", () => {
+  const sprints = [...agile.sprints["7"], { id: 16, name: "NIHK Sprint 16", state: "future" }];
+  const resolve = (query) => resolveSprintRange(parse(query), sprints, { timeZone: "UTC" });
+
+  const nextTwo = resolve("due next two sprints");
+  assert.equal(nextTwo.label, "next two sprints (NIHK Sprint 15, NIHK Sprint 16)");
+  assert.deepEqual(bounds(nextTwo), ["duedate", "2026-10-19", "2026-11-16"]);
+  assert.deepEqual(bounds(resolve("due this sprint")), ["duedate", "2026-10-05", "2026-10-19"]);
+  assert.deepEqual(bounds(resolve("due last sprint")), ["duedate", "2026-09-21", "2026-10-05"]);
+  // The board has only one closed sprint
+  assert.equal(resolve("due in the last 3 sprints"), null);
+});
+
+test("date-time fields are searched from the asker's days, including the whole last day", () => {
+  const lastWeek = { field: "created", from: "2026-10-12", to: "2026-10-18" };
+
+  assert.equal(dateRangeJql({ ...lastWeek, field: "duedate" }, { now, timeZone: "Asia/Tokyo" }), 'duedate >= "2026-10-12" AND duedate <= "2026-10-18"');
+  // From 00:00 on the 12th to 00:00 on the 19th, 180 and 12 hours before now
+  assert.equal(dateRangeJql(lastWeek, { now, timeZone: "UTC" }), 'created >= "-10800m" AND created < "-720m"');
+  // Tokyo's days start nine hours earlier
+  assert.equal(dateRangeJql(lastWeek, { now, timeZone: "Asia/Tokyo" }), 'created >= "-11340m" AND created < "-1260m"');
+  assert.equal(dateRangeJql({ field: "resolved", from: "2026-10-20", to: null }, { now, timeZone: "America/New_York" }), 'resolved >= "960m"');
+});
+
+test("generateJQL answers date-only questions without the model", async () => {
+  const llm = { complete: () => assert.fail("the model shouldn't be asked") };
+  const scope = createProjectScope(["NIHK"], ["NIHK"]);
+
+  const jql = await generateJQL(llm, "which tickets were created last week?", "GENERAL", scope, null, { now, timeZone: "UTC" });
+  assert.equal(jql, `${scope.clause} AND created >= "-10800m" AND created < "-720m" ORDER BY created DESC`);
+});
@@ -0,0 +1,105 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp } from "./support/harness.js";
+
+let app;
+let mock;
+
+before(async () => {
+  app = await startTestApp();
+  mock = app.mock;
+});
+
+after(() => app.close());
+
+beforeEach(() => mock.reset());
+
+const rejectedSearch = { status: 400, body: { errorMessages: ["Field 'team' does not exist or you do not have permission to view it."] } };
+
+test("every handler still answers from Jira data when the model is down", async () => {
+  mock.llm.down = true;
+
+  const answers = {
+    "how is the project going?": /^## Project Status Overview/,
+    "show project timeline": /^## Project Timeline/,
+    "show team workload": /^## Team Workload Overview/,
+    "what is blocking us?": /^## Key Issues Requiring Attention/,
+    "tell me about NIHK-2": /^## NIHK-2: Login page crashes on Safari/,
+    "how is the current sprint?": /There are 4 issues in this sprint[^]*Burndown: 0 points of 21 points done/,
+    "show open tasks": /NIHK-4: Write onboarding guide/,
+  };
+
+  for (const [query, expected] of Object.entries(answers)) {
+    const { status, body } = await app.query(query);
+    assert.equal(status, 200, query);
+    assert.match(body.message, expected, query);
+  }
+});
+
+test("falls back to the keyword classifier when the analysis fails validation", async () => {
+  mock.llm.analysis = { intent: "Intent: TIMELINE.", jql: null, people: [], dateRange: null, issueKeys: [], confidence: 2 };
+
+  const { body } = await app.query("anything for ivana please");
+
+  assert.equal(body.meta.analysis.source, "fallback");
+  assert.equal(body.meta.intent, "GENERAL");
+});
+
+test("repairs JQL that Jira rejects", async () => {
+  mock.failJira("/api/3/search$", { ...rejectedSearch, times: 1 });
+
+  const { body } = await app.query("any comments about the search filters?");
+
+  assert.deepEqual(
+    body.meta.jqlAttempts.map((attempt) => attempt.outcome),
+    ["rejected", "ok"]
+  );
+  assert.equal(body.meta.jql, mock.llm.repairedJql);
+  assert.equal(body.meta.degraded, false);
+});
+
+test("uses a template query when every repaired JQL is rejected too", async () => {
+  mock.failJira("/api/3/search$", { ...rejectedSearch, times: 3 });
+
+  const { body } = await app.query("any comments about the search filters?");
+
+  assert.deepEqual(
+    body.meta.jqlAttempts.map((attempt) => attempt.outcome),
+    ["rejected", "rejected", "rejected", "fallback"]
+  );
+  assert.equal(body.meta.degraded, true);
+  assert.ok(body.rawData.issues.length > 0);
+});
+
+test("answers with a friendly message instead of an error when Jira is down", async () => {
+  mock.failJira(".*");
+
+  for (const query of ["how is the project going?", "show team workload", "tell me about NIHK-2", "show open tasks"]) {
+    const { status, body } = await app.query(query);
+    assert.equal(status, 200, query);
+    assert.equal(body.meta.intent, "GENERAL", query);
+    assert.doesNotMatch(body.message, /503|unavailable|error/i, query);
+  }
+});
+
+test("/api/project-summary reports a 500 when Jira is down", async () => {
+  mock.failJira(".*");
+
+  const { status, body } = await app.request("GET", "/api/project-summary");
+
+  assert.equal(status, 500);
+  assert.match(body.message, /Couldn't retrieve the project summary/);
+});
+
+test("a confirmed action that Jira refuses is reported and not retried", async () => {
+  const proposal = await app.query("move NIHK-5 to Done", "refused");
+  mock.failJira("/transitions$", { status: 403, body: { errorMessages: ["You do not have permission to transition this issue."] } });
+
+  const { status } = await app.request("POST", "/api/actions/confirm", {
+    body: { token: proposal.body.meta.confirmationToken, sessionId: "refused" },
+  });
+
+  assert.equal(status, 502);
+  assert.equal(mock.jiraRequests("/transitions$").filter((request) => request.method === "POST").length, 1);
+  assert.equal(mock.issues.find((issue) => issue.key === "NIHK-5").fields.status.name, "Open");
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeIssueFlow, computeFlowMetrics, createStatusCategories, summarizeDurations } from "../lib/flowMetrics.js";
+import { loadFixture } from "./support/mockServices.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const issues = loadFixture("issues");
+const changelogs = loadFixture("changelogs");
+const now = new Date("2026-10-19T12:00:00.000Z");
+const categoryOf = createStatusCategories([
+  { name: "Open", statusCategory: { key: "new" } },
+  { name: "In Progress", statusCategory: { key: "indeterminate" } },
+  { name: "Done", statusCategory: { key: "done" } },
+]);
+
+const flowOf = (key) => analyzeIssueFlow({ ...issues.find((issue) => issue.key === key), changelog: { histories: changelogs[key] } }, categoryOf, { now });
+
+test("measures lead time, cycle time and the age of work in progress from changelogs", () => {
+  const done = flowOf("NIHK-1");
+  // Created 09-01 09:00, started 09-22 09:00, done 09-30 16:30
+  assert.equal(done.leadTimeMs, 29 * DAY_MS + 7.5 * 60 * 60 * 1000);
+  assert.equal(done.cycleTimeMs, 8 * DAY_MS + 7.5 * 60 * 60 * 1000);
+  assert.equal(done.ageMs, null);
+
+  // Reopened work ages from when it was first started; statuses Jira didn't list count as started
+  assert.equal(flowOf("NIHK-6").ageMs, now - new Date("2026-10-07T10:00:00.000Z"));
+  assert.equal(flowOf("NIHK-3").category, "indeterminate");
+  assert.equal(flowOf("NIHK-4").category, "new");
+});
+
+test("counts weekly throughput and breaks the metrics down", () => {
+  const finished = (key, issueType, assignee, createdDaysAgo, doneDaysAgo) => ({
+    key,
+    summary: key,
+    status: "Done",
+    category: "done",
+    issueType,
+    priority: "Medium",
+    assignee,
+    createdAt: now - createdDaysAgo * DAY_MS,
+    startedAt: now - createdDaysAgo * DAY_MS,
+    doneAt: now - doneDaysAgo * DAY_MS,
+    leadTimeMs: (createdDaysAgo - doneDaysAgo) * DAY_MS,
+    cycleTimeMs: (createdDaysAgo - doneDaysAgo) * DAY_MS,
+    ageMs: null,
+  });
+  const flows = [finished("A-1", "Bug", "Ana", 10, 1), finished("A-2", "Bug", "Marko", 12, 9), finished("A-3", "Task", "Ana", 40, 30), flowOf("NIHK-2")];
+
+  const metrics = computeFlowMetrics(flows, { weeks: 4, now });
+
+  assert.equal(metrics.completed, 2);
+  assert.deepEqual(metrics.throughput.weeks.map(({ completed }) => completed), [0, 0, 1, 1]);
+  assert.equal(metrics.throughput.averagePerWeek, 0.5);
+  assert.deepEqual(metrics.wip.issues.map(({ key }) => key), ["NIHK-2"]);
+  assert.deepEqual(
+    metrics.breakdowns.assignee.map(({ name, completed, wip }) => [name, completed, wip]),
+    [["Ana", 1, 0], ["Marko", 1, 0], ["Ana Lee", 0, 1]]
+  );
+  assert.deepEqual(metrics.breakdowns.issueType[0].leadTime, summarizeDurations([9 * DAY_MS, 3 * DAY_MS]));
+});
+
+test("summarizes durations with nearest-rank percentiles", () => {
+  assert.deepEqual(summarizeDurations([4, 1, 3, 2, null]), { count: 4, averageMs: 3, medianMs: 2, p85Ms: 4 });
+  assert.deepEqual(summarizeDurations([]), { count: 0, averageMs: null, medianMs: null, p85Ms: null });
+});
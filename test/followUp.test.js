@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { collectIssueKeys, findResultTurn, refersToPreviousResults, resolveIssueReference, matchFollowUpFilter } from "../lib/followUp.js";
+import { refineJQL } from "../lib/jql.js";
+
+const keys = ["NIHK-4", "NIHK-9", "NIHK-12"];
+
+test("collects issue keys from search results and single issues", () => {
+  assert.deepEqual(collectIssueKeys({ rawData: { issues: [{ key: "NIHK-1" }, { key: "NIHK-2" }] } }), ["NIHK-1", "NIHK-2"]);
+  assert.deepEqual(collectIssueKeys({ rawData: { key: "NIHK-3" } }), ["NIHK-3"]);
+  assert.deepEqual(collectIssueKeys({ message: "Hi!" }), []);
+});
+
+test("finds the most recent turn with results", () => {
+  const turns = [{ issueKeys: ["NIHK-1"] }, { issueKeys: ["NIHK-2"] }, { issueKeys: [] }];
+  assert.equal(findResultTurn(turns), turns[1]);
+  assert.equal(findResultTurn([]), null);
+});
+
+test("resolves ordinal references to issue keys", () => {
+  assert.deepEqual(resolveIssueReference("tell me more about the second one", keys), {
+    position: 2,
+    issueKey: "NIHK-9",
+    query: "tell me more about NIHK-9",
+  });
+  assert.equal(resolveIssueReference("who owns the last one?", keys).issueKey, "NIHK-12");
+  assert.equal(resolveIssueReference("what about #1", keys).issueKey, "NIHK-4");
+  assert.equal(resolveIssueReference("the 3rd of those", keys).issueKey, "NIHK-12");
+  assert.equal(resolveIssueReference("the fifth issue", keys).issueKey, null);
+  assert.equal(resolveIssueReference("what should we fix first?", keys), null);
+  assert.equal(resolveIssueReference("issue #2", keys).query, "NIHK-9");
+  assert.equal(resolveIssueReference("number 3?", keys).issueKey, "NIHK-12");
+  // Numbers that belong to something other than the results
+  assert.equal(resolveIssueReference("how did sprint #14 go?", keys), null);
+  assert.equal(resolveIssueReference("show sprint number 14", keys), null);
+  assert.equal(resolveIssueReference("we shipped #14 and #15 today", keys), null);
+});
+
+test("recognizes references to the previous result set", () => {
+  assert.equal(refersToPreviousResults("which of those are unassigned?"), true);
+  assert.equal(refersToPreviousResults("sort them by due date"), true);
+  assert.equal(refersToPreviousResults("show open bugs"), false);
+});
+
+test("maps well-known follow-up filters to JQL", () => {
+  assert.equal(matchFollowUpFilter("which of those are unassigned?"), "assignee IS EMPTY");
+  assert.equal(matchFollowUpFilter("which of those are assigned?"), "assignee IS NOT EMPTY");
+  assert.equal(matchFollowUpFilter("how many of them are high priority bugs?"), 'priority in ("High", "Highest") AND issuetype = Bug');
+  assert.equal(matchFollowUpFilter("which of those are not done"), 'status not in ("Done", "Closed", "Resolved")');
+  assert.equal(matchFollowUpFilter("which of those are assigned to Ana?"), null);
+  assert.equal(matchFollowUpFilter("summarize those"), null);
+});
+
+test("refines the previous query with the follow-up condition", () => {
+  assert.equal(
+    refineJQL('project = NIHK AND status = "Open" ORDER BY updated DESC', "assignee IS EMPTY"),
+    'project = NIHK AND status = "Open" AND assignee IS EMPTY ORDER BY updated DESC'
+  );
+  assert.equal(
+    refineJQL("project = NIHK OR labels = x", "priority = High ORDER BY duedate ASC"),
+    "(project = NIHK OR labels = x) AND priority = High ORDER BY duedate ASC"
+  );
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatIssueLine, formatIssueDetails, formatLatestComment, groupIssues, statusName, assigneeName, priorityName } from "../lib/formatting.js";
+import { createProjectScope, resolveProjectScope, findUnknownProjects } from "../lib/projectScope.js";
+import { countBy, dailyActivity } from "../lib/projectSummary.js";
+
+const issue = (key, fields = {}) => ({ key, fields: { summary: `Summary of ${key}`, ...fields } });
+
+test("falls back to readable names for missing fields", () => {
+  const bare = issue("NIHK-1");
+  assert.equal(statusName(bare), "Unknown");
+  assert.equal(assigneeName(bare), "Unassigned");
+  assert.equal(priorityName(bare), "Unknown");
+  assert.equal(priorityName(bare, "Not set"), "Not set");
+});
+
+test("formats issue lines, skipping empty details", () => {
+  assert.equal(formatIssueLine(issue("NIHK-1"), ["Open", "", "Assigned to: Ana"]), "• NIHK-1: Summary of NIHK-1 (Open, Assigned to: Ana)\n");
+  assert.equal(formatIssueLine(issue("NIHK-2")), "• NIHK-2: Summary of NIHK-2\n");
+});
+
+test("groups issues in first-seen order", () => {
+  const issues = [issue("NIHK-1", { status: { name: "Open" } }), issue("NIHK-2", { status: { name: "Done" } }), issue("NIHK-3", { status: { name: "Open" } })];
+  const groups = groupIssues(issues, statusName);
+
+  assert.deepEqual(Object.keys(groups), ["Open", "Done"]);
+  assert.deepEqual(groups.Open.map((i) => i.key), ["NIHK-1", "NIHK-3"]);
+});
+
+test("renders the details card with ADF descriptions and the latest comment", () => {
+  const card = formatIssueDetails(
+    issue("NIHK-2", {
+      status: { name: "In Progress" },
+      created: "2026-09-01T10:00:00.000Z",
+      updated: "2026-09-02T10:00:00.000Z",
+      description: { type: "doc", content: [{ type: "paragraph", content: [{ type: "text", text: "Crashes on load" }] }] },
+      comment: { comments: [{ author: { displayName: "Ana" }, created: "2026-09-02T10:00:00.000Z", body: "Looking into it" }] },
+    })
+  );
+
+  assert.match(card, /^## NIHK-2: Summary of NIHK-2\n/);
+  assert.match(card, /\*\*Priority\*\*: Not set/);
+  assert.match(card, /### Description\nCrashes on load/);
+  assert.match(card, /\*\*Latest comment\*\* \(by Ana on .*\):\n"Looking into it"/);
+  assert.equal(formatLatestComment(issue("NIHK-3")), "No comments found on this issue.");
+});
+
+test("project scope narrows to mentioned projects and recognizes every allowed issue key", () => {
+  const allowed = ["NIHK", "WEB"];
+
+  assert.equal(createProjectScope(allowed, []).clause, "project in (NIHK, WEB)");
+  assert.equal(resolveProjectScope(allowed, [], "how is WEB doing?").clause, "project = WEB");
+  assert.equal(resolveProjectScope(allowed, ["NIHK"], "show WEB-7").clause, "project = NIHK");
+  assert.match("WEB-7", new RegExp(createProjectScope(allowed, ["NIHK"]).issueKeyPattern));
+  assert.deepEqual(findUnknownProjects(allowed, ["NIHK", "OPS"]), ["OPS"]);
+});
+
+test("counts each day's created, updated and resolved issues over the last week", () => {
+  const activity = dailyActivity(
+    [
+      issue("NIHK-1", { created: "2026-10-01T10:00:00.000+0000", updated: "2026-10-18T09:00:00.000+0000", resolutiondate: "2026-10-18T09:00:00.000+0000" }),
+      issue("NIHK-2", { created: "2026-10-13T15:20:00.000+0000", updated: "2026-10-18T23:30:00.000+0000" }),
+    ],
+    { now: new Date("2026-10-19T08:00:00.000Z") }
+  );
+
+  assert.deepEqual(activity.map(({ date }) => date), ["2026-10-13", "2026-10-14", "2026-10-15", "2026-10-16", "2026-10-17", "2026-10-18", "2026-10-19"]);
+  assert.deepEqual(activity[0], { date: "2026-10-13", created: 1, updated: 0, resolved: 0 });
+  assert.deepEqual(activity[5], { date: "2026-10-18", created: 0, updated: 2, resolved: 1 });
+  assert.deepEqual(countBy([issue("NIHK-1"), issue("NIHK-2", { priority: { name: "High" } })], (i) => priorityName(i, "None"), ["High"]), [
+    { name: "High", count: 1 },
+    { name: "None", count: 1 },
+  ]);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeTimeInStatus, filterChanges, formatDuration, looksLikeHistoryQuestion, normalizeChangelog, parseHistoryQuestion } from "../lib/history.js";
+import { loadFixture } from "./support/mockServices.js";
+
+const issues = loadFixture("issues");
+const changelogs = loadFixture("changelogs");
+const now = new Date("2026-10-19T12:00:00.000Z");
+
+const withHistory = (key) => ({ ...issues.find((issue) => issue.key === key), changelog: { histories: changelogs[key] } });
+
+test("normalizes changelogs into field changes with their time and author", () => {
+  const changes = normalizeChangelog(withHistory("NIHK-2"));
+
+  assert.equal(changes.length, 4);
+  assert.deepEqual(changes.at(-1), {
+    issueKey: "NIHK-2",
+    at: "2026-10-16T11:00:00.000Z",
+    author: { accountId: "acc-ivana", displayName: "Ivana Kovac" },
+    field: "priority",
+    fieldId: "priority",
+    from: "High",
+    to: "Highest",
+  });
+
+  const points = filterChanges(changes, { fields: ["points"] }, { storyPointsField: "customfield_10016" });
+  assert.deepEqual(points.map(({ from, to }) => [from, to]), [["3", "5"]]);
+});
+
+test("adds up the time spent in each status, including reopened issues", () => {
+  const periods = computeTimeInStatus(withHistory("NIHK-6"), { now });
+
+  assert.deepEqual(
+    periods.map(({ status, visits, current }) => [status, visits, current]),
+    [["Open", 1, false], ["In Progress", 2, true], ["Done", 1, false]]
+  );
+  // 10-07 10:00 to 10-15 10:00, then 10-17 09:00 until now
+  assert.equal(formatDuration(periods[1].totalMs), "10d 3h");
+  assert.equal(periods[1].lastEnteredAt, "2026-10-17T09:00:00.000Z");
+  assert.equal(formatDuration(periods[2].totalMs), "1d 23h");
+});
+
+test("tells questions about changes from questions about dates", () => {
+  for (const query of ["When did NIHK-12 move to Done?", "when was NIHK-2 reassigned?", "when were the points re-estimated?", "who changed the priority?", "what changed yesterday?"]) {
+    assert.equal(looksLikeHistoryQuestion(query), true, query);
+  }
+  for (const query of ["when was NIHK-12 due?", "when was the release planned?", "when is the next sprint?"]) {
+    assert.equal(looksLikeHistoryQuestion(query), false, query);
+  }
+});
+
+test("reads the field, value and time window a history question asks about", () => {
+  assert.deepEqual(parseHistoryQuestion("When did NIHK-12 move to Done?", { now }), { fields: ["status"], toValue: "Done", wantsTimeInStatus: false, window: null });
+  assert.equal(parseHistoryQuestion("who changed the priority?", { now }).toValue, null);
+  assert.equal(parseHistoryQuestion("what was set to In Review yesterday?", { now }).toValue, "In Review");
+
+  const { window } = parseHistoryQuestion("what changed yesterday?", { now });
+  assert.equal(window.label, "yesterday");
+  assert.equal(window.until.getTime() - window.since.getTime(), 24 * 60 * 60 * 1000);
+  assert.ok(window.until <= now);
+
+  assert.equal(parseHistoryQuestion("changes in the last 3 days", { now, timeZone: "UTC" }).window.since.toISOString(), "2026-10-16T00:00:00.000Z");
+  assert.equal(parseHistoryQuestion("changes in the last 3 hours", { now }).window.since.toISOString(), "2026-10-19T09:00:00.000Z");
+
+  // Days are the asker's
+  const tokyo = parseHistoryQuestion("what changed yesterday?", { now, timeZone: "Asia/Tokyo" }).window;
+  assert.deepEqual([tokyo.since.toISOString(), tokyo.until.toISOString()], ["2026-10-17T15:00:00.000Z", "2026-10-18T15:00:00.000Z"]);
+  const sinceMonday = parseHistoryQuestion("what moved since Monday?", { now, timeZone: "America/New_York" }).window;
+  assert.deepEqual([sinceMonday.since.toISOString(), sinceMonday.until], ["2026-10-19T04:00:00.000Z", now]);
+});
@@ -0,0 +1,149 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JiraClient, parseRetryAfter } from "../lib/jiraClient.js";
+import { TtlCache } from "../lib/cache.js";
+
+const quiet = { log() {} };
+
+// A fake axios instance answering from a handler and recording every request
+function fakeHttp(handler) {
+  const requests = [];
+  return {
+    requests,
+    async request(config) {
+      requests.push(config);
+      return handler(config, requests.length);
+    },
+  };
+}
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers, data: {} } });
+}
+
+function issues(from, count) {
+  return Array.from({ length: count }, (_, i) => ({ key: `NIHK-${from + i}` }));
+}
+
+test("pages through startAt results up to the total", async () => {
+  const http = fakeHttp(({ params }) => ({
+    status: 200,
+    data: { startAt: params.startAt, total: 250, issues: issues(params.startAt, Math.min(params.maxResults, 250 - params.startAt)) },
+  }));
+  const client = new JiraClient({ http, logger: quiet });
+
+  const result = await client.search("project = NIHK", { fields: ["summary", "status"] });
+
+  assert.equal(result.issues.length, 250);
+  assert.equal(result.total, 250);
+  assert.equal(result.truncated, false);
+  assert.deepEqual(
+    http.requests.map((request) => request.params.startAt),
+    [0, 100, 200]
+  );
+  assert.equal(http.requests[0].params.fields, "summary,status");
+});
+
+test("stops at the configured ceiling", async () => {
+  const http = fakeHttp(({ params }) => ({ status: 200, data: { total: 1000, issues: issues(params.startAt, params.maxResults) } }));
+  const client = new JiraClient({ http, logger: quiet, maxResults: 150 });
+
+  const result = await client.search("project = NIHK", { maxResults: 400 });
+
+  assert.equal(result.issues.length, 150);
+  assert.equal(result.total, 1000);
+  assert.equal(result.truncated, true);
+});
+
+test("follows nextPageToken pages from the enhanced search endpoint", async () => {
+  const pages = [
+    { issues: issues(1, 2), nextPageToken: "p2" },
+    { issues: issues(3, 2), isLast: true },
+  ];
+  const http = fakeHttp((config, n) => ({ status: 200, data: pages[n - 1] }));
+  const client = new JiraClient({ http, logger: quiet, searchPath: "/rest/api/3/search/jql" });
+
+  const result = await client.search("project = NIHK", { expand: "changelog" });
+
+  assert.equal(result.issues.length, 4);
+  assert.equal(result.total, 4);
+  assert.equal(http.requests[1].params.nextPageToken, "p2");
+  assert.equal(http.requests[0].params.expand, "changelog");
+});
+
+test("retries 429 responses after the Retry-After delay", async () => {
+  const waits = [];
+  const http = fakeHttp((config, n) => {
+    if (n === 1) throw httpError(429, { "retry-after": "2" });
+    return { status: 200, data: { ok: true } };
+  });
+  const client = new JiraClient({ http, logger: quiet, sleep: async (ms) => waits.push(ms) });
+
+  const { data } = await client.post("/rest/api/3/issue", {});
+
+  assert.deepEqual(data, { ok: true });
+  assert.deepEqual(waits, [2000]);
+});
+
+test("backs off exponentially on transient errors and gives up after maxRetries", async () => {
+  const waits = [];
+  const http = fakeHttp(() => {
+    throw httpError(503);
+  });
+  const client = new JiraClient({ http, logger: quiet, maxRetries: 3, retryBaseMs: 100, sleep: async (ms) => waits.push(ms) });
+
+  await assert.rejects(client.get("/rest/api/3/myself"), /503/);
+  assert.equal(http.requests.length, 4);
+  assert.deepEqual(
+    waits.map((ms) => Math.floor(ms / 100) * 100),
+    [100, 200, 400]
+  );
+});
+
+test("doesn't retry client errors or repeat non-idempotent requests on server errors", async () => {
+  const client400 = new JiraClient({ http: fakeHttp(() => Promise.reject(httpError(400))), logger: quiet, sleep: async () => {} });
+  await assert.rejects(client400.get("/rest/api/3/search"), /400/);
+
+  const http = fakeHttp(() => {
+    throw httpError(502);
+  });
+  const client = new JiraClient({ http, logger: quiet, sleep: async () => {} });
+  await assert.rejects(client.post("/rest/api/3/issue", {}), /502/);
+  assert.equal(http.requests.length, 1);
+});
+
+test("parses Retry-After seconds and dates", () => {
+  assert.equal(parseRetryAfter("3"), 3000);
+  assert.equal(parseRetryAfter(undefined), null);
+  assert.ok(parseRetryAfter(new Date(Date.now() + 5000).toUTCString()) > 3000);
+});
+
+test("caches searches by normalized JQL and fields, and clears the cache after writes", async () => {
+  const http = fakeHttp(({ method }) => ({ status: 200, data: method === "get" ? { total: 1, issues: issues(1, 1) } : {} }));
+  const client = new JiraClient({ http, logger: quiet, cache: new TtlCache() });
+
+  await client.search("project = NIHK AND status = Done", { fields: ["summary", "status"] });
+  await client.search("project  =  NIHK and status = Done", { fields: ["status", "summary"] });
+  assert.equal(http.requests.length, 1);
+
+  await client.search("project = NIHK AND status = Done", { fields: ["summary"] });
+  assert.equal(http.requests.length, 2);
+
+  await client.withCacheBypass().search("project = NIHK AND status = Done", { fields: ["summary"] });
+  assert.equal(http.requests.length, 3);
+
+  await client.post("/rest/api/3/issue/NIHK-1/comment", {});
+  await client.search("project = NIHK AND status = Done", { fields: ["summary", "status"] });
+  assert.equal(http.requests.length, 5);
+});
+
+test("keeps each user's cached results apart", async () => {
+  const cache = new TtlCache();
+  const http = fakeHttp(() => ({ status: 200, data: { key: "NIHK-1" } }));
+
+  await new JiraClient({ http, logger: quiet, cache, cacheScope: "alice" }).getIssue("NIHK-1");
+  await new JiraClient({ http, logger: quiet, cache, cacheScope: "bob" }).getIssue("NIHK-1");
+  await new JiraClient({ http, logger: quiet, cache, cacheScope: "bob" }).getIssue("nihk-1");
+
+  assert.equal(http.requests.length, 2);
+});
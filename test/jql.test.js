@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseJQL, tokenizeJQL, validateJQL, describeJqlErrors, JqlError } from "../lib/jql.js";
+
+const projectKeys = ["NIHK"];
+
+// Patterns the generateJQL prompt lists as FORBIDDEN must be rejected with a useful error
+const forbidden = [
+  { jql: "status = open, assignee = john", error: /','.*AND or OR/ },
+  { jql: 'status = "open", updated = "2023-01-01"', error: /','.*AND or OR/ },
+  { jql: "project, status = open", error: /','.*AND or OR/ },
+  { jql: "LIMIT 5", error: /LIMIT is not supported/ },
+  { jql: "ORDER BY status DESC LIMIT 10", error: /LIMIT is not supported/ },
+];
+
+for (const { jql, error } of forbidden) {
+  test(`rejects forbidden pattern: ${jql}`, () => {
+    const result = validateJQL(jql, { projectKeys });
+    assert.equal(result.valid, false);
+    assert.equal(result.jql, null);
+    assert.match(result.errors[0].message, error);
+  });
+}
+
+// Patterns the prompt lists as CORRECT or common must pass and keep their meaning
+const correct = [
+  ['project = "NIHK" AND status = "Open" AND assignee = "John"', 'project = "NIHK" AND status = "Open" AND assignee = "John"'],
+  ['project = "NIHK" AND (status = "Open" OR status = "In Progress")', 'project = "NIHK" AND (status = "Open" OR status = "In Progress")'],
+  ['project = "NIHK" AND status IN ("Open", "In Progress")', 'project = "NIHK" AND status IN ("Open", "In Progress")'],
+  ['status = "In Progress"', 'project = NIHK AND status = "In Progress"'],
+  ['assignee = "John Doe"', 'project = NIHK AND assignee = "John Doe"'],
+  ['project = NIHK AND priority = "High" AND assignee IS NOT EMPTY', 'project = NIHK AND priority = "High" AND assignee IS NOT EMPTY'],
+  ['project = NIHK AND labels = "frontend" AND status != "Done"', 'project = NIHK AND labels = "frontend" AND status != "Done"'],
+  ["project = NIHK AND created >= -7d", "project = NIHK AND created >= -7d"],
+];
+
+for (const [jql, expected] of correct) {
+  test(`accepts correct pattern: ${jql}`, () => {
+    const result = validateJQL(jql, { projectKeys });
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.jql, expected);
+  });
+}
+
+test("keeps ORDER BY and boolean keywords unquoted", () => {
+  const result = validateJQL("project = NIHK and status != Done order by updated desc", { projectKeys });
+  assert.equal(result.jql, "project = NIHK AND status != Done ORDER BY updated DESC");
+});
+
+test("accepts JQL functions", () => {
+  assert.equal(validateJQL("sprint in openSprints()", { projectKeys }).jql, "project = NIHK AND sprint IN openSprints()");
+  assert.equal(
+    validateJQL("duedate >= startOfWeek() AND duedate <= endOfWeek(1)", { projectKeys }).jql,
+    "project = NIHK AND duedate >= startOfWeek() AND duedate <= endOfWeek(1)"
+  );
+});
+
+test("rejects unknown functions", () => {
+  const result = validateJQL("sprint in currentSprints()", { projectKeys });
+  assert.equal(result.valid, false);
+  assert.match(result.errors[0].message, /Unknown function 'currentSprints\(\)'/);
+});
+
+test("rejects unknown fields and suggests the closest one", () => {
+  const result = validateJQL('statuss = "Done"', { projectKeys });
+  assert.equal(result.valid, false);
+  assert.match(result.errors[0].message, /Unknown field 'statuss'; did you mean 'status'\?/);
+});
+
+test("accepts custom fields", () => {
+  assert.equal(validateJQL('"Story Points" > 3 AND cf[10010] = 5', { projectKeys }).valid, true);
+});
+
+test("rejects operators the field does not support", () => {
+  assert.match(validateJQL('summary = "login"', { projectKeys }).errors[0].message, /text field; use ~/);
+  assert.match(validateJQL('status ~ "Done"', { projectKeys }).errors[0].message, /only works on text fields/);
+  assert.match(validateJQL("labels > frontend", { projectKeys }).errors[0].message, /not supported by the 'labels' field/);
+  assert.match(validateJQL('labels WAS "x"', { projectKeys }).errors[0].message, /has no history/);
+});
+
+test("explains unquoted values with spaces", () => {
+  const result = validateJQL("status = In Progress", { projectKeys });
+  assert.match(result.errors[0].message, /quote values that contain spaces, e.g. "In Progress"/);
+});
+
+test("parses history operators and predicates", () => {
+  const result = validateJQL('status CHANGED TO "Done" AFTER -7d AND assignee WAS NOT IN ("Ana", "Marko")', { projectKeys });
+  assert.equal(result.jql, 'project = NIHK AND status CHANGED TO "Done" AFTER -7d AND assignee WAS NOT IN ("Ana", "Marko")');
+});
+
+test("adds the project clause around top-level OR expressions", () => {
+  const result = validateJQL('status = "Done" OR priority = "High"', { projectKeys });
+  assert.equal(result.jql, 'project = NIHK AND (status = "Done" OR priority = "High")');
+});
+
+test("restricts queries to the allowed projects", () => {
+  const result = validateJQL('project = WEB OR status = "Done"', { projectKeys });
+  assert.equal(result.valid, false);
+  assert.match(result.errors[0].message, /Project 'WEB' is not allowed/);
+
+  assert.match(validateJQL("project != NIHK", { projectKeys }).errors[0].message, /only be restricted with = or IN/);
+  assert.equal(validateJQL("ORDER BY created DESC", { projectKeys: ["NIHK", "WEB"] }).jql, "project IN (NIHK, WEB) ORDER BY created DESC");
+});
+
+test("reports syntax errors with positions", () => {
+  assert.throws(() => parseJQL('status = "Done'), (error) => error instanceof JqlError && error.position === 9);
+  assert.throws(() => parseJQL("status = Done AND"), /Unexpected end of query/);
+  assert.throws(() => parseJQL("status Done"), /expected an operator after field 'status'/);
+});
+
+test("tokenizes strings with escaped quotes", () => {
+  const tokens = tokenizeJQL('summary ~ "say \\"hi\\""');
+  assert.deepEqual(
+    tokens.map((token) => token.value),
+    ["summary", "~", 'say "hi"', ""]
+  );
+});
+
+test("describes errors as a list for the model", () => {
+  const { errors } = validateJQL("status = open, assignee = john", { projectKeys });
+  assert.match(describeJqlErrors(errors), /^- Unexpected ','/);
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LLM, StubProvider, createLLM } from "../lib/llm.js";
+
+test("task settings override the call's parameters and the task defaults", async () => {
+  const provider = new StubProvider();
+  const llm = new LLM(provider, { model: "gpt-4", tasks: { response: { model: "gpt-4o-mini", temperature: 0.2 }, jql: { max_tokens: undefined } } });
+
+  await llm.complete("response", { messages: [{ role: "user", content: "hi" }], temperature: 0.9, max_tokens: 800 });
+  await llm.complete("jql", { messages: [], max_tokens: 200 });
+
+  const [response, jql] = provider.calls;
+  assert.deepEqual([response.model, response.temperature, response.max_tokens], ["gpt-4o-mini", 0.2, 800]);
+  assert.deepEqual([jql.model, jql.temperature, jql.max_tokens, jql.task], ["gpt-4", 0.1, 200, "jql"]);
+});
+
+test("rejects unknown tasks and providers", () => {
+  const llm = new LLM(new StubProvider());
+  assert.throws(() => llm.complete("summary", { messages: [] }), /Unknown LLM task/);
+  assert.throws(() => createLLM({ provider: "bard" }), /Unknown LLM provider/);
+});
+
+test("the stub replies deterministically and streams the same text", async () => {
+  const llm = createLLM({ provider: "stub", replies: { intent: "SPRINT", jql: (params) => `key = ${params.messages[0].content}` } });
+
+  assert.equal(await llm.complete("intent", { messages: [{ role: "user", content: "how's the sprint?" }] }), "SPRINT");
+  assert.equal(await llm.complete("jql", { messages: [{ role: "user", content: "NIHK-1" }] }), "key = NIHK-1");
+
+  let streamed = "";
+  for await (const delta of llm.stream("response", { messages: [{ role: "user", content: "show open tasks" }] })) {
+    streamed += delta;
+  }
+  assert.equal(streamed, "Stub response to: show open tasks");
+});
+
+test("the stub answers function calls from its replies, and null by default", async () => {
+  const fn = { name: "analyze_query", parameters: { type: "object" } };
+
+  assert.equal(await createLLM({ provider: "stub" }).callFunction("intent", { messages: [] }, fn), null);
+
+  const llm = createLLM({ provider: "stub", replies: { analyze_query: { intent: "SPRINT" } } });
+  assert.deepEqual(await llm.callFunction("intent", { messages: [] }, fn), { intent: "SPRINT" });
+  assert.equal(llm.provider.calls[0].function, "analyze_query");
+});
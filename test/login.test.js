@@ -0,0 +1,78 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { readFileSync } from "fs";
+import { startTestApp, parseEvents } from "./support/harness.js";
+
+const events = JSON.parse(readFileSync(new URL("./fixtures/jiraWebhooks.json", import.meta.url), "utf8"));
+const WEBHOOK_SECRET = "jira-webhook-secret";
+
+let app;
+
+before(async () => {
+  app = await startTestApp({ AUTH_MODE: "user", AUTH_SECRET: "test-secret", USER_STORE: "memory", CORS_ORIGIN: "http://localhost:5173", JIRA_WEBHOOK_SECRET: WEBHOOK_SECRET });
+});
+
+after(() => app.close());
+
+const bearer = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+const loginAs = async (email) => (await app.request("POST", "/api/auth/token", { body: { email, apiToken: "token" } })).body.token;
+
+test("logging out revokes every token the user was issued", async () => {
+  const login = () => loginAs("assistant@example.com");
+  const laptop = await login();
+  const phone = await login();
+
+  assert.equal((await app.request("GET", "/api/auth/me", bearer(laptop))).body.user.id, "acc-bot");
+  assert.equal((await app.request("POST", "/api/auth/logout", bearer(laptop))).status, 200);
+
+  assert.equal((await app.request("GET", "/api/auth/me", bearer(laptop))).status, 401);
+  assert.equal((await app.request("GET", "/api/auth/me", bearer(phone))).status, 401);
+  // Logging in again works
+  assert.equal((await app.request("GET", "/api/auth/me", bearer(await login()))).status, 200);
+});
+
+test("reports built with a user's Jira access are only theirs to read", async () => {
+  const ana = await loginAs("ana@example.com");
+  const marko = await loginAs("marko@example.com");
+
+  const { status, body: report } = await app.request("POST", "/api/reports", { body: { type: "standup" }, ...bearer(ana) });
+  assert.equal(status, 201);
+  assert.equal(report.createdBy, "acc-ana");
+
+  const listed = async (token) => (await app.request("GET", "/api/reports", bearer(token))).body.reports.map(({ id }) => id);
+  assert.deepEqual(await listed(ana), [report.id]);
+  assert.deepEqual(await listed(marko), []);
+  assert.equal((await app.request("GET", `/api/reports/${report.id}`, bearer(ana))).status, 200);
+  assert.equal((await app.request("GET", `/api/reports/${report.id}`, bearer(marko))).status, 404);
+  assert.equal((await app.request("GET", `/api/reports/${report.id}?format=markdown`, bearer(marko))).status, 404);
+});
+
+test("alerts only reach streams whose user can open the issue", async () => {
+  const ana = await loginAs("ana@example.com");
+  const rule = await app.request("POST", "/api/alerts/rules", { body: { sessionId: "ops", conditions: ["due_date_passed", "blocker_label_added"] }, ...bearer(ana) });
+  assert.equal(rule.status, 201);
+
+  const controller = new AbortController();
+  const stream = await fetch(`${app.baseUrl}/api/alerts/stream?sessionId=ops`, { signal: controller.signal, headers: { Authorization: `Bearer ${ana}` } });
+  const reader = stream.body.getReader();
+  let text = "";
+  const readUntil = async (pattern) => {
+    while (!pattern.test(text)) text += new TextDecoder().decode((await reader.read()).value);
+  };
+  await readUntil(/event: ready/);
+
+  const sendJiraEvent = (event) => {
+    const signature = `sha256=${crypto.createHmac("sha256", WEBHOOK_SECRET).update(JSON.stringify(event)).digest("hex")}`;
+    return app.request("POST", "/api/webhooks/jira", { body: event, headers: { "X-Hub-Signature": signature } });
+  };
+
+  // Ana's Jira account can't see NIHK-2
+  app.mock.failJira("/issue/NIHK-2$", { status: 404, body: { errorMessages: ["Issue does not exist or you do not have permission to see it."] } });
+  assert.deepEqual((await sendJiraEvent(events.assigneeRemoved)).body, { alerts: 1 });
+  assert.deepEqual((await sendJiraEvent(events.blockerLabelAdded)).body, { alerts: 1 });
+
+  await readUntil(/event: alert/);
+  controller.abort();
+  assert.deepEqual(parseEvents(text).filter(({ event }) => event === "alert").map(({ data }) => data.issueKey), ["NIHK-5"]);
+});
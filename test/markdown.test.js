@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { renderMarkdown } from "../src/markdown.js";
+
+test("escapes HTML before adding markup", () => {
+  const html = renderMarkdown('**Bug**: <img src=x onerror="alert(1)">');
+
+  assert.equal(html, '<p><strong class="font-semibold text-white">Bug</strong>: &lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>');
+});
+
+test("renders headers, bullet lists and paragraphs", () => {
+  const html = renderMarkdown("## Project Status\n\n### In Progress\n• NIHK-1: Login\n• NIHK-2: Search\nTwo issues are open.\nNeed help?");
+
+  assert.match(html, /^<h2[^>]*>Project Status<\/h2>\n<h3[^>]*>In Progress<\/h3>/);
+  assert.match(html, /<ul[^>]*><li>NIHK-1: Login<\/li><li>NIHK-2: Search<\/li><\/ul>/);
+  assert.match(html, /<p>Two issues are open.<br>Need help\?<\/p>$/);
+});
+
+test("links issue keys of the known projects to Jira", () => {
+  const html = renderMarkdown("NIHK-12 blocks WEB-3 (see UTF-8)", { jiraUrl: "https://example.atlassian.net/", projectKeys: ["NIHK", "WEB"] });
+
+  assert.match(html, /<a href="https:\/\/example.atlassian.net\/browse\/NIHK-12" target="_blank" rel="noopener noreferrer"[^>]*>NIHK-12<\/a>/);
+  assert.match(html, /browse\/WEB-3"/);
+  assert.doesNotMatch(html, /browse\/UTF-8/);
+  assert.doesNotMatch(renderMarkdown("NIHK-12"), /<a /);
+});
@@ -0,0 +1,130 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { startTestApp } from "./support/harness.js";
+import { findMentions, matchPeople, injectAccountIds, choosePerson } from "../lib/userDirectory.js";
+
+const users = JSON.parse(readFileSync(new URL("./fixtures/users.json", import.meta.url), "utf8"));
+
+let app;
+let mock;
+
+// The directory is cached like it is in production
+before(async () => {
+  app = await startTestApp({ CACHE_TTL_USERS_SECONDS: "600" });
+  mock = app.mock;
+});
+
+after(() => app.close());
+
+beforeEach(() => mock.reset());
+
+const names = (people) => people.map((person) => person.displayName);
+
+test("matches display names, first names, nicknames and misspellings", () => {
+  assert.deepEqual(names(matchPeople(users, "Ana Lee")), ["Ana Lee"]);
+  assert.deepEqual(names(matchPeople(users, "bill")), ["William Brown"]);
+  assert.deepEqual(names(matchPeople(users, "Marco")), ["Marko Horvat"]);
+  assert.deepEqual(names(matchPeople(users, "iva")), ["Ivana Kovac"]);
+  assert.deepEqual(names(matchPeople(users, "John")), ["John Doe", "John Smith"]);
+  assert.deepEqual(names(matchPeople(users, "Johnny")), ["John Doe", "John Smith"]);
+  assert.deepEqual(matchPeople(users, "Zoran"), []);
+
+  assert.deepEqual(findMentions("What is Bill working on?", users), ["Bill"]);
+  assert.deepEqual(findMentions("show Ana Lee's open bugs", users), ["Ana Lee"]);
+  assert.deepEqual(findMentions("what did ana and marko do yesterday", users), ["ana", "marko"]);
+  // Names that are everyday words only count when written as names
+  assert.deepEqual(findMentions("will the sprint finish on time?", users), []);
+  assert.deepEqual(findMentions("show me open jira issues", users), []);
+});
+
+test("everyday words after \"for\" are only names when they are someone's", () => {
+  const team = [
+    { accountId: "acc-dana", displayName: "Dana Kovac" },
+    { accountId: "acc-devin", displayName: "Devin Hart" },
+  ];
+
+  assert.deepEqual(findMentions("show open bugs for data team", team), []);
+  assert.deepEqual(findMentions("what is planned for dev?", team), []);
+  assert.deepEqual(findMentions("what is planned for the team?", team), []);
+  assert.deepEqual(findMentions("bugs assigned to will", users), []);
+  // Written as names, or where only a person fits, close matches still count
+  assert.deepEqual(findMentions("what is planned for Dev?", team), ["Dev"]);
+  assert.deepEqual(findMentions("show open bugs for dana", team), ["dana"]);
+  assert.deepEqual(findMentions("what is dev working on?", team), ["dev"]);
+  assert.deepEqual(findMentions("show devin's open bugs", team), ["devin"]);
+});
+
+test("JQL names people by accountId", () => {
+  const people = [
+    { mention: "John", accountId: "acc-jsmith", displayName: "John Smith" },
+    { mention: "me", accountId: "acc-bot", displayName: "Jira Assistant" },
+  ];
+
+  assert.equal(
+    injectAccountIds('project = NIHK AND (assignee = John OR reporter = currentUser()) AND status CHANGED BY "John Smith"', people),
+    'project = NIHK AND (assignee = "acc-jsmith" OR reporter = "acc-bot") AND status CHANGED BY "acc-jsmith"'
+  );
+  // People the question didn't name are left alone
+  assert.equal(injectAccountIds('project = NIHK AND assignee IN ("Ana Lee", "John")', people), 'project = NIHK AND assignee IN ("Ana Lee", "acc-jsmith")');
+});
+
+test("a reply picks one of the people a name matched", () => {
+  const disambiguation = {
+    query: "What is John working on?",
+    mention: "John",
+    candidates: [
+      { mention: "John", accountId: "acc-jdoe", displayName: "John Doe" },
+      { mention: "John", accountId: "acc-jsmith", displayName: "John Smith" },
+    ],
+  };
+  const picked = (reply) => choosePerson(reply, disambiguation)?.map((person) => person.accountId);
+
+  assert.deepEqual(picked("2"), ["acc-jsmith"]);
+  assert.deepEqual(picked("the first one"), ["acc-jdoe"]);
+  assert.deepEqual(picked("Smith"), ["acc-jsmith"]);
+  assert.deepEqual(picked("I mean John Doe."), ["acc-jdoe"]);
+  assert.equal(picked("what about the sprint?"), undefined);
+});
+
+test("questions about people search by accountId, with the directory loaded once", async () => {
+  mock.llm.jql = 'project = NIHK AND assignee = "William Brown"';
+  const { body } = await app.query("What is Bill working on?", "people");
+
+  assert.equal(body.meta.jql, 'project = NIHK AND assignee = "acc-wbrown"');
+  assert.deepEqual(body.meta.people, [{ mention: "Bill", accountId: "acc-wbrown", displayName: "William Brown" }]);
+  assert.ok(mock.llm.requests.some((request) => /"Bill" is William Brown \(accountId "acc-wbrown"\)/.test(request.messages[0].content)));
+
+  mock.llm.jql = "project = NIHK AND assignee = currentUser()";
+  const mine = await app.query("what am I working on?", "people");
+  assert.equal(mine.body.meta.jql, 'project = NIHK AND assignee = "acc-bot"');
+
+  assert.deepEqual(
+    mock.jiraRequests("/user/assignable/search$").map((request) => request.query.project),
+    ["NIHK"]
+  );
+});
+
+test("a name that fits several people is asked about, and the answer completes the question", async () => {
+  const question = await app.query("What is John working on?", "which-john");
+  assert.equal(question.body.message, 'More than one person matches "John":\n\n1. John Doe\n2. John Smith\n\nWhich one do you mean?');
+  assert.equal(mock.jiraRequests("/api/3/search$").length, 0);
+
+  mock.llm.jql = 'project = NIHK AND assignee = "John"';
+  const { body } = await app.query("the second one", "which-john");
+  assert.equal(body.meta.intent, "ASSIGNED_TASKS");
+  assert.equal(body.meta.jql, 'project = NIHK AND assignee = "acc-jsmith"');
+
+  const { body: session } = await app.request("GET", "/api/sessions/which-john");
+  assert.deepEqual(session.turns.map((turn) => turn.query), ["What is John working on?", "What is John working on?"]);
+});
+
+test("assigning to an ambiguous name asks first", async () => {
+  const question = await app.query("assign NIHK-4 to John", "assign-john");
+  assert.match(question.body.message, /More than one person matches "John"/);
+  assert.equal(question.body.meta.confirmationToken, undefined);
+
+  const { body } = await app.query("John Doe", "assign-john");
+  assert.equal(body.meta.intent, "ACTION");
+  assert.deepEqual(body.meta.action.request.data, { accountId: "acc-jdoe" });
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateQueryAnalysis, QUERY_ANALYSIS_FUNCTION, INTENTS } from "../lib/queryAnalysis.js";
+
+const reply = {
+  intent: "TASK_LIST",
+  jql: 'project = NIHK AND assignee = "Ana Lee"',
+  people: ["Ana Lee"],
+  dateRange: { from: "2026-10-12", to: "2026-10-18" },
+  issueKeys: ["nihk-4"],
+  confidence: 0.8,
+};
+
+test("accepts a well-formed reply and cleans it up", () => {
+  const { valid, analysis } = validateQueryAnalysis({ ...reply, intent: " task_list " });
+
+  assert.equal(valid, true);
+  assert.equal(analysis.intent, "TASK_LIST");
+  assert.deepEqual(analysis.issueKeys, ["NIHK-4"]);
+  assert.deepEqual(analysis.dateRange, { from: "2026-10-12", to: "2026-10-18" });
+});
+
+test("rejects intents outside the enum, like a free-text reply", () => {
+  const { valid, errors } = validateQueryAnalysis({ ...reply, intent: "Intent: TIMELINE." });
+  assert.equal(valid, false);
+  assert.match(errors[0], /intent must be one of/);
+});
+
+test("reports every field that doesn't match the schema", () => {
+  const { valid, errors } = validateQueryAnalysis({
+    intent: "BLOCKERS",
+    jql: 42,
+    people: "Ana",
+    dateRange: { from: "last week", to: null },
+    issueKeys: ["not a key"],
+    confidence: 1.5,
+  });
+
+  assert.equal(valid, false);
+  assert.equal(errors.length, 5);
+  assert.equal(validateQueryAnalysis(null).valid, false);
+  assert.equal(validateQueryAnalysis({ ...reply, dateRange: { from: "2026-10-18", to: "2026-10-12" } }).valid, false);
+});
+
+test("the function schema offers exactly the validated intents", () => {
+  assert.deepEqual(QUERY_ANALYSIS_FUNCTION.parameters.properties.intent.enum, INTENTS);
+  assert.deepEqual(QUERY_ANALYSIS_FUNCTION.parameters.required.sort(), Object.keys(reply).sort());
+});
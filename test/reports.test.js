@@ -0,0 +1,137 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { startTestApp } from "./support/harness.js";
+import { startSmtpServer, startWebhookServer } from "./support/standIns.js";
+import { startOfDayIn } from "../lib/dateRanges.js";
+import { buildStandupDigest, buildWeeklyReport } from "../lib/reports.js";
+import { createProjectScope } from "../lib/projectScope.js";
+
+let app;
+let smtp;
+let webhook;
+let reportDir;
+
+before(async () => {
+  smtp = await startSmtpServer();
+  webhook = await startWebhookServer();
+  reportDir = await fs.mkdtemp(path.join(os.tmpdir(), "reports-"));
+
+  app = await startTestApp({
+    REPORT_SINKS: "file,webhook,smtp",
+    REPORT_FILE_DIR: reportDir,
+    REPORT_WEBHOOK_URL: `${webhook.url}/hooks/reports`,
+    SMTP_HOST: "127.0.0.1",
+    SMTP_PORT: String(smtp.port),
+    SMTP_FROM: "assistant@example.com",
+    SMTP_TO: "team@example.com,lead@example.com",
+  });
+});
+
+after(async () => {
+  await app.close();
+  await smtp.close();
+  await webhook.close();
+  await fs.rm(reportDir, { recursive: true, force: true });
+});
+
+beforeEach(() => app.mock.reset());
+
+test("a standup digest is stored and delivered to every sink", async () => {
+  const { status, body: report } = await app.request("POST", "/api/reports", { body: { type: "standup" } });
+
+  assert.equal(status, 201);
+  assert.match(report.markdown, /^## Daily standup: NIHK/);
+  assert.match(report.markdown, /### Blocked\n• NIHK-3: Payment provider integration \(Blocked, Marko Horvat\)/);
+  assert.match(report.markdown, /### Due today\n/);
+  assert.deepEqual(report.deliveries.map(({ sink, delivered }) => [sink, delivered]), [["file", true], ["webhook", true], ["smtp", true]]);
+
+  assert.equal(await fs.readFile(report.deliveries[0].file, "utf8"), report.markdown);
+  assert.equal(webhook.requests.at(-1).path, "/hooks/reports");
+  assert.equal(webhook.requests.at(-1).body.text, report.markdown);
+
+  const mail = smtp.messages.at(-1);
+  assert.deepEqual(mail.to, ["team@example.com", "lead@example.com"]);
+  assert.match(mail.data, new RegExp(`^Subject: ${report.title}$`, "m"));
+  assert.ok(mail.data.includes("### Blocked"));
+});
+
+test("a report's days are the ones in the requested time zone", async () => {
+  const timeZone = "Pacific/Kiritimati";
+  const today = new Intl.DateTimeFormat("en-CA", { timeZone }).format(new Date());
+  const { body: report } = await app.request("POST", "/api/reports", { body: { type: "standup", timeZone } });
+
+  assert.ok(report.title.endsWith(today));
+  assert.equal(report.period.until, startOfDayIn(timeZone, today).toISOString());
+  assert.ok(app.mock.jiraRequests("/search").some(({ query }) => query.jql.includes(`duedate <= "${today}"`)));
+});
+
+test("a standup says when more issues moved than it could check", async () => {
+  const recent = [1, 2].map((n) => ({ key: `NIHK-${n}`, fields: { summary: "Work", status: { name: "Open" } }, changelog: { histories: [] } }));
+  const jira = {
+    search: async (jql) => (/updated >= /.test(jql) ? { issues: recent, total: 80, truncated: true } : { issues: [], total: 0, truncated: false }),
+  };
+
+  const digest = await buildStandupDigest(jira, createProjectScope(["NIHK"], ["NIHK"]), { timeZone: "UTC" });
+  assert.equal(digest.data.historyTruncated, true);
+  assert.match(digest.markdown, /Only the 2 most recently updated issues were checked/);
+});
+
+test("a weekly report with more open issues than one search loads counts each assignee's", async () => {
+  const loaded = [
+    { key: "NIHK-1", fields: { assignee: { accountId: "acc-ana", displayName: "Ana Lee" } } },
+    { key: "NIHK-2", fields: { assignee: null } },
+  ];
+  const jira = {
+    search: async (jql) => (/statusCategory != Done$/.test(jql) ? { issues: loaded, total: 900, truncated: true } : { issues: [], total: 0, truncated: false }),
+    count: async (jql) => (/assignee = "acc-ana"$/.test(jql) ? 600 : /assignee IS EMPTY$/.test(jql) ? 300 : 0),
+  };
+
+  const report = await buildWeeklyReport(jira, createProjectScope(["NIHK"], ["NIHK"]), { timeZone: "UTC" });
+  assert.deepEqual(report.data.workload.map(({ name, open }) => [name, open]), [["Ana Lee", 600], ["Unassigned", 300]]);
+  assert.equal(report.data.workloadTruncated, true);
+  assert.match(report.markdown, /more open issues than could be loaded/);
+});
+
+test("the weekly report covers completion, overdue work and workload", async () => {
+  app.mock.issues.find((issue) => issue.key === "NIHK-4").fields.duedate = "2026-10-01";
+  const { body: report } = await app.request("POST", "/api/reports", { body: { type: "weekly", project: "NIHK" } });
+
+  assert.deepEqual(report.data.completion, { done: 1, total: 6, percentage: 17 });
+  assert.match(report.markdown, /\*\*Completion\*\*: 1 of 6 issues done \(17%\)/);
+  assert.match(report.markdown, /### Overdue\n• NIHK-4: Write onboarding guide \(due 2026-10-01, Open, Unassigned\)\n\n/);
+  assert.match(report.markdown, /### Workload\n• Unassigned: 2 open/);
+
+  // New and resolved issues are counted with their own searches, not from the recently updated ones
+  const jqls = app.mock.jiraRequests("/search").map(({ query }) => query.jql);
+  assert.ok(jqls.some((jql) => /AND created >= "-\d+m"$/.test(jql)));
+  assert.ok(jqls.some((jql) => /AND resolved >= "-\d+m"$/.test(jql)));
+  assert.match(report.markdown, new RegExp(`\\*\\*New vs resolved\\*\\*: ${report.data.createdCount} created, ${report.data.resolvedCount} resolved this week`));
+});
+
+test("/api/reports lists, serves and schedules reports", async () => {
+  const { body: created } = await app.request("POST", "/api/reports", { body: { type: "weekly" } });
+
+  const { body } = await app.request("GET", "/api/reports?type=weekly");
+  assert.equal(body.reports[0].id, created.id);
+  assert.ok(body.reports.every((report) => report.type === "weekly" && !("markdown" in report)));
+
+  const markdown = await app.request("GET", `/api/reports/${created.id}?format=markdown`);
+  assert.match(markdown.headers.get("content-type"), /text\/markdown/);
+  assert.equal(markdown.body, created.markdown);
+
+  assert.equal((await app.request("GET", "/api/reports/missing")).status, 404);
+  assert.equal((await app.request("POST", "/api/reports", { body: { type: "monthly" } })).status, 400);
+
+  // The scheduler only runs in server.js
+  const schedule = await app.request("GET", "/api/reports/schedule");
+  assert.deepEqual(schedule.body, {
+    jobs: [
+      { name: "standup", cron: "0 9 * * 1-5", nextRun: null },
+      { name: "weekly", cron: "0 9 * * 1", nextRun: null },
+    ],
+    sinks: ["file", "webhook", "smtp"],
+  });
+});
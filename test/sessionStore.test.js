@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, utimes } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { MemorySessionStore, FileSessionStore, createSession, summarizeSession } from "../lib/sessionStore.js";
+
+function withTurn(id, query) {
+  const session = createSession(id);
+  session.turns.push({ query, intent: "GENERAL_QUERY", jql: null, response: "ok", at: new Date().toISOString() });
+  return session;
+}
+
+test("memory store saves, lists and deletes sessions", async () => {
+  const store = new MemorySessionStore();
+  await store.save(withTurn("a", "open bugs"));
+
+  assert.equal((await store.get("a")).turns[0].query, "open bugs");
+  assert.deepEqual((await store.list()).map(summarizeSession).map((s) => s.lastQuery), ["open bugs"]);
+  assert.equal(await store.delete("a"), true);
+  assert.equal(await store.get("a"), null);
+});
+
+test("memory store expires idle sessions and evicts the least recently updated", async () => {
+  const expiring = new MemorySessionStore({ ttlMs: 1000 });
+  await expiring.save(createSession("old"));
+  (await expiring.get("old")).updatedAt = new Date(Date.now() - 5000).toISOString();
+  assert.equal(await expiring.get("old"), null);
+
+  const capped = new MemorySessionStore({ maxSessions: 2 });
+  await capped.save(createSession("a"));
+  await capped.save(createSession("b"));
+  await capped.save(await capped.get("a"));
+  await capped.save(createSession("c"));
+  assert.deepEqual((await capped.list()).map((s) => s.id), ["a", "c"]);
+});
+
+test("file store persists sessions across instances", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "sessions-"));
+  try {
+    await new FileSessionStore({ dir }).save(withTurn("user/1", "what's blocked?"));
+
+    const reopened = new FileSessionStore({ dir });
+    assert.equal((await reopened.get("user/1")).turns[0].query, "what's blocked?");
+    assert.equal((await reopened.list()).length, 1);
+    assert.equal(await reopened.delete("user/1"), true);
+    assert.equal(await reopened.delete("user/1"), false);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("file store handles overlapping saves and prunes by modification time", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "sessions-"));
+  try {
+    const store = new FileSessionStore({ dir, ttlMs: 60 * 60 * 1000, maxSessions: 2 });
+    const session = withTurn("busy", "open bugs");
+    await Promise.all([store.save(session), store.save(session), store.save(session)]);
+
+    for (const id of ["a", "b", "c"]) await store.save(createSession(id));
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+    await utimes(store.fileFor("busy"), hoursAgo(2), hoursAgo(2));
+    await utimes(store.fileFor("a"), hoursAgo(0.5), hoursAgo(0.5));
+
+    await store.prune();
+    assert.deepEqual((await store.list()).map((s) => s.id).sort(), ["b", "c"]);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
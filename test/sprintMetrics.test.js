@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeSprintMetrics, computeVelocity } from "../lib/sprintMetrics.js";
+import { loadFixture } from "./support/mockServices.js";
+
+const issues = loadFixture("issues");
+const changelogs = loadFixture("changelogs");
+const [sprint13, sprint14] = loadFixture("agile").sprints["7"];
+const options = { storyPointsField: "customfield_10016", now: new Date("2026-10-19T12:00:00.000Z") };
+
+// Fixture issues as the agile API returns them with expand=changelog
+const sprintIssues = (currentKeys, removedKeys = []) =>
+  [...currentKeys, ...removedKeys].map((key) => ({
+    issue: { ...issues.find((issue) => issue.key === key), changelog: { histories: changelogs[key] } },
+    inSprintNow: currentKeys.includes(key),
+  }));
+
+test("rebuilds the burndown from changelogs, including re-estimates and reopened issues", () => {
+  const metrics = computeSprintMetrics(sprint14, sprintIssues(["NIHK-2", "NIHK-3", "NIHK-5", "NIHK-6"], ["NIHK-4"]), options);
+
+  assert.equal(metrics.unit, "points");
+  assert.equal(metrics.committed, 11);
+  assert.deepEqual(metrics.totals, { issues: 4, scope: 21, completed: 0, remaining: 21, unestimated: 0 });
+
+  const day = (date) => metrics.series.find((point) => point.date.startsWith(date));
+  assert.deepEqual(day("2026-10-05"), { date: "2026-10-05T08:00:00.000Z", scope: 11, completed: 0, remaining: 11, ideal: 11 });
+  assert.equal(day("2026-10-09").scope, 18);
+  assert.deepEqual([day("2026-10-16").completed, day("2026-10-18").completed], [5, 0]);
+  assert.equal(metrics.series.at(-1).date, options.now.toISOString());
+  assert.equal(metrics.series.at(-1).ideal, 0);
+});
+
+test("reports scope added and removed after the sprint started", () => {
+  const { scopeChange } = computeSprintMetrics(sprint14, sprintIssues(["NIHK-2", "NIHK-3", "NIHK-5", "NIHK-6"], ["NIHK-1", "NIHK-4"]), options);
+
+  assert.deepEqual(scopeChange.added.issues.map(({ key }) => key), ["NIHK-5", "NIHK-6", "NIHK-4"]);
+  assert.equal(scopeChange.added.value, 10);
+  assert.deepEqual(scopeChange.removed.issues, [{ key: "NIHK-4", summary: "Write onboarding guide", value: 2 }]);
+});
+
+test("counts issues when nothing is estimated and averages velocity over closed sprints", () => {
+  const unestimated = sprintIssues(["NIHK-1", "NIHK-3"]).map(({ issue, inSprintNow }) => ({
+    issue: { ...issue, fields: { ...issue.fields, customfield_10016: undefined } },
+    inSprintNow,
+  }));
+  const byIssues = computeSprintMetrics(sprint13, unestimated, options);
+
+  assert.equal(byIssues.unit, "issues");
+  assert.deepEqual([byIssues.committed, byIssues.totals.scope, byIssues.totals.completed], [1, 2, 1]);
+
+  const velocity = computeVelocity([computeSprintMetrics(sprint13, sprintIssues(["NIHK-1", "NIHK-3"]), options), byIssues]);
+  assert.deepEqual(velocity.sprints.map(({ committed, completed }) => [committed, completed]), [[3, 3], [1, 1]]);
+  assert.equal(velocity.average, 2);
+});
@@ -0,0 +1,82 @@
+// Runs the real app against the mock services. The app reads its configuration when it is first
+// imported, so each test file starts one app (node --test runs every file in its own process).
+// Set TEST_VERBOSE=1 to see the app's logs.
+import { once } from "events";
+import { startMockServices } from "./mockServices.js";
+
+export async function startTestApp(env = {}) {
+  const mock = await startMockServices();
+
+  Object.assign(process.env, {
+    JIRA_URL: mock.url,
+    JIRA_USER: "assistant@example.com",
+    JIRA_API_TOKEN: "test-token",
+    JIRA_PROJECT_KEY: "NIHK",
+    JIRA_MAX_RETRIES: "0",
+    JIRA_LOG_REQUESTS: "false",
+    OPENAI_API_KEY: "test-key",
+    OPENAI_BASE_URL: `${mock.url}/v1`,
+    LLM_PROVIDER: "openai",
+    AUTH_MODE: "shared",
+    SESSION_STORE: "memory",
+    // Tests change the mock's data between requests, so nothing is served from a cache
+    CACHE_TTL_COUNT_SECONDS: "0",
+    CACHE_TTL_SEARCH_SECONDS: "0",
+    CACHE_TTL_ISSUE_SECONDS: "0",
+    CACHE_TTL_USERS_SECONDS: "0",
+    LLM_CACHE_TTL_SECONDS: "0",
+    ...env,
+  });
+
+  if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.error = () => {};
+  }
+
+  const { app } = await import("../../app.js");
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Send a request to the app. Resolves to { status, headers, body } with JSON bodies parsed.
+  async function request(method, path, { body, headers = {} } = {}) {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: { ...(body ? { "Content-Type": "application/json" } : {}), ...headers },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const text = await response.text();
+    const isJson = (response.headers.get("content-type") || "").includes("application/json");
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  }
+
+  return {
+    mock,
+    baseUrl,
+    request,
+
+    // Ask a question in a conversation
+    query(query, sessionId = "test") {
+      return request("POST", "/api/query", { body: { query, sessionId } });
+    },
+
+    async close() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      await mock.close();
+    },
+  };
+}
+
+// Parse a Server-Sent Events body into [{ event, data }]
+export function parseEvents(text) {
+  return text
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => {
+      const event = block.match(/^event: (.*)$/m)?.[1];
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      return { event, data: data && JSON.parse(data) };
+    });
+}
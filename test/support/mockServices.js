@@ -0,0 +1,392 @@
+// Local stand-ins for Jira Cloud and the OpenAI API, serving the fixtures in test/fixtures.
+// Jira searches are evaluated against the fixture issues with the real JQL parser (fields the mock
+// doesn't model match everything), and write requests change the mock's copy of the issues.
+// Tests can make either service fail and inspect the requests it received.
+import express from "express";
+import { readFileSync } from "fs";
+import { once } from "events";
+import { parseJQL } from "../../lib/jql.js";
+
+export function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(`../fixtures/${name}.json`, import.meta.url), "utf8"));
+}
+
+const TRANSITIONS = [
+  { id: "11", name: "Start Progress", to: { name: "In Progress" } },
+  { id: "21", name: "Block", to: { name: "Blocked" } },
+  { id: "31", name: "Done", to: { name: "Done" } },
+  { id: "41", name: "Reopen", to: { name: "Open" } },
+];
+
+// The site's statuses with their categories, as /rest/api/3/status lists them
+const STATUSES = [
+  { id: "1", name: "Open", statusCategory: { key: "new" } },
+  { id: "3", name: "In Progress", statusCategory: { key: "indeterminate" } },
+  { id: "10002", name: "Blocked", statusCategory: { key: "indeterminate" } },
+  { id: "10001", name: "Done", statusCategory: { key: "done" } },
+];
+
+const CATEGORY_NAMES = { new: "To Do", indeterminate: "In Progress", done: "Done" };
+
+// Values of an issue field as the JQL evaluator compares them, or null for fields the mock ignores
+const FIELD_VALUES = {
+  project: (issue) => [issue.key.split("-")[0]],
+  key: (issue) => [issue.key],
+  issuekey: (issue) => [issue.key],
+  status: (issue) => [issue.fields.status?.name],
+  statuscategory: (issue) => {
+    const key = STATUSES.find((status) => status.name === issue.fields.status?.name)?.statusCategory.key;
+    return [key, CATEGORY_NAMES[key]];
+  },
+  priority: (issue) => [issue.fields.priority?.name],
+  issuetype: (issue) => [issue.fields.issuetype?.name],
+  type: (issue) => [issue.fields.issuetype?.name],
+  labels: (issue) => issue.fields.labels || [],
+  assignee: (issue) => [issue.fields.assignee?.displayName, issue.fields.assignee?.accountId],
+  reporter: (issue) => [issue.fields.reporter?.displayName, issue.fields.reporter?.accountId],
+};
+
+function matchesClause(issue, clause) {
+  const read = FIELD_VALUES[clause.field.name.toLowerCase()];
+  if (!read || clause.predicates.length > 0 || clause.value?.type === "function") return true;
+
+  const actual = read(issue)
+    .filter((value) => value !== null && value !== undefined)
+    .map((value) => String(value).toLowerCase());
+  const expected = (clause.value.type === "list" ? clause.value.values : [clause.value])
+    .filter((value) => value.type !== "function")
+    .map((value) => String(value.value).toLowerCase());
+
+  switch (clause.operator) {
+    case "=":
+    case "in":
+      return actual.some((value) => expected.includes(value));
+    case "!=":
+    case "not in":
+      return !actual.some((value) => expected.includes(value));
+    case "is":
+      return actual.length === 0;
+    case "is not":
+      return actual.length > 0;
+    default:
+      return true;
+  }
+}
+
+function matches(issue, node) {
+  if (!node) return true;
+  if (node.type === "and") return node.clauses.every((clause) => matches(issue, clause));
+  if (node.type === "or") return node.clauses.some((clause) => matches(issue, clause));
+  if (node.type === "not") return !matches(issue, node.clause);
+  return matchesClause(issue, node);
+}
+
+// Issues matching `jql`, in its ORDER BY order (date fields only). Throws JqlError like Jira's 400.
+export function runJQL(issues, jql) {
+  const query = parseJQL(jql);
+  const found = issues.filter((issue) => matches(issue, query.where));
+
+  const [order] = query.orderBy;
+  const field = order?.field.name.toLowerCase();
+  if (["updated", "created", "duedate"].includes(field)) {
+    const direction = order.direction === "DESC" ? -1 : 1;
+    found.sort((a, b) => String(a.fields[field] ?? "").localeCompare(String(b.fields[field] ?? "")) * direction);
+  }
+
+  return found;
+}
+
+function page(items, { startAt = 0, maxResults = 50 }) {
+  const start = Number(startAt);
+  const size = Math.min(Number(maxResults), 100);
+  return { startAt: start, maxResults: size, total: items.length, values: items.slice(start, start + size), isLast: start + size >= items.length };
+}
+
+// The issues as Jira returns them, with their change history when `expand` asks for it
+// Like Jira, issues embed only their latest changes (jira.embeddedHistories of them); the rest of a
+// changelog is paged from /issue/:key/changelog
+function expandIssues(mock, issues, expand) {
+  if (!String(expand || "").split(",").includes("changelog")) return issues;
+  return issues.map((issue) => {
+    const all = mock.changelogs[issue.key] || [];
+    const histories = all.slice(-mock.jira.embeddedHistories);
+    return { ...issue, changelog: { startAt: all.length - histories.length, maxResults: histories.length, total: all.length, histories } };
+  });
+}
+
+function jiraError(res, status, message) {
+  return res.status(status).json({ errorMessages: [message], errors: {} });
+}
+
+// Canned model replies, picked by the system prompt of each kind of call
+function defaultReply(body, llm) {
+  const system = body.messages[0]?.content || "";
+  if (/converts natural language into precise Jira Query Language/.test(system)) return llm.jql;
+  if (/fix Jira Query Language/.test(system)) return llm.repairedJql;
+  if (/narrow a previous Jira search/.test(system)) return "NONE";
+  if (/turn requests to change Jira issues into JSON/.test(system)) return JSON.stringify({ type: "NONE" });
+  return `Mock answer: ${String(body.messages.at(-1)?.content).slice(0, 60)}`;
+}
+
+function createState() {
+  return {
+    issues: loadFixture("issues"),
+    changelogs: loadFixture("changelogs"),
+    users: loadFixture("users"),
+    agile: loadFixture("agile"),
+    jira: { requests: [], failures: [], embeddedHistories: 100 },
+    llm: {
+      requests: [],
+      down: false,
+      // Arguments for function calls: an object, or a function of the question. null fails validation.
+      analysis: null,
+      jql: 'project = NIHK AND status = "Open"',
+      repairedJql: "project = NIHK ORDER BY updated DESC",
+      // Override for plain completions: (body) => text, or undefined for the default reply
+      reply: null,
+    },
+  };
+}
+
+export async function startMockServices() {
+  const mock = createState();
+  const app = express();
+  app.use(express.json());
+
+  // Jira: record every request and answer with an injected failure when one matches
+  app.use("/rest", (req, res, next) => {
+    mock.jira.requests.push({ method: req.method, path: req.baseUrl + req.path, query: req.query, body: req.body });
+
+    const failure = mock.jira.failures.find((candidate) => candidate.times > 0 && candidate.match.test(req.baseUrl + req.path));
+    if (!failure) return next();
+
+    failure.times--;
+    res.status(failure.status).json(failure.body);
+  });
+
+  const search = (jql, res) => {
+    try {
+      return runJQL(mock.issues, jql || "");
+    } catch (error) {
+      jiraError(res, 400, `Error in the JQL Query: ${error.message}`);
+      return null;
+    }
+  };
+
+  app.get("/rest/api/3/search", (req, res) => {
+    const found = search(req.query.jql, res);
+    if (!found) return;
+
+    const { values, ...rest } = page(found, req.query);
+    res.json({ ...rest, issues: expandIssues(mock, values, req.query.expand) });
+  });
+
+  app.get("/rest/api/3/search/jql", (req, res) => {
+    const found = search(req.query.jql, res);
+    if (!found) return;
+
+    const { values, isLast, startAt, maxResults } = page(found, { startAt: req.query.nextPageToken || 0, maxResults: req.query.maxResults });
+    res.json({ issues: expandIssues(mock, values, req.query.expand), isLast, ...(isLast ? {} : { nextPageToken: String(startAt + maxResults) }) });
+  });
+
+  app.post("/rest/api/3/search/approximate-count", (req, res) => {
+    const found = search(req.body.jql, res);
+    if (found) res.json({ count: found.length });
+  });
+
+  const findIssue = (req, res) => {
+    const issue = mock.issues.find((candidate) => candidate.key === req.params.key.toUpperCase());
+    if (!issue) jiraError(res, 404, "Issue does not exist or you do not have permission to see it.");
+    return issue;
+  };
+
+  app.get("/rest/api/3/issue/:key", (req, res) => {
+    const issue = findIssue(req, res);
+    if (issue) res.json(expandIssues(mock, [issue], req.query.expand)[0]);
+  });
+
+  app.get("/rest/api/3/status", (req, res) => res.json(STATUSES));
+
+  app.get("/rest/api/3/issue/:key/changelog", (req, res) => {
+    const issue = findIssue(req, res);
+    if (issue) res.json(page(mock.changelogs[issue.key] || [], req.query));
+  });
+
+  app.get("/rest/api/3/issue/:key/transitions", (req, res) => {
+    const issue = findIssue(req, res);
+    if (issue) res.json({ transitions: TRANSITIONS.filter((transition) => transition.to.name !== issue.fields.status.name) });
+  });
+
+  app.post("/rest/api/3/issue/:key/transitions", (req, res) => {
+    const issue = findIssue(req, res);
+    if (!issue) return;
+
+    const transition = TRANSITIONS.find((candidate) => candidate.id === req.body.transition?.id);
+    if (!transition) return jiraError(res, 400, "Transition id is not valid for this issue.");
+
+    issue.fields.status = { ...transition.to };
+    res.status(204).end();
+  });
+
+  app.put("/rest/api/3/issue/:key/assignee", (req, res) => {
+    const issue = findIssue(req, res);
+    if (!issue) return;
+
+    const user = mock.users.find((candidate) => candidate.accountId === req.body.accountId);
+    if (req.body.accountId && !user) return jiraError(res, 400, "User cannot be assigned issues.");
+
+    issue.fields.assignee = user ? { accountId: user.accountId, displayName: user.displayName } : null;
+    res.status(204).end();
+  });
+
+  app.post("/rest/api/3/issue/:key/comment", (req, res) => {
+    const issue = findIssue(req, res);
+    if (!issue) return;
+
+    const comment = { id: String(20000 + mock.jira.requests.length), author: { displayName: "Jira Assistant" }, created: new Date().toISOString(), body: req.body.body };
+    issue.fields.comment.comments.push(comment);
+    res.status(201).json(comment);
+  });
+
+  app.post("/rest/api/3/issue", (req, res) => {
+    const projectKey = req.body.fields?.project?.key || "NIHK";
+    const number = Math.max(...mock.issues.map((issue) => Number(issue.key.split("-")[1]))) + 1;
+    const issue = {
+      id: String(10000 + number),
+      key: `${projectKey}-${number}`,
+      fields: {
+        summary: req.body.fields?.summary,
+        status: { name: "Open" },
+        priority: { name: "Medium" },
+        issuetype: { name: req.body.fields?.issuetype?.name || "Task" },
+        assignee: null,
+        labels: [],
+        created: new Date().toISOString(),
+        updated: new Date().toISOString(),
+        comment: { comments: [] },
+      },
+    };
+    mock.issues.push(issue);
+    res.status(201).json({ id: issue.id, key: issue.key });
+  });
+
+  // Whoever the Basic credentials name, or the shared account
+  app.get("/rest/api/3/myself", (req, res) => {
+    const [scheme, encoded] = String(req.get("Authorization") || "").split(" ");
+    const email = scheme === "Basic" ? Buffer.from(encoded, "base64").toString().split(":")[0] : null;
+    res.json(mock.users.find((user) => user.emailAddress === email) || mock.users.find((user) => user.accountId === "acc-bot"));
+  });
+
+  app.get("/rest/api/3/user/assignable/search", (req, res) => {
+    const query = String(req.query.query || "").toLowerCase();
+    const users = mock.users.filter((user) => user.displayName.toLowerCase().includes(query) || user.emailAddress.startsWith(query));
+    const startAt = Number(req.query.startAt || 0);
+    res.json(users.slice(startAt, startAt + Number(req.query.maxResults || 50)));
+  });
+
+  app.get("/rest/agile/1.0/board", (req, res) => {
+    const boards = mock.agile.boards.filter(
+      (board) => (!req.query.projectKeyOrId || board.location.projectKey === req.query.projectKeyOrId) && (!req.query.type || board.type === req.query.type)
+    );
+    res.json(page(boards, req.query));
+  });
+
+  app.get("/rest/agile/1.0/board/:boardId", (req, res) => {
+    const board = mock.agile.boards.find((candidate) => String(candidate.id) === req.params.boardId);
+    if (!board) return jiraError(res, 404, "Board does not exist or you do not have permission to see it.");
+    res.json(board);
+  });
+
+  app.get("/rest/agile/1.0/board/:boardId/sprint", (req, res) => {
+    const board = mock.agile.boards.find((candidate) => String(candidate.id) === req.params.boardId);
+    if (!board) return jiraError(res, 404, "Board does not exist or you do not have permission to see it.");
+    if (board.type !== "scrum") return jiraError(res, 400, "The board does not support sprints");
+
+    const sprints = mock.agile.sprints[req.params.boardId];
+
+    const states = req.query.state ? String(req.query.state).split(",") : null;
+    res.json(page(states ? sprints.filter((sprint) => states.includes(sprint.state)) : sprints, req.query));
+  });
+
+  app.get("/rest/agile/1.0/sprint/:sprintId", (req, res) => {
+    const sprint = Object.values(mock.agile.sprints)
+      .flat()
+      .find((candidate) => String(candidate.id) === req.params.sprintId);
+    if (!sprint) return jiraError(res, 404, "Sprint does not exist.");
+    res.json(sprint);
+  });
+
+  app.get("/rest/agile/1.0/sprint/:sprintId/issue", (req, res) => {
+    const keys = mock.agile.sprintIssues[req.params.sprintId];
+    if (!keys) return jiraError(res, 404, "Sprint does not exist.");
+
+    const issues = mock.issues.filter((issue) => keys.includes(issue.key));
+    const { values, ...rest } = page(req.query.jql ? runJQL(issues, req.query.jql) : issues, req.query);
+    res.json({ ...rest, issues: expandIssues(mock, values, req.query.expand) });
+  });
+
+  app.use("/rest", (req, res) => jiraError(res, 404, `No mock for ${req.method} ${req.baseUrl}${req.path}`));
+
+  // OpenAI chat completions, streamed or not, with forced function calls
+  app.post("/v1/chat/completions", (req, res) => {
+    mock.llm.requests.push(req.body);
+
+    if (mock.llm.down) {
+      return res.status(401).json({ error: { message: "Incorrect API key provided.", type: "invalid_request_error", code: "invalid_api_key" } });
+    }
+
+    const completion = (message, finishReason) => ({
+      id: "chatcmpl-mock",
+      object: "chat.completion",
+      created: 0,
+      model: req.body.model,
+      choices: [{ index: 0, message: { role: "assistant", ...message }, finish_reason: finishReason }],
+    });
+
+    if (req.body.tools) {
+      const question = req.body.messages.at(-1).content;
+      const analysis = typeof mock.llm.analysis === "function" ? mock.llm.analysis(question) : mock.llm.analysis;
+      const call = { id: "call-mock", type: "function", function: { name: req.body.tools[0].function.name, arguments: JSON.stringify(analysis) } };
+      return res.json(completion({ content: null, tool_calls: [call] }, "tool_calls"));
+    }
+
+    const text = mock.llm.reply?.(req.body) ?? defaultReply(req.body, mock.llm);
+    if (!req.body.stream) {
+      return res.json(completion({ content: text }, "stop"));
+    }
+
+    res.setHeader("Content-Type", "text/event-stream");
+    for (const word of text.match(/\S+\s*/g) || []) {
+      const chunk = { id: "chatcmpl-mock", object: "chat.completion.chunk", created: 0, model: req.body.model, choices: [{ index: 0, delta: { content: word }, finish_reason: null }] };
+      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    }
+    res.end("data: [DONE]\n\n");
+  });
+
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  return Object.assign(mock, {
+    url: `http://127.0.0.1:${server.address().port}`,
+
+    // Answer requests whose path matches `match` with an error, `times` times
+    failJira(match, { status = 503, body = { errorMessages: ["Service unavailable"] }, times = Infinity } = {}) {
+      mock.jira.failures.push({ match: match instanceof RegExp ? match : new RegExp(match), status, body, times });
+    },
+
+    // Jira requests received so far, optionally only those whose path matches
+    jiraRequests(match) {
+      return mock.jira.requests.filter((request) => !match || new RegExp(match).test(request.path));
+    },
+
+    // Back to the fixture data, with both services healthy
+    reset() {
+      Object.assign(mock, createState());
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  });
+}
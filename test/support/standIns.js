@@ -0,0 +1,96 @@
+// Local stand-ins for report delivery: an SMTP server and a webhook receiver that accept
+// everything and keep what they received.
+import net from "net";
+import http from "http";
+import { once } from "events";
+
+// Speaks just enough SMTP for lib/smtp.js. messages holds { from, to, data } per message.
+export async function startSmtpServer() {
+  const messages = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+
+    let buffer = "";
+    let message = null;
+    let inData = false;
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply("220 stand-in ESMTP");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let index;
+      while ((index = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            messages.push(message);
+            reply("250 queued");
+          } else {
+            message.data += `${line.startsWith("..") ? line.slice(1) : line}\n`;
+          }
+        } else if (/^EHLO/i.test(line)) {
+          reply("250-stand-in");
+          reply("250 AUTH PLAIN");
+        } else if (/^AUTH PLAIN/i.test(line)) {
+          reply("235 accepted");
+        } else if (/^MAIL FROM:/i.test(line)) {
+          message = { from: line.match(/<(.*)>/)[1], to: [], data: "" };
+          reply("250 ok");
+        } else if (/^RCPT TO:/i.test(line)) {
+          message.to.push(line.match(/<(.*)>/)[1]);
+          reply("250 ok");
+        } else if (/^DATA/i.test(line)) {
+          inData = true;
+          reply("354 go ahead");
+        } else if (/^QUIT/i.test(line)) {
+          reply("221 bye");
+          socket.end();
+        } else {
+          reply("502 not implemented");
+        }
+      }
+    });
+  });
+
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  return {
+    port: server.address().port,
+    messages,
+    close() {
+      sockets.forEach((socket) => socket.destroy());
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// Records JSON POSTs in requests as { path, body }
+export async function startWebhookServer() {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    requests.push({ path: req.url, body: JSON.parse(body || "null") });
+    res.writeHead(204).end();
+  });
+
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}